@@ -8,12 +8,17 @@ const rateLimit = require('express-rate-limit');
 const restakersRoutes = require('./src/routes/restakers');
 const validatorsRoutes = require('./src/routes/validators');
 const rewardsRoutes = require('./src/routes/rewards');
+const avsRoutes = require('./src/routes/avs');
+const strategiesRoutes = require('./src/routes/strategies');
+const lidoRoutes = require('./src/routes/lido');
+const withdrawalsRoutes = require('./src/routes/withdrawals');
 
 // Import middleware
 const errorHandler = require('./src/middleware/errorHandler');
 
 // Import services
 const { initializeDatabase } = require('./src/services/databaseService');
+const dataModeService = require('./src/services/dataModeService');
 const scheduler = require('./src/scripts/scheduler');
 
 const app = express();
@@ -43,6 +48,7 @@ app.get('/health', (req, res) => {
     status: 'healthy',
     timestamp: new Date().toISOString(),
     version: require('./package.json').version,
+    dataMode: dataModeService.getMode(),
   });
 });
 
@@ -50,6 +56,10 @@ app.get('/health', (req, res) => {
 app.use('/api/restakers', restakersRoutes);
 app.use('/api/validators', validatorsRoutes);
 app.use('/api/rewards', rewardsRoutes);
+app.use('/api/avs', avsRoutes);
+app.use('/api/strategies', strategiesRoutes);
+app.use('/api/lido', lidoRoutes);
+app.use('/api/withdrawals', withdrawalsRoutes);
 
 // 404 handler
 app.use('*', (req, res) => {
@@ -65,6 +75,8 @@ app.use(errorHandler);
 // Initialize database and start server
 async function startServer() {
   try {
+    dataModeService.validate();
+
     console.log('🔄 Initializing database...');
     await initializeDatabase();
     console.log('✅ Database initialized successfully');
@@ -0,0 +1,107 @@
+const { getAllAvs, getAvsByAddress, getOperatorSets } = require('../services/databaseService');
+const strategyService = require('../services/strategyService');
+const dataModeService = require('../services/dataModeService');
+const { ethers } = require('ethers');
+
+// Tables backing these responses, reported in their data provenance
+const AVS_TABLES = [
+  'avs',
+  'avs_operator_events',
+  'operator_shares',
+  'strategies',
+  'token_rates',
+  'operator_sets',
+  'operator_set_events'
+];
+
+class AvsController {
+  /**
+   * Get all AVSs
+   */
+  async getAllAvs(req, res, next) {
+    try {
+      const avsList = await getAllAvs();
+
+      res.json({
+        success: true,
+        data: avsList,
+        metadata: {
+          totalAvs: avsList.length,
+          totalRegistrations: avsList.reduce((sum, avs) => sum + avs.operatorCount, 0),
+          lastUpdated: new Date().toISOString()
+        },
+        dataProvenance: await dataModeService.describe(AVS_TABLES)
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get AVS by address with its operators and secured stake
+   */
+  async getAvsByAddress(req, res, next) {
+    try {
+      const { address } = req.params;
+
+      if (!ethers.isAddress(address)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid Ethereum address format'
+        });
+      }
+
+      const avs = await getAvsByAddress(address);
+
+      if (!avs) {
+        return res.status(404).json({
+          success: false,
+          error: 'AVS not found',
+          message: `No AVS data found for address ${address}`
+        });
+      }
+
+      const [catalog, operatorSets] = await Promise.all([
+        strategyService.getCatalog(),
+        getOperatorSets(address)
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          avsAddress: avs.avsAddress,
+          metadataURI: avs.metadataURI,
+          operatorCount: avs.operators.length,
+          operators: avs.operators.map(operator => ({
+            operatorAddress: operator.operatorAddress,
+            registeredAt: operator.registeredAt,
+            registeredAtBlock: operator.registeredAtBlock,
+            totalDelegatedStake: operator.totalDelegatedStake || '0',
+            totalDelegatedStakeETH: ethers.formatEther(operator.totalDelegatedStake || '0')
+          })),
+          securedStakeByStrategy: avs.securedStakeByStrategy.map(position => {
+            const value = strategyService.valueShares(position.strategy, position.shares, catalog);
+            return {
+              strategy: position.strategy,
+              symbol: value.symbol,
+              underlyingToken: value.underlyingToken,
+              shares: position.shares,
+              amount: value.amount,
+              amountFormatted: value.amountFormatted,
+              valueInEth: strategyService.formatEthValue(value.ethValue),
+              ethRate: value.ethRate
+            };
+          }),
+          operatorSets,
+          createdAt: avs.createdAt,
+          updatedAt: avs.updatedAt
+        },
+        dataProvenance: await dataModeService.describe(AVS_TABLES)
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new AvsController();
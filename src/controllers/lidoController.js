@@ -0,0 +1,191 @@
+const {
+  getLatestLidoMetrics,
+  getLidoMetricsSeries,
+  getLidoDailyRewards
+} = require('../services/databaseService');
+const snapshotService = require('../services/snapshotService');
+const amountService = require('../services/amountService');
+const dataModeService = require('../services/dataModeService');
+const { ethers } = require('ethers');
+
+const YEAR = 365 * 24 * 60 * 60 * 1000;
+
+class LidoController {
+  constructor() {
+    this.getMetrics = this.getMetrics.bind(this);
+    this.getRateHistory = this.getRateHistory.bind(this);
+    this.getApr = this.getApr.bind(this);
+  }
+
+  /**
+   * Get the latest stored stETH metrics
+   */
+  async getMetrics(req, res, next) {
+    try {
+      const metrics = await getLatestLidoMetrics();
+
+      if (!metrics) {
+        return res.status(404).json({
+          success: false,
+          error: 'No Lido metrics found',
+          message: 'Lido metrics have not been fetched yet'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          timestamp: metrics.periodStart,
+          totalPooledEther: amountService.toEth(metrics.totalPooledEther),
+          totalShares: metrics.totalShares,
+          bufferedEther: metrics.bufferedEther ? amountService.toEth(metrics.bufferedEther) : null,
+          apr: metrics.apr,
+          aprPercent: this.formatPercent(metrics.apr),
+          shareRate: this.formatRate(metrics.shareRate),
+          rateBlockNumber: metrics.rateBlockNumber,
+          recordedAt: metrics.recordedAt
+        },
+        dataProvenance: await dataModeService.describe(['lido_metrics'])
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get the stETH share rate over time
+   */
+  async getRateHistory(req, res, next) {
+    try {
+      const { interval = 'day', range = '30d' } = req.query;
+
+      const window = snapshotService.resolveWindow(interval, range);
+      if (!window) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid interval or range',
+          message: 'interval must be hour or day; range is a number followed by h, d, w, m or y, up to 10y (e.g. 7d)'
+        });
+      }
+
+      const series = await getLidoMetricsSeries({ granularity: window.granularity, from: window.from });
+
+      res.json({
+        success: true,
+        data: {
+          interval: window.granularity,
+          range,
+          from: window.from,
+          to: window.to,
+          points: series
+            .filter(point => point.shareRate)
+            .map(point => ({
+              timestamp: point.periodStart,
+              shareRate: this.formatRate(point.shareRate),
+              blockNumber: point.rateBlockNumber
+            }))
+        },
+        dataProvenance: await dataModeService.describe(['lido_metrics'])
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get the current stETH APR with its daily history, average and the APR
+   * implied by share rate growth over the range
+   */
+  async getApr(req, res, next) {
+    try {
+      const { range = '30d' } = req.query;
+
+      const window = snapshotService.resolveWindow('day', range);
+      if (!window) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid range',
+          message: 'range is a number followed by h, d, w, m or y, up to 10y (e.g. 7d)'
+        });
+      }
+
+      const [latest, series, dailyRewards] = await Promise.all([
+        getLatestLidoMetrics(),
+        getLidoMetricsSeries({ granularity: 'hour', from: window.from }),
+        getLidoDailyRewards(window.from.slice(0, 10))
+      ]);
+
+      if (!latest && dailyRewards.length === 0) {
+        return res.status(404).json({
+          success: false,
+          error: 'No Lido metrics found',
+          message: 'Lido metrics have not been fetched yet'
+        });
+      }
+
+      const dailyAprs = dailyRewards.map(reward => reward.apr).filter(apr => apr !== null);
+      const averageApr = dailyAprs.length > 0
+        ? dailyAprs.reduce((sum, apr) => sum + apr, 0) / dailyAprs.length
+        : null;
+
+      res.json({
+        success: true,
+        data: {
+          current: latest ? {
+            apr: latest.apr,
+            aprPercent: this.formatPercent(latest.apr),
+            timestamp: latest.periodStart
+          } : null,
+          range,
+          from: window.from,
+          to: window.to,
+          averageApr,
+          averageAprPercent: this.formatPercent(averageApr),
+          rateImpliedApr: this.calculateRateImpliedApr(series.filter(point => point.shareRate)),
+          daily: dailyRewards.map(reward => ({
+            day: reward.day,
+            apr: reward.apr,
+            totalRewards: amountService.toEth(reward.totalRewards),
+            validatorsCount: reward.validatorsCount
+          }))
+        },
+        dataProvenance: await dataModeService.describe(['lido_metrics', 'lido_daily_rewards'])
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Helper: Annualize share rate growth between the first and last readings.
+   * The growth ratio is computed exactly and only annualized as a float.
+   */
+  calculateRateImpliedApr(points) {
+    if (points.length < 2) return null;
+
+    const first = points[0];
+    const last = points[points.length - 1];
+    const elapsed = new Date(last.periodStart).getTime() - new Date(first.periodStart).getTime();
+    if (elapsed <= 0) return null;
+
+    const growth = amountService.mulDiv(
+      amountService.toBigInt(last.shareRate) - amountService.toBigInt(first.shareRate),
+      10n ** 18n,
+      first.shareRate
+    );
+    return Number(ethers.formatEther(growth)) * YEAR / elapsed;
+  }
+
+  /**
+   * Helper: A share rate as ether per share plus the exact wei per 1e18 shares
+   */
+  formatRate(shareRate) {
+    return shareRate ? { eth: ethers.formatEther(shareRate), wei: shareRate } : null;
+  }
+
+  formatPercent(apr) {
+    return apr === null || apr === undefined ? null : (apr * 100).toFixed(2);
+  }
+}
+
+module.exports = new LidoController();
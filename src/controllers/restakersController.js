@@ -1,44 +1,99 @@
-const { getAllRestakers } = require('../services/databaseService');
+const {
+  getAllRestakers,
+  getRestakerPage,
+  getRestakerByAddress,
+  getStrategyShareTotals,
+  getStakerSlashes,
+  getOperatorAllocations,
+  getSnapshots,
+  getEigenPodByOwner
+} = require('../services/databaseService');
+const strategyService = require('../services/strategyService');
+const amountService = require('../services/amountService');
+const snapshotService = require('../services/snapshotService');
+const dataModeService = require('../services/dataModeService');
 const { ethers } = require('ethers');
 
+// Tables backing these responses, reported in their data provenance
+const RESTAKER_TABLES = [
+  'restaking_events',
+  'eigenpod_share_events',
+  'delegation_events',
+  'strategies',
+  'token_rates',
+  'staker_slashes',
+  'allocation_events',
+  'max_magnitude_events'
+];
+
+const EIGENPOD_TABLES = ['eigenpods', 'eigenpod_share_events', 'eigenpod_validator_events', 'eigenpod_checkpoints'];
+
+// Operators start with a max magnitude of 1e18 in every strategy
+const INITIAL_MAX_MAGNITUDE = 10n ** 18n;
+
+// Beacon chain balances are proven in gwei
+const GWEI = 10n ** 9n;
+
 class RestakersController {
+  constructor() {
+    this.getAllRestakers = this.getAllRestakers.bind(this);
+    this.getRestakerByAddress = this.getRestakerByAddress.bind(this);
+    this.getEigenPod = this.getEigenPod.bind(this);
+    this.getRestakingStats = this.getRestakingStats.bind(this);
+    this.getRestakingTimeseries = this.getRestakingTimeseries.bind(this);
+  }
+
   /**
-   * Get all restakers
+   * Get one page of restakers (`?sortBy=`, `?order=`, `?limit=`, `?cursor=`, `?operator=`)
    */
   async getAllRestakers(req, res, next) {
     try {
-      const { page = 1, limit = 50, sortBy = 'timestamp', order = 'desc' } = req.query;
-      
-      const restakers = await getAllRestakers();
-      
-      // Apply pagination
-      const startIndex = (page - 1) * limit;
-      const endIndex = page * limit;
-      const paginatedRestakers = restakers.slice(startIndex, endIndex);
+      const { limit, cursor, sortBy, order = 'desc', operator } = req.query;
+
+      if (operator && !ethers.isAddress(operator)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid Ethereum address format'
+        });
+      }
+
+      const [{ restakers, pagination }, shareTotals, catalog] = await Promise.all([
+        getRestakerPage({
+          filters: { operator: operator && operator.toLowerCase() },
+          sortBy,
+          order,
+          cursor,
+          limit
+        }),
+        getStrategyShareTotals(),
+        strategyService.getCatalog()
+      ]);
 
       // Format amounts for better readability
-      const formattedRestakers = paginatedRestakers.map(restaker => ({
-        ...restaker,
-        amountRestakedETH: ethers.formatEther(restaker.amountRestaked),
-        amountRestaked: restaker.amountRestaked, // Keep original for precision
-      }));
+      const formattedRestakers = this.valueRestakers(restakers, catalog).map(restaker => this.formatRestaker(restaker));
+
+      const strategyValues = Array.from(shareTotals, ([strategy, total]) =>
+        strategyService.valueShares(strategy, total.totalShares, catalog)
+      );
+      const totalValueLocked = amountService.sum(strategyValues.map(value => value.normalizedAmount));
+      const totalValueLockedInEth = strategyService.sumEthValues(strategyValues);
 
       const response = {
         success: true,
         data: formattedRestakers,
-        pagination: {
-          currentPage: parseInt(page),
-          totalPages: Math.ceil(restakers.length / limit),
-          totalItems: restakers.length,
-          itemsPerPage: parseInt(limit),
-          hasNextPage: endIndex < restakers.length,
-          hasPreviousPage: page > 1
+        pagination,
+        filters: {
+          operator: operator ? operator.toLowerCase() : null
         },
         metadata: {
-          totalRestakers: restakers.length,
-          totalValueLocked: this.calculateTotalValueLocked(restakers),
+          totalRestakers: pagination.totalItems,
+          // Protocol-wide, whatever the filters
+          totalValueLocked: amountService.toEth(totalValueLocked),
+          totalValueLockedInEth: amountService.toEth(totalValueLockedInEth.total),
+          unpricedStrategies: totalValueLockedInEth.unpriced,
           lastUpdated: new Date().toISOString()
-        }
+        },
+        dataProvenance: await dataModeService.describe(RESTAKER_TABLES)
       };
 
       res.json(response);
@@ -61,12 +116,9 @@ class RestakersController {
         });
       }
 
-      const restakers = await getAllRestakers();
-      const restaker = restakers.find(r => 
-        r.userAddress.toLowerCase() === address.toLowerCase()
-      );
+      const record = await getRestakerByAddress(address);
 
-      if (!restaker) {
+      if (!record) {
         return res.status(404).json({
           success: false,
           error: 'Restaker not found',
@@ -74,15 +126,103 @@ class RestakersController {
         });
       }
 
+      const [catalog, slashes, allocations] = await Promise.all([
+        strategyService.getCatalog(),
+        getStakerSlashes(address),
+        record.delegatedTo ? getOperatorAllocations(record.delegatedTo) : null
+      ]);
+      const [restaker] = this.valueRestakers([record], catalog);
+
       const formattedRestaker = {
-        ...restaker,
-        amountRestakedETH: ethers.formatEther(restaker.amountRestaked),
-        amountRestaked: restaker.amountRestaked,
+        ...this.formatRestaker(restaker),
+        slashing: this.formatSlashing(restaker, slashes, allocations, catalog),
+        delegationHistory: restaker.delegationHistory,
+        history: restaker.history.map(event => ({
+          eventType: event.eventType,
+          strategy: event.strategy,
+          shares: event.shares,
+          ...this.formatEventAmount(event, catalog),
+          blockNumber: event.blockNumber,
+          transactionHash: event.transactionHash,
+          logIndex: event.logIndex,
+          timestamp: event.timestamp
+        }))
       };
 
       res.json({
         success: true,
-        data: formattedRestaker
+        data: formattedRestaker,
+        dataProvenance: await dataModeService.describe(RESTAKER_TABLES)
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get a restaker's EigenPod with its beacon chain validators and checkpoint history
+   */
+  async getEigenPod(req, res, next) {
+    try {
+      const { address } = req.params;
+
+      if (!ethers.isAddress(address)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid Ethereum address format'
+        });
+      }
+
+      const pod = await getEigenPodByOwner(address);
+
+      if (!pod) {
+        return res.status(404).json({
+          success: false,
+          error: 'EigenPod not found',
+          message: `No EigenPod deployed for address ${address}`
+        });
+      }
+
+      const activeValidators = pod.validators.filter(validator => validator.status === 'active');
+      const restakedBalance = amountService.sum(activeValidators.map(validator => validator.balanceGwei)) * GWEI;
+
+      res.json({
+        success: true,
+        data: {
+          podOwner: pod.podOwner,
+          podAddress: pod.podAddress,
+          deployedAt: pod.timestamp,
+          deploymentBlock: pod.blockNumber,
+          deploymentTransaction: pod.transactionHash,
+          // Beacon chain ETH shares are 1:1 with ether
+          shares: amountService.toEth(pod.shares),
+          sharesUpdatedAt: pod.sharesUpdatedAt,
+          restakedBalance: amountService.toEth(restakedBalance),
+          activeValidators: activeValidators.length,
+          withdrawnValidators: pod.validators.length - activeValidators.length,
+          validators: pod.validators.map(validator => ({
+            validatorIndex: validator.validatorIndex,
+            status: validator.status,
+            balance: amountService.toEth(amountService.toBigInt(validator.balanceGwei) * GWEI),
+            balanceTimestamp: this.formatBeaconTimestamp(validator.balanceTimestamp),
+            restakedAt: validator.restakedAt,
+            withdrawnAt: validator.withdrawnAt
+          })),
+          checkpoints: pod.checkpoints.map(checkpoint => ({
+            checkpointTimestamp: this.formatBeaconTimestamp(checkpoint.checkpointTimestamp),
+            status: checkpoint.status,
+            beaconBlockRoot: checkpoint.beaconBlockRoot,
+            validatorCount: checkpoint.validatorCount,
+            totalShareDelta: checkpoint.totalShareDeltaWei === null
+              ? null
+              : amountService.toEth(checkpoint.totalShareDeltaWei),
+            createdAt: checkpoint.createdAt,
+            createdBlock: checkpoint.createdBlock,
+            finalizedAt: checkpoint.finalizedAt,
+            finalizedBlock: checkpoint.finalizedBlock
+          }))
+        },
+        dataProvenance: await dataModeService.describe(EIGENPOD_TABLES)
       });
     } catch (error) {
       next(error);
@@ -94,13 +234,15 @@ class RestakersController {
    */
   async getRestakingStats(req, res, next) {
     try {
-      const restakers = await getAllRestakers();
+      const restakers = this.valueRestakers(await getAllRestakers(), await strategyService.getCatalog());
       
       const stats = {
         totalRestakers: restakers.length,
         totalValueLocked: this.calculateTotalValueLocked(restakers),
+        totalValueLockedInEth: this.calculateTotalValueLockedInEth(restakers),
         averageStakeAmount: this.calculateAverageStakeAmount(restakers),
         uniqueValidators: this.getUniqueValidators(restakers).length,
+        uniqueStrategies: this.getUniqueStrategies(restakers).length,
         recentActivity: this.getRecentActivity(restakers),
         topRestakers: this.getTopRestakers(restakers, 10)
       };
@@ -108,55 +250,289 @@ class RestakersController {
       res.json({
         success: true,
         data: stats,
-        lastUpdated: new Date().toISOString()
+        lastUpdated: new Date().toISOString(),
+        dataProvenance: await dataModeService.describe(RESTAKER_TABLES)
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get TVL and restaker counts over time, in total and per strategy
+   */
+  async getRestakingTimeseries(req, res, next) {
+    try {
+      const { interval = 'day', range = '30d' } = req.query;
+
+      const window = snapshotService.resolveWindow(interval, range);
+      if (!window) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid interval or range',
+          message: 'interval must be hour or day; range is a number followed by h, d, w, m or y, up to 10y (e.g. 7d)'
+        });
+      }
+
+      const [snapshots, catalog] = await Promise.all([
+        getSnapshots({ granularity: window.granularity, scopes: ['protocol', 'strategy'], from: window.from }),
+        strategyService.getCatalog()
+      ]);
+
+      // Rows arrive ordered by period, protocol row first
+      const points = [];
+      snapshots.forEach(snapshot => {
+        if (snapshot.scope === 'protocol') {
+          points.push({
+            timestamp: snapshot.periodStart,
+            totalValueLocked: {
+              eth: ethers.formatEther(snapshot.amount),
+              wei: snapshot.amount
+            },
+            restakerCount: snapshot.restakerCount,
+            strategies: []
+          });
+          return;
+        }
+
+        const point = points[points.length - 1];
+        if (!point || point.timestamp !== snapshot.periodStart) return;
+
+        const strategy = catalog.get(snapshot.subject);
+        point.strategies.push({
+          strategy: snapshot.subject,
+          symbol: strategy ? strategy.symbol : null,
+          shares: snapshot.shares,
+          normalizedAmount: snapshot.amount,
+          restakerCount: snapshot.restakerCount
+        });
+      });
+
+      res.json({
+        success: true,
+        data: {
+          interval: window.granularity,
+          range,
+          from: window.from,
+          to: window.to,
+          points
+        },
+        dataProvenance: await dataModeService.describe(['snapshots'])
       });
     } catch (error) {
       next(error);
     }
   }
 
+  /**
+   * Helper: Beacon chain timestamps are in seconds
+   */
+  formatBeaconTimestamp(seconds) {
+    return seconds === null ? null : new Date(seconds * 1000).toISOString();
+  }
+
   /**
    * Helper: Calculate total value locked
    */
   calculateTotalValueLocked(restakers) {
-    const total = restakers.reduce((sum, restaker) => {
-      return sum + parseFloat(ethers.formatEther(restaker.amountRestaked));
-    }, 0);
+    return amountService.toEth(amountService.sum(restakers.map(restaker => restaker.amountRestaked)));
+  }
 
-    return {
-      eth: total.toFixed(4),
-      wei: ethers.parseEther(total.toString()).toString()
-    };
+  /**
+   * Helper: Calculate total value locked in ETH, counting only priced positions
+   */
+  calculateTotalValueLockedInEth(restakers) {
+    return amountService.toEth(amountService.sum(restakers.map(restaker => restaker.valueInEth)));
   }
 
   /**
    * Helper: Calculate average stake amount
    */
   calculateAverageStakeAmount(restakers) {
-    if (restakers.length === 0) return { eth: '0', wei: '0' };
-    
-    const totalETH = parseFloat(this.calculateTotalValueLocked(restakers).eth);
-    const average = totalETH / restakers.length;
+    const total = amountService.sum(restakers.map(restaker => restaker.amountRestaked));
+    return amountService.toEth(amountService.average(total, restakers.length));
+  }
+
+  /**
+   * Helper: Convert every position from shares to its underlying token.
+   * amountRestaked becomes the 18-decimal normalized total so TVL sums stay comparable;
+   * valueInEth adds up the positions an ETH rate is known for.
+   */
+  valueRestakers(restakers, catalog) {
+    return restakers.map(restaker => {
+      const values = [];
+      const strategies = restaker.strategies.map(position => {
+        const value = strategyService.valueShares(position.strategy, position.shares, catalog);
+        values.push(value);
+        return {
+          strategy: position.strategy,
+          underlyingToken: value.underlyingToken,
+          symbol: value.symbol,
+          decimals: value.decimals,
+          shares: position.shares,
+          amountRestaked: value.amount,
+          amountRestakedFormatted: value.amountFormatted,
+          normalizedAmount: value.normalizedAmount,
+          valueInEth: strategyService.formatEthValue(value.ethValue),
+          ethRate: value.ethRate,
+          sharesSlashed: position.sharesSlashed,
+          depositCount: position.depositCount,
+          withdrawalCount: position.withdrawalCount,
+          slashCount: position.slashCount
+        };
+      });
+
+      const total = amountService.sum(strategies.map(position => position.normalizedAmount));
+      const valueInEth = strategyService.sumEthValues(values);
+      return {
+        ...restaker,
+        strategies,
+        amountRestaked: total.toString(),
+        valueInEth: valueInEth.total,
+        unpricedPositions: valueInEth.unpriced
+      };
+    });
+  }
 
+  /**
+   * Helper: Slashing exposure of the restaker's open positions and the losses already taken.
+   * A position is slashable by each operator set its operator allocated magnitude to, in
+   * proportion magnitude / maxMagnitude of the operator's stake in that strategy.
+   */
+  formatSlashing(restaker, slashes, allocations, catalog) {
+    let totalSlashable = 0n;
+    let totalLost = 0n;
+
+    const exposure = restaker.strategies
+      .filter(position => BigInt(position.shares) > 0n)
+      .map(position => {
+        const maxMagnitude = allocations && allocations.maxMagnitudes.has(position.strategy)
+          ? BigInt(allocations.maxMagnitudes.get(position.strategy))
+          : INITIAL_MAX_MAGNITUDE;
+
+        const operatorSets = (allocations ? allocations.allocations : [])
+          .filter(allocation => allocation.strategy === position.strategy)
+          .map(allocation => {
+            const slashableShares = maxMagnitude > 0n
+              ? BigInt(position.shares) * BigInt(allocation.magnitude) / maxMagnitude
+              : 0n;
+            return {
+              avsAddress: allocation.avsAddress,
+              operatorSetId: allocation.operatorSetId,
+              magnitude: allocation.magnitude,
+              maxMagnitude: maxMagnitude.toString(),
+              allocatedPercent: maxMagnitude > 0n
+                ? Number(BigInt(allocation.magnitude) * 10000n / maxMagnitude) / 100
+                : 0,
+              slashableShares: slashableShares.toString()
+            };
+          });
+
+        // Allocations never exceed the max magnitude, so their sum is at most the position
+        const slashableShares = operatorSets.reduce((sum, set) => sum + BigInt(set.slashableShares), 0n);
+        const value = strategyService.valueShares(position.strategy, slashableShares.toString(), catalog);
+        totalSlashable += BigInt(value.normalizedAmount);
+
+        return {
+          strategy: position.strategy,
+          symbol: position.symbol,
+          shares: position.shares,
+          slashableShares: slashableShares.toString(),
+          slashableAmount: value.amount,
+          slashableAmountFormatted: value.amountFormatted,
+          operatorSets
+        };
+      });
+
+    const realizedLosses = restaker.strategies
+      .filter(position => BigInt(position.sharesSlashed) > 0n)
+      .map(position => {
+        const value = strategyService.valueShares(position.strategy, position.sharesSlashed, catalog);
+        totalLost += BigInt(value.normalizedAmount);
+
+        return {
+          strategy: position.strategy,
+          symbol: position.symbol,
+          sharesSlashed: position.sharesSlashed,
+          amountSlashed: value.amount,
+          amountSlashedFormatted: value.amountFormatted,
+          slashCount: position.slashCount
+        };
+      });
+
+    return {
+      operatorAddress: restaker.delegatedTo,
+      totalSlashableAmount: totalSlashable.toString(),
+      totalSlashableAmountETH: ethers.formatEther(totalSlashable),
+      totalLostAmount: totalLost.toString(),
+      totalLostAmountETH: ethers.formatEther(totalLost),
+      exposure,
+      realizedLosses,
+      slashEvents: slashes
+    };
+  }
+
+  /**
+   * Helper: Express a ledger event's amount in its strategy's underlying token
+   */
+  formatEventAmount(event, catalog) {
+    const strategy = catalog.get(event.strategy);
+    const decimals = strategy ? strategy.decimals : 18;
+    const amount = event.amount || strategyService.valueShares(event.strategy, event.shares, catalog).amount;
+
+    return {
+      symbol: strategy ? strategy.symbol : null,
+      amount,
+      amountFormatted: ethers.formatUnits(amount, decimals)
+    };
+  }
+
+  /**
+   * Helper: Format a restaker and its per-strategy balances
+   */
+  formatRestaker(restaker) {
     return {
-      eth: average.toFixed(4),
-      wei: ethers.parseEther(average.toString()).toString()
+      userAddress: restaker.userAddress,
+      amountRestaked: restaker.amountRestaked, // Keep original for precision
+      amountRestakedETH: ethers.formatEther(restaker.amountRestaked),
+      valueInEth: amountService.toEth(restaker.valueInEth),
+      unpricedPositions: restaker.unpricedPositions,
+      delegatedTo: restaker.delegatedTo,
+      delegatedAt: restaker.delegatedAt,
+      strategies: restaker.strategies,
+      firstDepositAt: restaker.firstDepositAt,
+      timestamp: restaker.timestamp
     };
   }
 
   /**
-   * Helper: Get unique validators
+   * Helper: Get unique operators restakers are delegated to
    */
   getUniqueValidators(restakers) {
     const validators = new Set();
     restakers.forEach(restaker => {
-      if (restaker.targetAVSValidatorAddress) {
-        validators.add(restaker.targetAVSValidatorAddress);
+      if (restaker.delegatedTo) {
+        validators.add(restaker.delegatedTo);
       }
     });
     return Array.from(validators);
   }
 
+  /**
+   * Helper: Get unique strategies with an open position
+   */
+  getUniqueStrategies(restakers) {
+    const strategies = new Set();
+    restakers.forEach(restaker => {
+      restaker.strategies.forEach(position => {
+        if (BigInt(position.shares) > 0n) {
+          strategies.add(position.strategy);
+        }
+      });
+    });
+    return Array.from(strategies);
+  }
+
   /**
    * Helper: Get recent activity (last 24 hours)
    */
@@ -177,12 +553,14 @@ class RestakersController {
    */
   getTopRestakers(restakers, limit = 10) {
     return restakers
-      .sort((a, b) => parseFloat(b.amountRestaked) - parseFloat(a.amountRestaked))
+      .sort((a, b) => amountService.compare(b.amountRestaked, a.amountRestaked))
       .slice(0, limit)
       .map(restaker => ({
         userAddress: restaker.userAddress,
         amountRestakedETH: ethers.formatEther(restaker.amountRestaked),
-        targetAVSValidatorAddress: restaker.targetAVSValidatorAddress,
+        valueInEth: amountService.toEth(restaker.valueInEth),
+        delegatedTo: restaker.delegatedTo,
+        strategyCount: restaker.strategies.length,
         timestamp: restaker.timestamp
       }));
   }
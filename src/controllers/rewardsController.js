@@ -1,7 +1,26 @@
-const { getRewardsByAddress } = require('../services/databaseService');
+const {
+  getRewardsByAddress,
+  getRewardsClaimPage,
+  getSimulatedRewardPage,
+  getRewardsSubmissions,
+  getRewardsStats
+} = require('../services/databaseService');
+const dataModeService = require('../services/dataModeService');
+const amountService = require('../services/amountService');
+const commissionService = require('../services/commissionService');
 const { ethers } = require('ethers');
 
+// Tables backing these responses, reported in their data provenance
+const REWARDS_TABLES = ['rewards_earnings', 'rewards_claims', 'rewards_submissions', 'rewards', 'tokens', 'operator_split_events'];
+
 class RewardsController {
+  constructor() {
+    this.getRewardsByAddress = this.getRewardsByAddress.bind(this);
+    this.getRewardsHistory = this.getRewardsHistory.bind(this);
+    this.getRewardsSubmissions = this.getRewardsSubmissions.bind(this);
+    this.getTotalRewardsStats = this.getTotalRewardsStats.bind(this);
+  }
+
   /**
    * Get rewards for a specific address
    */
@@ -16,55 +35,59 @@ class RewardsController {
         });
       }
 
-      const rewardsData = await getRewardsByAddress(address);
-      
-      if (!rewardsData.breakdownPerValidator || rewardsData.breakdownPerValidator.length === 0) {
+      const demoMode = dataModeService.isDemo();
+      const [rewardsData, netYield] = await Promise.all([
+        getRewardsByAddress(address),
+        commissionService.estimateNetYield(address)
+      ]);
+      const simulated = rewardsData.simulated;
+      const hasSimulated = demoMode && simulated.breakdownPerValidator.length > 0;
+
+      // A staker whose stake has not earned anything yet still gets its empty estimate
+      if (rewardsData.tokens.length === 0 && !netYield && !hasSimulated) {
         return res.status(404).json({
           success: false,
           error: 'No rewards found',
-          message: `No reward data found for address ${address}`
+          message: `No reward data found for address ${address}`,
+          demoMode
         });
       }
 
       // Format the response
       const formattedResponse = {
-        userAddress: address,
-        totalRestakingRewardsReceived: rewardsData.totalRestakingRewardsReceived,
-        totalRestakingRewardsReceivedETH: ethers.formatEther(
-          rewardsData.totalRestakingRewardsReceived || '0'
-        ),
-        breakdownPerValidator: rewardsData.breakdownPerValidator.map(validator => ({
-          validatorAddress: validator.validatorAddress,
-          totalRewards: validator.totalRewards,
-          totalRewardsETH: ethers.formatEther(validator.totalRewards?.toString() || '0'),
-          rewardCount: validator.rewardCount,
-          firstReward: validator.firstReward,
-          lastReward: validator.lastReward,
-          averageRewardETH: validator.rewardCount > 0 
-            ? ethers.formatEther((validator.totalRewards / validator.rewardCount).toString())
-            : '0'
-        })),
-        rewardTimestamps: rewardsData.rewardTimestamps.slice(0, 10).map(reward => ({
-          amount: reward.rewardAmount,
-          amountETH: ethers.formatEther(reward.rewardAmount),
-          validatorAddress: reward.validatorAddress,
-          timestamp: reward.timestamp,
-          transactionHash: reward.transactionHash
+        userAddress: address.toLowerCase(),
+        tokens: rewardsData.tokens.map(token => ({
+          token: token.token,
+          symbol: token.symbol,
+          decimals: token.decimals,
+          earned: token.earned,
+          earnedFormatted: ethers.formatUnits(token.earned, token.decimals),
+          claimed: token.claimed,
+          claimedFormatted: ethers.formatUnits(token.claimed, token.decimals),
+          claimable: token.claimable,
+          claimableFormatted: ethers.formatUnits(token.claimable, token.decimals),
+          claimCount: token.claimCount,
+          rootIndex: token.rootIndex
         })),
+        recentClaims: rewardsData.claims.slice(0, 10).map(claim => this.formatClaim(claim)),
         statistics: {
-          totalValidatorsRewarded: rewardsData.breakdownPerValidator.length,
-          averageRewardPerValidator: this.calculateAverageRewardPerValidator(rewardsData.breakdownPerValidator),
-          rewardFrequency: this.calculateRewardFrequency(rewardsData.rewardTimestamps),
-          lastRewardDate: rewardsData.rewardTimestamps.length > 0 
-            ? rewardsData.rewardTimestamps[0].timestamp 
-            : null
-        }
+          tokensEarned: rewardsData.tokens.length,
+          totalClaims: rewardsData.claims.length,
+          lastClaimDate: rewardsData.claims.length > 0 ? rewardsData.claims[0].timestamp : null
+        },
+        netYieldEstimate: netYield && this.formatNetYield(netYield)
       };
 
+      if (hasSimulated) {
+        formattedResponse.simulated = this.formatSimulatedRewards(simulated);
+      }
+
       res.json({
         success: true,
         data: formattedResponse,
-        lastUpdated: new Date().toISOString()
+        demoMode,
+        lastUpdated: new Date().toISOString(),
+        dataProvenance: await dataModeService.describe(REWARDS_TABLES)
       });
     } catch (error) {
       next(error);
@@ -72,123 +95,199 @@ class RewardsController {
   }
 
   /**
-   * Get detailed rewards history for a specific address
+   * Get one page of rewards history for a specific address: on-chain claims, plus
+   * simulated rewards in demo mode, each with its own cursor
    */
   async getRewardsHistory(req, res, next) {
     try {
       const { address } = req.params;
-      const { page = 1, limit = 50, validator, fromDate, toDate } = req.query;
+      const { limit, cursor, simulatedCursor, sortBy, order = 'desc', token, validator, fromDate, toDate } = req.query;
       
-      if (!ethers.isAddress(address)) {
+      const addresses = [address, token, validator].filter(Boolean);
+      if (addresses.some(value => !ethers.isAddress(value))) {
         return res.status(400).json({
           success: false,
           error: 'Invalid Ethereum address format'
         });
       }
 
-      const rewardsData = await getRewardsByAddress(address);
-      let rewards = rewardsData.rewardTimestamps || [];
-
-      // Apply filters
-      if (validator) {
-        rewards = rewards.filter(reward => 
-          reward.validatorAddress.toLowerCase() === validator.toLowerCase()
-        );
-      }
-
-      if (fromDate) {
-        const fromDateTime = new Date(fromDate);
-        rewards = rewards.filter(reward => 
-          new Date(reward.timestamp) >= fromDateTime
-        );
+      const dates = [fromDate, toDate].filter(Boolean);
+      if (dates.some(date => isNaN(new Date(date).getTime()))) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid date',
+          message: 'fromDate and toDate must be ISO 8601 dates'
+        });
       }
 
-      if (toDate) {
-        const toDateTime = new Date(toDate);
-        rewards = rewards.filter(reward => 
-          new Date(reward.timestamp) <= toDateTime
-        );
-      }
+      const demoMode = dataModeService.isDemo();
+      const userAddress = address.toLowerCase();
+      const period = {
+        fromDate: fromDate && new Date(fromDate).toISOString(),
+        toDate: toDate && new Date(toDate).toISOString()
+      };
 
-      // Apply pagination
-      const startIndex = (page - 1) * limit;
-      const endIndex = page * limit;
-      const paginatedRewards = rewards.slice(startIndex, endIndex);
+      const [claimPage, simulatedPage] = await Promise.all([
+        getRewardsClaimPage({
+          filters: { earner: userAddress, token: token && token.toLowerCase(), ...period },
+          sortBy,
+          order,
+          cursor,
+          limit
+        }),
+        demoMode
+          ? getSimulatedRewardPage({
+            filters: { userAddress, validator: validator && validator.toLowerCase(), ...period },
+            sortBy,
+            order,
+            cursor: simulatedCursor,
+            limit
+          })
+          : null
+      ]);
 
-      // Format rewards
-      const formattedRewards = paginatedRewards.map(reward => ({
-        amount: reward.rewardAmount,
-        amountETH: ethers.formatEther(reward.rewardAmount),
-        validatorAddress: reward.validatorAddress,
-        timestamp: reward.timestamp,
-        transactionHash: reward.transactionHash,
-        blockNumber: reward.blockNumber
-      }));
+      const data = {
+        userAddress,
+        claims: claimPage.claims.map(claim => this.formatClaim(claim))
+      };
 
       const response = {
         success: true,
-        data: {
-          userAddress: address,
-          rewards: formattedRewards,
-          summary: {
-            totalRewardsInPeriod: this.calculateTotalRewards(rewards),
-            averageRewardAmount: this.calculateAverageReward(rewards),
-            rewardCount: rewards.length
-          }
-        },
-        pagination: {
-          currentPage: parseInt(page),
-          totalPages: Math.ceil(rewards.length / limit),
-          totalItems: rewards.length,
-          itemsPerPage: parseInt(limit),
-          hasNextPage: endIndex < rewards.length,
-          hasPreviousPage: page > 1
-        },
+        data,
+        pagination: claimPage.pagination,
         filters: {
+          token: token || null,
           validator: validator || null,
           fromDate: fromDate || null,
           toDate: toDate || null
         },
-        lastUpdated: new Date().toISOString()
+        demoMode,
+        lastUpdated: new Date().toISOString(),
+        dataProvenance: await dataModeService.describe(REWARDS_TABLES)
       };
 
+      if (simulatedPage) {
+        const rewardCount = simulatedPage.pagination.totalItems;
+
+        data.simulatedRewards = simulatedPage.rewards.map(reward => ({
+          amount: reward.rewardAmount,
+          amountETH: ethers.formatEther(reward.rewardAmount),
+          validatorAddress: reward.validatorAddress,
+          timestamp: reward.timestamp,
+          transactionHash: reward.transactionHash
+        }));
+        data.summary = {
+          totalRewardsInPeriod: amountService.toEth(simulatedPage.totalRewards),
+          averageRewardAmount: amountService.toEth(amountService.average(simulatedPage.totalRewards, rewardCount)),
+          rewardCount
+        };
+        response.simulatedPagination = simulatedPage.pagination;
+      }
+
       res.json(response);
     } catch (error) {
       next(error);
     }
   }
 
+  /**
+   * Get rewards submissions, optionally for one AVS or directed operator
+   */
+  async getRewardsSubmissions(req, res, next) {
+    try {
+      const { avs, operator, limit } = req.query;
+
+      if ((avs && !ethers.isAddress(avs)) || (operator && !ethers.isAddress(operator))) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid Ethereum address format'
+        });
+      }
+
+      const submissions = await getRewardsSubmissions({
+        avsAddress: avs,
+        operatorAddress: operator,
+        limit
+      });
+
+      res.json({
+        success: true,
+        data: submissions.map(submission => {
+          const decimals = submission.decimals ?? 18;
+          return {
+            submissionType: submission.submissionType,
+            submitter: submission.submitter,
+            avsAddress: submission.avsAddress,
+            submissionHash: submission.submissionHash,
+            token: submission.token,
+            symbol: submission.symbol,
+            amount: submission.amount,
+            amountFormatted: ethers.formatUnits(submission.amount, decimals),
+            strategies: submission.strategies,
+            operatorRewards: submission.operatorRewards,
+            startTimestamp: submission.startTimestamp,
+            duration: submission.duration,
+            blockNumber: submission.blockNumber,
+            transactionHash: submission.transactionHash,
+            timestamp: submission.timestamp
+          };
+        }),
+        filters: {
+          avs: avs || null,
+          operator: operator || null
+        },
+        demoMode: dataModeService.isDemo(),
+        lastUpdated: new Date().toISOString(),
+        dataProvenance: await dataModeService.describe(REWARDS_TABLES)
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * Get total rewards statistics across all users
    */
   async getTotalRewardsStats(req, res, next) {
     try {
-      // This would require additional database queries to aggregate across all users
-      // For now, we'll return a placeholder response
-      
-      const stats = {
-        totalRewardsDistributed: {
-          eth: '0', // Would calculate from all users
-          wei: '0'
-        },
-        totalUniqueRewardRecipients: 0,
-        averageRewardPerUser: {
-          eth: '0',
-          wei: '0'
-        },
-        rewardDistributionByValidator: [],
-        rewardTrends: {
-          daily: [],
-          weekly: [],
-          monthly: []
-        }
-      };
+      const { limit = 20 } = req.query;
+
+      const stats = await getRewardsStats({ operatorLimit: parseInt(limit) || 20 });
 
       res.json({
         success: true,
-        data: stats,
-        message: 'Total rewards statistics feature coming soon',
-        lastUpdated: new Date().toISOString()
+        data: {
+          totalUniqueRewardRecipients: stats.uniqueRecipients,
+          totalRewardsDistributed: stats.tokens.map(token => {
+            const average = token.recipientCount > 0
+              ? BigInt(token.earned) / BigInt(token.recipientCount)
+              : 0n;
+            return {
+              ...this.formatAmount(token, 'earned', token.earned),
+              ...this.formatAmount(token, 'claimed', token.claimed),
+              ...this.formatAmount(token, 'averagePerRecipient', average.toString()),
+              recipientCount: token.recipientCount,
+              claimCount: token.claimCount
+            };
+          }),
+          rewardDistributionByValidator: stats.byOperator.map(operator => ({
+            operatorAddress: operator.operatorAddress,
+            earnerCount: operator.earnerCount,
+            tokens: operator.tokens.map(token => this.formatAmount(token, 'earned', token.earned))
+          })),
+          rewardTrends: Object.fromEntries(Object.entries(stats.trends).map(([period, buckets]) => [
+            period,
+            buckets.map(bucket => ({
+              period: bucket.period,
+              ...this.formatAmount(bucket, 'claimed', bucket.claimed),
+              claimCount: bucket.claimCount,
+              earnerCount: bucket.earnerCount
+            }))
+          ]))
+        },
+        demoMode: dataModeService.isDemo(),
+        lastUpdated: new Date().toISOString(),
+        dataProvenance: await dataModeService.describe(REWARDS_TABLES)
       });
     } catch (error) {
       next(error);
@@ -196,23 +295,96 @@ class RewardsController {
   }
 
   /**
-   * Helper: Calculate average reward per validator
+   * Helper: Token fields plus an amount and its formatted value in the token's decimals
    */
-  calculateAverageRewardPerValidator(breakdownPerValidator) {
-    if (breakdownPerValidator.length === 0) return { eth: '0', wei: '0' };
-    
-    const totalRewards = breakdownPerValidator.reduce((sum, validator) => {
-      return sum + parseFloat(validator.totalRewards || 0);
-    }, 0);
-    
-    const average = totalRewards / breakdownPerValidator.length;
-    
+  formatAmount(token, field, amount) {
     return {
-      eth: ethers.formatEther(average.toString()),
-      wei: ethers.parseEther(average.toString()).toString()
+      token: token.token,
+      symbol: token.symbol,
+      decimals: token.decimals,
+      [field]: amount,
+      [`${field}Formatted`]: ethers.formatUnits(amount, token.decimals)
     };
   }
 
+  /**
+   * Helper: Format a RewardsClaimed event in its token's decimals
+   */
+  formatClaim(claim) {
+    return {
+      token: claim.token,
+      symbol: claim.symbol,
+      amount: claim.claimedAmount,
+      amountFormatted: ethers.formatUnits(claim.claimedAmount, claim.decimals ?? 18),
+      claimer: claim.claimer,
+      recipient: claim.recipient,
+      root: claim.root,
+      blockNumber: claim.blockNumber,
+      transactionHash: claim.transactionHash,
+      timestamp: claim.timestamp
+    };
+  }
+
+  /**
+   * Helper: Format simulated demo-mode rewards
+   */
+  formatSimulatedRewards(simulated) {
+    return {
+      totalRestakingRewardsReceived: simulated.totalRestakingRewardsReceived,
+      totalRestakingRewardsReceivedETH: ethers.formatEther(simulated.totalRestakingRewardsReceived),
+      breakdownPerValidator: simulated.breakdownPerValidator.map(validator => ({
+        validatorAddress: validator.validatorAddress,
+        totalRewards: validator.totalRewards,
+        totalRewardsETH: ethers.formatEther(validator.totalRewards),
+        rewardCount: validator.rewardCount,
+        firstReward: validator.firstReward,
+        lastReward: validator.lastReward,
+        averageRewardETH: ethers.formatEther(amountService.average(validator.totalRewards, validator.rewardCount))
+      })),
+      rewardTimestamps: simulated.rewardTimestamps.slice(0, 10).map(reward => ({
+        amount: reward.rewardAmount,
+        amountETH: ethers.formatEther(reward.rewardAmount),
+        validatorAddress: reward.validatorAddress,
+        timestamp: reward.timestamp,
+        transactionHash: reward.transactionHash
+      })),
+      statistics: {
+        totalValidatorsRewarded: simulated.breakdownPerValidator.length,
+        averageRewardPerValidator: this.calculateAverageRewardPerValidator(simulated.breakdownPerValidator),
+        rewardFrequency: this.calculateRewardFrequency(simulated.rewardTimestamps),
+        lastRewardDate: simulated.rewardTimestamps.length > 0 
+          ? simulated.rewardTimestamps[0].timestamp 
+          : null
+      }
+    };
+  }
+
+  /**
+   * Helper: Net yield estimate with every amount also formatted in its token's units
+   */
+  formatNetYield(netYield) {
+    const format = entry => ({
+      ...entry,
+      grossAmountFormatted: ethers.formatUnits(entry.grossAmount, entry.decimals),
+      operatorCommissionFormatted: ethers.formatUnits(entry.operatorCommission, entry.decimals),
+      netAmountFormatted: ethers.formatUnits(entry.netAmount, entry.decimals)
+    });
+
+    return {
+      ...netYield,
+      totals: netYield.totals.map(format),
+      periods: netYield.periods.map(format)
+    };
+  }
+
+  /**
+   * Helper: Calculate average reward per validator
+   */
+  calculateAverageRewardPerValidator(breakdownPerValidator) {
+    const total = amountService.sum(breakdownPerValidator.map(validator => validator.totalRewards));
+    return amountService.toEth(amountService.average(total, breakdownPerValidator.length));
+  }
+
   /**
    * Helper: Calculate reward frequency
    */
@@ -253,35 +425,6 @@ class RewardsController {
       averageDaysBetweenRewards: averageDays.toFixed(2)
     };
   }
-
-  /**
-   * Helper: Calculate total rewards from array
-   */
-  calculateTotalRewards(rewards) {
-    const total = rewards.reduce((sum, reward) => {
-      return sum + parseFloat(ethers.formatEther(reward.rewardAmount));
-    }, 0);
-
-    return {
-      eth: total.toFixed(4),
-      wei: total > 0 ? ethers.parseEther(total.toString()).toString() : '0'
-    };
-  }
-
-  /**
-   * Helper: Calculate average reward amount
-   */
-  calculateAverageReward(rewards) {
-    if (rewards.length === 0) return { eth: '0', wei: '0' };
-    
-    const totalETH = parseFloat(this.calculateTotalRewards(rewards).eth);
-    const average = totalETH / rewards.length;
-
-    return {
-      eth: average.toFixed(4),
-      wei: average > 0 ? ethers.parseEther(average.toString()).toString() : '0'
-    };
-  }
 }
 
 module.exports = new RewardsController();
\ No newline at end of file
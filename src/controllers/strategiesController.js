@@ -0,0 +1,109 @@
+const { getStrategyShareTotals } = require('../services/databaseService');
+const strategyService = require('../services/strategyService');
+const dataModeService = require('../services/dataModeService');
+const { ethers } = require('ethers');
+
+// Tables backing these responses, reported in their data provenance
+const STRATEGY_TABLES = ['strategies', 'token_rates', 'restaking_events', 'eigenpod_share_events'];
+
+class StrategiesController {
+  constructor() {
+    this.getAllStrategies = this.getAllStrategies.bind(this);
+    this.getStrategyByAddress = this.getStrategyByAddress.bind(this);
+  }
+
+  /**
+   * Get all strategies
+   */
+  async getAllStrategies(req, res, next) {
+    try {
+      const [catalog, totals] = await Promise.all([
+        strategyService.getCatalog(),
+        getStrategyShareTotals()
+      ]);
+
+      const strategies = Array.from(catalog.values()).map(strategy =>
+        this.formatStrategy(strategy, totals.get(strategy.strategyAddress), catalog)
+      );
+
+      res.json({
+        success: true,
+        data: strategies,
+        metadata: {
+          totalStrategies: strategies.length,
+          lastUpdated: new Date().toISOString()
+        },
+        dataProvenance: await dataModeService.describe(STRATEGY_TABLES)
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get strategy by address
+   */
+  async getStrategyByAddress(req, res, next) {
+    try {
+      const { address } = req.params;
+
+      if (!ethers.isAddress(address)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid Ethereum address format'
+        });
+      }
+
+      const [catalog, totals] = await Promise.all([
+        strategyService.getCatalog(),
+        getStrategyShareTotals()
+      ]);
+      const strategy = catalog.get(address.toLowerCase());
+
+      if (!strategy) {
+        return res.status(404).json({
+          success: false,
+          error: 'Strategy not found',
+          message: `No strategy data found for address ${address}`
+        });
+      }
+
+      res.json({
+        success: true,
+        data: this.formatStrategy(strategy, totals.get(strategy.strategyAddress), catalog),
+        dataProvenance: await dataModeService.describe(STRATEGY_TABLES)
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Helper: Format a catalog entry with its restaked totals
+   */
+  formatStrategy(strategy, totals = { totalShares: '0', stakerCount: 0 }, catalog) {
+    const value = strategyService.valueShares(strategy.strategyAddress, totals.totalShares, catalog);
+
+    return {
+      strategyAddress: strategy.strategyAddress,
+      underlyingToken: strategy.underlyingToken,
+      symbol: strategy.symbol,
+      name: strategy.name,
+      decimals: strategy.decimals,
+      sharesToUnderlyingRate: strategy.sharesToUnderlyingRate,
+      sharesToUnderlyingRateFormatted: strategy.sharesToUnderlyingRate
+        ? ethers.formatEther(strategy.sharesToUnderlyingRate)
+        : null,
+      rateBlockNumber: strategy.rateBlockNumber,
+      totalShares: totals.totalShares,
+      totalUnderlying: value.amount,
+      totalUnderlyingFormatted: value.amountFormatted,
+      totalValueInEth: strategyService.formatEthValue(value.ethValue),
+      ethRate: value.ethRate,
+      stakerCount: totals.stakerCount,
+      updatedAt: strategy.updatedAt
+    };
+  }
+}
+
+module.exports = new StrategiesController();
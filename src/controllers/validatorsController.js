@@ -1,79 +1,129 @@
-const { getAllValidators } = require('../services/databaseService');
+const {
+  getAllValidators,
+  getValidatorPage,
+  getValidatorTotals,
+  getAllOperatorShares,
+  getOperatorAvsRegistrations,
+  getOperatorAllocations,
+  getOperatorMetadataURIHistory,
+  getOperatorScoreHistory,
+  getSnapshots
+} = require('../services/databaseService');
+const strategyService = require('../services/strategyService');
+const amountService = require('../services/amountService');
+const snapshotService = require('../services/snapshotService');
+const scoringService = require('../services/scoringService');
+const commissionService = require('../services/commissionService');
+const dataModeService = require('../services/dataModeService');
 const { ethers } = require('ethers');
 
+// Tables backing these responses, reported in their data provenance
+const VALIDATOR_TABLES = [
+  'validators',
+  'operator_shares',
+  'slash_history',
+  'strategies',
+  'token_rates',
+  'avs_operator_events',
+  'allocation_events',
+  'max_magnitude_events',
+  'operator_metadata',
+  'operator_metadata_uri_events',
+  'operator_scores',
+  'operator_split_events'
+];
+
 class ValidatorsController {
+  constructor() {
+    this.getAllValidators = this.getAllValidators.bind(this);
+    this.getValidatorByAddress = this.getValidatorByAddress.bind(this);
+    this.getValidatorAvs = this.getValidatorAvs.bind(this);
+    this.getValidatorStats = this.getValidatorStats.bind(this);
+    this.getValidatorTimeseries = this.getValidatorTimeseries.bind(this);
+    this.getValidatorScore = this.getValidatorScore.bind(this);
+    this.getValidatorCommission = this.getValidatorCommission.bind(this);
+  }
+
   /**
-   * Get all validators
+   * Get one page of validators (`?status=`, `?avs=`, `?search=` on the resolved operator
+   * name, `?sortBy=`, `?order=`, `?limit=`, `?cursor=`)
    */
   async getAllValidators(req, res, next) {
     try {
-      const { page = 1, limit = 50, status, sortBy = 'totalDelegatedStake', order = 'desc' } = req.query;
-      
-      let validators = await getAllValidators();
-      
-      // Filter by status if provided
-      if (status) {
-        validators = validators.filter(validator => 
-          validator.validatorStatus.toLowerCase() === status.toLowerCase()
-        );
+      const { limit, cursor, status, avs, search, sortBy, order = 'desc' } = req.query;
+
+      if (avs && !ethers.isAddress(avs)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid Ethereum address format'
+        });
       }
 
-      // Sort validators
-      validators.sort((a, b) => {
-        const aValue = sortBy === 'totalDelegatedStake' 
-          ? parseFloat(a.totalDelegatedStake || '0')
-          : a[sortBy];
-        const bValue = sortBy === 'totalDelegatedStake' 
-          ? parseFloat(b.totalDelegatedStake || '0')
-          : b[sortBy];
-        
-        if (order === 'desc') {
-          return bValue > aValue ? 1 : -1;
-        } else {
-          return aValue > bValue ? 1 : -1;
-        }
-      });
+      const [{ operatorAddresses, pagination }, totals, catalog] = await Promise.all([
+        getValidatorPage({
+          filters: { status, avs: avs && avs.toLowerCase(), search },
+          sortBy,
+          order,
+          cursor,
+          limit
+        }),
+        getValidatorTotals(),
+        strategyService.getCatalog()
+      ]);
 
-      // Apply pagination
-      const startIndex = (page - 1) * limit;
-      const endIndex = page * limit;
-      const paginatedValidators = validators.slice(startIndex, endIndex);
+      // Keep the page order; loadValidators returns rows by raw stake
+      const loaded = operatorAddresses.length > 0 ? await this.loadValidators(operatorAddresses) : [];
+      const byAddress = new Map(loaded.map(validator => [validator.operatorAddress, validator]));
+      const paginatedValidators = operatorAddresses.map(address => byAddress.get(address));
+
+      const strategyValues = totals.shareTotals.map(total =>
+        strategyService.valueShares(total.strategy, total.shares, catalog)
+      );
+      const totalStake = amountService.sum([
+        totals.unsharedStake,
+        ...strategyValues.map(value => value.normalizedAmount)
+      ]);
+      // Stake without per-strategy shares can't be priced
+      const totalStakeInEth = strategyService.sumEthValues(strategyValues);
 
       // Format the response
       const formattedValidators = paginatedValidators.map(validator => ({
         operatorAddress: validator.operatorAddress,
         operatorId: validator.operatorId,
+        totalDelegatedShares: validator.totalDelegatedShares,
         totalDelegatedStake: validator.totalDelegatedStake,
         totalDelegatedStakeETH: validator.totalDelegatedStake 
           ? ethers.formatEther(validator.totalDelegatedStake)
           : '0',
+        totalDelegatedStakeInEth: strategyService.formatEthValue(validator.totalDelegatedStakeInEth),
+        strategies: validator.strategies,
         validatorStatus: validator.validatorStatus,
         metadataURI: validator.metadataURI,
+        profile: validator.profile,
+        score: validator.score,
+        riskLevel: scoringService.riskLevel(validator.score),
         slashHistory: validator.slashHistory || []
       }));
 
       const response = {
         success: true,
         data: formattedValidators,
-        pagination: {
-          currentPage: parseInt(page),
-          totalPages: Math.ceil(validators.length / limit),
-          totalItems: validators.length,
-          itemsPerPage: parseInt(limit),
-          hasNextPage: endIndex < validators.length,
-          hasPreviousPage: page > 1
-        },
+        pagination,
         filters: {
           status: status || 'all',
-          sortBy,
-          order
+          avs: avs ? avs.toLowerCase() : null,
+          search: search || null
         },
+        // Registry-wide, whatever the filters
         metadata: {
-          totalValidators: validators.length,
-          activeValidators: validators.filter(v => v.validatorStatus === 'active').length,
-          totalStakeAcrossValidators: this.calculateTotalStake(validators),
+          totalValidators: totals.totalValidators,
+          activeValidators: totals.activeValidators,
+          totalStakeAcrossValidators: amountService.toEth(totalStake),
+          totalStakeAcrossValidatorsInEth: amountService.toEth(totalStakeInEth.total),
+          unpricedStrategies: totalStakeInEth.unpriced,
           lastUpdated: new Date().toISOString()
-        }
+        },
+        dataProvenance: await dataModeService.describe(VALIDATOR_TABLES)
       };
 
       res.json(response);
@@ -96,7 +146,11 @@ class ValidatorsController {
         });
       }
 
-      const validators = await getAllValidators();
+      const [validators, allocations, metadataHistory] = await Promise.all([
+        this.loadValidators(),
+        getOperatorAllocations(address),
+        getOperatorMetadataURIHistory(address)
+      ]);
       const validator = validators.find(v => 
         v.operatorAddress.toLowerCase() === address.toLowerCase()
       );
@@ -112,20 +166,211 @@ class ValidatorsController {
       const formattedValidator = {
         operatorAddress: validator.operatorAddress,
         operatorId: validator.operatorId,
+        totalDelegatedShares: validator.totalDelegatedShares,
         totalDelegatedStake: validator.totalDelegatedStake,
         totalDelegatedStakeETH: validator.totalDelegatedStake 
           ? ethers.formatEther(validator.totalDelegatedStake)
           : '0',
+        totalDelegatedStakeInEth: strategyService.formatEthValue(validator.totalDelegatedStakeInEth),
+        strategies: validator.strategies,
         validatorStatus: validator.validatorStatus,
         metadataURI: validator.metadataURI,
+        profile: validator.profile,
+        metadataHistory,
+        score: validator.score,
+        riskLevel: scoringService.riskLevel(validator.score),
+        scoredAt: validator.scoredAt,
         slashHistory: validator.slashHistory || [],
         slashHistoryCount: validator.slashHistory ? validator.slashHistory.length : 0,
-        totalSlashedAmount: this.calculateTotalSlashed(validator.slashHistory || [])
+        totalSlashedAmount: this.calculateTotalSlashed(validator.slashHistory || []),
+        allocations: allocations.allocations.map(allocation => ({
+          ...allocation,
+          maxMagnitude: allocations.maxMagnitudes.get(allocation.strategy) || ethers.WeiPerEther.toString()
+        }))
       };
 
       res.json({
         success: true,
-        data: formattedValidator
+        data: formattedValidator,
+        dataProvenance: await dataModeService.describe(VALIDATOR_TABLES)
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get the AVSs an operator is registered with
+   */
+  async getValidatorAvs(req, res, next) {
+    try {
+      const { address } = req.params;
+
+      if (!ethers.isAddress(address)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid Ethereum address format'
+        });
+      }
+
+      const registrations = await getOperatorAvsRegistrations(address);
+
+      if (registrations.history.length === 0) {
+        return res.status(404).json({
+          success: false,
+          error: 'No AVS registrations found',
+          message: `No AVS registration data found for operator ${address}`
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          operatorAddress: address.toLowerCase(),
+          avsCount: registrations.current.length,
+          avs: registrations.current,
+          registrationHistory: registrations.history
+        },
+        dataProvenance: await dataModeService.describe(VALIDATOR_TABLES)
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get an operator's delegated stake and delegator count over time
+   */
+  async getValidatorTimeseries(req, res, next) {
+    try {
+      const { address } = req.params;
+      const { interval = 'day', range = '30d' } = req.query;
+
+      if (!ethers.isAddress(address)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid Ethereum address format'
+        });
+      }
+
+      const window = snapshotService.resolveWindow(interval, range);
+      if (!window) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid interval or range',
+          message: 'interval must be hour or day; range is a number followed by h, d, w, m or y, up to 10y (e.g. 7d)'
+        });
+      }
+
+      const snapshots = await getSnapshots({
+        granularity: window.granularity,
+        scopes: ['operator'],
+        subject: address,
+        from: window.from
+      });
+
+      res.json({
+        success: true,
+        data: {
+          operatorAddress: address.toLowerCase(),
+          interval: window.granularity,
+          range,
+          from: window.from,
+          to: window.to,
+          points: snapshots.map(snapshot => ({
+            timestamp: snapshot.periodStart,
+            totalDelegatedShares: snapshot.shares,
+            totalDelegatedStakeInEth: strategyService.formatEthValue(snapshot.amount),
+            delegatorCount: snapshot.restakerCount
+          }))
+        },
+        dataProvenance: await dataModeService.describe(['snapshots'])
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get an operator's latest risk and performance score with its components, and its
+   * daily scores over the range (`?range=`, default 90d)
+   */
+  async getValidatorScore(req, res, next) {
+    try {
+      const { address } = req.params;
+      const { range = '90d' } = req.query;
+
+      if (!ethers.isAddress(address)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid Ethereum address format'
+        });
+      }
+
+      const window = snapshotService.resolveWindow('day', range);
+      if (!window) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid range',
+          message: 'range is a number followed by h, d, w, m or y, up to 10y (e.g. 30d)'
+        });
+      }
+
+      const history = await getOperatorScoreHistory(address, window.from);
+
+      if (history.length === 0) {
+        return res.status(404).json({
+          success: false,
+          error: 'No score found',
+          message: `No scores found for operator ${address} in the last ${range}`
+        });
+      }
+
+      const latest = history[history.length - 1];
+
+      res.json({
+        success: true,
+        data: {
+          operatorAddress: address.toLowerCase(),
+          score: latest.score,
+          riskLevel: scoringService.riskLevel(latest.score),
+          scoredAt: latest.periodStart,
+          computedAt: latest.createdAt,
+          components: latest.components,
+          range,
+          history: history.map(point => ({
+            timestamp: point.periodStart,
+            score: point.score,
+            riskLevel: scoringService.riskLevel(point.score)
+          }))
+        },
+        dataProvenance: await dataModeService.describe(['operator_scores'])
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get an operator's fee splits: programmatic incentives and per AVS, with changes
+   * waiting to activate, and its split history. Operators that never set a split are
+   * on the default.
+   */
+  async getValidatorCommission(req, res, next) {
+    try {
+      const { address } = req.params;
+
+      if (!ethers.isAddress(address)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid Ethereum address format'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: await commissionService.getCommission(address),
+        dataProvenance: await dataModeService.describe(['operator_split_events', 'avs_operator_events'])
       });
     } catch (error) {
       next(error);
@@ -137,14 +382,16 @@ class ValidatorsController {
    */
   async getValidatorStats(req, res, next) {
     try {
-      const validators = await getAllValidators();
+      const validators = await this.loadValidators();
       
       const stats = {
         totalValidators: validators.length,
         validatorsByStatus: this.getValidatorsByStatus(validators),
         totalStakeAcrossValidators: this.calculateTotalStake(validators),
+        totalStakeAcrossValidatorsInEth: this.calculateTotalStakeInEth(validators),
         averageStakePerValidator: this.calculateAverageStake(validators),
         slashingStats: this.getSlashingStats(validators),
+        validatorsByRiskLevel: this.getValidatorsByRiskLevel(validators),
         topValidatorsByStake: this.getTopValidators(validators, 10),
         stakingDistribution: this.getStakingDistribution(validators)
       };
@@ -152,43 +399,92 @@ class ValidatorsController {
       res.json({
         success: true,
         data: stats,
-        lastUpdated: new Date().toISOString()
+        lastUpdated: new Date().toISOString(),
+        dataProvenance: await dataModeService.describe(VALIDATOR_TABLES)
       });
     } catch (error) {
       next(error);
     }
   }
 
+  /**
+   * Helper: Load validators, or just the given operators, with delegated shares converted
+   * to underlying tokens. totalDelegatedStake becomes the 18-decimal normalized total of those
+   * amounts and totalDelegatedStakeInEth their ETH value, null without per-strategy shares.
+   */
+  async loadValidators(operatorAddresses = null) {
+    const [validators, operatorShares, catalog] = await Promise.all([
+      getAllValidators(operatorAddresses),
+      getAllOperatorShares(operatorAddresses),
+      strategyService.getCatalog()
+    ]);
+
+    return validators.map(validator => {
+      const positions = operatorShares.get(validator.operatorAddress.toLowerCase()) || [];
+      const values = [];
+      const strategies = positions.map(position => {
+        const value = strategyService.valueShares(position.strategy, position.shares, catalog);
+        values.push(value);
+        return {
+          strategy: position.strategy,
+          underlyingToken: value.underlyingToken,
+          symbol: value.symbol,
+          decimals: value.decimals,
+          shares: position.shares,
+          amount: value.amount,
+          amountFormatted: value.amountFormatted,
+          normalizedAmount: value.normalizedAmount,
+          valueInEth: strategyService.formatEthValue(value.ethValue),
+          ethRate: value.ethRate
+        };
+      });
+
+      // Slashed amounts are recorded in shares of the slashed strategy
+      const slashHistory = validator.slashHistory.map(slash => {
+        const value = strategyService.valueShares(slash.strategy, slash.slashedAmount, catalog);
+        return {
+          ...slash,
+          symbol: value.symbol,
+          amount: value.amount,
+          amountFormatted: value.amountFormatted,
+          normalizedAmount: value.normalizedAmount
+        };
+      });
+
+      return {
+        ...validator,
+        slashHistory,
+        totalDelegatedShares: validator.totalDelegatedStake,
+        // Operators without per-strategy shares keep the raw total
+        totalDelegatedStake: strategies.length > 0
+          ? amountService.sum(strategies.map(position => position.normalizedAmount)).toString()
+          : validator.totalDelegatedStake,
+        totalDelegatedStakeInEth: strategies.length > 0 ? strategyService.sumEthValues(values).total : null,
+        strategies
+      };
+    });
+  }
+
   /**
    * Helper: Calculate total stake across all validators
    */
   calculateTotalStake(validators) {
-    const total = validators.reduce((sum, validator) => {
-      const stakeAmount = validator.totalDelegatedStake 
-        ? parseFloat(ethers.formatEther(validator.totalDelegatedStake))
-        : 0;
-      return sum + stakeAmount;
-    }, 0);
+    return amountService.toEth(amountService.sum(validators.map(validator => validator.totalDelegatedStake)));
+  }
 
-    return {
-      eth: total.toFixed(4),
-      wei: total > 0 ? ethers.parseEther(total.toString()).toString() : '0'
-    };
+  /**
+   * Helper: Calculate total stake in ETH across the validators it could be priced for
+   */
+  calculateTotalStakeInEth(validators) {
+    return amountService.toEth(amountService.sum(validators.map(validator => validator.totalDelegatedStakeInEth)));
   }
 
   /**
    * Helper: Calculate average stake per validator
    */
   calculateAverageStake(validators) {
-    if (validators.length === 0) return { eth: '0', wei: '0' };
-    
-    const totalETH = parseFloat(this.calculateTotalStake(validators).eth);
-    const average = totalETH / validators.length;
-
-    return {
-      eth: average.toFixed(4),
-      wei: average > 0 ? ethers.parseEther(average.toString()).toString() : '0'
-    };
+    const total = amountService.sum(validators.map(validator => validator.totalDelegatedStake));
+    return amountService.toEth(amountService.average(total, validators.length));
   }
 
   /**
@@ -203,50 +499,46 @@ class ValidatorsController {
     return statusCounts;
   }
 
+  /**
+   * Helper: Get validators grouped by the risk level of their latest score
+   */
+  getValidatorsByRiskLevel(validators) {
+    const levels = { low: 0, medium: 0, high: 0, unscored: 0 };
+    validators.forEach(validator => {
+      levels[scoringService.riskLevel(validator.score) || 'unscored']++;
+    });
+    return levels;
+  }
+
   /**
    * Helper: Get slashing statistics
    */
   getSlashingStats(validators) {
     let totalSlashEvents = 0;
-    let totalSlashedAmount = 0;
     let validatorsWithSlashing = 0;
+    const slashes = [];
 
     validators.forEach(validator => {
       if (validator.slashHistory && validator.slashHistory.length > 0) {
         validatorsWithSlashing++;
         totalSlashEvents += validator.slashHistory.length;
-        
-        validator.slashHistory.forEach(slash => {
-          if (slash.slashedAmount) {
-            totalSlashedAmount += parseFloat(ethers.formatEther(slash.slashedAmount));
-          }
-        });
+        slashes.push(...validator.slashHistory);
       }
     });
 
     return {
       totalSlashEvents,
       validatorsWithSlashing,
-      totalSlashedAmount: {
-        eth: totalSlashedAmount.toFixed(4),
-        wei: totalSlashedAmount > 0 ? ethers.parseEther(totalSlashedAmount.toString()).toString() : '0'
-      },
+      totalSlashedAmount: this.calculateTotalSlashed(slashes),
       slashingRate: validators.length > 0 ? (validatorsWithSlashing / validators.length * 100).toFixed(2) + '%' : '0%'
     };
   }
 
   /**
-   * Helper: Calculate total slashed amount for a validator
+   * Helper: Calculate total slashed amount, normalized to 18 decimals across strategies
    */
   calculateTotalSlashed(slashHistory) {
-    const total = slashHistory.reduce((sum, slash) => {
-      return sum + (slash.slashedAmount ? parseFloat(ethers.formatEther(slash.slashedAmount)) : 0);
-    }, 0);
-
-    return {
-      eth: total.toFixed(4),
-      wei: total > 0 ? ethers.parseEther(total.toString()).toString() : '0'
-    };
+    return amountService.toEth(amountService.sum(slashHistory.map(slash => slash.normalizedAmount)));
   }
 
   /**
@@ -254,11 +546,7 @@ class ValidatorsController {
    */
   getTopValidators(validators, limit = 10) {
     return validators
-      .sort((a, b) => {
-        const aStake = parseFloat(a.totalDelegatedStake || '0');
-        const bStake = parseFloat(b.totalDelegatedStake || '0');
-        return bStake - aStake;
-      })
+      .sort((a, b) => amountService.compare(b.totalDelegatedStake, a.totalDelegatedStake))
       .slice(0, limit)
       .map(validator => ({
         operatorAddress: validator.operatorAddress,
@@ -266,7 +554,9 @@ class ValidatorsController {
         totalDelegatedStakeETH: validator.totalDelegatedStake 
           ? ethers.formatEther(validator.totalDelegatedStake)
           : '0',
+        totalDelegatedStakeInEth: strategyService.formatEthValue(validator.totalDelegatedStakeInEth),
         validatorStatus: validator.validatorStatus,
+        score: validator.score,
         slashHistoryCount: validator.slashHistory ? validator.slashHistory.length : 0
       }));
   }
@@ -283,15 +573,13 @@ class ValidatorsController {
     };
 
     validators.forEach(validator => {
-      const stakeETH = validator.totalDelegatedStake 
-        ? parseFloat(ethers.formatEther(validator.totalDelegatedStake))
-        : 0;
+      const stake = amountService.toBigInt(validator.totalDelegatedStake);
 
-      if (stakeETH < 1) {
+      if (stake < ethers.WeiPerEther) {
         distribution.small++;
-      } else if (stakeETH < 100) {
+      } else if (stake < 100n * ethers.WeiPerEther) {
         distribution.medium++;
-      } else if (stakeETH < 1000) {
+      } else if (stake < 1000n * ethers.WeiPerEther) {
         distribution.large++;
       } else {
         distribution.whale++;
@@ -0,0 +1,212 @@
+const {
+  getWithdrawalsByStaker,
+  getPendingWithdrawalPage,
+  getPendingWithdrawalTotals,
+  getWithdrawalDelays
+} = require('../services/databaseService');
+const strategyService = require('../services/strategyService');
+const amountService = require('../services/amountService');
+const dataModeService = require('../services/dataModeService');
+const { ethers } = require('ethers');
+
+// Tables backing these responses, reported in their data provenance
+const WITHDRAWAL_TABLES = ['withdrawals', 'withdrawal_completions', 'withdrawal_delay_events', 'strategies', 'token_rates'];
+
+// Blocks a slashing-release withdrawal stays slashable before it can be completed
+// (the DelegationManager's MIN_WITHDRAWAL_DELAY_BLOCKS, 14 days on mainnet)
+const WITHDRAWAL_DELAY_BLOCKS = parseInt(process.env.WITHDRAWAL_DELAY_BLOCKS) || 100800;
+
+// Minimum wait of legacy (pre-slashing) withdrawals until a MinWithdrawalDelayBlocksSet
+// is indexed (7 days on mainnet)
+const LEGACY_WITHDRAWAL_DELAY_BLOCKS = parseInt(process.env.LEGACY_WITHDRAWAL_DELAY_BLOCKS) || 50400;
+
+const SECONDS_PER_BLOCK = 12;
+
+class WithdrawalsController {
+  constructor() {
+    this.getPendingWithdrawals = this.getPendingWithdrawals.bind(this);
+    this.getRestakerWithdrawals = this.getRestakerWithdrawals.bind(this);
+  }
+
+  /**
+   * Get one page of withdrawals still in the queue, soonest unlock first
+   * (`?staker=`, `?operator=`, `?order=`, `?limit=`, `?cursor=`), with the
+   * shares pending per strategy across the whole queue
+   */
+  async getPendingWithdrawals(req, res, next) {
+    try {
+      const { limit, cursor, order = 'asc', staker, operator } = req.query;
+
+      if ((staker && !ethers.isAddress(staker)) || (operator && !ethers.isAddress(operator))) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid Ethereum address format'
+        });
+      }
+
+      const [{ withdrawals, pagination }, totals, catalog, delays] = await Promise.all([
+        getPendingWithdrawalPage({
+          filters: {
+            staker: staker && staker.toLowerCase(),
+            operator: operator && operator.toLowerCase()
+          },
+          order,
+          cursor,
+          limit
+        }),
+        getPendingWithdrawalTotals(),
+        strategyService.getCatalog(),
+        getWithdrawalDelays()
+      ]);
+
+      const pendingByStrategy = Array.from(totals, ([strategy, total]) => ({
+        ...this.formatPosition({ strategy, shares: total.shares }, catalog),
+        withdrawalCount: total.withdrawalCount
+      }));
+      const pendingInEth = strategyService.sumEthValues(Array.from(totals, ([strategy, total]) =>
+        strategyService.valueShares(strategy, total.shares, catalog)
+      ));
+
+      res.json({
+        success: true,
+        data: withdrawals.map(withdrawal => this.formatWithdrawal(withdrawal, catalog, delays)),
+        pagination,
+        filters: {
+          staker: staker ? staker.toLowerCase() : null,
+          operator: operator ? operator.toLowerCase() : null
+        },
+        metadata: {
+          totalPending: pagination.totalItems,
+          // Across the whole queue, whatever the filters
+          pendingByStrategy,
+          totalPendingInEth: amountService.toEth(pendingInEth.total),
+          unpricedStrategies: pendingInEth.unpriced,
+          withdrawalDelayBlocks: WITHDRAWAL_DELAY_BLOCKS,
+          legacyWithdrawalDelayBlocks: delays.minimum ?? LEGACY_WITHDRAWAL_DELAY_BLOCKS,
+          lastUpdated: new Date().toISOString()
+        },
+        dataProvenance: await dataModeService.describe(WITHDRAWAL_TABLES)
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get a restaker's queued and completed withdrawals, newest first
+   */
+  async getRestakerWithdrawals(req, res, next) {
+    try {
+      const { address } = req.params;
+
+      if (!ethers.isAddress(address)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid Ethereum address format'
+        });
+      }
+
+      const [withdrawals, catalog, delays] = await Promise.all([
+        getWithdrawalsByStaker(address),
+        strategyService.getCatalog(),
+        getWithdrawalDelays()
+      ]);
+      const formatted = withdrawals.map(withdrawal => this.formatWithdrawal(withdrawal, catalog, delays));
+
+      res.json({
+        success: true,
+        data: formatted,
+        metadata: {
+          staker: address.toLowerCase(),
+          totalWithdrawals: formatted.length,
+          pending: formatted.filter(withdrawal => withdrawal.status !== 'completed').length,
+          completed: formatted.filter(withdrawal => withdrawal.status === 'completed').length,
+          withdrawalDelayBlocks: WITHDRAWAL_DELAY_BLOCKS,
+          legacyWithdrawalDelayBlocks: delays.minimum ?? LEGACY_WITHDRAWAL_DELAY_BLOCKS
+        },
+        dataProvenance: await dataModeService.describe(WITHDRAWAL_TABLES)
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Helper: A withdrawal with its strategies valued and its unlock estimated.
+   * A slashing-release withdrawal can be completed once the chain is past
+   * startBlock + the delay, a legacy one at that block; the time that block
+   * arrives is extrapolated from the queueing block at 12s per block.
+   */
+  formatWithdrawal(withdrawal, catalog, delays) {
+    const delayBlocks = this.getDelayBlocks(withdrawal, delays);
+    const unlockBlock = withdrawal.startBlock + delayBlocks + (withdrawal.withdrawalType === 'legacy' ? 0 : 1);
+    const estimatedUnlockAt = new Date(
+      new Date(withdrawal.timestamp).getTime() + (unlockBlock - withdrawal.blockNumber) * SECONDS_PER_BLOCK * 1000
+    );
+
+    let status = 'queued';
+    if (withdrawal.completedBlock !== null) status = 'completed';
+    else if (estimatedUnlockAt <= new Date()) status = 'withdrawable';
+
+    const strategies = withdrawal.strategies.map(position => ({
+      ...this.formatPosition(position, catalog),
+      scaledShares: position.scaledShares
+    }));
+    const valueInEth = strategyService.sumEthValues(withdrawal.strategies.map(position =>
+      strategyService.valueShares(position.strategy, position.shares, catalog)
+    ));
+
+    return {
+      withdrawalRoot: withdrawal.withdrawalRoot,
+      withdrawalType: withdrawal.withdrawalType,
+      status,
+      staker: withdrawal.staker,
+      delegatedTo: withdrawal.delegatedTo,
+      withdrawer: withdrawal.withdrawer,
+      nonce: withdrawal.nonce,
+      strategies,
+      valueInEth: amountService.toEth(valueInEth.total),
+      unpricedPositions: valueInEth.unpriced,
+      queuedAt: withdrawal.timestamp,
+      startBlock: withdrawal.startBlock,
+      transactionHash: withdrawal.transactionHash,
+      delayBlocks,
+      unlockBlock,
+      estimatedUnlockAt: estimatedUnlockAt.toISOString(),
+      completedAt: withdrawal.completedAt,
+      completedBlock: withdrawal.completedBlock,
+      completedTransactionHash: withdrawal.completedTransactionHash
+    };
+  }
+
+  /**
+   * Helper: Blocks a withdrawal waits after its startBlock. Legacy withdrawals
+   * wait for the minimum delay and for each of their strategies' own delays
+   */
+  getDelayBlocks(withdrawal, delays) {
+    if (withdrawal.withdrawalType !== 'legacy') return WITHDRAWAL_DELAY_BLOCKS;
+
+    return Math.max(
+      delays.minimum ?? LEGACY_WITHDRAWAL_DELAY_BLOCKS,
+      ...withdrawal.strategies.map(position => delays.strategies.get(position.strategy) || 0)
+    );
+  }
+
+  /**
+   * Helper: Shares queued in one strategy, converted to its underlying token
+   */
+  formatPosition(position, catalog) {
+    const value = strategyService.valueShares(position.strategy, position.shares, catalog);
+    return {
+      strategy: position.strategy,
+      symbol: value.symbol,
+      shares: position.shares,
+      amount: value.amount,
+      amountFormatted: value.amountFormatted,
+      valueInEth: strategyService.formatEthValue(value.ethValue),
+      ethRate: value.ethRate
+    };
+  }
+}
+
+module.exports = new WithdrawalsController();
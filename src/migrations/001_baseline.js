@@ -0,0 +1,434 @@
+/**
+ * Baseline schema. Databases created before migrations existed already have
+ * these tables, so everything is created IF NOT EXISTS and columns those older
+ * releases lacked are added when missing.
+ */
+
+const STATEMENTS = [
+    // Restaking ledger: one row per deposit/withdrawal per strategy
+    `CREATE TABLE IF NOT EXISTS restaking_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      eventType TEXT NOT NULL,
+      userAddress TEXT NOT NULL,
+      strategy TEXT NOT NULL,
+      shares TEXT NOT NULL,
+      amount TEXT,
+      blockNumber INTEGER,
+      transactionHash TEXT NOT NULL,
+      logIndex INTEGER NOT NULL,
+      source TEXT NOT NULL DEFAULT 'live',
+      timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+      createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (transactionHash, logIndex, strategy)
+    )`,
+
+    // Validators table
+    `CREATE TABLE IF NOT EXISTS validators (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      operatorAddress TEXT UNIQUE NOT NULL,
+      operatorId TEXT,
+      totalDelegatedStake TEXT DEFAULT '0',
+      validatorStatus TEXT DEFAULT 'active',
+      metadataURI TEXT,
+      source TEXT NOT NULL DEFAULT 'live',
+      createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+
+    // Slash history: one row per strategy of each OperatorSlashed event
+    `CREATE TABLE IF NOT EXISTS slash_history (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      operatorAddress TEXT NOT NULL,
+      avsAddress TEXT,
+      operatorSetId INTEGER,
+      strategy TEXT,
+      wadSlashed TEXT,
+      slashedAmount TEXT NOT NULL,
+      reason TEXT,
+      blockNumber INTEGER,
+      transactionHash TEXT,
+      logIndex INTEGER,
+      source TEXT NOT NULL DEFAULT 'live',
+      timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (operatorAddress) REFERENCES validators (operatorAddress)
+    )`,
+
+    // Rewards table
+    `CREATE TABLE IF NOT EXISTS rewards (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      userAddress TEXT NOT NULL,
+      validatorAddress TEXT NOT NULL,
+      rewardAmount TEXT NOT NULL,
+      rewardType TEXT DEFAULT 'restaking',
+      blockNumber INTEGER,
+      transactionHash TEXT,
+      source TEXT NOT NULL DEFAULT 'live',
+      timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+      createdAt DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+
+    // RewardsCoordinator distribution roots
+    `CREATE TABLE IF NOT EXISTS distribution_roots (
+      rootIndex INTEGER PRIMARY KEY,
+      root TEXT NOT NULL,
+      rewardsCalculationEndTimestamp INTEGER NOT NULL,
+      activatedAt INTEGER NOT NULL,
+      disabled INTEGER DEFAULT 0,
+      blockNumber INTEGER,
+      transactionHash TEXT NOT NULL,
+      logIndex INTEGER NOT NULL,
+      source TEXT NOT NULL DEFAULT 'live',
+      timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+
+    // RewardsClaimed events
+    `CREATE TABLE IF NOT EXISTS rewards_claims (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      root TEXT NOT NULL,
+      earner TEXT NOT NULL,
+      claimer TEXT NOT NULL,
+      recipient TEXT NOT NULL,
+      token TEXT NOT NULL,
+      claimedAmount TEXT NOT NULL,
+      blockNumber INTEGER,
+      transactionHash TEXT NOT NULL,
+      logIndex INTEGER NOT NULL,
+      source TEXT NOT NULL DEFAULT 'live',
+      timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (transactionHash, logIndex)
+    )`,
+
+    // Rewards submissions made by AVSs and the rewards-for-all submitters
+    `CREATE TABLE IF NOT EXISTS rewards_submissions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      submissionType TEXT NOT NULL,
+      submitter TEXT NOT NULL,
+      avsAddress TEXT,
+      submissionNonce TEXT,
+      submissionHash TEXT NOT NULL,
+      token TEXT NOT NULL,
+      amount TEXT NOT NULL,
+      strategies TEXT,
+      operatorRewards TEXT,
+      startTimestamp INTEGER,
+      duration INTEGER,
+      blockNumber INTEGER,
+      transactionHash TEXT NOT NULL,
+      logIndex INTEGER NOT NULL,
+      source TEXT NOT NULL DEFAULT 'live',
+      timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (transactionHash, logIndex)
+    )`,
+
+    // Cumulative earnings per earner and token from the latest distribution
+    `CREATE TABLE IF NOT EXISTS rewards_earnings (
+      earner TEXT NOT NULL,
+      token TEXT NOT NULL,
+      cumulativeEarnings TEXT NOT NULL,
+      rootIndex INTEGER NOT NULL,
+      source TEXT NOT NULL DEFAULT 'live',
+      updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (earner, token)
+    )`,
+
+    // ERC-20 metadata for reward tokens
+    `CREATE TABLE IF NOT EXISTS tokens (
+      tokenAddress TEXT PRIMARY KEY,
+      symbol TEXT,
+      name TEXT,
+      decimals INTEGER DEFAULT 18,
+      source TEXT NOT NULL DEFAULT 'live',
+      updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+
+    // Delegation events (StakerDelegated / StakerUndelegated)
+    `CREATE TABLE IF NOT EXISTS delegation_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      eventType TEXT NOT NULL,
+      userAddress TEXT NOT NULL,
+      operatorAddress TEXT NOT NULL,
+      blockNumber INTEGER,
+      transactionHash TEXT NOT NULL,
+      logIndex INTEGER NOT NULL,
+      source TEXT NOT NULL DEFAULT 'live',
+      timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (transactionHash, logIndex)
+    )`,
+
+    // Operator share events (OperatorSharesIncreased / OperatorSharesDecreased)
+    `CREATE TABLE IF NOT EXISTS operator_share_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      eventType TEXT NOT NULL,
+      operatorAddress TEXT NOT NULL,
+      userAddress TEXT NOT NULL,
+      strategy TEXT NOT NULL,
+      shares TEXT NOT NULL,
+      blockNumber INTEGER,
+      transactionHash TEXT NOT NULL,
+      logIndex INTEGER NOT NULL,
+      source TEXT NOT NULL DEFAULT 'live',
+      timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (transactionHash, logIndex)
+    )`,
+
+    // Current operator shares per strategy
+    `CREATE TABLE IF NOT EXISTS operator_shares (
+      operatorAddress TEXT NOT NULL,
+      strategy TEXT NOT NULL,
+      shares TEXT NOT NULL,
+      source TEXT NOT NULL DEFAULT 'live',
+      updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (operatorAddress, strategy)
+    )`,
+
+    // Strategy catalog with underlying token metadata
+    `CREATE TABLE IF NOT EXISTS strategies (
+      strategyAddress TEXT PRIMARY KEY,
+      underlyingToken TEXT,
+      symbol TEXT,
+      name TEXT,
+      decimals INTEGER DEFAULT 18,
+      sharesToUnderlyingRate TEXT,
+      rateBlockNumber INTEGER,
+      source TEXT NOT NULL DEFAULT 'live',
+      createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+
+    // AVS registry
+    `CREATE TABLE IF NOT EXISTS avs (
+      avsAddress TEXT PRIMARY KEY,
+      metadataURI TEXT,
+      source TEXT NOT NULL DEFAULT 'live',
+      createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+
+    // Operator-to-AVS registrations (OperatorAVSRegistrationStatusUpdated)
+    `CREATE TABLE IF NOT EXISTS avs_operator_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      avsAddress TEXT NOT NULL,
+      operatorAddress TEXT NOT NULL,
+      status TEXT NOT NULL,
+      blockNumber INTEGER,
+      transactionHash TEXT NOT NULL,
+      logIndex INTEGER NOT NULL,
+      source TEXT NOT NULL DEFAULT 'live',
+      timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (transactionHash, logIndex)
+    )`,
+
+    // AllocationManager operator sets
+    `CREATE TABLE IF NOT EXISTS operator_sets (
+      avsAddress TEXT NOT NULL,
+      operatorSetId INTEGER NOT NULL,
+      blockNumber INTEGER,
+      transactionHash TEXT NOT NULL,
+      logIndex INTEGER NOT NULL,
+      source TEXT NOT NULL DEFAULT 'live',
+      timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (avsAddress, operatorSetId)
+    )`,
+
+    // Operators and strategies added to or removed from operator sets
+    `CREATE TABLE IF NOT EXISTS operator_set_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      eventType TEXT NOT NULL,
+      avsAddress TEXT NOT NULL,
+      operatorSetId INTEGER NOT NULL,
+      operatorAddress TEXT,
+      strategy TEXT,
+      blockNumber INTEGER,
+      transactionHash TEXT NOT NULL,
+      logIndex INTEGER NOT NULL,
+      source TEXT NOT NULL DEFAULT 'live',
+      timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (transactionHash, logIndex)
+    )`,
+
+    // Magnitude an operator allocates to an operator set per strategy (AllocationUpdated)
+    `CREATE TABLE IF NOT EXISTS allocation_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      operatorAddress TEXT NOT NULL,
+      avsAddress TEXT NOT NULL,
+      operatorSetId INTEGER NOT NULL,
+      strategy TEXT NOT NULL,
+      magnitude TEXT NOT NULL,
+      effectBlock INTEGER NOT NULL,
+      blockNumber INTEGER,
+      transactionHash TEXT NOT NULL,
+      logIndex INTEGER NOT NULL,
+      source TEXT NOT NULL DEFAULT 'live',
+      timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (transactionHash, logIndex)
+    )`,
+
+    // An operator's total magnitude per strategy, reduced by each slash (MaxMagnitudeUpdated)
+    `CREATE TABLE IF NOT EXISTS max_magnitude_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      operatorAddress TEXT NOT NULL,
+      strategy TEXT NOT NULL,
+      maxMagnitude TEXT NOT NULL,
+      blockNumber INTEGER,
+      transactionHash TEXT NOT NULL,
+      logIndex INTEGER NOT NULL,
+      source TEXT NOT NULL DEFAULT 'live',
+      timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (transactionHash, logIndex)
+    )`,
+
+    // Shares each delegated staker lost to a slash, per strategy
+    `CREATE TABLE IF NOT EXISTS staker_slashes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      userAddress TEXT NOT NULL,
+      operatorAddress TEXT NOT NULL,
+      avsAddress TEXT NOT NULL,
+      operatorSetId INTEGER NOT NULL,
+      strategy TEXT NOT NULL,
+      sharesBefore TEXT NOT NULL,
+      sharesSlashed TEXT NOT NULL,
+      wadSlashed TEXT NOT NULL,
+      blockNumber INTEGER,
+      transactionHash TEXT NOT NULL,
+      logIndex INTEGER NOT NULL,
+      source TEXT NOT NULL DEFAULT 'live',
+      timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (transactionHash, logIndex, strategy, userAddress)
+    )`,
+
+    // Hashes of ingested blocks, used to detect chain reorganizations
+    `CREATE TABLE IF NOT EXISTS indexed_blocks (
+      blockNumber INTEGER PRIMARY KEY,
+      blockHash TEXT NOT NULL,
+      parentHash TEXT,
+      finalized INTEGER DEFAULT 0,
+      timestamp DATETIME,
+      createdAt DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+
+    // Hourly and daily snapshots for time series, keyed by period and subject.
+    // scope is protocol (subject ''), strategy or operator; amount is 18-decimal normalized
+    `CREATE TABLE IF NOT EXISTS snapshots (
+      granularity TEXT NOT NULL,
+      periodStart TEXT NOT NULL,
+      scope TEXT NOT NULL,
+      subject TEXT NOT NULL DEFAULT '',
+      shares TEXT,
+      amount TEXT NOT NULL,
+      restakerCount INTEGER DEFAULT 0,
+      source TEXT NOT NULL DEFAULT 'live',
+      createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (granularity, periodStart, scope, subject)
+    )`,
+
+    // Subgraph sync checkpoints (per-entity high-water marks)
+    `CREATE TABLE IF NOT EXISTS sync_checkpoints (
+      entity TEXT PRIMARY KEY,
+      lastBlockNumber INTEGER DEFAULT 0,
+      lastId TEXT DEFAULT '',
+      recordsSynced INTEGER DEFAULT 0,
+      lastCompletedAt DATETIME,
+      updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+
+    // Indexes for better performance
+    `CREATE INDEX IF NOT EXISTS idx_restaking_events_user ON restaking_events(userAddress)`,
+    `CREATE INDEX IF NOT EXISTS idx_restaking_events_strategy ON restaking_events(strategy)`,
+    `CREATE INDEX IF NOT EXISTS idx_validators_address ON validators(operatorAddress)`,
+    `CREATE INDEX IF NOT EXISTS idx_rewards_user ON rewards(userAddress)`,
+    `CREATE INDEX IF NOT EXISTS idx_rewards_validator ON rewards(validatorAddress)`,
+    `CREATE INDEX IF NOT EXISTS idx_rewards_claims_earner ON rewards_claims(earner)`,
+    `CREATE INDEX IF NOT EXISTS idx_rewards_submissions_avs ON rewards_submissions(avsAddress)`,
+    `CREATE INDEX IF NOT EXISTS idx_slash_history_operator ON slash_history(operatorAddress)`,
+    `CREATE INDEX IF NOT EXISTS idx_delegation_events_user ON delegation_events(userAddress)`,
+    `CREATE INDEX IF NOT EXISTS idx_delegation_events_operator ON delegation_events(operatorAddress)`,
+    `CREATE INDEX IF NOT EXISTS idx_operator_share_events_operator ON operator_share_events(operatorAddress)`,
+    `CREATE INDEX IF NOT EXISTS idx_avs_operator_events_avs ON avs_operator_events(avsAddress)`,
+    `CREATE INDEX IF NOT EXISTS idx_avs_operator_events_operator ON avs_operator_events(operatorAddress)`,
+    `CREATE INDEX IF NOT EXISTS idx_operator_set_events_set ON operator_set_events(avsAddress, operatorSetId)`,
+    `CREATE INDEX IF NOT EXISTS idx_allocation_events_operator ON allocation_events(operatorAddress)`,
+    `CREATE INDEX IF NOT EXISTS idx_staker_slashes_user ON staker_slashes(userAddress)`,
+];
+
+// Columns older releases created their tables without
+const LEGACY_COLUMNS = [
+  ['restaking_events', 'source', "TEXT NOT NULL DEFAULT 'live'"],
+  ['validators', 'source', "TEXT NOT NULL DEFAULT 'live'"],
+  ['slash_history', 'source', "TEXT NOT NULL DEFAULT 'live'"],
+  ['rewards', 'source', "TEXT NOT NULL DEFAULT 'live'"],
+  ['distribution_roots', 'source', "TEXT NOT NULL DEFAULT 'live'"],
+  ['rewards_claims', 'source', "TEXT NOT NULL DEFAULT 'live'"],
+  ['rewards_submissions', 'source', "TEXT NOT NULL DEFAULT 'live'"],
+  ['rewards_earnings', 'source', "TEXT NOT NULL DEFAULT 'live'"],
+  ['tokens', 'source', "TEXT NOT NULL DEFAULT 'live'"],
+  ['delegation_events', 'source', "TEXT NOT NULL DEFAULT 'live'"],
+  ['operator_share_events', 'source', "TEXT NOT NULL DEFAULT 'live'"],
+  ['operator_shares', 'source', "TEXT NOT NULL DEFAULT 'live'"],
+  ['strategies', 'source', "TEXT NOT NULL DEFAULT 'live'"],
+  ['avs', 'source', "TEXT NOT NULL DEFAULT 'live'"],
+  ['avs_operator_events', 'source', "TEXT NOT NULL DEFAULT 'live'"],
+  ['operator_sets', 'source', "TEXT NOT NULL DEFAULT 'live'"],
+  ['operator_set_events', 'source', "TEXT NOT NULL DEFAULT 'live'"],
+  ['allocation_events', 'source', "TEXT NOT NULL DEFAULT 'live'"],
+  ['max_magnitude_events', 'source', "TEXT NOT NULL DEFAULT 'live'"],
+  ['staker_slashes', 'source', "TEXT NOT NULL DEFAULT 'live'"],
+  ['snapshots', 'source', "TEXT NOT NULL DEFAULT 'live'"],
+  ['slash_history', 'avsAddress', 'TEXT'],
+  ['slash_history', 'operatorSetId', 'INTEGER'],
+  ['slash_history', 'strategy', 'TEXT'],
+  ['slash_history', 'wadSlashed', 'TEXT'],
+  ['slash_history', 'logIndex', 'INTEGER'],
+];
+
+const TABLES = [
+  'restaking_events',
+  'validators',
+  'slash_history',
+  'rewards',
+  'distribution_roots',
+  'rewards_claims',
+  'rewards_submissions',
+  'rewards_earnings',
+  'tokens',
+  'delegation_events',
+  'operator_share_events',
+  'operator_shares',
+  'strategies',
+  'avs',
+  'avs_operator_events',
+  'operator_sets',
+  'operator_set_events',
+  'allocation_events',
+  'max_magnitude_events',
+  'staker_slashes',
+  'indexed_blocks',
+  'snapshots',
+  'sync_checkpoints',
+];
+
+module.exports = {
+  async up(db) {
+    for (const statement of STATEMENTS) {
+      await db.run(statement);
+    }
+
+    for (const [table, column, definition] of LEGACY_COLUMNS) {
+      const columns = await db.all(`PRAGMA table_info(${table})`);
+      if (!columns.some(existing => existing.name === column)) {
+        await db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+      }
+    }
+
+    // Relies on the slash_history columns above on older databases
+    await db.run(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_slash_history_event
+      ON slash_history(transactionHash, logIndex, strategy)
+    `);
+  },
+
+  async down(db) {
+    for (const table of [...TABLES].reverse()) {
+      await db.run(`DROP TABLE IF EXISTS ${table}`);
+    }
+  },
+};
@@ -0,0 +1,38 @@
+/**
+ * Key rewards by their natural identity so refreshes upsert instead of
+ * appending: an event reward by `(transactionHash, logIndex)`, a distribution
+ * reward by `(root, userAddress, token)`. Rows written before this have no
+ * logIndex, so the indexes leave them alone; `npm run rewards:dedupe` repairs them.
+ */
+
+const COLUMNS = [
+  ['logIndex', 'INTEGER'],
+  ['root', 'TEXT'],
+  ['token', 'TEXT'],
+];
+
+module.exports = {
+  async up(db) {
+    for (const [column, definition] of COLUMNS) {
+      await db.run(`ALTER TABLE rewards ADD COLUMN ${column} ${definition}`);
+    }
+
+    await db.run(`
+      CREATE UNIQUE INDEX idx_rewards_event
+      ON rewards(transactionHash, logIndex) WHERE root IS NULL
+    `);
+    await db.run(`
+      CREATE UNIQUE INDEX idx_rewards_distribution
+      ON rewards(root, userAddress, token) WHERE root IS NOT NULL
+    `);
+  },
+
+  async down(db) {
+    await db.run('DROP INDEX IF EXISTS idx_rewards_distribution');
+    await db.run('DROP INDEX IF EXISTS idx_rewards_event');
+
+    for (const [column] of [...COLUMNS].reverse()) {
+      await db.run(`ALTER TABLE rewards DROP COLUMN ${column}`);
+    }
+  },
+};
@@ -0,0 +1,42 @@
+/**
+ * Lido stETH time series: protocol metrics once per hour and the daily
+ * rewards reported by the Lido API.
+ */
+
+const STATEMENTS = [
+  // shareRate is the wei of pooled ether behind 1e18 stETH shares; rateBlockNumber
+  // is the block it was read at, null when it was derived from the API's totals
+  `CREATE TABLE lido_metrics (
+    periodStart TEXT PRIMARY KEY,
+    totalPooledEther TEXT NOT NULL,
+    totalShares TEXT,
+    bufferedEther TEXT,
+    apr REAL,
+    shareRate TEXT,
+    rateBlockNumber INTEGER,
+    source TEXT NOT NULL DEFAULT 'live',
+    recordedAt DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`,
+
+  `CREATE TABLE lido_daily_rewards (
+    day TEXT PRIMARY KEY,
+    totalRewards TEXT NOT NULL,
+    apr REAL,
+    validatorsCount INTEGER,
+    source TEXT NOT NULL DEFAULT 'live',
+    updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`,
+];
+
+module.exports = {
+  async up(db) {
+    for (const statement of STATEMENTS) {
+      await db.run(statement);
+    }
+  },
+
+  async down(db) {
+    await db.run('DROP TABLE IF EXISTS lido_daily_rewards');
+    await db.run('DROP TABLE IF EXISTS lido_metrics');
+  },
+};
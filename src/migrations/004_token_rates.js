@@ -0,0 +1,26 @@
+/**
+ * ETH exchange rates of liquid staking tokens, one row per underlying token,
+ * refreshed with the strategy catalog.
+ */
+
+module.exports = {
+  async up(db) {
+    // ethRate is the wei of ether one whole token (10^decimals units) is worth
+    // at blockNumber, as reported by the token's own rate provider
+    await db.run(`
+      CREATE TABLE token_rates (
+        token TEXT PRIMARY KEY,
+        symbol TEXT,
+        provider TEXT NOT NULL,
+        ethRate TEXT NOT NULL,
+        blockNumber INTEGER,
+        source TEXT NOT NULL DEFAULT 'live',
+        updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  },
+
+  async down(db) {
+    await db.run('DROP TABLE IF EXISTS token_rates');
+  },
+};
@@ -0,0 +1,88 @@
+/**
+ * Native restaking: EigenPods deployed by the EigenPodManager, the beacon
+ * chain validators proven to each pod and the pods' checkpoint history.
+ */
+
+const STATEMENTS = [
+  // One pod per owner (PodDeployed)
+  `CREATE TABLE eigenpods (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    podOwner TEXT NOT NULL UNIQUE,
+    podAddress TEXT NOT NULL UNIQUE,
+    blockNumber INTEGER,
+    transactionHash TEXT NOT NULL,
+    logIndex INTEGER NOT NULL,
+    source TEXT NOT NULL DEFAULT 'live',
+    timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`,
+
+  // A pod owner's beacon chain ETH shares after each change (NewTotalShares);
+  // sharesDelta is the signed change from the owner's previous total
+  `CREATE TABLE eigenpod_share_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    podOwner TEXT NOT NULL,
+    newTotalShares TEXT NOT NULL,
+    sharesDelta TEXT NOT NULL,
+    blockNumber INTEGER,
+    transactionHash TEXT NOT NULL,
+    logIndex INTEGER NOT NULL,
+    source TEXT NOT NULL DEFAULT 'live',
+    timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (transactionHash, logIndex)
+  )`,
+
+  // Validator proofs: restaked, balance_updated (balanceGwei as of the beacon
+  // state at balanceTimestamp) and withdrawn (at checkpointTimestamp)
+  `CREATE TABLE eigenpod_validator_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    eventType TEXT NOT NULL,
+    podAddress TEXT NOT NULL,
+    validatorIndex INTEGER NOT NULL,
+    balanceGwei TEXT,
+    balanceTimestamp INTEGER,
+    checkpointTimestamp INTEGER,
+    blockNumber INTEGER,
+    transactionHash TEXT NOT NULL,
+    logIndex INTEGER NOT NULL,
+    source TEXT NOT NULL DEFAULT 'live',
+    timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (transactionHash, logIndex)
+  )`,
+
+  // Checkpoints started (CheckpointCreated) and completed (CheckpointFinalized),
+  // both keyed by the beacon timestamp the checkpoint proves against
+  `CREATE TABLE eigenpod_checkpoints (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    eventType TEXT NOT NULL,
+    podAddress TEXT NOT NULL,
+    checkpointTimestamp INTEGER NOT NULL,
+    beaconBlockRoot TEXT,
+    validatorCount INTEGER,
+    totalShareDeltaWei TEXT,
+    blockNumber INTEGER,
+    transactionHash TEXT NOT NULL,
+    logIndex INTEGER NOT NULL,
+    source TEXT NOT NULL DEFAULT 'live',
+    timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (transactionHash, logIndex)
+  )`,
+
+  'CREATE INDEX idx_eigenpod_share_events_owner ON eigenpod_share_events(podOwner)',
+  'CREATE INDEX idx_eigenpod_validator_events_pod ON eigenpod_validator_events(podAddress)',
+  'CREATE INDEX idx_eigenpod_checkpoints_pod ON eigenpod_checkpoints(podAddress)',
+];
+
+module.exports = {
+  async up(db) {
+    for (const statement of STATEMENTS) {
+      await db.run(statement);
+    }
+  },
+
+  async down(db) {
+    await db.run('DROP TABLE IF EXISTS eigenpod_checkpoints');
+    await db.run('DROP TABLE IF EXISTS eigenpod_validator_events');
+    await db.run('DROP TABLE IF EXISTS eigenpod_share_events');
+    await db.run('DROP TABLE IF EXISTS eigenpods');
+  },
+};
@@ -0,0 +1,53 @@
+/**
+ * Withdrawal queue: withdrawals queued with the DelegationManager and the
+ * ones since completed.
+ */
+
+const STATEMENTS = [
+  // strategies is a JSON array of { strategy, shares, scaledShares }: the shares
+  // withdrawable when queued and, for slashing-release withdrawals, the scaled
+  // shares the withdrawal is stored with on-chain
+  `CREATE TABLE withdrawals (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    withdrawalRoot TEXT NOT NULL UNIQUE,
+    withdrawalType TEXT NOT NULL,
+    staker TEXT NOT NULL,
+    delegatedTo TEXT,
+    withdrawer TEXT NOT NULL,
+    nonce TEXT NOT NULL,
+    startBlock INTEGER NOT NULL,
+    strategies TEXT NOT NULL,
+    blockNumber INTEGER,
+    transactionHash TEXT NOT NULL,
+    logIndex INTEGER NOT NULL,
+    source TEXT NOT NULL DEFAULT 'live',
+    timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`,
+
+  // WithdrawalCompleted; kept apart from the queued row so a reorg can undo it
+  `CREATE TABLE withdrawal_completions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    withdrawalRoot TEXT NOT NULL UNIQUE,
+    blockNumber INTEGER,
+    transactionHash TEXT NOT NULL,
+    logIndex INTEGER NOT NULL,
+    source TEXT NOT NULL DEFAULT 'live',
+    timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`,
+
+  'CREATE INDEX idx_withdrawals_staker ON withdrawals(staker)',
+  'CREATE INDEX idx_withdrawals_delegated_to ON withdrawals(delegatedTo)',
+];
+
+module.exports = {
+  async up(db) {
+    for (const statement of STATEMENTS) {
+      await db.run(statement);
+    }
+  },
+
+  async down(db) {
+    await db.run('DROP TABLE IF EXISTS withdrawal_completions');
+    await db.run('DROP TABLE IF EXISTS withdrawals');
+  },
+};
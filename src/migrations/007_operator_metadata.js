@@ -0,0 +1,56 @@
+/**
+ * Operator metadata: every metadata URI an operator has published and the
+ * document its current URI resolves to.
+ */
+
+const STATEMENTS = [
+  // OperatorMetadataURIUpdated, in chain order
+  `CREATE TABLE operator_metadata_uri_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    operatorAddress TEXT NOT NULL,
+    metadataURI TEXT NOT NULL,
+    blockNumber INTEGER,
+    transactionHash TEXT NOT NULL,
+    logIndex INTEGER NOT NULL,
+    source TEXT NOT NULL DEFAULT 'live',
+    timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (transactionHash, logIndex)
+  )`,
+
+  // The resolved document for metadataURI. status is valid or invalid (fields
+  // are only kept for valid documents, with validationErrors a JSON array
+  // otherwise), or unreachable when it has never been fetched; lastError is
+  // the most recent failed fetch, which leaves the last good document in place
+  `CREATE TABLE operator_metadata (
+    operatorAddress TEXT PRIMARY KEY,
+    metadataURI TEXT NOT NULL,
+    status TEXT NOT NULL,
+    name TEXT,
+    website TEXT,
+    description TEXT,
+    logo TEXT,
+    twitter TEXT,
+    validationErrors TEXT,
+    etag TEXT,
+    lastError TEXT,
+    fetchedAt DATETIME,
+    checkedAt DATETIME NOT NULL,
+    nextRefreshAt DATETIME NOT NULL,
+    source TEXT NOT NULL DEFAULT 'live'
+  )`,
+
+  'CREATE INDEX idx_operator_metadata_uri_events_operator ON operator_metadata_uri_events(operatorAddress)',
+];
+
+module.exports = {
+  async up(db) {
+    for (const statement of STATEMENTS) {
+      await db.run(statement);
+    }
+  },
+
+  async down(db) {
+    await db.run('DROP TABLE IF EXISTS operator_metadata');
+    await db.run('DROP TABLE IF EXISTS operator_metadata_uri_events');
+  },
+};
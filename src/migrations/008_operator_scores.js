@@ -0,0 +1,45 @@
+/**
+ * Operator scores: one composite risk and performance score per operator and
+ * UTC day, plus the metadata check counts its uptime component is built from.
+ */
+
+// Metadata fetches attempted and failed since the operator was first resolved
+const METADATA_COLUMNS = [
+  ['checkCount', 'INTEGER NOT NULL DEFAULT 0'],
+  ['failureCount', 'INTEGER NOT NULL DEFAULT 0'],
+];
+
+const STATEMENTS = [
+  // components is a JSON object of the sub-scores (0-100, null when there is
+  // no data for one) with the weight and inputs behind each; a later refresh
+  // on the same day replaces that day's row
+  `CREATE TABLE operator_scores (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    operatorAddress TEXT NOT NULL,
+    periodStart DATETIME NOT NULL,
+    score REAL NOT NULL,
+    components TEXT NOT NULL,
+    source TEXT NOT NULL DEFAULT 'live',
+    createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (operatorAddress, periodStart)
+  )`,
+];
+
+module.exports = {
+  async up(db) {
+    for (const [column, definition] of METADATA_COLUMNS) {
+      await db.run(`ALTER TABLE operator_metadata ADD COLUMN ${column} ${definition}`);
+    }
+    for (const statement of STATEMENTS) {
+      await db.run(statement);
+    }
+  },
+
+  async down(db) {
+    await db.run('DROP TABLE IF EXISTS operator_scores');
+
+    for (const [column] of [...METADATA_COLUMNS].reverse()) {
+      await db.run(`ALTER TABLE operator_metadata DROP COLUMN ${column}`);
+    }
+  },
+};
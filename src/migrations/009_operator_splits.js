@@ -0,0 +1,41 @@
+/**
+ * Operator fee splits: the share of rewards (in bips) operators keep, as set
+ * on the RewardsCoordinator since rewards v2.
+ */
+
+const STATEMENTS = [
+  // splitType is avs (OperatorAVSSplitBipsSet, per operator and AVS), pi
+  // (OperatorPISplitBipsSet, programmatic incentives) or default
+  // (DefaultOperatorSplitBipsSet, for operators that set none; no operator).
+  // activatedAt is the unix time the new split applies from
+  `CREATE TABLE operator_split_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    splitType TEXT NOT NULL,
+    operatorAddress TEXT,
+    avsAddress TEXT,
+    caller TEXT,
+    activatedAt INTEGER NOT NULL,
+    oldSplitBips INTEGER NOT NULL,
+    newSplitBips INTEGER NOT NULL,
+    blockNumber INTEGER,
+    transactionHash TEXT NOT NULL,
+    logIndex INTEGER NOT NULL,
+    source TEXT NOT NULL DEFAULT 'live',
+    timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (transactionHash, logIndex)
+  )`,
+
+  'CREATE INDEX idx_operator_split_events_operator ON operator_split_events(operatorAddress)',
+];
+
+module.exports = {
+  async up(db) {
+    for (const statement of STATEMENTS) {
+      await db.run(statement);
+    }
+  },
+
+  async down(db) {
+    await db.run('DROP TABLE IF EXISTS operator_split_events');
+  },
+};
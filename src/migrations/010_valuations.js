@@ -0,0 +1,29 @@
+/**
+ * Valuations: each restaker's and operator's exact ETH value as of the
+ * latest refresh, which list endpoints sort by.
+ */
+
+const STATEMENTS = [
+  // scope is restaker or operator. amount is in wei of ETH and
+  // zero-padded to 36 digits, so it orders numerically as text; every refresh
+  // replaces the whole table
+  `CREATE TABLE valuations (
+    scope TEXT NOT NULL,
+    subject TEXT NOT NULL,
+    amount TEXT NOT NULL,
+    valuedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (scope, subject)
+  )`,
+];
+
+module.exports = {
+  async up(db) {
+    for (const statement of STATEMENTS) {
+      await db.run(statement);
+    }
+  },
+
+  async down(db) {
+    await db.run('DROP TABLE IF EXISTS valuations');
+  },
+};
@@ -0,0 +1,18 @@
+/**
+ * Rewards stored before they were keyed (no logIndex, no root) were all
+ * simulated, but the source column added by 001_baseline labelled those written
+ * before data modes existed `live`. Tag them simulated so live responses leave
+ * them out; `npm run rewards:dedupe` collapses their copies.
+ */
+
+module.exports = {
+  async up(db) {
+    await db.run(`
+      UPDATE rewards SET source = 'simulated'
+      WHERE logIndex IS NULL AND root IS NULL AND source <> 'simulated'
+    `);
+  },
+
+  // Which rows were labelled live before is not kept; simulated is correct either way
+  async down() {},
+};
@@ -0,0 +1,31 @@
+/**
+ * Withdrawal delays the pre-slashing DelegationManager enforced on legacy
+ * withdrawals: a global minimum and optional per-strategy delays.
+ */
+
+const STATEMENTS = [
+  // MinWithdrawalDelayBlocksSet (strategy null) and StrategyWithdrawalDelayBlocksSet
+  `CREATE TABLE withdrawal_delay_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    strategy TEXT,
+    delayBlocks INTEGER NOT NULL,
+    blockNumber INTEGER,
+    transactionHash TEXT NOT NULL,
+    logIndex INTEGER NOT NULL,
+    source TEXT NOT NULL DEFAULT 'live',
+    timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (transactionHash, logIndex)
+  )`,
+];
+
+module.exports = {
+  async up(db) {
+    for (const statement of STATEMENTS) {
+      await db.run(statement);
+    }
+  },
+
+  async down(db) {
+    await db.run('DROP TABLE IF EXISTS withdrawal_delay_events');
+  },
+};
@@ -0,0 +1,14 @@
+/**
+ * operator_metadata.lastError is served publicly and now holds a category
+ * (unreachable, timeout, http_error, ...) instead of the fetch's error message.
+ * Messages stored before are replaced with the generic category.
+ */
+
+module.exports = {
+  async up(db) {
+    await db.run("UPDATE operator_metadata SET lastError = 'unreachable' WHERE lastError IS NOT NULL");
+  },
+
+  // The original messages are gone; the category stays valid
+  async down() {},
+};
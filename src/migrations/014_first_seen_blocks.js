@@ -0,0 +1,21 @@
+/**
+ * Block of the event that first created an operator or strategy row in the RPC
+ * indexer, so a reorg past it removes the row with the event. Rows the subgraph,
+ * fixtures or the strategy refresh created keep it NULL.
+ */
+
+const TABLES = ['validators', 'strategies'];
+
+module.exports = {
+  async up(db) {
+    for (const table of TABLES) {
+      await db.run(`ALTER TABLE ${table} ADD COLUMN firstSeenBlock INTEGER`);
+    }
+  },
+
+  async down(db) {
+    for (const table of [...TABLES].reverse()) {
+      await db.run(`ALTER TABLE ${table} DROP COLUMN firstSeenBlock`);
+    }
+  },
+};
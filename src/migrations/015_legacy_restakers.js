@@ -0,0 +1,27 @@
+/**
+ * Databases from before the restaking ledger keep a `restakers` table of one
+ * balance per staker that nothing reads any more. Its rows were demo data, so
+ * each one with a strategy becomes a simulated deposit in the ledger before the
+ * table is dropped. Databases created since never had the table.
+ */
+
+module.exports = {
+  async up(db) {
+    const columns = await db.all('PRAGMA table_info(restakers)');
+    if (columns.length === 0) return;
+
+    await db.run(`
+      INSERT INTO restaking_events
+      (eventType, userAddress, strategy, shares, amount, blockNumber, transactionHash, logIndex, timestamp, source)
+      SELECT 'deposit', LOWER(userAddress), LOWER(strategy), amountRestaked, amountRestaked, blockNumber,
+             COALESCE(transactionHash, 'legacy-restaker-' || id), 0, timestamp, 'simulated'
+      FROM restakers
+      WHERE strategy IS NOT NULL
+      ON CONFLICT DO NOTHING
+    `);
+    await db.run('DROP TABLE restakers');
+  },
+
+  // The moved deposits stay in the ledger, tagged simulated like the rows they came from
+  async down() {},
+};
@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const avsController = require('../controllers/avsController');
+
+/**
+ * @route GET /api/avs
+ * @desc Get all AVSs with their registered operator counts
+ * @access Public
+ */
+router.get('/', avsController.getAllAvs);
+
+/**
+ * @route GET /api/avs/:address
+ * @desc Get AVS information, registered operators and secured stake per strategy
+ * @access Public
+ */
+router.get('/:address', avsController.getAvsByAddress);
+
+module.exports = router;
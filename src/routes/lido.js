@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+const lidoController = require('../controllers/lidoController');
+
+/**
+ * @route GET /api/lido/metrics
+ * @desc Get the latest stETH pooled ether, shares, APR and share rate
+ * @access Public
+ */
+router.get('/metrics', lidoController.getMetrics);
+
+/**
+ * @route GET /api/lido/rate/history
+ * @desc Get the stETH share rate over time
+ * @access Public
+ */
+router.get('/rate/history', lidoController.getRateHistory);
+
+/**
+ * @route GET /api/lido/apr
+ * @desc Get the current stETH APR with daily history and the rate-implied APR
+ * @access Public
+ */
+router.get('/apr', lidoController.getApr);
+
+module.exports = router;
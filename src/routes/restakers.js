@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const restakerController = require('../controllers/restakersController');
+const withdrawalsController = require('../controllers/withdrawalsController');
 
 /**
  * @route GET /api/restakers
@@ -9,6 +10,21 @@ const restakerController = require('../controllers/restakersController');
  */
 router.get('/', restakerController.getAllRestakers);
 
+// Fixed paths go before /:address so they are never read as an address
+/**
+ * @route GET /api/restakers/stats/summary
+ * @desc Get restaking statistics summary
+ * @access Public
+ */
+router.get('/stats/summary', restakerController.getRestakingStats);
+
+/**
+ * @route GET /api/restakers/stats/timeseries
+ * @desc Get TVL and restaker counts over time (?interval=hour|day, ?range=e.g. 30d)
+ * @access Public
+ */
+router.get('/stats/timeseries', restakerController.getRestakingTimeseries);
+
 /**
  * @route GET /api/restakers/:address
  * @desc Get specific restaker information by address
@@ -17,10 +33,17 @@ router.get('/', restakerController.getAllRestakers);
 router.get('/:address', restakerController.getRestakerByAddress);
 
 /**
- * @route GET /api/restakers/stats/summary
- * @desc Get restaking statistics summary
+ * @route GET /api/restakers/:address/eigenpod
+ * @desc Get a restaker's EigenPod, its beacon chain validators and checkpoint history
  * @access Public
  */
-router.get('/stats/summary', restakerController.getRestakingStats);
+router.get('/:address/eigenpod', restakerController.getEigenPod);
+
+/**
+ * @route GET /api/restakers/:address/withdrawals
+ * @desc Get a restaker's queued and completed withdrawals with their estimated unlock time
+ * @access Public
+ */
+router.get('/:address/withdrawals', withdrawalsController.getRestakerWithdrawals);
 
 module.exports = router;
\ No newline at end of file
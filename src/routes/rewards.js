@@ -2,9 +2,24 @@ const express = require('express');
 const router = express.Router();
 const rewardsController = require('../controllers/rewardsController');
 
+/**
+ * @route GET /api/rewards/submissions
+ * @desc Get RewardsCoordinator rewards submissions, filterable by AVS or operator
+ * @access Public
+ */
+router.get('/submissions', rewardsController.getRewardsSubmissions);
+
+// Fixed paths go before /:address so they are never read as an address
+/**
+ * @route GET /api/rewards/stats/total
+ * @desc Get total rewards statistics across all users
+ * @access Public
+ */
+router.get('/stats/total', rewardsController.getTotalRewardsStats);
+
 /**
  * @route GET /api/rewards/:address
- * @desc Get rewards information for a specific address
+ * @desc Get rewards information for a specific address, with its net yield after operator splits
  * @access Public
  */
 router.get('/:address', rewardsController.getRewardsByAddress);
@@ -16,11 +31,4 @@ router.get('/:address', rewardsController.getRewardsByAddress);
  */
 router.get('/:address/history', rewardsController.getRewardsHistory);
 
-/**
- * @route GET /api/rewards/stats/total
- * @desc Get total rewards statistics across all users
- * @access Public
- */
-router.get('/stats/total', rewardsController.getTotalRewardsStats);
-
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const strategiesController = require('../controllers/strategiesController');
+
+/**
+ * @route GET /api/strategies
+ * @desc Get all strategies with their underlying token and share rate
+ * @access Public
+ */
+router.get('/', strategiesController.getAllStrategies);
+
+/**
+ * @route GET /api/strategies/:address
+ * @desc Get strategy information with total restaked shares and underlying amount
+ * @access Public
+ */
+router.get('/:address', strategiesController.getStrategyByAddress);
+
+module.exports = router;
@@ -4,11 +4,19 @@ const validatorController = require('../controllers/validatorsController');
 
 /**
  * @route GET /api/validators
- * @desc Get all validators with their information and slash history
+ * @desc Get all validators with their information, resolved metadata and slash history (?search= by name)
  * @access Public
  */
 router.get('/', validatorController.getAllValidators);
 
+// Fixed paths go before /:address so they are never read as an address
+/**
+ * @route GET /api/validators/stats/summary
+ * @desc Get validator statistics summary
+ * @access Public
+ */
+router.get('/stats/summary', validatorController.getValidatorStats);
+
 /**
  * @route GET /api/validators/:address
  * @desc Get specific validator information by operator address
@@ -17,10 +25,31 @@ router.get('/', validatorController.getAllValidators);
 router.get('/:address', validatorController.getValidatorByAddress);
 
 /**
- * @route GET /api/validators/stats/summary
- * @desc Get validator statistics summary
+ * @route GET /api/validators/:address/avs
+ * @desc Get the AVSs an operator is registered with and its registration history
  * @access Public
  */
-router.get('/stats/summary', validatorController.getValidatorStats);
+router.get('/:address/avs', validatorController.getValidatorAvs);
+
+/**
+ * @route GET /api/validators/:address/timeseries
+ * @desc Get an operator's delegated stake over time (?interval=hour|day, ?range=e.g. 30d)
+ * @access Public
+ */
+router.get('/:address/timeseries', validatorController.getValidatorTimeseries);
+
+/**
+ * @route GET /api/validators/:address/score
+ * @desc Get an operator's risk and performance score, its components and daily history (?range=e.g. 90d)
+ * @access Public
+ */
+router.get('/:address/score', validatorController.getValidatorScore);
+
+/**
+ * @route GET /api/validators/:address/commission
+ * @desc Get an operator's current and pending fee splits and their history
+ * @access Public
+ */
+router.get('/:address/commission', validatorController.getValidatorCommission);
 
 module.exports = router;
\ No newline at end of file
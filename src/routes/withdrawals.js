@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const withdrawalsController = require('../controllers/withdrawalsController');
+
+/**
+ * @route GET /api/withdrawals/pending
+ * @desc Get withdrawals still in the queue with their estimated unlock time and the shares pending per strategy
+ * @access Public
+ */
+router.get('/pending', withdrawalsController.getPendingWithdrawals);
+
+module.exports = router;
@@ -0,0 +1,22 @@
+require('dotenv').config();
+const { initializeDatabase, dedupeRewards } = require('../services/databaseService');
+
+/**
+ * One-off repair for databases whose rewards were appended again on every refresh:
+ *   node src/scripts/dedupeRewards.js            keep one copy of each unkeyed reward
+ *   node src/scripts/dedupeRewards.js --dry-run  only report what would change
+ */
+async function main(args) {
+  const dryRun = args.includes('--dry-run');
+  await initializeDatabase();
+
+  const report = await dedupeRewards({ dryRun });
+  console.log(`${dryRun ? '🔎 Would remove' : '✅ Removed'} ${report.duplicatesRemoved} duplicate unkeyed rewards`);
+}
+
+main(process.argv.slice(2))
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('❌ Rewards dedupe failed:', error.message);
+    process.exit(1);
+  });
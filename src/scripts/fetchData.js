@@ -1,11 +1,21 @@
 const eigenLayerService = require('../services/eigenLayerService');
 const lidoService = require('../services/lidoService');
-const { 
-  insertRestaker, 
-  insertValidator, 
-  insertReward, 
-  insertSlashEvent,
-  initializeDatabase 
+const onchainIndexer = require('../services/onchainIndexer');
+const strategyService = require('../services/strategyService');
+const pricingService = require('../services/pricingService');
+const operatorMetadataService = require('../services/operatorMetadataService');
+const rewardsService = require('../services/rewardsService');
+const snapshotService = require('../services/snapshotService');
+const scoringService = require('../services/scoringService');
+const dataModeService = require('../services/dataModeService');
+const {
+  upsertRestakingEvents,
+  upsertDelegationEvents,
+  upsertValidators,
+  upsertRewards,
+  deleteNonLiveRows,
+  getAllRestakers,
+  initializeDatabase
 } = require('../services/databaseService');
 
 class DataFetcher {
@@ -24,36 +34,65 @@ class DataFetcher {
 
     try {
       this.isRunning = true;
-      console.log('🔄 Starting data fetch process...');
+      console.log(`🔄 Starting data fetch process (${dataModeService.getMode()} mode)...`);
       
       const startTime = Date.now();
 
       // Ensure database is initialized
       await initializeDatabase();
 
-      // Fetch data from different sources in parallel
-      const [
-        restakingData,
-        validatorData,
-        rewardsData,
-        slashingData,
-        lidoData
-      ] = await Promise.allSettled([
-        this.fetchRestakingData(),
-        this.fetchValidatorData(),
-        this.fetchRewardsData(),
-        this.fetchSlashingData(),
-        this.fetchLidoData()
-      ]);
+      const tasks = {
+        restakingData: () => this.fetchRestakingData(),
+        validatorData: () => this.fetchValidatorData(),
+        delegationData: () => this.fetchDelegationData(),
+        lidoData: () => this.fetchLidoData()
+      };
+
+      // Fixture mode runs entirely offline on bundled data
+      const fixtureMode = dataModeService.getMode() === 'fixture';
+
+      // The RPC indexer replaces the subgraph for deposits, operators and delegations
+      if (onchainIndexer.isEnabled() && !fixtureMode) {
+        delete tasks.restakingData;
+        delete tasks.validatorData;
+        delete tasks.delegationData;
+      }
+
+      // Each stage runs its tasks in parallel. Slash attribution in the on-chain pass reads the
+      // ledger and delegations stored by the first stage; the follow-ups build on both: newly
+      // seen strategies and reward tokens, distribution roots indexed on-chain and operators'
+      // latest metadata URIs. Snapshots and operator scores come last so they value positions
+      // at freshly read strategy rates, from one read of the ledger
+      let restakers;
+      const loadRestakers = () => restakers || (restakers = getAllRestakers());
+      const stages = [
+        tasks,
+        fixtureMode ? {} : {
+          onchainData: () => this.fetchOnchainData()
+        },
+        fixtureMode ? {} : {
+          strategyData: () => this.fetchStrategyData(),
+          rewardsData: () => this.fetchRewardsData(),
+          operatorMetadata: () => this.fetchOperatorMetadata()
+        },
+        {
+          snapshotData: () => this.fetchSnapshotData(loadRestakers()),
+          scoreData: () => this.fetchScoreData(loadRestakers())
+        }
+      ];
+
+      const results = {};
+      for (const stage of stages) {
+        const names = Object.keys(stage);
+        const settled = await Promise.allSettled(names.map(name => stage[name]()));
+        names.forEach((name, i) => {
+          results[name] = settled[i];
+        });
+      }
 
       // Log results
-      this.logFetchResults({
-        restakingData,
-        validatorData,
-        rewardsData,
-        slashingData,
-        lidoData
-      });
+      this.logFetchResults(results);
+      await dataModeService.markRefreshed();
 
       const endTime = Date.now();
       const duration = ((endTime - startTime) / 1000).toFixed(2);
@@ -74,26 +113,15 @@ class DataFetcher {
   async fetchRestakingData() {
     try {
       console.log('📊 Fetching restaking data from EigenLayer...');
-      
-      const restakingData = await eigenLayerService.fetchRestakingData();
-      let insertedCount = 0;
-      let errorCount = 0;
-
-      for (const restaker of restakingData) {
-        try {
-          await insertRestaker(restaker);
-          insertedCount++;
-        } catch (error) {
-          if (!error.message.includes('UNIQUE constraint failed')) {
-            console.error('Error inserting restaker:', error.message);
-            errorCount++;
-          }
-          // Skip duplicate entries silently
-        }
-      }
 
-      console.log(`✅ Restaking data: ${insertedCount} new records, ${errorCount} errors`);
-      return { success: true, inserted: insertedCount, errors: errorCount };
+      // Each page commits together with its sync checkpoint, so a failed refresh resumes from the last page stored
+      const counts = this.emptyCounts();
+      const syncResult = await eigenLayerService.syncRestakingData(async (restakingData) => {
+        this.addCounts(counts, await upsertRestakingEvents(dataModeService.filterPersistable(restakingData)));
+      });
+
+      console.log(`✅ Restaking data: ${this.formatCounts(counts)} ledger events from ${syncResult.pages} pages`);
+      return { success: true, ...counts };
     } catch (error) {
       console.error('❌ Failed to fetch restaking data:', error.message);
       return { success: false, error: error.message };
@@ -106,26 +134,14 @@ class DataFetcher {
   async fetchValidatorData() {
     try {
       console.log('🔍 Fetching validator data...');
-      
-      const validatorData = await eigenLayerService.fetchValidatorData();
-      let insertedCount = 0;
-      let errorCount = 0;
-
-      for (const validator of validatorData) {
-        try {
-          await insertValidator(validator);
-          insertedCount++;
-        } catch (error) {
-          if (!error.message.includes('UNIQUE constraint failed')) {
-            console.error('Error inserting validator:', error.message);
-            errorCount++;
-          }
-          // Skip duplicate entries silently
-        }
-      }
 
-      console.log(`✅ Validator data: ${insertedCount} new records, ${errorCount} errors`);
-      return { success: true, inserted: insertedCount, errors: errorCount };
+      const counts = this.emptyCounts();
+      const syncResult = await eigenLayerService.syncValidatorData(async (validatorData) => {
+        this.addCounts(counts, await upsertValidators(dataModeService.filterPersistable(validatorData)));
+      });
+
+      console.log(`✅ Validator data: ${this.formatCounts(counts)} operators from ${syncResult.pages} pages`);
+      return { success: true, ...counts };
     } catch (error) {
       console.error('❌ Failed to fetch validator data:', error.message);
       return { success: false, error: error.message };
@@ -133,28 +149,120 @@ class DataFetcher {
   }
 
   /**
-   * Fetch and store rewards data
+   * Fetch and store staker delegation events
+   */
+  async fetchDelegationData() {
+    try {
+      console.log('🤝 Fetching delegation data...');
+
+      const counts = this.emptyCounts();
+      const syncResult = await eigenLayerService.syncDelegationData(async (delegationData) => {
+        this.addCounts(counts, await upsertDelegationEvents(dataModeService.filterPersistable(delegationData)));
+      });
+
+      console.log(`✅ Delegation data: ${this.formatCounts(counts)} events from ${syncResult.pages} pages`);
+      return { success: true, ...counts };
+    } catch (error) {
+      console.error('❌ Failed to fetch delegation data:', error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  emptyCounts() {
+    return { inserted: 0, updated: 0, unchanged: 0 };
+  }
+
+  addCounts(total, counts) {
+    total.inserted += counts.inserted;
+    total.updated += counts.updated;
+    total.unchanged += counts.unchanged;
+  }
+
+  formatCounts(counts) {
+    return `${counts.inserted} inserted, ${counts.updated} updated, ${counts.unchanged} unchanged`;
+  }
+
+  /**
+   * Index contract events directly from the RPC (only the contracts the
+   * subgraph does not cover, unless the RPC indexer is the data source)
+   */
+  async fetchOnchainData() {
+    try {
+      console.log('⛓️ Indexing on-chain events...');
+
+      const results = await onchainIndexer.indexNewBlocks();
+      const insertedCount = Object.values(results)
+        .reduce((sum, result) => sum + result.events, 0);
+
+      Object.entries(results).forEach(([name, result]) => {
+        console.log(`   - ${name}: ${result.events} events up to block ${result.lastBlockNumber}`);
+      });
+
+      console.log(`✅ On-chain data: ${insertedCount} events indexed`);
+      return { success: true, inserted: insertedCount, errors: 0 };
+    } catch (error) {
+      console.error('❌ Failed to index on-chain data:', error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Refresh strategy token metadata and share rates, and token ETH rates
+   */
+  async fetchStrategyData() {
+    try {
+      console.log('🏦 Refreshing strategy catalog...');
+
+      const { updated, errors } = await strategyService.refreshStrategies();
+      const rates = await pricingService.refreshRates();
+
+      console.log(`✅ Strategies: ${updated} refreshed, ${errors} errors`);
+      console.log(`✅ Token ETH rates: ${rates.updated} refreshed, ${rates.errors} errors`);
+      return { success: true, inserted: updated, errors: errors + rates.errors };
+    } catch (error) {
+      console.error('❌ Failed to refresh strategies:', error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Resolve the metadata documents of operators with new, changed or stale metadata URIs
+   */
+  async fetchOperatorMetadata() {
+    try {
+      console.log('🪪 Resolving operator metadata...');
+
+      const { resolved, unchanged, invalid, errors } = await operatorMetadataService.resolveDue();
+
+      console.log(`✅ Operator metadata: ${resolved} resolved, ${unchanged} unchanged, ${invalid} invalid, ${errors} errors`);
+      return { success: true, inserted: resolved + invalid, errors };
+    } catch (error) {
+      console.error('❌ Failed to resolve operator metadata:', error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Fetch and store rewards data: cumulative earnings for the latest
+   * distribution root, or simulated rewards when demo mode is on
    */
   async fetchRewardsData() {
     try {
       console.log('💰 Fetching rewards data...');
-      
-      const rewardsData = await eigenLayerService.fetchRewardsData();
-      let insertedCount = 0;
-      let errorCount = 0;
-
-      for (const reward of rewardsData) {
-        try {
-          await insertReward(reward);
-          insertedCount++;
-        } catch (error) {
-          console.error('Error inserting reward:', error.message);
-          errorCount++;
-        }
+
+      if (dataModeService.isDemo()) {
+        return await this.fetchSimulatedRewards();
       }
 
-      console.log(`✅ Rewards data: ${insertedCount} new records, ${errorCount} errors`);
-      return { success: true, inserted: insertedCount, errors: errorCount };
+      const { rootIndex, earnings } = await rewardsService.syncEarnings();
+      const tokens = await rewardsService.refreshTokens();
+
+      if (rootIndex === null) {
+        console.log('✅ Rewards data: no active distribution root indexed yet');
+      } else {
+        console.log(`✅ Rewards data: ${earnings} earnings loaded for root ${rootIndex}, ${tokens} tokens described`);
+      }
+      return { success: true, inserted: earnings, errors: 0 };
     } catch (error) {
       console.error('❌ Failed to fetch rewards data:', error.message);
       return { success: false, error: error.message };
@@ -162,44 +270,60 @@ class DataFetcher {
   }
 
   /**
-   * Fetch and store slashing data
+   * Store simulated rewards (demo mode only)
    */
-  async fetchSlashingData() {
+  async fetchSimulatedRewards() {
+    const rewardsData = dataModeService.filterPersistable(await eigenLayerService.fetchRewardsData());
+    const counts = await upsertRewards(rewardsData);
+
+    console.log(`🎭 Demo rewards data: ${this.formatCounts(counts)} simulated records`);
+    return { success: true, ...counts };
+  }
+
+  /**
+   * Record this refresh's hourly and daily snapshots
+   */
+  async fetchSnapshotData(restakers) {
     try {
-      console.log('⚔️ Fetching slashing events...');
-      
-      const slashingData = await eigenLayerService.fetchSlashingEvents();
-      let insertedCount = 0;
-      let errorCount = 0;
-
-      for (const slashEvent of slashingData) {
-        try {
-          await insertSlashEvent(slashEvent);
-          insertedCount++;
-        } catch (error) {
-          console.error('Error inserting slash event:', error.message);
-          errorCount++;
-        }
-      }
+      console.log('📸 Capturing snapshots...');
 
-      console.log(`✅ Slashing data: ${insertedCount} new records, ${errorCount} errors`);
-      return { success: true, inserted: insertedCount, errors: errorCount };
+      const { snapshots, pruned } = await snapshotService.captureSnapshots(new Date(), restakers);
+
+      console.log(`✅ Snapshots: ${snapshots} rows per period, ${pruned} expired hourly rows removed`);
+      return { success: true, inserted: snapshots };
+    } catch (error) {
+      console.error('❌ Failed to capture snapshots:', error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Recompute every operator's risk and performance score for today
+   */
+  async fetchScoreData(restakers) {
+    try {
+      console.log('🧮 Scoring operators...');
+
+      const { scores } = await scoringService.computeScores(new Date(), restakers);
+
+      console.log(`✅ Operator scores: ${scores} operators scored`);
+      return { success: true, inserted: scores };
     } catch (error) {
-      console.error('❌ Failed to fetch slashing data:', error.message);
+      console.error('❌ Failed to score operators:', error.message);
       return { success: false, error: error.message };
     }
   }
 
   /**
-   * Fetch Lido data for context
+   * Fetch and store Lido stETH metrics and daily rewards
    */
   async fetchLidoData() {
     try {
       console.log('🌊 Fetching Lido stETH data...');
       
-      const lidoData = await lidoService.fetchLidoData();
+      const lidoData = await lidoService.captureMetrics();
       
-      console.log(`✅ Lido data fetched successfully`);
+      console.log(`✅ Lido data stored (${lidoData.staking.source}): ${lidoData.metricsStored ? 'hourly metrics' : 'no metrics'}, ${lidoData.rewardDaysStored} days of rewards`);
       console.log(`   - Total Pooled ETH: ${lidoData.staking.totalPooledEther}`);
       console.log(`   - Current APR: ${(lidoData.staking.apr * 100).toFixed(2)}%`);
       
@@ -210,6 +334,21 @@ class DataFetcher {
     }
   }
 
+  /**
+   * Remove fixture and simulated rows, e.g. before switching a database to live mode
+   */
+  async purgeNonLiveData() {
+    const deleted = await deleteNonLiveRows();
+    await dataModeService.markRefreshed();
+    const total = Object.values(deleted).reduce((sum, count) => sum + count, 0);
+
+    Object.entries(deleted)
+      .filter(([, count]) => count > 0)
+      .forEach(([table, count]) => console.log(`   - ${table}: ${count} rows`));
+    console.log(`🧹 Removed ${total} non-live rows`);
+    return { success: true, deleted: total };
+  }
+
   /**
    * Log fetch results summary
    */
@@ -222,7 +361,10 @@ class DataFetcher {
       const data = result.status === 'fulfilled' ? result.value : result.reason;
       
       if (result.status === 'fulfilled' && data.success) {
-        console.log(`${status} ${key}: ${data.inserted || 'Success'} records`);
+        const summary = data.updated !== undefined
+          ? this.formatCounts(data)
+          : `${data.inserted || 'Success'} records`;
+        console.log(`${status} ${key}: ${summary}`);
       } else {
         console.log(`${status} ${key}: ${data.error || data.message || 'Failed'}`);
       }
@@ -242,14 +384,17 @@ class DataFetcher {
       { name: 'Lido Service', check: () => lidoService.fetchLidoData() }
     ];
 
+    let success = true;
     for (const { name, check } of checks) {
       try {
         await check();
         console.log(`✅ ${name}: Healthy`);
       } catch (error) {
         console.log(`❌ ${name}: ${error.message}`);
+        success = false;
       }
     }
+    return { success };
   }
 }
 
@@ -258,19 +403,55 @@ const dataFetcher = new DataFetcher();
 // Allow running this script directly
 if (require.main === module) {
   const command = process.argv[2];
+
+  try {
+    dataModeService.validate();
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  // One stage on its own; afterwards API processes recount provenance
+  const runStage = (stage) => initializeDatabase()
+    .then(() => stage())
+    .then(async (result) => {
+      await dataModeService.markRefreshed();
+      process.exit(result.success ? 0 : 1);
+    });
   
   switch (command) {
     case 'health':
-      dataFetcher.healthCheck();
+      runStage(() => dataFetcher.healthCheck());
       break;
     case 'restaking':
-      dataFetcher.fetchRestakingData();
+      runStage(() => dataFetcher.fetchRestakingData());
       break;
     case 'validators':
-      dataFetcher.fetchValidatorData();
+      runStage(() => dataFetcher.fetchValidatorData());
       break;
     case 'rewards':
-      dataFetcher.fetchRewardsData();
+      runStage(() => dataFetcher.fetchRewardsData());
+      break;
+    case 'strategies':
+      runStage(() => dataFetcher.fetchStrategyData());
+      break;
+    case 'metadata':
+      runStage(() => dataFetcher.fetchOperatorMetadata());
+      break;
+    case 'snapshots':
+      runStage(() => dataFetcher.fetchSnapshotData());
+      break;
+    case 'scores':
+      runStage(() => dataFetcher.fetchScoreData());
+      break;
+    case 'lido':
+      runStage(() => dataFetcher.fetchLidoData());
+      break;
+    case 'purge-fixtures':
+      runStage(() => dataFetcher.purgeNonLiveData());
+      break;
+    case 'onchain':
+      runStage(() => dataFetcher.fetchOnchainData());
       break;
     default:
       dataFetcher.fetchAllData()
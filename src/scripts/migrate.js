@@ -0,0 +1,55 @@
+require('dotenv').config();
+const {
+  connectDatabase,
+  migrate,
+  rollbackMigrations,
+  getMigrationStatus
+} = require('../services/databaseService');
+
+/**
+ * Schema migrations CLI:
+ *   node src/scripts/migrate.js              apply pending migrations
+ *   node src/scripts/migrate.js status       list migrations and when they were applied
+ *   node src/scripts/migrate.js rollback [n] revert the last n migrations (default 1)
+ */
+async function main(command, argument) {
+  await connectDatabase();
+
+  switch (command) {
+    case undefined:
+    case 'up': {
+      const applied = await migrate();
+      console.log(applied.length > 0
+        ? `✅ Applied ${applied.length} migration(s)`
+        : '✅ Schema is up to date');
+      break;
+    }
+    case 'status': {
+      const migrations = await getMigrationStatus();
+      migrations.forEach(migration => {
+        const state = migration.appliedAt ? `applied ${migration.appliedAt}` : 'pending';
+        console.log(`${String(migration.version).padStart(3, '0')} ${migration.name.padEnd(30)} ${state}`);
+      });
+      console.log(`${migrations.filter(migration => !migration.appliedAt).length} pending`);
+      break;
+    }
+    case 'rollback': {
+      const steps = argument === undefined ? 1 : parseInt(argument);
+      if (!Number.isInteger(steps) || steps < 1) {
+        throw new Error(`Invalid number of migrations to roll back: ${argument}`);
+      }
+      const reverted = await rollbackMigrations(steps);
+      console.log(`✅ Rolled back ${reverted.length} migration(s)`);
+      break;
+    }
+    default:
+      throw new Error(`Unknown command "${command}", expected up, status or rollback`);
+  }
+}
+
+main(process.argv[2], process.argv[3])
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('❌ Migration failed:', error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,70 @@
+const { ethers } = require('ethers');
+
+/**
+ * Wei and token amounts are integer strings throughout the API and database.
+ * Every sum, average and comparison goes through BigInt here so totals match
+ * on-chain values to the wei; floats are never involved.
+ */
+class AmountService {
+  /**
+   * Parse an amount: an integer string, a BigInt, a safe integer, or null for zero
+   */
+  toBigInt(value) {
+    if (typeof value === 'bigint') return value;
+    if (value === null || value === undefined || value === '') return 0n;
+
+    if (typeof value === 'number') {
+      if (!Number.isSafeInteger(value)) {
+        throw new TypeError(`Amount ${value} is not an exact integer`);
+      }
+      return BigInt(value);
+    }
+
+    const text = String(value).trim();
+    if (!/^-?\d+$/.test(text)) {
+      throw new TypeError(`Amount "${value}" is not an integer`);
+    }
+    return BigInt(text);
+  }
+
+  sum(values) {
+    return values.reduce((total, value) => total + this.toBigInt(value), 0n);
+  }
+
+  /**
+   * Integer average, rounded down; zero when there is nothing to average
+   */
+  average(total, count) {
+    return count > 0 ? this.toBigInt(total) / BigInt(count) : 0n;
+  }
+
+  /**
+   * amount × numerator / denominator, rounded down, e.g. to apply an exchange rate
+   * given as a ratio of two on-chain totals
+   */
+  mulDiv(amount, numerator, denominator) {
+    return this.toBigInt(amount) * this.toBigInt(numerator) / this.toBigInt(denominator);
+  }
+
+  /**
+   * Sort comparator, ascending
+   */
+  compare(a, b) {
+    const left = this.toBigInt(a);
+    const right = this.toBigInt(b);
+    return left < right ? -1 : left > right ? 1 : 0;
+  }
+
+  /**
+   * The `{ eth, wei }` pair API totals are reported as
+   */
+  toEth(amount) {
+    const wei = this.toBigInt(amount);
+    return {
+      eth: ethers.formatEther(wei),
+      wei: wei.toString()
+    };
+  }
+}
+
+module.exports = new AmountService();
@@ -0,0 +1,351 @@
+const amountService = require('./amountService');
+const dataModeService = require('./dataModeService');
+const {
+  getOperatorSplitEvents,
+  getRewardsSubmissionsEndingAfter,
+  getRestakerByAddress,
+  getAllOperatorShares,
+  getStrategyShareTotals,
+  getCurrentAvsRegistrations
+} = require('./databaseService');
+
+const DAY = 24 * 60 * 60;
+
+// Split the RewardsCoordinator applies until a default is set (10%)
+const DEFAULT_SPLIT_BIPS = 1000;
+const MAX_BIPS = 10000;
+
+// Split that applies to each submission type's rewards; rewards-for-all go to
+// stakers whole
+const SPLIT_TYPES = {
+  avs: 'avs',
+  operator_directed: 'avs',
+  all_earners: 'pi',
+  all_stakers: null
+};
+
+// Stake weighted by the submission's multiplier for each [strategy, shares] entry
+function weighShares(multipliers, entries) {
+  let weight = 0n;
+  for (const [strategy, shares] of entries) {
+    weight += (multipliers.get(strategy) || 0n) * BigInt(shares);
+  }
+  return weight;
+}
+
+class CommissionService {
+  constructor() {
+    this.netYieldWindowDays = parseInt(process.env.NET_YIELD_WINDOW_DAYS) || 90;
+    // Submissions in the window and the stake each is shared across, rebuilt once per refresh
+    this.yieldInputs = { version: null, submissions: [] };
+  }
+
+  /**
+   * An operator's splits now, with any change waiting to activate, and every split change
+   * that applied to it (its own and the default) newest first
+   */
+  async getCommission(operatorAddress, now = new Date()) {
+    const operator = operatorAddress.toLowerCase();
+    const timestamp = Math.floor(now.getTime() / 1000);
+    const [events, registrations] = await Promise.all([
+      getOperatorSplitEvents(operator),
+      getCurrentAvsRegistrations()
+    ]);
+
+    const avsAddresses = new Set(registrations
+      .filter(registration => registration.operatorAddress === operator)
+      .map(registration => registration.avsAddress));
+    events.filter(event => event.splitType === 'avs').forEach(event => avsAddresses.add(event.avsAddress));
+
+    return {
+      operatorAddress: operator,
+      defaultSplitBips: this.defaultSplitAt(events, timestamp),
+      programmaticIncentives: this.describeSplit(events, 'pi', null, timestamp),
+      avsSplits: [...avsAddresses].sort().map(avsAddress => ({
+        avsAddress,
+        ...this.describeSplit(events, 'avs', avsAddress, timestamp)
+      })),
+      history: this.withStatus(events, timestamp).reverse()
+    };
+  }
+
+  /**
+   * Estimate what a delegator earned from rewards submissions over the last
+   * NET_YIELD_WINDOW_DAYS, before and after its operator's split. Each submission
+   * pays out evenly per day; every day takes the split active then. Stake and AVS
+   * registrations are today's, so this is an estimate, not the distribution. Null
+   * when the address has no stake; empty until its stake has earned something.
+   */
+  async estimateNetYield(address, now = new Date()) {
+    const end = Math.floor(now.getTime() / 1000);
+    const windowStart = end - this.netYieldWindowDays * DAY;
+
+    const restaker = await getRestakerByAddress(address);
+    const positions = new Map((restaker ? restaker.strategies : [])
+      .filter(position => BigInt(position.shares) > 0n)
+      .map(position => [position.strategy, position.shares]));
+    if (positions.size === 0) return null;
+
+    const operator = restaker.delegatedTo || null;
+    const estimate = { windowDays: this.netYieldWindowDays, operatorAddress: operator, periods: [], totals: [] };
+
+    const [submissions, events] = await Promise.all([
+      this.getYieldSubmissions(windowStart),
+      operator ? getOperatorSplitEvents(operator) : []
+    ]);
+
+    const totals = new Map();
+    submissions.forEach(submission => {
+      const from = Math.max(submission.startTimestamp, windowStart);
+      const until = Math.min(submission.startTimestamp + submission.duration, end);
+      if (until <= from) return;
+
+      const gross = this.grossShare(submission, operator, positions);
+      if (gross === null || gross === 0n) return;
+
+      const period = this.applySplits(submission, gross, from, until, events);
+      estimate.periods.push(period);
+
+      if (!totals.has(submission.token)) {
+        totals.set(submission.token, {
+          token: submission.token,
+          symbol: submission.symbol || null,
+          decimals: submission.decimals ?? 18,
+          grossAmount: 0n,
+          operatorCommission: 0n,
+          netAmount: 0n,
+          periods: 0
+        });
+      }
+      const total = totals.get(submission.token);
+      total.grossAmount += BigInt(period.grossAmount);
+      total.operatorCommission += BigInt(period.operatorCommission);
+      total.netAmount += BigInt(period.netAmount);
+      total.periods++;
+    });
+
+    estimate.totals = [...totals.values()].map(total => ({
+      ...total,
+      grossAmount: total.grossAmount.toString(),
+      operatorCommission: total.operatorCommission.toString(),
+      netAmount: total.netAmount.toString()
+    }));
+    estimate.periods.reverse();
+    return estimate;
+  }
+
+  /**
+   * Helper: Rewards submissions ending after `windowStart`, each with what it pays
+   * delegators of every operator that earns from it. Loaded on the first estimate
+   * after each refresh; later estimates in the same refresh only filter them.
+   */
+  async getYieldSubmissions(windowStart) {
+    const version = await dataModeService.getRefreshVersion();
+    if (this.yieldInputs.version === version) return this.yieldInputs.submissions;
+
+    const [submissions, operatorShares, shareTotals, registrations] = await Promise.all([
+      getRewardsSubmissionsEndingAfter(windowStart),
+      getAllOperatorShares(),
+      getStrategyShareTotals(),
+      getCurrentAvsRegistrations()
+    ]);
+
+    const operatorsByAvs = new Map();
+    registrations.forEach(({ avsAddress, operatorAddress }) => {
+      if (!operatorsByAvs.has(avsAddress)) operatorsByAvs.set(avsAddress, new Set());
+      operatorsByAvs.get(avsAddress).add(operatorAddress);
+    });
+    const earners = new Set(registrations.map(registration => registration.operatorAddress));
+
+    this.yieldInputs = {
+      version,
+      submissions: submissions.filter(submission => submission.duration).map(submission => {
+        const multipliers = new Map(submission.strategies.map(entry => [entry.strategy.toLowerCase(), BigInt(entry.multiplier)]));
+        return {
+          ...submission,
+          multipliers,
+          payouts: this.payouts(submission, multipliers, { operatorShares, shareTotals, operatorsByAvs, earners })
+        };
+      })
+    };
+    return this.yieldInputs.submissions;
+  }
+
+  /**
+   * Helper: The amount a submission shares out and the multiplier-weighted stake it is
+   * shared across. `everyone` is set when all stakers earn from it; otherwise
+   * `byOperator` holds the payout for delegators of each operator that does.
+   */
+  payouts(submission, multipliers, { operatorShares, shareTotals, operatorsByAvs, earners }) {
+    const weigh = entries => weighShares(multipliers, entries);
+    const operatorWeight = address => weigh((operatorShares.get(address) || [])
+      .map(position => [position.strategy, position.shares]));
+    const shared = operators => {
+      const payout = {
+        amount: submission.amount,
+        pool: [...operators].reduce((sum, address) => sum + operatorWeight(address), 0n)
+      };
+      return { byOperator: new Map([...operators].map(address => [address, payout])) };
+    };
+
+    switch (submission.submissionType) {
+      case 'all_stakers':
+        return {
+          everyone: {
+            amount: submission.amount,
+            pool: weigh([...shareTotals].map(([strategy, totals]) => [strategy, totals.totalShares]))
+          }
+        };
+      case 'all_earners':
+        return shared(earners);
+      case 'avs':
+        return shared(operatorsByAvs.get(submission.avsAddress) || new Set());
+      case 'operator_directed': {
+        const byOperator = new Map();
+        (submission.operatorRewards || []).forEach(entry => {
+          const address = entry.operator.toLowerCase();
+          if (!byOperator.has(address)) {
+            byOperator.set(address, { amount: entry.amount, pool: operatorWeight(address) });
+          }
+        });
+        return { byOperator };
+      }
+      default:
+        return { byOperator: new Map() };
+    }
+  }
+
+  /**
+   * Helper: The delegator's pro-rata share of a whole submission, before any split, or
+   * null when its stake does not earn from it. Stake is weighted by each strategy's
+   * multiplier in the submission.
+   */
+  grossShare(submission, operator, positions) {
+    const weight = weighShares(submission.multipliers, positions);
+    if (weight <= 0n) return null;
+
+    const payout = submission.payouts.everyone || (operator && submission.payouts.byOperator.get(operator));
+    if (!payout || payout.pool <= 0n) return null;
+    // The delegator's stake is part of the pool; stale share totals must not pay out more than the whole
+    return amountService.mulDiv(payout.amount, weight < payout.pool ? weight : payout.pool, payout.pool);
+  }
+
+  /**
+   * Helper: Spread a gross share evenly over the days of its period in the window and
+   * take the operator's cut of each day at the split active on it
+   */
+  applySplits(submission, gross, from, until, events) {
+    const splitType = SPLIT_TYPES[submission.submissionType];
+    const dailyGross = amountService.mulDiv(gross, DAY, submission.duration);
+    const splits = [];
+    let grossAmount = 0n;
+    let commission = 0n;
+
+    for (let day = from; day < until; day += DAY) {
+      const seconds = Math.min(DAY, until - day);
+      const amount = seconds === DAY ? dailyGross : amountService.mulDiv(gross, seconds, submission.duration);
+      const splitBips = splitType ? this.splitAt(events, splitType, submission.avsAddress, day) : 0;
+
+      grossAmount += amount;
+      commission += amount * BigInt(splitBips) / BigInt(MAX_BIPS);
+
+      const current = splits[splits.length - 1];
+      if (current && current.splitBips === splitBips) {
+        current.until = new Date((day + seconds) * 1000).toISOString();
+      } else {
+        splits.push({
+          splitBips,
+          from: new Date(day * 1000).toISOString(),
+          until: new Date((day + seconds) * 1000).toISOString()
+        });
+      }
+    }
+
+    return {
+      submissionHash: submission.submissionHash,
+      submissionType: submission.submissionType,
+      avsAddress: submission.avsAddress,
+      token: submission.token,
+      symbol: submission.symbol || null,
+      decimals: submission.decimals ?? 18,
+      startTimestamp: new Date(submission.startTimestamp * 1000).toISOString(),
+      endTimestamp: new Date((submission.startTimestamp + submission.duration) * 1000).toISOString(),
+      splitType,
+      operatorSplits: splits,
+      grossAmount: grossAmount.toString(),
+      operatorCommission: commission.toString(),
+      netAmount: (grossAmount - commission).toString()
+    };
+  }
+
+  /**
+   * The operator's split of one type (and AVS) in bips at a unix time: its latest
+   * activated change, or the default when it has set none
+   */
+  splitAt(events, splitType, avsAddress, timestamp) {
+    const own = this.latestActivated(events.filter(event => this.matches(event, splitType, avsAddress)), timestamp);
+    return own ? own.newSplitBips : this.defaultSplitAt(events, timestamp);
+  }
+
+  /**
+   * Helper: The default split in bips at a unix time
+   */
+  defaultSplitAt(events, timestamp) {
+    const defaults = events.filter(event => event.splitType === 'default');
+    const latest = this.latestActivated(defaults, timestamp);
+    if (latest) return latest.newSplitBips;
+    // Before the first change on record, the split it replaced applied
+    return defaults.length > 0 ? defaults[0].oldSplitBips : DEFAULT_SPLIT_BIPS;
+  }
+
+  /**
+   * Helper: The split of one type (and AVS) now, whether it is the default, and the
+   * change waiting to activate if there is one
+   */
+  describeSplit(events, splitType, avsAddress, timestamp) {
+    const own = events.filter(event => this.matches(event, splitType, avsAddress));
+    const active = this.latestActivated(own, timestamp);
+    const pending = own.find(event => event.activatedAt > timestamp);
+
+    return {
+      splitBips: active ? active.newSplitBips : this.defaultSplitAt(events, timestamp),
+      isDefault: !active,
+      pending: pending
+        ? { splitBips: pending.newSplitBips, activatedAt: new Date(pending.activatedAt * 1000).toISOString() }
+        : null
+    };
+  }
+
+  /**
+   * Helper: Split changes (in activation order) as returned by the API, each marked
+   * pending, active or superseded
+   */
+  withStatus(events, timestamp) {
+    const key = event => `${event.splitType}:${event.avsAddress || ''}`;
+    const active = new Map();
+    events.filter(event => event.activatedAt <= timestamp).forEach(event => active.set(key(event), event));
+
+    return events.map(event => ({
+      splitType: event.splitType,
+      avsAddress: event.avsAddress,
+      oldSplitBips: event.oldSplitBips,
+      newSplitBips: event.newSplitBips,
+      activatedAt: new Date(event.activatedAt * 1000).toISOString(),
+      status: event.activatedAt > timestamp ? 'pending' : active.get(key(event)) === event ? 'active' : 'superseded',
+      caller: event.caller,
+      blockNumber: event.blockNumber,
+      transactionHash: event.transactionHash,
+      timestamp: event.timestamp
+    }));
+  }
+
+  matches(event, splitType, avsAddress) {
+    return event.splitType === splitType && (splitType !== 'avs' || event.avsAddress === avsAddress);
+  }
+
+  latestActivated(events, timestamp) {
+    return events.filter(event => event.activatedAt <= timestamp).pop() || null;
+  }
+}
+
+module.exports = new CommissionService();
@@ -0,0 +1,129 @@
+const {
+  countRowsBySource,
+  getSyncCheckpoint,
+  saveSyncCheckpoint
+} = require('./databaseService');
+
+// live: real sources only, failures surface as errors
+// fixture: bundled fixture data only, no subgraph or API calls
+// demo: real sources with fixture fallbacks, plus simulated rewards
+const DATA_MODES = ['live', 'fixture', 'demo'];
+
+// Bumped after every refresh; provenance counts and other per-refresh caches are kept until it changes
+const PROVENANCE_CHECKPOINT = 'provenance';
+
+class DataModeService {
+  constructor() {
+    this.provenance = { version: null, counts: new Map() };
+  }
+
+  /**
+   * Current data-source mode from DATA_MODE
+   */
+  getMode() {
+    return (process.env.DATA_MODE || 'live').toLowerCase();
+  }
+
+  /**
+   * Fail fast on startup when DATA_MODE is not a known mode
+   */
+  validate() {
+    if (!DATA_MODES.includes(this.getMode())) {
+      throw new Error(`Invalid DATA_MODE "${process.env.DATA_MODE}", expected one of ${DATA_MODES.join(', ')}`);
+    }
+  }
+
+  isDemo() {
+    return this.getMode() === 'demo';
+  }
+
+  /**
+   * Whether fixture data may be served and stored at all
+   */
+  allowsFixtures() {
+    return this.getMode() !== 'live';
+  }
+
+  /**
+   * Run a live fetch. Fixture mode skips it entirely; demo mode falls back to
+   * fixtures when it fails; live mode lets the error propagate.
+   */
+  async withFallback(label, fetchLive, loadFixtures) {
+    if (this.getMode() === 'fixture') {
+      return loadFixtures();
+    }
+
+    try {
+      return await fetchLive();
+    } catch (error) {
+      if (!this.allowsFixtures()) throw error;
+
+      console.warn(`⚠️ ${label} unavailable (${error.message}), using fixture data`);
+      return loadFixtures();
+    }
+  }
+
+  /**
+   * Drop rows that did not come from a live source when running in live mode
+   */
+  filterPersistable(records) {
+    if (this.allowsFixtures()) return records;
+
+    const persistable = records.filter(record => !record.source || record.source === 'live');
+    if (persistable.length < records.length) {
+      console.warn(`⚠️ Refusing to store ${records.length - persistable.length} non-live records in live mode`);
+    }
+    return persistable;
+  }
+
+  /**
+   * Provenance block for API responses backed by the given tables
+   */
+  async describe(tables) {
+    const sources = await this.countSources(tables);
+
+    return {
+      mode: this.getMode(),
+      sources,
+      containsNonLiveData: Object.keys(sources).some(source => source !== 'live')
+    };
+  }
+
+  /**
+   * Row counts per source across the tables, counted once per table and refresh
+   */
+  async countSources(tables) {
+    const version = await this.getRefreshVersion();
+    if (this.provenance.version !== version) {
+      this.provenance = { version, counts: new Map() };
+    }
+
+    const sources = {};
+    for (const table of tables) {
+      if (!this.provenance.counts.has(table)) {
+        this.provenance.counts.set(table, await countRowsBySource([table]));
+      }
+      Object.entries(this.provenance.counts.get(table)).forEach(([source, count]) => {
+        sources[source] = (sources[source] || 0) + count;
+      });
+    }
+    return sources;
+  }
+
+  /**
+   * Identifies the stored data's last refresh; changes whenever markRefreshed runs
+   */
+  async getRefreshVersion() {
+    const checkpoint = await getSyncCheckpoint(PROVENANCE_CHECKPOINT);
+    return checkpoint ? checkpoint.lastId : '';
+  }
+
+  /**
+   * Mark stored data as changed so every process recounts provenance on its next response
+   */
+  async markRefreshed() {
+    await saveSyncCheckpoint(PROVENANCE_CHECKPOINT, { lastId: String(Date.now()), completed: true });
+  }
+}
+
+module.exports = new DataModeService();
@@ -1,330 +1,3091 @@
-const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const fs = require('fs').promises;
+const { createAdapter } = require('./storage');
+const { BEACON_CHAIN_ETH_STRATEGY } = require('./strategyService');
+
+// Block-ordered tables that are rolled back when the chain reorganizes
+const REORG_TABLES = [
+  'restaking_events',
+  'delegation_events',
+  'operator_share_events',
+  'rewards',
+  'slash_history',
+  'avs_operator_events',
+  'distribution_roots',
+  'rewards_claims',
+  'rewards_submissions',
+  'operator_sets',
+  'operator_set_events',
+  'allocation_events',
+  'max_magnitude_events',
+  'staker_slashes',
+  'eigenpods',
+  'eigenpod_share_events',
+  'eigenpod_validator_events',
+  'eigenpod_checkpoints',
+  'withdrawals',
+  'withdrawal_completions',
+  'withdrawal_delay_events',
+  'operator_metadata_uri_events',
+  'operator_split_events',
+];
+
+// Subgraph collections walked by (blockNumber, id); a reorg rewinds their cursors too
+const SUBGRAPH_BLOCK_CHECKPOINTS = ['deposits', 'delegations'];
+
+// Tables whose rows record the data source they came from (live, fixture or simulated)
+const SOURCE_TABLES = [
+  'restaking_events',
+  'validators',
+  'slash_history',
+  'rewards',
+  'distribution_roots',
+  'rewards_claims',
+  'rewards_submissions',
+  'rewards_earnings',
+  'tokens',
+  'delegation_events',
+  'operator_share_events',
+  'operator_shares',
+  'strategies',
+  'avs',
+  'avs_operator_events',
+  'operator_sets',
+  'operator_set_events',
+  'allocation_events',
+  'max_magnitude_events',
+  'staker_slashes',
+  'snapshots',
+  'lido_metrics',
+  'lido_daily_rewards',
+  'token_rates',
+  'eigenpods',
+  'eigenpod_share_events',
+  'eigenpod_validator_events',
+  'eigenpod_checkpoints',
+  'withdrawals',
+  'withdrawal_completions',
+  'withdrawal_delay_events',
+  'operator_metadata_uri_events',
+  'operator_metadata',
+  'operator_scores',
+  'operator_split_events',
+];
+
+// Versioned schema changes, applied in order by migrate()
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+
+// Latest registration event per (AVS, operator) pair that left the operator registered
+const CURRENT_AVS_REGISTRATIONS = `
+  SELECT avsAddress, operatorAddress, blockNumber, timestamp
+  FROM (
+    SELECT *, ROW_NUMBER() OVER (
+      PARTITION BY avsAddress, operatorAddress ORDER BY blockNumber DESC, logIndex DESC
+    ) AS position
+    FROM avs_operator_events
+  ) ranked
+  WHERE position = 1 AND status = 'registered'
+`;
+
+// Latest delegation event per staker that left them delegated
+const CURRENT_DELEGATIONS = `
+  SELECT userAddress, operatorAddress, blockNumber, timestamp
+  FROM (
+    SELECT *, ROW_NUMBER() OVER (
+      PARTITION BY userAddress ORDER BY blockNumber DESC, logIndex DESC
+    ) AS position
+    FROM delegation_events
+  ) ranked
+  WHERE position = 1 AND eventType = 'delegated'
+`;
+
+// Each operator's most recent daily score
+const LATEST_OPERATOR_SCORES = `
+  SELECT operatorAddress, score, periodStart
+  FROM (
+    SELECT *, ROW_NUMBER() OVER (
+      PARTITION BY operatorAddress ORDER BY periodStart DESC
+    ) AS position
+    FROM operator_scores
+  ) ranked
+  WHERE position = 1
+`;
+
+// Claim trend buckets per SQL dialect: the date of the bucket a claim falls in
+// (weeks start on Monday), and the date of the oldest bucket reported
+const REWARD_TREND_BUCKETS = {
+  sqlite: {
+    daily: { bucket: 'date(c.timestamp)', since: "date('now', '-29 days')" },
+    weekly: { bucket: "date(c.timestamp, 'weekday 0', '-6 days')", since: "date('now', 'weekday 0', '-6 days', '-77 days')" },
+    monthly: { bucket: "date(c.timestamp, 'start of month')", since: "date('now', 'start of month', '-11 months')" },
+  },
+  postgres: {
+    daily: { bucket: 'CAST(c.timestamp AS DATE)', since: 'CURRENT_DATE - 29' },
+    weekly: { bucket: "CAST(date_trunc('week', CAST(c.timestamp AS TIMESTAMP)) AS DATE)", since: "CAST(date_trunc('week', CURRENT_DATE) AS DATE) - 77" },
+    monthly: { bucket: "CAST(date_trunc('month', CAST(c.timestamp AS TIMESTAMP)) AS DATE)", since: "CAST(date_trunc('month', CURRENT_DATE) - INTERVAL '11 months' AS DATE)" },
+  },
+};
+
+// Staker ledger: deposits and withdrawals plus the shares each staker lost to slashing.
+// Beacon chain ETH shares only ever change through the EigenPodManager, so its share
+// totals replace any beacon strategy withdrawals recorded from the DelegationManager.
+const STAKER_LEDGER = `
+  SELECT eventType, userAddress, strategy, shares, amount, blockNumber, transactionHash, logIndex, timestamp
+  FROM restaking_events
+  WHERE strategy != '${BEACON_CHAIN_ETH_STRATEGY}'
+  UNION ALL
+  SELECT CASE WHEN sharesDelta LIKE '-%' THEN 'withdrawal' ELSE 'deposit' END,
+         podOwner, '${BEACON_CHAIN_ETH_STRATEGY}', ltrim(sharesDelta, '-'), NULL,
+         blockNumber, transactionHash, logIndex, timestamp
+  FROM eigenpod_share_events
+  WHERE sharesDelta != '0'
+  UNION ALL
+  SELECT 'slashed', userAddress, strategy, sharesSlashed, NULL, blockNumber, transactionHash, logIndex, timestamp
+  FROM staker_slashes
+`;
+
+/*
+ * Row writes shared by the single-row inserts and the bulk upserts: the
+ * statement and the function mapping a record to its parameters.
+ */
+
+// Ledger events are keyed by (transactionHash, logIndex, strategy), so re-syncing is a no-op
+const RESTAKING_EVENT_INSERT = {
+  query: `
+    INSERT INTO restaking_events
+    (eventType, userAddress, strategy, shares, amount, blockNumber, transactionHash, logIndex, timestamp, source)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP), ?)
+    ON CONFLICT DO NOTHING
+  `,
+  params: eventData => [
+    eventData.eventType,
+    eventData.userAddress.toLowerCase(),
+    eventData.strategy.toLowerCase(),
+    eventData.shares,
+    eventData.amount,
+    eventData.blockNumber,
+    eventData.transactionHash,
+    eventData.logIndex,
+    eventData.timestamp,
+    eventData.source || 'live',
+  ],
+};
+
+const DELEGATION_EVENT_INSERT = {
+  query: `
+    INSERT INTO delegation_events
+    (eventType, userAddress, operatorAddress, blockNumber, transactionHash, logIndex, timestamp, source)
+    VALUES (?, ?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP), ?)
+    ON CONFLICT DO NOTHING
+  `,
+  params: eventData => [
+    eventData.eventType,
+    eventData.userAddress,
+    eventData.operatorAddress,
+    eventData.blockNumber,
+    eventData.transactionHash,
+    eventData.logIndex,
+    eventData.timestamp,
+    eventData.source || 'live',
+  ],
+};
+
+// Overwrites an operator's fields; a row that already matches is left alone and reports no change
+const VALIDATOR_UPSERT = {
+  query: `
+    INSERT INTO validators
+    (operatorAddress, operatorId, totalDelegatedStake, validatorStatus, metadataURI, source, updatedAt)
+    VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+    ON CONFLICT(operatorAddress) DO UPDATE SET
+      operatorId = excluded.operatorId,
+      totalDelegatedStake = excluded.totalDelegatedStake,
+      validatorStatus = excluded.validatorStatus,
+      metadataURI = excluded.metadataURI,
+      source = excluded.source,
+      updatedAt = CURRENT_TIMESTAMP
+    WHERE validators.operatorId IS DISTINCT FROM excluded.operatorId
+      OR validators.totalDelegatedStake IS DISTINCT FROM excluded.totalDelegatedStake
+      OR validators.validatorStatus IS DISTINCT FROM excluded.validatorStatus
+      OR validators.metadataURI IS DISTINCT FROM excluded.metadataURI
+      OR validators.source IS DISTINCT FROM excluded.source
+  `,
+  params: validatorData => [
+    validatorData.operatorAddress,
+    validatorData.operatorId,
+    validatorData.totalDelegatedStake,
+    validatorData.validatorStatus,
+    validatorData.metadataURI,
+    validatorData.source || 'live',
+  ],
+};
+
+// A reward is identified by its event, or by distribution root, earner and token
+const rewardUpsert = conflictTarget => `
+  INSERT INTO rewards
+  (userAddress, validatorAddress, rewardAmount, rewardType, blockNumber, transactionHash, logIndex, root, token, source)
+  VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  ON CONFLICT ${conflictTarget} DO UPDATE SET
+    validatorAddress = excluded.validatorAddress,
+    rewardAmount = excluded.rewardAmount,
+    rewardType = excluded.rewardType,
+    blockNumber = excluded.blockNumber,
+    source = excluded.source
+  WHERE rewards.validatorAddress IS DISTINCT FROM excluded.validatorAddress
+    OR rewards.rewardAmount IS DISTINCT FROM excluded.rewardAmount
+    OR rewards.rewardType IS DISTINCT FROM excluded.rewardType
+    OR rewards.blockNumber IS DISTINCT FROM excluded.blockNumber
+    OR rewards.source IS DISTINCT FROM excluded.source
+`;
+
+const REWARD_UPSERT = {
+  event: {
+    query: rewardUpsert('(transactionHash, logIndex) WHERE root IS NULL'),
+    exists: 'SELECT 1 FROM rewards WHERE transactionHash = ? AND logIndex = ? AND root IS NULL',
+    key: rewardData => [rewardData.transactionHash, rewardData.logIndex],
+  },
+  distribution: {
+    query: rewardUpsert('(root, userAddress, token) WHERE root IS NOT NULL'),
+    exists: 'SELECT 1 FROM rewards WHERE root = ? AND userAddress = ? AND token = ?',
+    key: rewardData => [rewardData.root, rewardData.userAddress, rewardData.token],
+  },
+  params: rewardData => [
+    rewardData.userAddress,
+    rewardData.validatorAddress,
+    rewardData.rewardAmount,
+    rewardData.rewardType,
+    rewardData.blockNumber,
+    rewardData.transactionHash,
+    rewardData.logIndex ?? null,
+    rewardData.root || null,
+    rewardData.token || null,
+    rewardData.source || 'live',
+  ],
+};
+
+/**
+ * Which natural key a reward is stored under. Without a complete key the
+ * unique indexes can't match it, so every refresh would add it again.
+ */
+function rewardIdentity(rewardData) {
+  if (rewardData.root) {
+    if (!rewardData.token) throw new Error(`Reward for root ${rewardData.root} has no token`);
+    return 'distribution';
+  }
+  if (!rewardData.transactionHash || !Number.isInteger(rewardData.logIndex)) {
+    throw new Error('Reward needs a transactionHash and logIndex, or a root and token');
+  }
+  return 'event';
+}
+
+// Rewards written before they had a natural key (no logIndex, no root)
+const UNKEYED_REWARD = 'logIndex IS NULL AND root IS NULL';
+
+// Tally a bulk write reports
+function writeCounts() {
+  return { inserted: 0, updated: 0, unchanged: 0 };
+}
+
+/**
+ * Fold ledger rows (ordered oldest first) into per-staker, per-strategy balances.
+ * Amounts are wei strings, so they are summed as BigInt to keep full precision.
+ */
+function summarizeLedger(rows, delegations = new Map()) {
+  const restakers = new Map();
+
+  rows.forEach(row => {
+    if (!restakers.has(row.userAddress)) {
+      restakers.set(row.userAddress, {
+        userAddress: row.userAddress,
+        strategies: new Map(),
+        firstDepositAt: null,
+        timestamp: row.timestamp,
+      });
+    }
+    const restaker = restakers.get(row.userAddress);
+
+    if (!restaker.strategies.has(row.strategy)) {
+      restaker.strategies.set(row.strategy, {
+        strategy: row.strategy,
+        sharesDeposited: 0n,
+        sharesWithdrawn: 0n,
+        sharesSlashed: 0n,
+        amountDeposited: 0n,
+        depositCount: 0,
+        withdrawalCount: 0,
+        slashCount: 0,
+      });
+    }
+    const position = restaker.strategies.get(row.strategy);
+
+    if (row.eventType === 'withdrawal') {
+      position.sharesWithdrawn += BigInt(row.shares);
+      position.withdrawalCount++;
+    } else if (row.eventType === 'slashed') {
+      position.sharesSlashed += BigInt(row.shares);
+      position.slashCount++;
+    } else {
+      position.sharesDeposited += BigInt(row.shares);
+      position.amountDeposited += BigInt(row.amount || row.shares);
+      position.depositCount++;
+      restaker.firstDepositAt = restaker.firstDepositAt || row.timestamp;
+    }
+    restaker.timestamp = row.timestamp;
+  });
+
+  return Array.from(restakers.values()).map(restaker => {
+    let amountRestaked = 0n;
+
+    const strategies = Array.from(restaker.strategies.values()).map(position => {
+      const shares = position.sharesDeposited - position.sharesWithdrawn - position.sharesSlashed;
+      // Withdrawals are recorded in shares; release the deposited amount pro rata
+      const amount = position.sharesDeposited > 0n && shares > 0n
+        ? position.amountDeposited * shares / position.sharesDeposited
+        : 0n;
+      amountRestaked += amount;
+
+      return {
+        strategy: position.strategy,
+        shares: shares.toString(),
+        amountRestaked: amount.toString(),
+        sharesSlashed: position.sharesSlashed.toString(),
+        depositCount: position.depositCount,
+        withdrawalCount: position.withdrawalCount,
+        slashCount: position.slashCount,
+      };
+    });
+
+    const delegation = delegations.get(restaker.userAddress);
+
+    return {
+      userAddress: restaker.userAddress,
+      amountRestaked: amountRestaked.toString(),
+      delegatedTo: delegation ? delegation.operatorAddress : null,
+      delegatedAt: delegation ? delegation.timestamp : null,
+      strategies,
+      firstDepositAt: restaker.firstDepositAt,
+      timestamp: restaker.timestamp,
+    };
+  }).sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+}
+
+/**
+ * A withdrawal row with its strategies parsed and its completion, if any
+ */
+function toWithdrawal(row) {
+  return {
+    ...row,
+    strategies: JSON.parse(row.strategies),
+    completedBlock: row.completedBlock ?? null,
+    completedTransactionHash: row.completedTransactionHash ?? null,
+    completedAt: row.completedAt ?? null,
+  };
+}
+
+/**
+ * Current state of each validator proven to a pod from its events in chain order:
+ * restaked until a checkpoint proves it withdrawn, at its latest proven balance
+ */
+function summarizePodValidators(rows) {
+  const validators = new Map();
+
+  rows.forEach(row => {
+    if (!validators.has(row.validatorIndex)) {
+      validators.set(row.validatorIndex, {
+        validatorIndex: row.validatorIndex,
+        status: 'active',
+        balanceGwei: '0',
+        balanceTimestamp: null,
+        restakedAt: null,
+        withdrawnAt: null,
+      });
+    }
+    const validator = validators.get(row.validatorIndex);
+
+    if (row.eventType === 'restaked') {
+      validator.status = 'active';
+      validator.restakedAt = row.timestamp;
+    } else if (row.eventType === 'balance_updated') {
+      validator.balanceGwei = row.balanceGwei;
+      validator.balanceTimestamp = row.balanceTimestamp;
+    } else if (row.eventType === 'withdrawn') {
+      validator.status = 'withdrawn';
+      validator.balanceGwei = '0';
+      validator.withdrawnAt = row.timestamp;
+    }
+  });
+
+  return Array.from(validators.values()).sort((a, b) => a.validatorIndex - b.validatorIndex);
+}
+
+/**
+ * Pair each checkpoint's creation with its finalization, newest first
+ */
+function summarizePodCheckpoints(rows) {
+  const checkpoints = new Map();
+
+  rows.forEach(row => {
+    if (!checkpoints.has(row.checkpointTimestamp)) {
+      checkpoints.set(row.checkpointTimestamp, {
+        checkpointTimestamp: row.checkpointTimestamp,
+        status: 'active',
+        beaconBlockRoot: null,
+        validatorCount: null,
+        totalShareDeltaWei: null,
+        createdAt: null,
+        createdBlock: null,
+        finalizedAt: null,
+        finalizedBlock: null,
+      });
+    }
+    const checkpoint = checkpoints.get(row.checkpointTimestamp);
+
+    if (row.eventType === 'created') {
+      checkpoint.beaconBlockRoot = row.beaconBlockRoot;
+      checkpoint.validatorCount = row.validatorCount;
+      checkpoint.createdAt = row.timestamp;
+      checkpoint.createdBlock = row.blockNumber;
+    } else if (row.eventType === 'finalized') {
+      checkpoint.status = 'finalized';
+      checkpoint.totalShareDeltaWei = row.totalShareDeltaWei;
+      checkpoint.finalizedAt = row.timestamp;
+      checkpoint.finalizedBlock = row.blockNumber;
+    }
+  });
+
+  return Array.from(checkpoints.values()).sort((a, b) => b.checkpointTimestamp - a.checkpointTimestamp);
+}
+
+/**
+ * SELECT expressions summing a column of non-negative integer strings exactly.
+ * SQLite integers stop at 64 bits, so each value is zero-padded to 36 digits and
+ * its 18/9/9-digit chunks are summed separately; combineExactSum() joins them.
+ * The sums come back as text, as drivers hand larger integers over as floats.
+ */
+function exactSum(column, alias) {
+  const padded = padAmount(column);
+  return [
+    `CAST(SUM(CAST(substr(${padded}, 1, 18) AS INTEGER)) AS TEXT) AS ${alias}High`,
+    `CAST(SUM(CAST(substr(${padded}, 19, 9) AS INTEGER)) AS TEXT) AS ${alias}Mid`,
+    `CAST(SUM(CAST(substr(${padded}, 28, 9) AS INTEGER)) AS TEXT) AS ${alias}Low`,
+  ].join(', ');
+}
+
+// Width amounts are padded to, in SQL and in stored valuations
+const AMOUNT_WIDTH = 36;
+
+// `column` left-padded with zeros to 36 digits
+function padAmount(column) {
+  return `substr('${'0'.repeat(AMOUNT_WIDTH)}' || ${column}, length(${column}) + 1)`;
+}
+
+function combineExactSum(row, alias) {
+  return (
+    BigInt(row[`${alias}High`] || 0) * 10n ** 18n +
+    BigInt(row[`${alias}Mid`] || 0) * 10n ** 9n +
+    BigInt(row[`${alias}Low`] || 0)
+  ).toString();
+}
+
+function toDelegationMap(delegations) {
+  return new Map(delegations.map(delegation => [delegation.userAddress, delegation]));
+}
+
+/**
+ * Error for bad client input; the error handler answers it with a 400
+ */
+function validationError(message) {
+  const error = new Error(message);
+  error.name = 'ValidationError';
+  return error;
+}
+
+/**
+ * Opaque keyset cursor: the sort column value and key of the last row served,
+ * tied to the sort it was issued for
+ */
+function encodeCursor(sortBy, order, value, key) {
+  return Buffer.from(JSON.stringify([sortBy, order, value, key])).toString('base64url');
+}
+
+function decodeCursor(cursor, sortBy, order) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw validationError('Invalid cursor');
+  }
+
+  if (!Array.isArray(decoded) || decoded.length !== 4) {
+    throw validationError('Invalid cursor');
+  }
+  if (decoded[0] !== sortBy || decoded[1] !== order) {
+    throw validationError('Cursor was issued for a different sortBy or order');
+  }
+  return { value: decoded[2], key: decoded[3] };
+}
+
+// Page sizes for cursor-paginated list queries
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// A client's `limit` as a page size between 1 and MAX_PAGE_SIZE; missing or garbage falls back
+function clampPageSize(limit, fallback = DEFAULT_PAGE_SIZE) {
+  return Math.min(Math.max(parseInt(limit) || fallback, 1), MAX_PAGE_SIZE);
+}
+
+// Wei strings zero-padded to a fixed width so they sort numerically as text
+function sortableAmount(column) {
+  return padAmount(column);
+}
+
+/*
+ * List specs for queryPage(): `from` exposes every filter and sort column plus
+ * the unique `key` that breaks ties, `sortable` whitelists the sort columns by
+ * the name clients pass, and each filter is a condition with one placeholder.
+ */
+
+// One row per restaker with their activity times and their exact ETH value as of
+// the latest refresh (zero until they have been valued)
+const RESTAKER_LIST = {
+  from: `
+    SELECT p.userAddress,
+           d.operatorAddress AS delegatedTo,
+           d.timestamp AS delegatedAt,
+           p.firstDepositAt,
+           p.timestamp,
+           COALESCE(val.amount, '${'0'.repeat(AMOUNT_WIDTH)}') AS amountSortKey
+    FROM (
+      SELECT userAddress,
+             COALESCE(MIN(CASE WHEN eventType NOT IN ('withdrawal', 'slashed') THEN timestamp END), '') AS firstDepositAt,
+             MAX(timestamp) AS timestamp
+      FROM (${STAKER_LEDGER}) ledger
+      GROUP BY userAddress
+    ) p
+    LEFT JOIN valuations val ON val.scope = 'restaker' AND val.subject = p.userAddress
+    LEFT JOIN (${CURRENT_DELEGATIONS}) d ON d.userAddress = p.userAddress
+  `,
+  key: 'userAddress',
+  defaultSort: 'timestamp',
+  sortable: {
+    timestamp: 'timestamp',
+    firstDepositAt: 'firstDepositAt',
+    amountRestaked: 'amountSortKey',
+    userAddress: 'userAddress',
+  },
+  filters: {
+    operator: 'delegatedTo = ?',
+  },
+};
+
+// One row per operator with its slash count, delegated stake in ETH as valued by the
+// latest refresh (zero until then), resolved name and latest score (-1 until it has
+// one, so unscored operators sort last)
+const VALIDATOR_LIST = {
+  from: `
+    SELECT v.operatorAddress,
+           LOWER(v.operatorAddress) AS operatorKey,
+           v.validatorStatus,
+           m.name,
+           COALESCE(sc.score, -1) AS scoreSortKey,
+           COALESCE(v.createdAt, '') AS createdAt,
+           (SELECT COUNT(*) FROM slash_history sh WHERE sh.operatorAddress = LOWER(v.operatorAddress)) AS slashCount,
+           COALESCE(val.amount, '${'0'.repeat(AMOUNT_WIDTH)}') AS stakeSortKey
+    FROM validators v
+    LEFT JOIN valuations val ON val.scope = 'operator' AND val.subject = LOWER(v.operatorAddress)
+    LEFT JOIN operator_metadata m ON m.operatorAddress = LOWER(v.operatorAddress)
+    LEFT JOIN (${LATEST_OPERATOR_SCORES}) sc ON sc.operatorAddress = LOWER(v.operatorAddress)
+  `,
+  key: 'operatorKey',
+  defaultSort: 'totalDelegatedStake',
+  sortable: {
+    totalDelegatedStake: 'stakeSortKey',
+    slashCount: 'slashCount',
+    createdAt: 'createdAt',
+    operatorAddress: 'operatorKey',
+    score: 'scoreSortKey',
+  },
+  filters: {
+    status: 'LOWER(validatorStatus) = LOWER(?)',
+    avs: `operatorKey IN (SELECT operatorAddress FROM (${CURRENT_AVS_REGISTRATIONS}) r WHERE avsAddress = ?)`,
+    // Bound to a lowercase LIKE pattern by getValidatorPage
+    search: "LOWER(name) LIKE ? ESCAPE '\\'",
+  },
+};
+
+// RewardsClaimed events with their token metadata
+const CLAIM_LIST = {
+  from: `
+    SELECT c.id, c.earner, c.root, c.claimer, c.recipient, c.token, c.claimedAmount,
+           c.blockNumber, c.transactionHash, c.logIndex, c.timestamp,
+           t.symbol, t.decimals,
+           ${sortableAmount('c.claimedAmount')} AS amountSortKey
+    FROM rewards_claims c
+    LEFT JOIN tokens t ON t.tokenAddress = c.token
+  `,
+  key: 'id',
+  defaultSort: 'timestamp',
+  sortable: {
+    timestamp: 'blockNumber',
+    amount: 'amountSortKey',
+  },
+  filters: {
+    earner: 'earner = ?',
+    token: 'token = ?',
+    fromDate: 'julianday(timestamp) >= julianday(?)',
+    toDate: 'julianday(timestamp) <= julianday(?)',
+  },
+};
+
+// Demo-mode simulated rewards
+const SIMULATED_REWARD_LIST = {
+  from: `
+    SELECT id, userAddress, validatorAddress, rewardAmount, rewardType, timestamp, transactionHash,
+           ${sortableAmount('rewardAmount')} AS amountSortKey
+    FROM rewards
+  `,
+  key: 'id',
+  defaultSort: 'timestamp',
+  sortable: {
+    timestamp: 'timestamp',
+    amount: 'amountSortKey',
+  },
+  filters: {
+    userAddress: 'userAddress = ?',
+    validator: 'LOWER(validatorAddress) = ?',
+    fromDate: 'julianday(timestamp) >= julianday(?)',
+    toDate: 'julianday(timestamp) <= julianday(?)',
+  },
+  summary: `${exactSum('rewardAmount', 'total')}`,
+};
+
+// Queued withdrawals not yet completed
+const PENDING_WITHDRAWAL_LIST = {
+  from: `
+    SELECT w.id, w.withdrawalRoot, w.withdrawalType, w.staker, w.delegatedTo, w.withdrawer, w.nonce,
+           w.startBlock, w.strategies, w.blockNumber, w.transactionHash, w.timestamp
+    FROM withdrawals w
+    LEFT JOIN withdrawal_completions c ON c.withdrawalRoot = w.withdrawalRoot
+    WHERE c.withdrawalRoot IS NULL
+  `,
+  key: 'id',
+  defaultSort: 'startBlock',
+  sortable: {
+    startBlock: 'startBlock',
+  },
+  filters: {
+    staker: 'staker = ?',
+    operator: 'delegatedTo = ?',
+  },
+};
 
 class DatabaseService {
   constructor() {
-    this.db = null;
-    this.dbPath = process.env.DATABASE_PATH || './database/eigenlayer.sqlite';
+    // SQLite or PostgreSQL, chosen by DATABASE_URL
+    this.adapter = createAdapter();
+  }
+
+  get dialect() {
+    return this.adapter.dialect;
   }
 
   async initializeDatabase() {
     try {
-      // Ensure database directory exists
-      const dbDir = path.dirname(this.dbPath);
-      await fs.mkdir(dbDir, { recursive: true });
-
-      // Connect to database
-      this.db = new sqlite3.Database(this.dbPath, (err) => {
-        if (err) {
-          console.error('Error opening database:', err);
-          throw err;
-        }
-      });
-
-      // Create tables
-      await this.createTables();
-      console.log('Database tables created successfully');
+      await this.connect();
+      await this.migrate();
+      console.log('Database schema is up to date');
     } catch (error) {
       console.error('Error initializing database:', error);
       throw error;
     }
   }
 
-  createTables() {
-    return new Promise((resolve, reject) => {
-      const queries = [
-        // Restakers table
-        `CREATE TABLE IF NOT EXISTS restakers (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          userAddress TEXT UNIQUE NOT NULL,
-          amountRestaked TEXT NOT NULL,
-          targetAVSValidatorAddress TEXT,
-          strategy TEXT,
-          blockNumber INTEGER,
-          transactionHash TEXT,
-          timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
-          createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
-          updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP
-        )`,
-
-        // Validators table
-        `CREATE TABLE IF NOT EXISTS validators (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          operatorAddress TEXT UNIQUE NOT NULL,
-          operatorId TEXT,
-          totalDelegatedStake TEXT DEFAULT '0',
-          validatorStatus TEXT DEFAULT 'active',
-          metadataURI TEXT,
-          createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
-          updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP
-        )`,
-
-        // Slash history table
-        `CREATE TABLE IF NOT EXISTS slash_history (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          operatorAddress TEXT NOT NULL,
-          slashedAmount TEXT NOT NULL,
-          reason TEXT,
-          blockNumber INTEGER,
-          transactionHash TEXT,
-          timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
-          FOREIGN KEY (operatorAddress) REFERENCES validators (operatorAddress)
-        )`,
-
-        // Rewards table
-        `CREATE TABLE IF NOT EXISTS rewards (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          userAddress TEXT NOT NULL,
-          validatorAddress TEXT NOT NULL,
-          rewardAmount TEXT NOT NULL,
-          rewardType TEXT DEFAULT 'restaking',
-          blockNumber INTEGER,
-          transactionHash TEXT,
-          timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
-          createdAt DATETIME DEFAULT CURRENT_TIMESTAMP
-        )`,
-
-        // Indexes for better performance
-        `CREATE INDEX IF NOT EXISTS idx_restakers_address ON restakers(userAddress)`,
-        `CREATE INDEX IF NOT EXISTS idx_validators_address ON validators(operatorAddress)`,
-        `CREATE INDEX IF NOT EXISTS idx_rewards_user ON rewards(userAddress)`,
-        `CREATE INDEX IF NOT EXISTS idx_rewards_validator ON rewards(validatorAddress)`,
-        `CREATE INDEX IF NOT EXISTS idx_slash_history_operator ON slash_history(operatorAddress)`,
-      ];
-
-      let completed = 0;
-      const total = queries.length;
-
-      queries.forEach((query) => {
-        this.db.run(query, (err) => {
-          if (err) {
-            console.error('Error creating table:', err);
-            reject(err);
-            return;
-          }
-          completed++;
-          if (completed === total) {
-            resolve();
-          }
-        });
-      });
+  async connect() {
+    await this.adapter.connect();
+  }
+
+  /**
+   * Migration modules in version order. Files are named `<version>_<name>.js`
+   * and export async `up(db)` and `down(db)`, which get this service's run/all helpers
+   * and its `dialect`.
+   */
+  async loadMigrations() {
+    const files = await fs.readdir(MIGRATIONS_DIR);
+    const migrations = files
+      .map(file => /^(\d+)_([\w-]+)\.js$/.exec(file))
+      .filter(Boolean)
+      .map(([file, version, name]) => ({
+        version: Number(version),
+        name,
+        ...require(path.join(MIGRATIONS_DIR, file)),
+      }))
+      .sort((a, b) => a.version - b.version);
+
+    migrations.forEach((migration, index) => {
+      if (index > 0 && migrations[index - 1].version === migration.version) {
+        throw new Error(`Duplicate migration version ${migration.version}`);
+      }
     });
+    return migrations;
+  }
+
+  async getAppliedMigrations() {
+    await this.run(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        appliedAt DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    return this.all('SELECT version, name, appliedAt FROM schema_migrations ORDER BY version');
   }
 
-  // Restakers methods
-  async insertRestaker(restakerData) {
-    return new Promise((resolve, reject) => {
-      const query = `
-        INSERT OR REPLACE INTO restakers 
-        (userAddress, amountRestaked, targetAVSValidatorAddress, strategy, blockNumber, transactionHash, updatedAt)
-        VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
-      `;
-      
-      this.db.run(query, [
-        restakerData.userAddress,
-        restakerData.amountRestaked,
-        restakerData.targetAVSValidatorAddress,
-        restakerData.strategy,
-        restakerData.blockNumber,
-        restakerData.transactionHash,
-      ], function(err) {
-        if (err) reject(err);
-        else resolve(this.lastID);
+  /**
+   * Apply every pending migration in version order, each in its own transaction
+   * together with its schema_migrations row
+   */
+  async migrate() {
+    const applied = new Set((await this.getAppliedMigrations()).map(migration => migration.version));
+    const pending = (await this.loadMigrations()).filter(migration => !applied.has(migration.version));
+
+    for (const migration of pending) {
+      await this.transaction(async () => {
+        await migration.up(this);
+        await this.run('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
       });
-    });
+      console.log(`📦 Applied migration ${migration.version} ${migration.name}`);
+    }
+
+    return pending.map(({ version, name }) => ({ version, name }));
   }
 
-  async getAllRestakers() {
-    return new Promise((resolve, reject) => {
-      const query = `
-        SELECT userAddress, amountRestaked, targetAVSValidatorAddress, strategy, timestamp
-        FROM restakers 
-        ORDER BY timestamp DESC
-      `;
-      
-      this.db.all(query, [], (err, rows) => {
-        if (err) reject(err);
-        else resolve(rows);
+  /**
+   * Revert the most recently applied migrations, newest first
+   */
+  async rollbackMigrations(steps = 1) {
+    const migrations = new Map((await this.loadMigrations()).map(migration => [migration.version, migration]));
+    const reverted = (await this.getAppliedMigrations()).reverse().slice(0, steps);
+
+    for (const record of reverted) {
+      const migration = migrations.get(record.version);
+      if (!migration) {
+        throw new Error(`Migration ${record.version} ${record.name} is applied but its file is missing`);
+      }
+
+      await this.transaction(async () => {
+        await migration.down(this);
+        await this.run('DELETE FROM schema_migrations WHERE version = ?', [record.version]);
       });
-    });
+      console.log(`↩️ Rolled back migration ${record.version} ${record.name}`);
+    }
+
+    return reverted.map(({ version, name }) => ({ version, name }));
+  }
+
+  /**
+   * Every known migration with when it was applied, or null if pending
+   */
+  async getMigrationStatus() {
+    const applied = new Map((await this.getAppliedMigrations()).map(migration => [migration.version, migration]));
+
+    return (await this.loadMigrations()).map(({ version, name }) => ({
+      version,
+      name,
+      appliedAt: applied.has(version) ? applied.get(version).appliedAt : null,
+    }));
+  }
+
+  // Restaking ledger methods
+  async insertRestakingEvent(eventData) {
+    const { changes } = await this.run(RESTAKING_EVENT_INSERT.query, RESTAKING_EVENT_INSERT.params(eventData));
+    return changes;
+  }
+
+  /**
+   * Store a batch of ledger events in one transaction. Events are immutable,
+   * so each one is either inserted or already stored (unchanged).
+   */
+  async upsertRestakingEvents(events) {
+    return this.transaction(() => this.withStatements({ insert: RESTAKING_EVENT_INSERT.query }, async ({ insert }) => {
+      const counts = writeCounts();
+      for (const event of events) {
+        const { changes } = await insert.run(RESTAKING_EVENT_INSERT.params(event));
+        counts[changes > 0 ? 'inserted' : 'unchanged']++;
+      }
+      return counts;
+    }));
+  }
+
+  async getAllRestakers() {
+    const query = `
+      SELECT eventType, userAddress, strategy, shares, amount, timestamp
+      FROM (${STAKER_LEDGER}) ledger
+      ORDER BY blockNumber ASC, logIndex ASC
+    `;
+
+    const [rows, delegations] = await Promise.all([
+      this.all(query, []),
+      this.getCurrentDelegations()
+    ]);
+    return summarizeLedger(rows, toDelegationMap(delegations));
+  }
+
+  async getRestakerByAddress(userAddress) {
+    const query = `
+      SELECT eventType, userAddress, strategy, shares, amount, blockNumber, transactionHash, logIndex, timestamp
+      FROM (${STAKER_LEDGER}) ledger
+      WHERE userAddress = ?
+      ORDER BY blockNumber ASC, logIndex ASC
+    `;
+
+    const rows = await this.all(query, [userAddress.toLowerCase()]);
+    if (rows.length === 0) return null;
+
+    const [delegations, delegationHistory] = await Promise.all([
+      this.getCurrentDelegations(userAddress),
+      this.getDelegationHistory(userAddress),
+    ]);
+    return {
+      ...summarizeLedger(rows, toDelegationMap(delegations))[0],
+      delegationHistory,
+      history: rows.slice().reverse(),
+    };
+  }
+
+  /**
+   * One page of restakers in the requested order, each summarized exactly from the ledger
+   */
+  async getRestakerPage(options) {
+    const { rows, pagination } = await this.queryPage(RESTAKER_LIST, options);
+    if (rows.length === 0) return { restakers: [], pagination };
+
+    const ledger = await this.all(`
+      SELECT eventType, userAddress, strategy, shares, amount, timestamp
+      FROM (${STAKER_LEDGER}) ledger
+      WHERE userAddress IN (${rows.map(() => '?').join(', ')})
+      ORDER BY blockNumber ASC, logIndex ASC
+    `, rows.map(row => row.userAddress));
+
+    const delegations = new Map(rows
+      .filter(row => row.delegatedTo)
+      .map(row => [row.userAddress, { operatorAddress: row.delegatedTo, timestamp: row.delegatedAt }]));
+    const restakers = new Map(summarizeLedger(ledger, delegations).map(restaker => [restaker.userAddress, restaker]));
+
+    return { restakers: rows.map(row => restakers.get(row.userAddress)), pagination };
   }
 
   // Validators methods
   async insertValidator(validatorData) {
-    return new Promise((resolve, reject) => {
-      const query = `
-        INSERT OR REPLACE INTO validators 
-        (operatorAddress, operatorId, totalDelegatedStake, validatorStatus, metadataURI, updatedAt)
-        VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
-      `;
-      
-      this.db.run(query, [
-        validatorData.operatorAddress,
-        validatorData.operatorId,
-        validatorData.totalDelegatedStake,
-        validatorData.validatorStatus,
-        validatorData.metadataURI,
-      ], function(err) {
-        if (err) reject(err);
-        else resolve(this.lastID);
-      });
-    });
+    const { changes } = await this.run(VALIDATOR_UPSERT.query, VALIDATOR_UPSERT.params(validatorData));
+    return changes;
+  }
+
+  /**
+   * Store a batch of operators with their per-strategy shares in one transaction.
+   * An operator counts as updated when its row or any of its shares changed.
+   */
+  async upsertValidators(validators) {
+    return this.transaction(() => this.withStatements({
+      exists: 'SELECT 1 FROM validators WHERE operatorAddress = ?',
+      upsert: VALIDATOR_UPSERT.query,
+      shares: 'SELECT strategy, shares, source FROM operator_shares WHERE operatorAddress = ?',
+      clearShares: 'DELETE FROM operator_shares WHERE operatorAddress = ?',
+      insertShare: 'INSERT INTO operator_shares (operatorAddress, strategy, shares, source) VALUES (?, ?, ?, ?)',
+    }, async (statements) => {
+      const counts = writeCounts();
+
+      for (const validator of validators) {
+        const source = validator.source || 'live';
+        const existed = (await statements.exists.all([validator.operatorAddress])).length > 0;
+        const { changes } = await statements.upsert.run(VALIDATOR_UPSERT.params(validator));
+
+        const byStrategy = (a, b) => (a.strategy < b.strategy ? -1 : a.strategy > b.strategy ? 1 : 0);
+        const current = (await statements.shares.all([validator.operatorAddress])).sort(byStrategy);
+        const next = validator.shares
+          .map(position => ({ strategy: position.strategy, shares: position.shares, source }))
+          .sort(byStrategy);
+        const sharesChanged = JSON.stringify(current) !== JSON.stringify(next);
+
+        if (sharesChanged) {
+          await statements.clearShares.run([validator.operatorAddress]);
+          for (const position of next) {
+            await statements.insertShare.run([validator.operatorAddress, position.strategy, position.shares, source]);
+          }
+        }
+
+        if (!existed) counts.inserted++;
+        else if (changes > 0 || sharesChanged) counts.updated++;
+        else counts.unchanged++;
+      }
+      return counts;
+    }));
   }
 
-  async getAllValidators() {
-    return new Promise((resolve, reject) => {
-      const query = `
-        SELECT 
-          v.operatorAddress,
-          v.operatorId,
-          v.totalDelegatedStake,
-          v.validatorStatus,
-          v.metadataURI,
-          GROUP_CONCAT(
-            json_object(
-              'slashedAmount', sh.slashedAmount,
-              'reason', sh.reason,
-              'timestamp', sh.timestamp,
-              'transactionHash', sh.transactionHash
-            )
-          ) as slashHistory
+  async upsertOperator(operatorData) {
+    // Registration and metadata updates arrive as separate events; only overwrite fields we have
+    const query = `
+      INSERT INTO validators (operatorAddress, operatorId, metadataURI, firstSeenBlock, updatedAt)
+      VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)
+      ON CONFLICT(operatorAddress) DO UPDATE SET
+        metadataURI = COALESCE(excluded.metadataURI, validators.metadataURI),
+        updatedAt = CURRENT_TIMESTAMP
+    `;
+
+    const { changes } = await this.run(query, [
+      operatorData.operatorAddress,
+      operatorData.operatorId || operatorData.operatorAddress,
+      operatorData.metadataURI,
+      operatorData.firstSeenBlock ?? null,
+    ]);
+    return changes;
+  }
+
+  async updateOperatorStake(operatorAddress, totalDelegatedStake) {
+    const query = `
+      UPDATE validators
+      SET totalDelegatedStake = ?, updatedAt = CURRENT_TIMESTAMP
+      WHERE operatorAddress = ?
+    `;
+
+    const { changes } = await this.run(query, [totalDelegatedStake, operatorAddress]);
+    return changes;
+  }
+
+  async getAllValidators(operatorAddresses = null) {
+    const params = operatorAddresses || [];
+    const inList = operatorAddresses
+      ? `IN (${operatorAddresses.map(() => '?').join(', ')})`
+      : '';
+
+    const [validators, slashes] = await Promise.all([
+      this.all(`
+        SELECT v.operatorAddress, v.operatorId, v.totalDelegatedStake, v.validatorStatus, v.metadataURI,
+               m.metadataURI AS resolvedURI, m.status AS metadataStatus, m.name, m.website, m.description,
+               m.logo, m.twitter, m.validationErrors, m.lastError, m.fetchedAt, m.checkedAt,
+               m.checkCount, m.failureCount, sc.score, sc.periodStart AS scoredAt
         FROM validators v
-        LEFT JOIN slash_history sh ON v.operatorAddress = sh.operatorAddress
-        GROUP BY v.operatorAddress
+        LEFT JOIN operator_metadata m ON m.operatorAddress = LOWER(v.operatorAddress)
+        LEFT JOIN (${LATEST_OPERATOR_SCORES}) sc ON sc.operatorAddress = LOWER(v.operatorAddress)
+        ${inList ? `WHERE v.operatorAddress ${inList}` : ''}
         ORDER BY v.totalDelegatedStake DESC
-      `;
-      
-      this.db.all(query, [], (err, rows) => {
-        if (err) reject(err);
-        else {
-          // Parse slash history JSON
-          const processedRows = rows.map(row => ({
-            ...row,
-            slashHistory: row.slashHistory ? 
-              row.slashHistory.split(',').map(item => JSON.parse(item)) : []
-          }));
-          resolve(processedRows);
-        }
-      });
+      `, params),
+      this.all(`
+        SELECT operatorAddress, avsAddress, operatorSetId, strategy, wadSlashed, slashedAmount,
+               reason, blockNumber, timestamp, transactionHash
+        FROM slash_history
+        ${inList ? `WHERE operatorAddress ${inList}` : ''}
+        ORDER BY blockNumber ASC, id ASC
+      `, params)
+    ]);
+
+    // Attach each operator's slashes as its slash history
+    const history = new Map();
+    slashes.forEach(({ operatorAddress, ...slash }) => {
+      if (!history.has(operatorAddress)) history.set(operatorAddress, []);
+      history.get(operatorAddress).push(slash);
     });
+
+    return validators.map(({
+      resolvedURI, metadataStatus, name, website, description, logo, twitter,
+      validationErrors, lastError, fetchedAt, checkedAt, checkCount, failureCount, ...validator
+    }) => ({
+      ...validator,
+      // The resolved metadata document, null until the resolver has checked the operator
+      profile: metadataStatus ? {
+        status: metadataStatus,
+        metadataURI: resolvedURI,
+        name,
+        website,
+        description,
+        logo,
+        twitter,
+        validationErrors: validationErrors ? JSON.parse(validationErrors) : [],
+        lastError,
+        fetchedAt,
+        checkedAt,
+        checkCount,
+        failureCount
+      } : null,
+      slashHistory: history.get(validator.operatorAddress) || []
+    }));
+  }
+
+  /**
+   * One page of operators in the requested order; callers load the full records
+   */
+  async getValidatorPage(options) {
+    const { search, ...filters } = options.filters || {};
+    // Operators whose resolved name contains the search text, LIKE wildcards matched literally
+    if (search) {
+      filters.search = `%${search.toLowerCase().replace(/[\\%_]/g, '\\$&')}%`;
+    }
+
+    const { rows, pagination } = await this.queryPage(VALIDATOR_LIST, { ...options, filters });
+    return { operatorAddresses: rows.map(row => row.operatorAddress), pagination };
+  }
+
+  /**
+   * Operator counts and delegated shares per strategy across the whole registry,
+   * plus the raw stake of operators without per-strategy shares
+   */
+  async getValidatorTotals() {
+    const [[counts], shareTotals, [unshared]] = await Promise.all([
+      this.all(`
+        SELECT COUNT(*) AS totalValidators,
+               COALESCE(SUM(CASE WHEN validatorStatus = 'active' THEN 1 ELSE 0 END), 0) AS activeValidators
+        FROM validators
+      `),
+      this.all(`
+        SELECT strategy, ${exactSum('shares', 'shares')}
+        FROM operator_shares
+        WHERE operatorAddress IN (SELECT LOWER(operatorAddress) FROM validators)
+        GROUP BY strategy
+      `),
+      this.all(`
+        SELECT ${exactSum("COALESCE(totalDelegatedStake, '0')", 'stake')}
+        FROM validators v
+        WHERE NOT EXISTS (SELECT 1 FROM operator_shares os WHERE os.operatorAddress = LOWER(v.operatorAddress))
+      `),
+    ]);
+
+    return {
+      totalValidators: counts.totalValidators,
+      activeValidators: counts.activeValidators,
+      shareTotals: shareTotals.map(row => ({ strategy: row.strategy, shares: combineExactSum(row, 'shares') })),
+      unsharedStake: combineExactSum(unshared, 'stake'),
+    };
   }
 
   // Rewards methods
-  async insertReward(rewardData) {
-    return new Promise((resolve, reject) => {
-      const query = `
-        INSERT INTO rewards 
-        (userAddress, validatorAddress, rewardAmount, rewardType, blockNumber, transactionHash)
-        VALUES (?, ?, ?, ?, ?, ?)
-      `;
-      
-      this.db.run(query, [
-        rewardData.userAddress,
-        rewardData.validatorAddress,
-        rewardData.rewardAmount,
-        rewardData.rewardType,
-        rewardData.blockNumber,
-        rewardData.transactionHash,
-      ], function(err) {
-        if (err) reject(err);
-        else resolve(this.lastID);
-      });
+  async upsertReward(rewardData) {
+    const { changes } = await this.run(REWARD_UPSERT[rewardIdentity(rewardData)].query, REWARD_UPSERT.params(rewardData));
+    return changes;
+  }
+
+  /**
+   * Upsert a batch of rewards by natural key in one transaction
+   */
+  async upsertRewards(rewards) {
+    return this.transaction(() => this.withStatements({
+      eventExists: REWARD_UPSERT.event.exists,
+      eventUpsert: REWARD_UPSERT.event.query,
+      distributionExists: REWARD_UPSERT.distribution.exists,
+      distributionUpsert: REWARD_UPSERT.distribution.query,
+    }, async (statements) => {
+      const counts = writeCounts();
+
+      for (const reward of rewards) {
+        const identity = rewardIdentity(reward);
+        const existed = (await statements[`${identity}Exists`].all(REWARD_UPSERT[identity].key(reward))).length > 0;
+        const { changes } = await statements[`${identity}Upsert`].run(REWARD_UPSERT.params(reward));
+
+        if (!existed) counts.inserted++;
+        else if (changes > 0) counts.updated++;
+        else counts.unchanged++;
+      }
+      return counts;
+    }));
+  }
+
+  /**
+   * One-off repair for rewards stored before they were keyed, when every
+   * refresh appended another copy with a fresh transaction hash. Copies of the
+   * same reward (earner, validator, type, block and amount) are collapsed to the
+   * oldest row. With `dryRun` the count is reported and nothing is changed.
+   */
+  async dedupeRewards({ dryRun = false } = {}) {
+    const duplicates = `
+      ${UNKEYED_REWARD} AND id NOT IN (
+        SELECT MIN(id) FROM rewards
+        WHERE ${UNKEYED_REWARD}
+        GROUP BY userAddress, validatorAddress, rewardType, blockNumber, rewardAmount
+      )
+    `;
+
+    return this.transaction(async () => {
+      const duplicated = await this.get(`SELECT COUNT(*) AS count FROM rewards WHERE ${duplicates}`);
+      const report = { duplicatesRemoved: duplicated.count };
+      if (dryRun) return report;
+
+      await this.run(`DELETE FROM rewards WHERE ${duplicates}`);
+      return report;
     });
   }
 
-  async getRewardsByAddress(userAddress) {
-    return new Promise((resolve, reject) => {
-      const queries = [
-        // Total rewards
-        `SELECT SUM(CAST(rewardAmount as REAL)) as totalRestakingRewardsReceived 
-         FROM rewards WHERE userAddress = ?`,
-        
-        // Breakdown per validator
-        `SELECT 
-           validatorAddress,
-           SUM(CAST(rewardAmount as REAL)) as totalRewards,
-           COUNT(*) as rewardCount,
-           MIN(timestamp) as firstReward,
-           MAX(timestamp) as lastReward
-         FROM rewards 
-         WHERE userAddress = ? 
-         GROUP BY validatorAddress`,
-         
-        // Recent reward timestamps
-        `SELECT rewardAmount, validatorAddress, timestamp, transactionHash
-         FROM rewards 
-         WHERE userAddress = ? 
-         ORDER BY timestamp DESC 
-         LIMIT 50`
-      ];
-
-      let results = {};
-      let completed = 0;
-
-      // Get total rewards
-      this.db.get(queries[0], [userAddress], (err, row) => {
-        if (err) reject(err);
-        else {
-          results.totalRestakingRewardsReceived = row?.totalRestakingRewardsReceived || '0';
-          completed++;
-          if (completed === 3) resolve(results);
-        }
-      });
+  /**
+   * Rewards for an earner: cumulative earnings and claims per token from the
+   * RewardsCoordinator, plus simulated rewards when running in demo mode
+   */
+  async getRewardsByAddress(address) {
+    const earner = address.toLowerCase();
 
-      // Get breakdown per validator
-      this.db.all(queries[1], [userAddress], (err, rows) => {
-        if (err) reject(err);
-        else {
-          results.breakdownPerValidator = rows || [];
-          completed++;
-          if (completed === 3) resolve(results);
-        }
-      });
+    const [earnings, claims, simulated] = await Promise.all([
+      this.all(`
+        SELECT e.token, e.cumulativeEarnings, e.rootIndex, t.symbol, t.decimals
+        FROM rewards_earnings e
+        LEFT JOIN tokens t ON t.tokenAddress = e.token
+        WHERE e.earner = ?
+      `, [earner]),
+      this.all(`
+        SELECT c.root, c.claimer, c.recipient, c.token, c.claimedAmount,
+               c.blockNumber, c.transactionHash, c.logIndex, c.timestamp,
+               t.symbol, t.decimals
+        FROM rewards_claims c
+        LEFT JOIN tokens t ON t.tokenAddress = c.token
+        WHERE c.earner = ?
+        ORDER BY c.blockNumber DESC, c.logIndex DESC
+      `, [earner]),
+      this.getSimulatedRewards(earner)
+    ]);
 
-      // Get reward timestamps
-      this.db.all(queries[2], [userAddress], (err, rows) => {
-        if (err) reject(err);
-        else {
-          results.rewardTimestamps = rows || [];
-          completed++;
-          if (completed === 3) resolve(results);
-        }
+    // Claims are deltas against the cumulative earnings, so claimable is the difference
+    const tokens = new Map();
+    const tokenFor = (row) => {
+      if (!tokens.has(row.token)) {
+        tokens.set(row.token, {
+          token: row.token,
+          symbol: row.symbol,
+          decimals: row.decimals === null || row.decimals === undefined ? 18 : row.decimals,
+          earned: 0n,
+          claimed: 0n,
+          claimCount: 0,
+          rootIndex: null,
+        });
+      }
+      return tokens.get(row.token);
+    };
+
+    earnings.forEach(row => {
+      const entry = tokenFor(row);
+      entry.earned = BigInt(row.cumulativeEarnings);
+      entry.rootIndex = row.rootIndex;
+    });
+    claims.forEach(row => {
+      const entry = tokenFor(row);
+      entry.claimed += BigInt(row.claimedAmount);
+      entry.claimCount++;
+    });
+
+    return {
+      tokens: Array.from(tokens.values()).map(entry => ({
+        ...entry,
+        earned: entry.earned.toString(),
+        claimed: entry.claimed.toString(),
+        claimable: (entry.earned > entry.claimed ? entry.earned - entry.claimed : 0n).toString(),
+      })),
+      claims,
+      simulated,
+    };
+  }
+
+  /**
+   * Rewards aggregated across every earner: per-token totals, distribution by
+   * operator (its own earnings plus its current delegators') and claim trends
+   */
+  async getRewardsStats({ operatorLimit = 20 } = {}) {
+    const trendBuckets = REWARD_TREND_BUCKETS[this.dialect];
+    const [earned, claimed, recipients, byOperator, ...trends] = await Promise.all([
+      this.all(`
+        SELECT e.token, t.symbol, t.decimals, COUNT(*) AS recipientCount, ${exactSum('e.cumulativeEarnings', 'earned')}
+        FROM rewards_earnings e
+        LEFT JOIN tokens t ON t.tokenAddress = e.token
+        GROUP BY e.token, t.symbol, t.decimals
+        ORDER BY e.token ASC
+      `),
+      this.all(`
+        SELECT c.token, t.symbol, t.decimals, COUNT(*) AS claimCount, ${exactSum('c.claimedAmount', 'claimed')}
+        FROM rewards_claims c
+        LEFT JOIN tokens t ON t.tokenAddress = c.token
+        GROUP BY c.token, t.symbol, t.decimals
+        ORDER BY c.token ASC
+      `),
+      this.all(`
+        SELECT COUNT(*) AS count
+        FROM (SELECT earner FROM rewards_earnings UNION SELECT earner FROM rewards_claims) earners
+      `),
+      this.all(`
+        WITH attributed AS (
+          SELECT COALESCE(v.operatorAddress, d.operatorAddress) AS operatorAddress, e.*
+          FROM rewards_earnings e
+          LEFT JOIN validators v ON v.operatorAddress = e.earner
+          LEFT JOIN (${CURRENT_DELEGATIONS}) d ON d.userAddress = e.earner
+        ),
+        ranked AS (
+          SELECT operatorAddress, COUNT(DISTINCT earner) AS earnerCount
+          FROM attributed
+          WHERE operatorAddress IS NOT NULL
+          GROUP BY operatorAddress
+          ORDER BY earnerCount DESC, operatorAddress ASC
+          LIMIT ?
+        )
+        SELECT a.operatorAddress, r.earnerCount, a.token, t.symbol, t.decimals,
+               ${exactSum('a.cumulativeEarnings', 'earned')}
+        FROM attributed a
+        JOIN ranked r ON r.operatorAddress = a.operatorAddress
+        LEFT JOIN tokens t ON t.tokenAddress = a.token
+        GROUP BY a.operatorAddress, a.token, r.earnerCount, t.symbol, t.decimals
+        ORDER BY r.earnerCount DESC, a.operatorAddress ASC, a.token ASC
+      `, [operatorLimit]),
+      ...Object.values(trendBuckets).map(({ bucket, since }) => this.all(`
+        SELECT ${bucket} AS period, c.token, t.symbol, t.decimals,
+               COUNT(*) AS claimCount, COUNT(DISTINCT c.earner) AS earnerCount,
+               ${exactSum('c.claimedAmount', 'claimed')}
+        FROM rewards_claims c
+        LEFT JOIN tokens t ON t.tokenAddress = c.token
+        WHERE ${bucket} >= ${since}
+        GROUP BY ${bucket}, c.token, t.symbol, t.decimals
+        ORDER BY period DESC, c.token ASC
+      `)),
+    ]);
+
+    const describeToken = (row) => ({
+      token: row.token,
+      symbol: row.symbol,
+      decimals: row.decimals === null || row.decimals === undefined ? 18 : row.decimals,
+    });
+
+    const tokens = new Map();
+    earned.forEach(row => {
+      tokens.set(row.token, {
+        ...describeToken(row),
+        earned: combineExactSum(row, 'earned'),
+        recipientCount: row.recipientCount,
+        claimed: '0',
+        claimCount: 0,
       });
     });
+    claimed.forEach(row => {
+      const entry = tokens.get(row.token) || { ...describeToken(row), earned: '0', recipientCount: 0 };
+      tokens.set(row.token, { ...entry, claimed: combineExactSum(row, 'claimed'), claimCount: row.claimCount });
+    });
+
+    const operators = new Map();
+    byOperator.forEach(row => {
+      if (!operators.has(row.operatorAddress)) {
+        operators.set(row.operatorAddress, {
+          operatorAddress: row.operatorAddress,
+          earnerCount: row.earnerCount,
+          tokens: [],
+        });
+      }
+      operators.get(row.operatorAddress).tokens.push({ ...describeToken(row), earned: combineExactSum(row, 'earned') });
+    });
+
+    return {
+      tokens: Array.from(tokens.values()),
+      uniqueRecipients: recipients[0].count,
+      byOperator: Array.from(operators.values()),
+      trends: Object.fromEntries(Object.keys(trendBuckets).map((period, i) => [
+        period,
+        trends[i].map(row => ({
+          period: row.period,
+          ...describeToken(row),
+          claimed: combineExactSum(row, 'claimed'),
+          claimCount: row.claimCount,
+          earnerCount: row.earnerCount,
+        })),
+      ])),
+    };
+  }
+
+  /**
+   * Simulated rewards written to the legacy rewards table in demo mode
+   */
+  async getSimulatedRewards(userAddress) {
+    const [[total], breakdown, recent] = await Promise.all([
+      this.all(`
+        SELECT ${exactSum('rewardAmount', 'total')}
+        FROM rewards WHERE userAddress = ?
+      `, [userAddress]),
+      this.all(`
+        SELECT validatorAddress, ${exactSum('rewardAmount', 'total')},
+               COUNT(*) AS rewardCount,
+               MIN(timestamp) AS firstReward,
+               MAX(timestamp) AS lastReward
+        FROM rewards
+        WHERE userAddress = ?
+        GROUP BY validatorAddress
+      `, [userAddress]),
+      // Latest rewards only; the full history is paged by getSimulatedRewardPage()
+      this.all(`
+        SELECT rewardAmount, validatorAddress, timestamp, transactionHash
+        FROM rewards
+        WHERE userAddress = ?
+        ORDER BY timestamp DESC
+        LIMIT 50
+      `, [userAddress]),
+    ]);
+
+    return {
+      totalRestakingRewardsReceived: combineExactSum(total, 'total'),
+      breakdownPerValidator: breakdown.map(row => ({
+        validatorAddress: row.validatorAddress,
+        totalRewards: combineExactSum(row, 'total'),
+        rewardCount: row.rewardCount,
+        firstReward: row.firstReward,
+        lastReward: row.lastReward,
+      })),
+      rewardTimestamps: recent,
+    };
+  }
+
+  /**
+   * One page of RewardsClaimed events matching the filters
+   */
+  async getRewardsClaimPage(options) {
+    const { rows, pagination } = await this.queryPage(CLAIM_LIST, options);
+    return { claims: rows, pagination };
+  }
+
+  /**
+   * One page of simulated rewards matching the filters, with their exact total
+   */
+  async getSimulatedRewardPage(options) {
+    const { rows, pagination, totals } = await this.queryPage(SIMULATED_REWARD_LIST, options);
+    return { rewards: rows, pagination, totalRewards: combineExactSum(totals, 'total') };
+  }
+
+  // Delegation methods
+  async insertDelegationEvent(eventData) {
+    const { changes } = await this.run(DELEGATION_EVENT_INSERT.query, DELEGATION_EVENT_INSERT.params(eventData));
+    return changes;
+  }
+
+  /**
+   * Store a batch of delegation events in one transaction
+   */
+  async upsertDelegationEvents(events) {
+    return this.transaction(() => this.withStatements({ insert: DELEGATION_EVENT_INSERT.query }, async ({ insert }) => {
+      const counts = writeCounts();
+      for (const event of events) {
+        const { changes } = await insert.run(DELEGATION_EVENT_INSERT.params(event));
+        counts[changes > 0 ? 'inserted' : 'unchanged']++;
+      }
+      return counts;
+    }));
+  }
+
+  /**
+   * Current staker -> operator delegations, taken from each staker's latest event
+   */
+  async getCurrentDelegations(userAddress = null) {
+    const query = `
+      SELECT userAddress, operatorAddress, blockNumber, timestamp
+      FROM (
+        SELECT *, ROW_NUMBER() OVER (
+          PARTITION BY userAddress ORDER BY blockNumber DESC, logIndex DESC
+        ) AS position
+        FROM delegation_events
+        ${userAddress ? 'WHERE userAddress = ?' : ''}
+      ) ranked
+      WHERE position = 1 AND eventType = 'delegated'
+    `;
+
+    return this.all(query, userAddress ? [userAddress.toLowerCase()] : []);
+  }
+
+  async getDelegationHistory(userAddress) {
+    const query = `
+      SELECT eventType, operatorAddress, blockNumber, transactionHash, timestamp
+      FROM delegation_events
+      WHERE userAddress = ?
+      ORDER BY blockNumber DESC, logIndex DESC
+    `;
+
+    return this.all(query, [userAddress.toLowerCase()]);
+  }
+
+  async insertOperatorShareEvent(eventData) {
+    const query = `
+      INSERT INTO operator_share_events
+      (eventType, operatorAddress, userAddress, strategy, shares, blockNumber, transactionHash, logIndex, timestamp)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP))
+      ON CONFLICT DO NOTHING
+    `;
+
+    const { changes } = await this.run(query, [
+      eventData.eventType,
+      eventData.operatorAddress,
+      eventData.userAddress,
+      eventData.strategy,
+      eventData.shares,
+      eventData.blockNumber,
+      eventData.transactionHash,
+      eventData.logIndex,
+      eventData.timestamp,
+    ]);
+    return changes;
+  }
+
+  async sumOperatorShareEvents(operatorAddress) {
+    const query = `
+      SELECT eventType, strategy, shares
+      FROM operator_share_events
+      WHERE operatorAddress = ?
+    `;
+
+    const rows = await this.all(query, [operatorAddress]);
+
+    // Net the increases and decreases per strategy as BigInt
+    const totals = new Map();
+    rows.forEach(row => {
+      const delta = row.eventType === 'decrease' ? -BigInt(row.shares) : BigInt(row.shares);
+      totals.set(row.strategy, (totals.get(row.strategy) || 0n) + delta);
+    });
+    return Array.from(totals, ([strategy, shares]) => ({
+      strategy,
+      shares: shares.toString(),
+    }));
+  }
+
+  /**
+   * Replace an operator's current per-strategy shares
+   */
+  async setOperatorShares(operatorAddress, shares, source = 'live') {
+    await this.transaction(async () => {
+      await this.run('DELETE FROM operator_shares WHERE operatorAddress = ?', [operatorAddress]);
+      for (const position of shares) {
+        await this.run(
+          'INSERT INTO operator_shares (operatorAddress, strategy, shares, source) VALUES (?, ?, ?, ?)',
+          [operatorAddress, position.strategy, position.shares, source]
+        );
+      }
+    });
+  }
+
+  async getOperatorShares(operatorAddress) {
+    const query = `
+      SELECT strategy, shares, updatedAt
+      FROM operator_shares
+      WHERE operatorAddress = ?
+      ORDER BY strategy
+    `;
+
+    return this.all(query, [operatorAddress.toLowerCase()]);
+  }
+
+  // Strategy methods
+  async upsertStrategy(strategyData) {
+    // Whitelisting events only know the address; keep metadata we already have
+    const query = `
+      INSERT INTO strategies
+      (strategyAddress, underlyingToken, symbol, name, decimals, sharesToUnderlyingRate, rateBlockNumber, firstSeenBlock, updatedAt)
+      VALUES (?, ?, ?, ?, COALESCE(?, 18), ?, ?, ?, CURRENT_TIMESTAMP)
+      ON CONFLICT(strategyAddress) DO UPDATE SET
+        underlyingToken = COALESCE(excluded.underlyingToken, strategies.underlyingToken),
+        symbol = COALESCE(excluded.symbol, strategies.symbol),
+        name = COALESCE(excluded.name, strategies.name),
+        decimals = CASE WHEN CAST(? AS INTEGER) IS NULL THEN strategies.decimals ELSE excluded.decimals END,
+        sharesToUnderlyingRate = COALESCE(excluded.sharesToUnderlyingRate, strategies.sharesToUnderlyingRate),
+        rateBlockNumber = COALESCE(excluded.rateBlockNumber, strategies.rateBlockNumber),
+        updatedAt = CURRENT_TIMESTAMP
+    `;
+
+    const { changes } = await this.run(query, [
+      strategyData.strategyAddress,
+      strategyData.underlyingToken,
+      strategyData.symbol,
+      strategyData.name,
+      strategyData.decimals,
+      strategyData.sharesToUnderlyingRate,
+      strategyData.rateBlockNumber,
+      strategyData.firstSeenBlock ?? null,
+      strategyData.decimals,
+    ]);
+    return changes;
+  }
+
+  /**
+   * Every strategy with the ETH rate of its underlying token, when one is known
+   */
+  async getAllStrategies() {
+    const query = `
+      SELECT s.strategyAddress, s.underlyingToken, s.symbol, s.name, s.decimals,
+             s.sharesToUnderlyingRate, s.rateBlockNumber, s.createdAt, s.updatedAt,
+             r.ethRate, r.provider AS ethRateProvider, r.blockNumber AS ethRateBlockNumber,
+             r.updatedAt AS ethRateUpdatedAt
+      FROM strategies s
+      LEFT JOIN token_rates r ON r.token = s.underlyingToken
+      ORDER BY s.symbol ASC, s.strategyAddress ASC
+    `;
+
+    return this.all(query, []);
+  }
+
+  async upsertTokenRate(rateData) {
+    await this.run(`
+      INSERT INTO token_rates (token, symbol, provider, ethRate, blockNumber, source, updatedAt)
+      VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+      ON CONFLICT(token) DO UPDATE SET
+        symbol = excluded.symbol,
+        provider = excluded.provider,
+        ethRate = excluded.ethRate,
+        blockNumber = excluded.blockNumber,
+        source = excluded.source,
+        updatedAt = CURRENT_TIMESTAMP
+    `, [
+      rateData.token,
+      rateData.symbol,
+      rateData.provider,
+      rateData.ethRate,
+      rateData.blockNumber,
+      rateData.source || 'live',
+    ]);
+  }
+
+  /**
+   * Every strategy address referenced by the catalog, the ledger or operator shares
+   */
+  async getKnownStrategyAddresses() {
+    const query = `
+      SELECT strategyAddress FROM strategies
+      UNION SELECT strategy FROM restaking_events
+      UNION SELECT strategy FROM operator_shares
+      UNION SELECT '${BEACON_CHAIN_ETH_STRATEGY}' FROM eigenpods
+    `;
+
+    const rows = await this.all(query, []);
+    return rows.map(row => row.strategyAddress);
+  }
+
+  /**
+   * Net restaked shares per strategy across the whole ledger
+   */
+  async getStrategyShareTotals() {
+    const debit = "eventType IN ('withdrawal', 'slashed')";
+    const rows = await this.all(`
+      SELECT strategy, COUNT(DISTINCT userAddress) AS stakerCount,
+             ${exactSum(`(CASE WHEN ${debit} THEN '0' ELSE shares END)`, 'credited')},
+             ${exactSum(`(CASE WHEN ${debit} THEN shares ELSE '0' END)`, 'debited')}
+      FROM (${STAKER_LEDGER}) ledger
+      GROUP BY strategy
+    `);
+
+    return new Map(rows.map(row => [row.strategy, {
+      totalShares: (BigInt(combineExactSum(row, 'credited')) - BigInt(combineExactSum(row, 'debited'))).toString(),
+      stakerCount: row.stakerCount,
+    }]));
+  }
+
+  async getAllOperatorShares(operatorAddresses = null) {
+    const query = `
+      SELECT operatorAddress, strategy, shares
+      FROM operator_shares
+      ${operatorAddresses ? `WHERE operatorAddress IN (${operatorAddresses.map(() => '?').join(', ')})` : ''}
+    `;
+
+    const rows = await this.all(query, (operatorAddresses || []).map(address => address.toLowerCase()));
+    const shares = new Map();
+    rows.forEach(row => {
+      if (!shares.has(row.operatorAddress)) shares.set(row.operatorAddress, []);
+      shares.get(row.operatorAddress).push({ strategy: row.strategy, shares: row.shares });
+    });
+    return shares;
+  }
+
+  // AVS methods
+  async upsertAvs(avsData) {
+    const query = `
+      INSERT INTO avs (avsAddress, metadataURI, updatedAt)
+      VALUES (?, ?, CURRENT_TIMESTAMP)
+      ON CONFLICT(avsAddress) DO UPDATE SET
+        metadataURI = COALESCE(excluded.metadataURI, avs.metadataURI),
+        updatedAt = CURRENT_TIMESTAMP
+    `;
+
+    const { changes } = await this.run(query, [avsData.avsAddress, avsData.metadataURI]);
+    return changes;
+  }
+
+  async insertAvsRegistrationEvent(eventData) {
+    const query = `
+      INSERT INTO avs_operator_events
+      (avsAddress, operatorAddress, status, blockNumber, transactionHash, logIndex, timestamp)
+      VALUES (?, ?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP))
+      ON CONFLICT DO NOTHING
+    `;
+
+    const { changes } = await this.run(query, [
+      eventData.avsAddress,
+      eventData.operatorAddress,
+      eventData.status,
+      eventData.blockNumber,
+      eventData.transactionHash,
+      eventData.logIndex,
+      eventData.timestamp,
+    ]);
+    return changes;
+  }
+
+  async getAllAvs() {
+    const query = `
+      SELECT
+        a.avsAddress,
+        a.metadataURI,
+        COUNT(r.operatorAddress) as operatorCount,
+        a.createdAt,
+        a.updatedAt
+      FROM avs a
+      LEFT JOIN (${CURRENT_AVS_REGISTRATIONS}) r ON r.avsAddress = a.avsAddress
+      GROUP BY a.avsAddress, a.metadataURI, a.createdAt, a.updatedAt
+      ORDER BY operatorCount DESC, a.avsAddress ASC
+    `;
+
+    return this.all(query, []);
+  }
+
+  /**
+   * AVS details with its registered operators and the stake securing it per strategy
+   */
+  async getAvsByAddress(avsAddress) {
+    const address = avsAddress.toLowerCase();
+
+    const avs = await this.get(
+      'SELECT avsAddress, metadataURI, createdAt, updatedAt FROM avs WHERE avsAddress = ?',
+      [address]
+    );
+    if (!avs) return null;
+
+    const [operators, shares] = await Promise.all([
+      this.all(`
+        SELECT r.operatorAddress, r.blockNumber as registeredAtBlock, r.timestamp as registeredAt,
+               v.totalDelegatedStake
+        FROM (${CURRENT_AVS_REGISTRATIONS}) r
+        LEFT JOIN validators v ON v.operatorAddress = r.operatorAddress
+        WHERE r.avsAddress = ?
+        ORDER BY r.blockNumber ASC
+      `, [address]),
+      this.all(`
+        SELECT os.strategy, os.shares
+        FROM (${CURRENT_AVS_REGISTRATIONS}) r
+        JOIN operator_shares os ON os.operatorAddress = r.operatorAddress
+        WHERE r.avsAddress = ?
+      `, [address]),
+    ]);
+
+    // Shares are wei strings, so total them per strategy as BigInt
+    const totals = new Map();
+    shares.forEach(row => {
+      totals.set(row.strategy, (totals.get(row.strategy) || 0n) + BigInt(row.shares));
+    });
+
+    return {
+      ...avs,
+      operators,
+      securedStakeByStrategy: Array.from(totals, ([strategy, total]) => ({
+        strategy,
+        shares: total.toString(),
+      })),
+    };
+  }
+
+  async getOperatorAvsRegistrations(operatorAddress) {
+    const address = operatorAddress.toLowerCase();
+
+    const [current, history] = await Promise.all([
+      this.all(`
+        SELECT r.avsAddress, a.metadataURI, r.blockNumber as registeredAtBlock, r.timestamp as registeredAt
+        FROM (${CURRENT_AVS_REGISTRATIONS}) r
+        LEFT JOIN avs a ON a.avsAddress = r.avsAddress
+        WHERE r.operatorAddress = ?
+        ORDER BY r.blockNumber ASC
+      `, [address]),
+      this.all(`
+        SELECT avsAddress, status, blockNumber, transactionHash, timestamp
+        FROM avs_operator_events
+        WHERE operatorAddress = ?
+        ORDER BY blockNumber DESC, logIndex DESC
+      `, [address]),
+    ]);
+
+    return { current, history };
+  }
+
+  // RewardsCoordinator methods
+  async insertDistributionRoot(rootData) {
+    const result = await this.run(`
+      INSERT INTO distribution_roots
+      (rootIndex, root, rewardsCalculationEndTimestamp, activatedAt, blockNumber, transactionHash, logIndex, timestamp)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(rootIndex) DO UPDATE SET
+        root = excluded.root,
+        rewardsCalculationEndTimestamp = excluded.rewardsCalculationEndTimestamp,
+        activatedAt = excluded.activatedAt,
+        disabled = 0,
+        blockNumber = excluded.blockNumber,
+        transactionHash = excluded.transactionHash,
+        logIndex = excluded.logIndex,
+        timestamp = excluded.timestamp
+    `, [
+      rootData.rootIndex,
+      rootData.root,
+      rootData.rewardsCalculationEndTimestamp,
+      rootData.activatedAt,
+      rootData.blockNumber,
+      rootData.transactionHash,
+      rootData.logIndex,
+      rootData.timestamp,
+    ]);
+    return result.changes;
+  }
+
+  async disableDistributionRoot(rootIndex) {
+    const result = await this.run(
+      'UPDATE distribution_roots SET disabled = 1 WHERE rootIndex = ?',
+      [rootIndex]
+    );
+    return result.changes;
+  }
+
+  /**
+   * Newest root that is enabled and already claimable at `timestamp` (unix seconds)
+   */
+  async getLatestActiveRoot(timestamp) {
+    const rows = await this.all(`
+      SELECT rootIndex, root, rewardsCalculationEndTimestamp, activatedAt, blockNumber, transactionHash
+      FROM distribution_roots
+      WHERE disabled = 0 AND activatedAt <= ?
+      ORDER BY rootIndex DESC
+      LIMIT 1
+    `, [timestamp]);
+    return rows[0] || null;
+  }
+
+  async insertRewardsClaim(claimData) {
+    const result = await this.run(`
+      INSERT INTO rewards_claims
+      (root, earner, claimer, recipient, token, claimedAmount, blockNumber, transactionHash, logIndex, timestamp)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT DO NOTHING
+    `, [
+      claimData.root,
+      claimData.earner,
+      claimData.claimer,
+      claimData.recipient,
+      claimData.token,
+      claimData.claimedAmount,
+      claimData.blockNumber,
+      claimData.transactionHash,
+      claimData.logIndex,
+      claimData.timestamp,
+    ]);
+    return result.changes;
+  }
+
+  async insertRewardsSubmission(submissionData) {
+    const result = await this.run(`
+      INSERT INTO rewards_submissions
+      (submissionType, submitter, avsAddress, submissionNonce, submissionHash, token, amount,
+       strategies, operatorRewards, startTimestamp, duration, blockNumber, transactionHash, logIndex, timestamp)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT DO NOTHING
+    `, [
+      submissionData.submissionType,
+      submissionData.submitter,
+      submissionData.avsAddress,
+      submissionData.submissionNonce,
+      submissionData.submissionHash,
+      submissionData.token,
+      submissionData.amount,
+      JSON.stringify(submissionData.strategies || []),
+      submissionData.operatorRewards ? JSON.stringify(submissionData.operatorRewards) : null,
+      submissionData.startTimestamp,
+      submissionData.duration,
+      submissionData.blockNumber,
+      submissionData.transactionHash,
+      submissionData.logIndex,
+      submissionData.timestamp,
+    ]);
+    return result.changes;
+  }
+
+  /**
+   * Rewards submissions, newest first, optionally for one AVS or a directed operator.
+   * `limit` is clamped like a list page, defaulting to 100.
+   */
+  async getRewardsSubmissions({ avsAddress, operatorAddress, limit } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (avsAddress) {
+      conditions.push('s.avsAddress = ?');
+      params.push(avsAddress.toLowerCase());
+    }
+    if (operatorAddress) {
+      conditions.push('s.operatorRewards LIKE ?');
+      params.push(`%"${operatorAddress.toLowerCase()}"%`);
+    }
+
+    const rows = await this.all(`
+      SELECT s.*, t.symbol, t.decimals
+      FROM rewards_submissions s
+      LEFT JOIN tokens t ON t.tokenAddress = s.token
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY s.blockNumber DESC, s.logIndex DESC
+      LIMIT ?
+    `, [...params, clampPageSize(limit, 100)]);
+
+    return rows.map(row => ({
+      ...row,
+      strategies: JSON.parse(row.strategies || '[]'),
+      operatorRewards: row.operatorRewards ? JSON.parse(row.operatorRewards) : null,
+    }));
+  }
+
+  /**
+   * Every rewards submission whose period ends after the unix time `after`, oldest first
+   */
+  async getRewardsSubmissionsEndingAfter(after) {
+    const rows = await this.all(`
+      SELECT s.*, t.symbol, t.decimals
+      FROM rewards_submissions s
+      LEFT JOIN tokens t ON t.tokenAddress = s.token
+      WHERE s.startTimestamp + s.duration > ?
+      ORDER BY s.startTimestamp ASC, s.blockNumber ASC, s.logIndex ASC
+    `, [after]);
+
+    return rows.map(row => ({
+      ...row,
+      strategies: JSON.parse(row.strategies || '[]'),
+      operatorRewards: row.operatorRewards ? JSON.parse(row.operatorRewards) : null,
+    }));
+  }
+
+  async insertOperatorSplitEvent(splitData) {
+    const result = await this.run(`
+      INSERT INTO operator_split_events
+      (splitType, operatorAddress, avsAddress, caller, activatedAt, oldSplitBips, newSplitBips,
+       blockNumber, transactionHash, logIndex, timestamp, source)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP), ?)
+      ON CONFLICT DO NOTHING
+    `, [
+      splitData.splitType,
+      splitData.operatorAddress || null,
+      splitData.avsAddress || null,
+      splitData.caller || null,
+      splitData.activatedAt,
+      splitData.oldSplitBips,
+      splitData.newSplitBips,
+      splitData.blockNumber,
+      splitData.transactionHash,
+      splitData.logIndex,
+      splitData.timestamp,
+      splitData.source || 'live',
+    ]);
+    return result.changes;
+  }
+
+  /**
+   * Split changes in activation order: one operator's plus every default change,
+   * or all of them without an operator
+   */
+  async getOperatorSplitEvents(operatorAddress = null) {
+    return this.all(`
+      SELECT splitType, operatorAddress, avsAddress, caller, activatedAt, oldSplitBips, newSplitBips,
+             blockNumber, transactionHash, logIndex, timestamp
+      FROM operator_split_events
+      ${operatorAddress ? "WHERE operatorAddress = ? OR splitType = 'default'" : ''}
+      ORDER BY activatedAt ASC, blockNumber ASC, logIndex ASC
+    `, operatorAddress ? [operatorAddress.toLowerCase()] : []);
+  }
+
+  /**
+   * Upsert one batch of cumulative earnings from a distribution
+   */
+  async saveRewardsEarnings(rootIndex, earnings) {
+    await this.transaction(async () => {
+      for (const earning of earnings) {
+        await this.run(`
+          INSERT INTO rewards_earnings (earner, token, cumulativeEarnings, rootIndex, updatedAt)
+          VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)
+          ON CONFLICT(earner, token) DO UPDATE SET
+            cumulativeEarnings = excluded.cumulativeEarnings,
+            rootIndex = excluded.rootIndex,
+            updatedAt = CURRENT_TIMESTAMP
+        `, [earning.earner, earning.token, earning.cumulativeEarnings, rootIndex]);
+      }
+    });
+  }
+
+  /**
+   * Drop earnings left over from distributions older than `rootIndex`
+   */
+  async pruneRewardsEarnings(rootIndex) {
+    const result = await this.run('DELETE FROM rewards_earnings WHERE rootIndex < ?', [rootIndex]);
+    return result.changes;
+  }
+
+  // Token methods
+  async upsertToken(tokenData) {
+    const result = await this.run(`
+      INSERT INTO tokens (tokenAddress, symbol, name, decimals, updatedAt)
+      VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)
+      ON CONFLICT(tokenAddress) DO UPDATE SET
+        symbol = excluded.symbol,
+        name = excluded.name,
+        decimals = excluded.decimals,
+        updatedAt = CURRENT_TIMESTAMP
+    `, [tokenData.tokenAddress, tokenData.symbol, tokenData.name, tokenData.decimals]);
+    return result.changes;
+  }
+
+  /**
+   * Reward tokens referenced by claims, earnings or submissions with no metadata yet
+   */
+  async getUnknownRewardTokens() {
+    const rows = await this.all(`
+      SELECT token FROM rewards_claims
+      UNION SELECT token FROM rewards_earnings
+      UNION SELECT token FROM rewards_submissions
+      EXCEPT SELECT tokenAddress FROM tokens
+    `);
+    return rows.map(row => row.token);
   }
 
+  // Slashing methods
   async insertSlashEvent(slashData) {
-    return new Promise((resolve, reject) => {
-      const query = `
-        INSERT INTO slash_history 
-        (operatorAddress, slashedAmount, reason, blockNumber, transactionHash)
-        VALUES (?, ?, ?, ?, ?)
-      `;
-      
-      this.db.run(query, [
-        slashData.operatorAddress,
-        slashData.slashedAmount,
-        slashData.reason,
-        slashData.blockNumber,
-        slashData.transactionHash,
-      ], function(err) {
-        if (err) reject(err);
-        else resolve(this.lastID);
+    const result = await this.run(`
+      INSERT INTO slash_history
+      (operatorAddress, avsAddress, operatorSetId, strategy, wadSlashed, slashedAmount, reason,
+       blockNumber, transactionHash, logIndex, timestamp, source)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP), ?)
+      ON CONFLICT DO NOTHING
+    `, [
+      slashData.operatorAddress,
+      slashData.avsAddress,
+      slashData.operatorSetId,
+      slashData.strategy,
+      slashData.wadSlashed,
+      slashData.slashedAmount,
+      slashData.reason,
+      slashData.blockNumber,
+      slashData.transactionHash,
+      slashData.logIndex,
+      slashData.timestamp,
+      slashData.source || 'live',
+    ]);
+    return result.changes;
+  }
+
+  async insertStakerSlashes(slashes) {
+    await this.transaction(async () => {
+      for (const slash of slashes) {
+        await this.run(`
+          INSERT INTO staker_slashes
+          (userAddress, operatorAddress, avsAddress, operatorSetId, strategy, sharesBefore, sharesSlashed,
+           wadSlashed, blockNumber, transactionHash, logIndex, timestamp, source)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP), ?)
+          ON CONFLICT DO NOTHING
+        `, [
+          slash.userAddress,
+          slash.operatorAddress,
+          slash.avsAddress,
+          slash.operatorSetId,
+          slash.strategy,
+          slash.sharesBefore,
+          slash.sharesSlashed,
+          slash.wadSlashed,
+          slash.blockNumber,
+          slash.transactionHash,
+          slash.logIndex,
+          slash.timestamp,
+          slash.source || 'live',
+        ]);
+      }
+    });
+  }
+
+  /**
+   * Magnitude the operator had allocated to an operator set in a strategy, and its max
+   * magnitude, just before the given log's transaction (whose own AllocationUpdated and
+   * MaxMagnitudeUpdated already reflect the slash). allocatedMagnitude is null when no
+   * allocation was indexed; max magnitude starts at 1e18.
+   */
+  async getSlashedMagnitudes(operatorAddress, { avsAddress, operatorSetId }, strategy, { blockNumber, logIndex, transactionHash }) {
+    const before = 'transactionHash != ? AND (blockNumber < ? OR (blockNumber = ? AND logIndex < ?))';
+    const position = [transactionHash, blockNumber, blockNumber, logIndex];
+
+    const [allocation, max] = await Promise.all([
+      this.get(`
+        SELECT magnitude FROM allocation_events
+        WHERE operatorAddress = ? AND avsAddress = ? AND operatorSetId = ? AND strategy = ?
+          AND effectBlock <= ? AND ${before}
+        ORDER BY blockNumber DESC, logIndex DESC
+        LIMIT 1
+      `, [operatorAddress.toLowerCase(), avsAddress, operatorSetId, strategy.toLowerCase(), blockNumber, ...position]),
+      this.get(`
+        SELECT maxMagnitude FROM max_magnitude_events
+        WHERE operatorAddress = ? AND strategy = ? AND ${before}
+        ORDER BY blockNumber DESC, logIndex DESC
+        LIMIT 1
+      `, [operatorAddress.toLowerCase(), strategy.toLowerCase(), ...position]),
+    ]);
+
+    return {
+      allocatedMagnitude: allocation ? BigInt(allocation.magnitude) : null,
+      maxMagnitude: max ? BigInt(max.maxMagnitude) : 10n ** 18n,
+    };
+  }
+
+  /**
+   * Shares each staker delegated to the operator held in a strategy just before
+   * the given log, net of earlier slashes. Stakers without a position are omitted.
+   */
+  async getDelegatedStakerShares(operatorAddress, strategy, { blockNumber, logIndex }) {
+    const rows = await this.all(`
+      WITH delegated AS (
+        SELECT userAddress
+        FROM (
+          SELECT *, ROW_NUMBER() OVER (
+            PARTITION BY userAddress ORDER BY blockNumber DESC, logIndex DESC
+          ) AS position
+          FROM delegation_events
+          WHERE blockNumber < ? OR (blockNumber = ? AND logIndex < ?)
+        ) ranked
+        WHERE position = 1 AND eventType = 'delegated' AND operatorAddress = ?
+      )
+      SELECT l.userAddress, l.eventType, l.shares
+      FROM (${STAKER_LEDGER}) l
+      JOIN delegated d ON d.userAddress = l.userAddress
+      WHERE l.strategy = ? AND (l.blockNumber < ? OR (l.blockNumber = ? AND l.logIndex < ?))
+    `, [
+      blockNumber, blockNumber, logIndex, operatorAddress.toLowerCase(),
+      strategy.toLowerCase(), blockNumber, blockNumber, logIndex,
+    ]);
+
+    const shares = new Map();
+    rows.forEach(row => {
+      const delta = ['withdrawal', 'slashed'].includes(row.eventType) ? -BigInt(row.shares) : BigInt(row.shares);
+      shares.set(row.userAddress, (shares.get(row.userAddress) || 0n) + delta);
+    });
+
+    return new Map(Array.from(shares).filter(([, balance]) => balance > 0n));
+  }
+
+  async getStakerSlashes(userAddress) {
+    return this.all(`
+      SELECT operatorAddress, avsAddress, operatorSetId, strategy, sharesBefore, sharesSlashed, wadSlashed,
+             blockNumber, transactionHash, timestamp
+      FROM staker_slashes
+      WHERE userAddress = ?
+      ORDER BY blockNumber DESC, logIndex DESC
+    `, [userAddress.toLowerCase()]);
+  }
+
+  // Withdrawal methods
+  async insertWithdrawal(withdrawalData) {
+    const result = await this.run(`
+      INSERT INTO withdrawals
+      (withdrawalRoot, withdrawalType, staker, delegatedTo, withdrawer, nonce, startBlock, strategies,
+       blockNumber, transactionHash, logIndex, timestamp, source)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP), ?)
+      ON CONFLICT DO NOTHING
+    `, [
+      withdrawalData.withdrawalRoot,
+      withdrawalData.withdrawalType,
+      withdrawalData.staker,
+      withdrawalData.delegatedTo,
+      withdrawalData.withdrawer,
+      withdrawalData.nonce,
+      withdrawalData.startBlock,
+      JSON.stringify(withdrawalData.strategies),
+      withdrawalData.blockNumber,
+      withdrawalData.transactionHash,
+      withdrawalData.logIndex,
+      withdrawalData.timestamp,
+      withdrawalData.source || 'live',
+    ]);
+    return result.changes;
+  }
+
+  async insertWithdrawalCompletion(completionData) {
+    const result = await this.run(`
+      INSERT INTO withdrawal_completions
+      (withdrawalRoot, blockNumber, transactionHash, logIndex, timestamp, source)
+      VALUES (?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP), ?)
+      ON CONFLICT DO NOTHING
+    `, [
+      completionData.withdrawalRoot,
+      completionData.blockNumber,
+      completionData.transactionHash,
+      completionData.logIndex,
+      completionData.timestamp,
+      completionData.source || 'live',
+    ]);
+    return result.changes;
+  }
+
+  async insertWithdrawalDelay(delayData) {
+    const result = await this.run(`
+      INSERT INTO withdrawal_delay_events
+      (strategy, delayBlocks, blockNumber, transactionHash, logIndex, timestamp, source)
+      VALUES (?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP), ?)
+      ON CONFLICT DO NOTHING
+    `, [
+      delayData.strategy,
+      delayData.delayBlocks,
+      delayData.blockNumber,
+      delayData.transactionHash,
+      delayData.logIndex,
+      delayData.timestamp,
+      delayData.source || 'live',
+    ]);
+    return result.changes;
+  }
+
+  /**
+   * The latest legacy withdrawal delays: the minimum (null until one is indexed)
+   * and each strategy's own delay
+   */
+  async getWithdrawalDelays() {
+    const rows = await this.all(`
+      SELECT strategy, delayBlocks FROM (
+        SELECT strategy, delayBlocks,
+               ROW_NUMBER() OVER (PARTITION BY COALESCE(strategy, '') ORDER BY blockNumber DESC, logIndex DESC) AS position
+        FROM withdrawal_delay_events
+      ) latest
+      WHERE position = 1
+    `);
+
+    const minimum = rows.find(row => row.strategy === null);
+    return {
+      minimum: minimum ? minimum.delayBlocks : null,
+      strategies: new Map(rows.filter(row => row.strategy !== null).map(row => [row.strategy, row.delayBlocks])),
+    };
+  }
+
+  /**
+   * A staker's withdrawals, newest first, with their completion if any
+   */
+  async getWithdrawalsByStaker(staker) {
+    const rows = await this.all(`
+      SELECT w.withdrawalRoot, w.withdrawalType, w.staker, w.delegatedTo, w.withdrawer, w.nonce,
+             w.startBlock, w.strategies, w.blockNumber, w.transactionHash, w.timestamp,
+             c.blockNumber AS completedBlock, c.transactionHash AS completedTransactionHash,
+             c.timestamp AS completedAt
+      FROM withdrawals w
+      LEFT JOIN withdrawal_completions c ON c.withdrawalRoot = w.withdrawalRoot
+      WHERE w.staker = ?
+      ORDER BY w.blockNumber DESC, w.logIndex DESC
+    `, [staker.toLowerCase()]);
+    return rows.map(toWithdrawal);
+  }
+
+  /**
+   * One page of withdrawals still in the queue
+   */
+  async getPendingWithdrawalPage(options) {
+    const { rows, pagination } = await this.queryPage(PENDING_WITHDRAWAL_LIST, options);
+    return { withdrawals: rows.map(toWithdrawal), pagination };
+  }
+
+  /**
+   * Shares queued for withdrawal per strategy across every pending withdrawal
+   */
+  async getPendingWithdrawalTotals() {
+    const rows = await this.all(`SELECT strategies FROM (${PENDING_WITHDRAWAL_LIST.from}) pending`);
+
+    const totals = new Map();
+    rows.forEach(row => {
+      JSON.parse(row.strategies).forEach(position => {
+        const total = totals.get(position.strategy) || { shares: 0n, withdrawalCount: 0 };
+        total.shares += BigInt(position.shares);
+        total.withdrawalCount++;
+        totals.set(position.strategy, total);
       });
     });
+
+    return new Map(Array.from(totals, ([strategy, total]) => [strategy, {
+      shares: total.shares.toString(),
+      withdrawalCount: total.withdrawalCount,
+    }]));
   }
 
-  close() {
-    if (this.db) {
-      this.db.close((err) => {
-        if (err) {
-          console.error('Error closing database:', err);
-        } else {
-          console.log('Database connection closed.');
-        }
+  // Operator metadata methods
+  async insertOperatorMetadataURIEvent(eventData) {
+    const result = await this.run(`
+      INSERT INTO operator_metadata_uri_events
+      (operatorAddress, metadataURI, blockNumber, transactionHash, logIndex, timestamp, source)
+      VALUES (?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP), ?)
+      ON CONFLICT DO NOTHING
+    `, [
+      eventData.operatorAddress,
+      eventData.metadataURI,
+      eventData.blockNumber,
+      eventData.transactionHash,
+      eventData.logIndex,
+      eventData.timestamp,
+      eventData.source || 'live',
+    ]);
+    return result.changes;
+  }
+
+  /**
+   * Every metadata URI an operator has published, newest first
+   */
+  async getOperatorMetadataURIHistory(operatorAddress) {
+    return this.all(`
+      SELECT metadataURI, blockNumber, transactionHash, timestamp
+      FROM operator_metadata_uri_events
+      WHERE operatorAddress = ?
+      ORDER BY blockNumber DESC, logIndex DESC
+    `, [operatorAddress.toLowerCase()]);
+  }
+
+  /**
+   * Live operators whose metadata URI has not been resolved yet, has changed since, or
+   * is due for a refresh at `now`; new URIs first, then the longest overdue. The cached
+   * document comes along so an unchanged or unreachable one can be kept.
+   */
+  async getOperatorsDueForMetadata(now, limit) {
+    return this.all(`
+      SELECT LOWER(v.operatorAddress) AS operatorAddress, v.metadataURI,
+             m.metadataURI AS cachedURI, m.status, m.name, m.website, m.description, m.logo,
+             m.twitter, m.validationErrors, m.etag, m.fetchedAt
+      FROM validators v
+      LEFT JOIN operator_metadata m ON m.operatorAddress = LOWER(v.operatorAddress)
+      WHERE v.source = 'live'
+        AND v.metadataURI IS NOT NULL AND v.metadataURI <> ''
+        AND (m.operatorAddress IS NULL OR m.metadataURI <> v.metadataURI OR m.nextRefreshAt <= ?)
+      ORDER BY CASE WHEN m.metadataURI = v.metadataURI THEN m.nextRefreshAt ELSE '' END ASC,
+               LOWER(v.operatorAddress) ASC
+      LIMIT ?
+    `, [now, limit]);
+  }
+
+  /**
+   * Store the outcome of one metadata check; `failed` counts it against the operator's uptime
+   */
+  async saveOperatorMetadata(metadata) {
+    await this.run(`
+      INSERT INTO operator_metadata
+      (operatorAddress, metadataURI, status, name, website, description, logo, twitter,
+       validationErrors, etag, lastError, fetchedAt, checkedAt, nextRefreshAt, source,
+       checkCount, failureCount)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 1, ?)
+      ON CONFLICT(operatorAddress) DO UPDATE SET
+        metadataURI = excluded.metadataURI,
+        status = excluded.status,
+        name = excluded.name,
+        website = excluded.website,
+        description = excluded.description,
+        logo = excluded.logo,
+        twitter = excluded.twitter,
+        validationErrors = excluded.validationErrors,
+        etag = excluded.etag,
+        lastError = excluded.lastError,
+        fetchedAt = excluded.fetchedAt,
+        checkedAt = excluded.checkedAt,
+        nextRefreshAt = excluded.nextRefreshAt,
+        source = excluded.source,
+        checkCount = operator_metadata.checkCount + 1,
+        failureCount = operator_metadata.failureCount + excluded.failureCount
+    `, [
+      metadata.operatorAddress,
+      metadata.metadataURI,
+      metadata.status,
+      metadata.name || null,
+      metadata.website || null,
+      metadata.description || null,
+      metadata.logo || null,
+      metadata.twitter || null,
+      metadata.validationErrors || null,
+      metadata.etag || null,
+      metadata.lastError || null,
+      metadata.fetchedAt || null,
+      metadata.checkedAt,
+      metadata.nextRefreshAt,
+      metadata.source || 'live',
+      metadata.failed ? 1 : 0,
+    ]);
+  }
+
+  // Operator score methods
+
+  /**
+   * Delegations to and undelegations from each operator since `since`
+   */
+  async getDelegationActivity(since) {
+    const rows = await this.all(`
+      SELECT operatorAddress,
+             SUM(CASE WHEN eventType = 'delegated' THEN 1 ELSE 0 END) AS delegations,
+             SUM(CASE WHEN eventType = 'undelegated' THEN 1 ELSE 0 END) AS undelegations
+      FROM delegation_events
+      WHERE timestamp >= ?
+      GROUP BY operatorAddress
+    `, [since]);
+
+    return new Map(rows.map(row => [row.operatorAddress, {
+      delegations: Number(row.delegations),
+      undelegations: Number(row.undelegations),
+    }]));
+  }
+
+  /**
+   * Every (AVS, operator) pair currently registered
+   */
+  async getCurrentAvsRegistrations() {
+    return this.all(`SELECT avsAddress, operatorAddress FROM (${CURRENT_AVS_REGISTRATIONS}) r`);
+  }
+
+  /**
+   * Write one day's operator scores; a later refresh on the same day replaces them
+   */
+  async saveOperatorScores(periodStart, scores) {
+    await this.transaction(async () => {
+      for (const score of scores) {
+        await this.run(`
+          INSERT INTO operator_scores (operatorAddress, periodStart, score, components, source)
+          VALUES (?, ?, ?, ?, ?)
+          ON CONFLICT(operatorAddress, periodStart) DO UPDATE SET
+            score = excluded.score,
+            components = excluded.components,
+            source = excluded.source,
+            createdAt = CURRENT_TIMESTAMP
+        `, [
+          score.operatorAddress,
+          periodStart,
+          score.score,
+          JSON.stringify(score.components),
+          score.source || 'live',
+        ]);
+      }
+    });
+  }
+
+  /**
+   * An operator's daily scores from `from` on, oldest first
+   */
+  async getOperatorScoreHistory(operatorAddress, from) {
+    const rows = await this.all(`
+      SELECT periodStart, score, components, createdAt
+      FROM operator_scores
+      WHERE operatorAddress = ? AND periodStart >= ?
+      ORDER BY periodStart ASC
+    `, [operatorAddress.toLowerCase(), from]);
+
+    return rows.map(row => ({ ...row, components: JSON.parse(row.components) }));
+  }
+
+  // EigenPod methods
+  async insertEigenPod(podData) {
+    const result = await this.run(`
+      INSERT INTO eigenpods
+      (podOwner, podAddress, blockNumber, transactionHash, logIndex, timestamp, source)
+      VALUES (?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP), ?)
+      ON CONFLICT DO NOTHING
+    `, [
+      podData.podOwner,
+      podData.podAddress,
+      podData.blockNumber,
+      podData.transactionHash,
+      podData.logIndex,
+      podData.timestamp,
+      podData.source || 'live',
+    ]);
+    return result.changes;
+  }
+
+  async getEigenPodAddresses() {
+    const rows = await this.all('SELECT podAddress FROM eigenpods ORDER BY blockNumber ASC, logIndex ASC');
+    return rows.map(row => row.podAddress);
+  }
+
+  /**
+   * A pod owner's beacon chain ETH shares just before the given log
+   */
+  async getEigenPodShares(podOwner, { blockNumber, logIndex }) {
+    const row = await this.get(`
+      SELECT newTotalShares
+      FROM eigenpod_share_events
+      WHERE podOwner = ? AND (blockNumber < ? OR (blockNumber = ? AND logIndex < ?))
+      ORDER BY blockNumber DESC, logIndex DESC
+      LIMIT 1
+    `, [podOwner.toLowerCase(), blockNumber, blockNumber, logIndex]);
+    return row ? row.newTotalShares : '0';
+  }
+
+  async insertEigenPodShareEvent(eventData) {
+    const result = await this.run(`
+      INSERT INTO eigenpod_share_events
+      (podOwner, newTotalShares, sharesDelta, blockNumber, transactionHash, logIndex, timestamp, source)
+      VALUES (?, ?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP), ?)
+      ON CONFLICT DO NOTHING
+    `, [
+      eventData.podOwner,
+      eventData.newTotalShares,
+      eventData.sharesDelta,
+      eventData.blockNumber,
+      eventData.transactionHash,
+      eventData.logIndex,
+      eventData.timestamp,
+      eventData.source || 'live',
+    ]);
+    return result.changes;
+  }
+
+  async insertEigenPodValidatorEvent(eventData) {
+    const result = await this.run(`
+      INSERT INTO eigenpod_validator_events
+      (eventType, podAddress, validatorIndex, balanceGwei, balanceTimestamp, checkpointTimestamp,
+       blockNumber, transactionHash, logIndex, timestamp, source)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP), ?)
+      ON CONFLICT DO NOTHING
+    `, [
+      eventData.eventType,
+      eventData.podAddress,
+      eventData.validatorIndex,
+      eventData.balanceGwei || null,
+      eventData.balanceTimestamp || null,
+      eventData.checkpointTimestamp || null,
+      eventData.blockNumber,
+      eventData.transactionHash,
+      eventData.logIndex,
+      eventData.timestamp,
+      eventData.source || 'live',
+    ]);
+    return result.changes;
+  }
+
+  async insertEigenPodCheckpoint(eventData) {
+    const result = await this.run(`
+      INSERT INTO eigenpod_checkpoints
+      (eventType, podAddress, checkpointTimestamp, beaconBlockRoot, validatorCount, totalShareDeltaWei,
+       blockNumber, transactionHash, logIndex, timestamp, source)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP), ?)
+      ON CONFLICT DO NOTHING
+    `, [
+      eventData.eventType,
+      eventData.podAddress,
+      eventData.checkpointTimestamp,
+      eventData.beaconBlockRoot || null,
+      eventData.validatorCount ?? null,
+      eventData.totalShareDeltaWei || null,
+      eventData.blockNumber,
+      eventData.transactionHash,
+      eventData.logIndex,
+      eventData.timestamp,
+      eventData.source || 'live',
+    ]);
+    return result.changes;
+  }
+
+  /**
+   * A pod owner's EigenPod with its current shares, validators and checkpoints
+   */
+  async getEigenPodByOwner(podOwner) {
+    const pod = await this.get(`
+      SELECT podOwner, podAddress, blockNumber, transactionHash, timestamp, source
+      FROM eigenpods
+      WHERE podOwner = ?
+    `, [podOwner.toLowerCase()]);
+    if (!pod) return null;
+
+    const [shares, validatorEvents, checkpoints] = await Promise.all([
+      this.get(`
+        SELECT newTotalShares, timestamp
+        FROM eigenpod_share_events
+        WHERE podOwner = ?
+        ORDER BY blockNumber DESC, logIndex DESC
+        LIMIT 1
+      `, [pod.podOwner]),
+      this.all(`
+        SELECT eventType, validatorIndex, balanceGwei, balanceTimestamp, checkpointTimestamp, blockNumber, timestamp
+        FROM eigenpod_validator_events
+        WHERE podAddress = ?
+        ORDER BY blockNumber ASC, logIndex ASC
+      `, [pod.podAddress]),
+      this.all(`
+        SELECT eventType, checkpointTimestamp, beaconBlockRoot, validatorCount, totalShareDeltaWei, blockNumber, timestamp
+        FROM eigenpod_checkpoints
+        WHERE podAddress = ?
+        ORDER BY blockNumber ASC, logIndex ASC
+      `, [pod.podAddress]),
+    ]);
+
+    return {
+      ...pod,
+      shares: shares ? shares.newTotalShares : '0',
+      sharesUpdatedAt: shares ? shares.timestamp : null,
+      validators: summarizePodValidators(validatorEvents),
+      checkpoints: summarizePodCheckpoints(checkpoints),
+    };
+  }
+
+  // Operator set and allocation methods
+  async insertOperatorSet(setData) {
+    const result = await this.run(`
+      INSERT INTO operator_sets
+      (avsAddress, operatorSetId, blockNumber, transactionHash, logIndex, timestamp, source)
+      VALUES (?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP), ?)
+      ON CONFLICT DO NOTHING
+    `, [
+      setData.avsAddress,
+      setData.operatorSetId,
+      setData.blockNumber,
+      setData.transactionHash,
+      setData.logIndex,
+      setData.timestamp,
+      setData.source || 'live',
+    ]);
+    return result.changes;
+  }
+
+  async insertOperatorSetEvent(eventData) {
+    const result = await this.run(`
+      INSERT INTO operator_set_events
+      (eventType, avsAddress, operatorSetId, operatorAddress, strategy, blockNumber, transactionHash, logIndex, timestamp, source)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP), ?)
+      ON CONFLICT DO NOTHING
+    `, [
+      eventData.eventType,
+      eventData.avsAddress,
+      eventData.operatorSetId,
+      eventData.operatorAddress || null,
+      eventData.strategy || null,
+      eventData.blockNumber,
+      eventData.transactionHash,
+      eventData.logIndex,
+      eventData.timestamp,
+      eventData.source || 'live',
+    ]);
+    return result.changes;
+  }
+
+  async insertAllocationEvent(eventData) {
+    const result = await this.run(`
+      INSERT INTO allocation_events
+      (operatorAddress, avsAddress, operatorSetId, strategy, magnitude, effectBlock, blockNumber, transactionHash, logIndex, timestamp, source)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP), ?)
+      ON CONFLICT DO NOTHING
+    `, [
+      eventData.operatorAddress,
+      eventData.avsAddress,
+      eventData.operatorSetId,
+      eventData.strategy,
+      eventData.magnitude,
+      eventData.effectBlock,
+      eventData.blockNumber,
+      eventData.transactionHash,
+      eventData.logIndex,
+      eventData.timestamp,
+      eventData.source || 'live',
+    ]);
+    return result.changes;
+  }
+
+  async insertMaxMagnitudeEvent(eventData) {
+    const result = await this.run(`
+      INSERT INTO max_magnitude_events
+      (operatorAddress, strategy, maxMagnitude, blockNumber, transactionHash, logIndex, timestamp, source)
+      VALUES (?, ?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP), ?)
+      ON CONFLICT DO NOTHING
+    `, [
+      eventData.operatorAddress,
+      eventData.strategy,
+      eventData.maxMagnitude,
+      eventData.blockNumber,
+      eventData.transactionHash,
+      eventData.logIndex,
+      eventData.timestamp,
+      eventData.source || 'live',
+    ]);
+    return result.changes;
+  }
+
+  /**
+   * An operator's allocations in effect at the newest indexed block, and its max magnitude per strategy.
+   * Allocation changes only take effect at their effectBlock, so pending ones are left out.
+   */
+  async getOperatorAllocations(operatorAddress) {
+    const address = operatorAddress.toLowerCase();
+
+    const [allocations, maxMagnitudes] = await Promise.all([
+      this.all(`
+        SELECT avsAddress, operatorSetId, strategy, magnitude, effectBlock
+        FROM (
+          SELECT *, ROW_NUMBER() OVER (
+            PARTITION BY avsAddress, operatorSetId, strategy ORDER BY blockNumber DESC, logIndex DESC
+          ) AS position
+          FROM allocation_events
+          WHERE operatorAddress = ?
+            AND effectBlock <= (SELECT COALESCE(MAX(blockNumber), 0) FROM indexed_blocks)
+        ) ranked
+        WHERE position = 1 AND magnitude != '0'
+        ORDER BY avsAddress, operatorSetId, strategy
+      `, [address]),
+      this.all(`
+        SELECT strategy, maxMagnitude
+        FROM (
+          SELECT *, ROW_NUMBER() OVER (
+            PARTITION BY strategy ORDER BY blockNumber DESC, logIndex DESC
+          ) AS position
+          FROM max_magnitude_events
+          WHERE operatorAddress = ?
+        ) ranked
+        WHERE position = 1
+      `, [address]),
+    ]);
+
+    return {
+      allocations,
+      maxMagnitudes: new Map(maxMagnitudes.map(row => [row.strategy, row.maxMagnitude])),
+    };
+  }
+
+  /**
+   * An AVS's operator sets with their current operators and strategies
+   */
+  async getOperatorSets(avsAddress) {
+    const address = avsAddress.toLowerCase();
+
+    const [sets, events] = await Promise.all([
+      this.all(`
+        SELECT operatorSetId, blockNumber as createdAtBlock, timestamp as createdAt
+        FROM operator_sets
+        WHERE avsAddress = ?
+        ORDER BY operatorSetId ASC
+      `, [address]),
+      this.all(`
+        SELECT eventType, operatorSetId, operatorAddress, strategy
+        FROM operator_set_events
+        WHERE avsAddress = ?
+        ORDER BY blockNumber ASC, logIndex ASC
+      `, [address]),
+    ]);
+
+    const byId = new Map(sets.map(set => [set.operatorSetId, {
+      ...set,
+      operators: new Set(),
+      strategies: new Set(),
+    }]));
+
+    // Replay membership changes oldest first so removals cancel earlier additions
+    events.forEach(event => {
+      const set = byId.get(event.operatorSetId);
+      if (!set) return;
+
+      if (event.eventType === 'operator_added') set.operators.add(event.operatorAddress);
+      else if (event.eventType === 'operator_removed') set.operators.delete(event.operatorAddress);
+      else if (event.eventType === 'strategy_added') set.strategies.add(event.strategy);
+      else if (event.eventType === 'strategy_removed') set.strategies.delete(event.strategy);
+    });
+
+    return Array.from(byId.values()).map(set => ({
+      ...set,
+      operators: Array.from(set.operators),
+      strategies: Array.from(set.strategies),
+    }));
+  }
+
+  // Snapshot methods
+
+  /**
+   * Write one period's snapshot rows; a later refresh in the same period replaces them
+   */
+  async saveSnapshots(granularity, periodStart, snapshots) {
+    await this.transaction(async () => {
+      for (const snapshot of snapshots) {
+        await this.run(`
+          INSERT INTO snapshots (granularity, periodStart, scope, subject, shares, amount, restakerCount, source)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+          ON CONFLICT(granularity, periodStart, scope, subject) DO UPDATE SET
+            shares = excluded.shares,
+            amount = excluded.amount,
+            restakerCount = excluded.restakerCount,
+            source = excluded.source,
+            createdAt = CURRENT_TIMESTAMP
+        `, [
+          granularity,
+          periodStart,
+          snapshot.scope,
+          snapshot.subject || '',
+          snapshot.shares,
+          snapshot.amount,
+          snapshot.restakerCount,
+          snapshot.source || 'live',
+        ]);
+      }
+    });
+  }
+
+  async getSnapshots({ granularity, scopes, subject = null, from }) {
+    return this.all(`
+      SELECT periodStart, scope, subject, shares, amount, restakerCount
+      FROM snapshots
+      WHERE granularity = ?
+        AND scope IN (${scopes.map(() => '?').join(', ')})
+        AND periodStart >= ?
+        ${subject !== null ? 'AND subject = ?' : ''}
+      ORDER BY periodStart ASC, scope ASC, subject ASC
+    `, [granularity, ...scopes, from, ...(subject !== null ? [subject.toLowerCase()] : [])]);
+  }
+
+  /**
+   * Replace every restaker and operator valuation with the given exact ETH values
+   */
+  async saveValuations(valuations) {
+    await this.transaction(async () => {
+      await this.run('DELETE FROM valuations');
+      for (const valuation of valuations) {
+        await this.run(
+          'INSERT INTO valuations (scope, subject, amount) VALUES (?, ?, ?)',
+          [valuation.scope, valuation.subject, BigInt(valuation.amount).toString().padStart(AMOUNT_WIDTH, '0')]
+        );
+      }
+    });
+  }
+
+  async pruneSnapshots(granularity, before) {
+    const result = await this.run(
+      'DELETE FROM snapshots WHERE granularity = ? AND periodStart < ?',
+      [granularity, before]
+    );
+    return result.changes;
+  }
+
+  // Lido methods
+  async saveLidoMetrics(metrics) {
+    await this.run(`
+      INSERT INTO lido_metrics
+      (periodStart, totalPooledEther, totalShares, bufferedEther, apr, shareRate, rateBlockNumber, source, recordedAt)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+      ON CONFLICT(periodStart) DO UPDATE SET
+        totalPooledEther = excluded.totalPooledEther,
+        totalShares = excluded.totalShares,
+        bufferedEther = excluded.bufferedEther,
+        apr = excluded.apr,
+        shareRate = excluded.shareRate,
+        rateBlockNumber = excluded.rateBlockNumber,
+        source = excluded.source,
+        recordedAt = CURRENT_TIMESTAMP
+    `, [
+      metrics.periodStart,
+      metrics.totalPooledEther,
+      metrics.totalShares,
+      metrics.bufferedEther,
+      metrics.apr,
+      metrics.shareRate,
+      metrics.rateBlockNumber,
+      metrics.source || 'live',
+    ]);
+  }
+
+  async saveLidoDailyRewards(rewards) {
+    await this.transaction(async () => {
+      for (const reward of rewards) {
+        await this.run(`
+          INSERT INTO lido_daily_rewards (day, totalRewards, apr, validatorsCount, source, updatedAt)
+          VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+          ON CONFLICT(day) DO UPDATE SET
+            totalRewards = excluded.totalRewards,
+            apr = excluded.apr,
+            validatorsCount = excluded.validatorsCount,
+            source = excluded.source,
+            updatedAt = CURRENT_TIMESTAMP
+        `, [reward.day, reward.totalRewards, reward.apr, reward.validatorsCount, reward.source || 'live']);
+      }
+    });
+  }
+
+  async getLatestLidoMetrics() {
+    return this.get(`
+      SELECT periodStart, totalPooledEther, totalShares, bufferedEther, apr, shareRate, rateBlockNumber, recordedAt
+      FROM lido_metrics
+      ORDER BY periodStart DESC
+      LIMIT 1
+    `);
+  }
+
+  /**
+   * Hourly metrics since `from`, or the last reading of each UTC day
+   */
+  async getLidoMetricsSeries({ granularity, from }) {
+    const period = granularity === 'day' ? 'substr(periodStart, 1, 10)' : 'periodStart';
+
+    return this.all(`
+      SELECT periodStart, totalPooledEther, totalShares, apr, shareRate, rateBlockNumber
+      FROM (
+        SELECT periodStart, totalPooledEther, totalShares, apr, shareRate, rateBlockNumber,
+               ROW_NUMBER() OVER (PARTITION BY ${period} ORDER BY periodStart DESC) AS position
+        FROM lido_metrics
+        WHERE periodStart >= ?
+      ) ranked
+      WHERE position = 1
+      ORDER BY periodStart ASC
+    `, [from]);
+  }
+
+  async getLidoDailyRewards(fromDay) {
+    return this.all(`
+      SELECT day, totalRewards, apr, validatorsCount
+      FROM lido_daily_rewards
+      WHERE day >= ?
+      ORDER BY day ASC
+    `, [fromDay]);
+  }
+
+  // Sync checkpoint methods
+  async getSyncCheckpoint(entity) {
+    const query = `
+      SELECT entity, lastBlockNumber, lastId, recordsSynced, lastCompletedAt, updatedAt
+      FROM sync_checkpoints
+      WHERE entity = ?
+    `;
+
+    return this.get(query, [entity]);
+  }
+
+  async saveSyncCheckpoint(entity, checkpoint) {
+    const query = `
+      INSERT INTO sync_checkpoints
+      (entity, lastBlockNumber, lastId, recordsSynced, lastCompletedAt, updatedAt)
+      VALUES (?, ?, ?, ?, CASE WHEN ? THEN CURRENT_TIMESTAMP END, CURRENT_TIMESTAMP)
+      ON CONFLICT(entity) DO UPDATE SET
+        lastBlockNumber = excluded.lastBlockNumber,
+        lastId = excluded.lastId,
+        recordsSynced = sync_checkpoints.recordsSynced + excluded.recordsSynced,
+        lastCompletedAt = COALESCE(excluded.lastCompletedAt, sync_checkpoints.lastCompletedAt),
+        updatedAt = CURRENT_TIMESTAMP
+    `;
+
+    const { changes } = await this.run(query, [
+      entity,
+      checkpoint.lastBlockNumber || 0,
+      checkpoint.lastId || '',
+      checkpoint.recordsSynced || 0,
+      checkpoint.completed ? 1 : 0,
+    ]);
+    return changes;
+  }
+
+  // Reorg tracking methods
+  async recordIndexedBlocks(blocks) {
+    for (const block of blocks) {
+      await this.run(`
+        INSERT INTO indexed_blocks (blockNumber, blockHash, parentHash, timestamp)
+        VALUES (?, ?, ?, ?)
+        ON CONFLICT(blockNumber) DO UPDATE SET
+          blockHash = excluded.blockHash,
+          parentHash = excluded.parentHash,
+          timestamp = excluded.timestamp,
+          finalized = 0
+      `, [block.blockNumber, block.blockHash, block.parentHash, block.timestamp]);
+    }
+  }
+
+  async getUnfinalizedBlocks() {
+    const query = `
+      SELECT blockNumber, blockHash
+      FROM indexed_blocks
+      WHERE finalized = 0
+      ORDER BY blockNumber DESC
+    `;
+
+    return this.all(query, []);
+  }
+
+  async finalizeBlocks(blockNumber) {
+    const result = await this.run(
+      'UPDATE indexed_blocks SET finalized = 1 WHERE finalized = 0 AND blockNumber <= ?',
+      [blockNumber]
+    );
+    return result.changes;
+  }
+
+  /**
+   * Delete everything ingested after `blockNumber`, from the RPC or the subgraph, and
+   * rewind both sets of block checkpoints to it so the next pass re-ingests the canonical
+   * chain. Operators and strategies the rolled-back events created are deleted with them,
+   * and operators' metadata URIs fall back to their latest surviving update.
+   */
+  async rollbackToBlock(blockNumber) {
+    // Operators whose stake must be recomputed once their share events are gone
+    const operators = (await this.all(
+      'SELECT DISTINCT operatorAddress FROM operator_share_events WHERE blockNumber > ?',
+      [blockNumber]
+    )).map(row => row.operatorAddress);
+    const uriOperators = (await this.all(
+      'SELECT DISTINCT operatorAddress FROM operator_metadata_uri_events WHERE blockNumber > ?',
+      [blockNumber]
+    )).map(row => row.operatorAddress);
+
+    const deleted = {};
+    await this.transaction(async () => {
+      for (const table of REORG_TABLES) {
+        const result = await this.run(`DELETE FROM ${table} WHERE blockNumber > ?`, [blockNumber]);
+        deleted[table] = result.changes;
+      }
+      for (const table of ['validators', 'strategies']) {
+        const result = await this.run(`DELETE FROM ${table} WHERE firstSeenBlock > ?`, [blockNumber]);
+        deleted[table] = result.changes;
+      }
+      for (const operatorAddress of uriOperators) {
+        await this.run(`
+          UPDATE validators
+          SET metadataURI = (
+            SELECT e.metadataURI FROM operator_metadata_uri_events e
+            WHERE e.operatorAddress = validators.operatorAddress
+            ORDER BY e.blockNumber DESC, e.logIndex DESC
+            LIMIT 1
+          ), updatedAt = CURRENT_TIMESTAMP
+          WHERE operatorAddress = ?
+        `, [operatorAddress]);
+      }
+      await this.run('DELETE FROM indexed_blocks WHERE blockNumber > ?', [blockNumber]);
+      // The subgraph cursor restarts at the fork block's first id; records there are upserted again
+      await this.run(`
+        UPDATE sync_checkpoints
+        SET lastBlockNumber = ?, lastId = '', updatedAt = CURRENT_TIMESTAMP
+        WHERE lastBlockNumber > ?
+          AND (entity LIKE 'rpc:%' OR entity IN (${SUBGRAPH_BLOCK_CHECKPOINTS.map(() => '?').join(', ')}))
+      `, [blockNumber, blockNumber, ...SUBGRAPH_BLOCK_CHECKPOINTS]);
+    });
+
+    return { deleted, operators };
+  }
+
+  // Data provenance methods
+
+  /**
+   * Row counts per data source across the given tables
+   */
+  async countRowsBySource(tables) {
+    const counts = {};
+    for (const table of tables.filter(name => SOURCE_TABLES.includes(name))) {
+      const rows = await this.all(`SELECT source, COUNT(*) AS count FROM ${table} GROUP BY source`);
+      rows.forEach(row => {
+        counts[row.source] = (counts[row.source] || 0) + row.count;
       });
     }
+    return counts;
+  }
+
+  /**
+   * Delete every fixture and simulated row, leaving only live data
+   */
+  async deleteNonLiveRows() {
+    const deleted = {};
+    await this.transaction(async () => {
+      for (const table of SOURCE_TABLES) {
+        const result = await this.run(`DELETE FROM ${table} WHERE source != 'live'`);
+        deleted[table] = result.changes;
+      }
+    });
+    return deleted;
+  }
+
+  /**
+   * Keyset-paginated query over a list spec. Filters, the whitelisted sort and
+   * the cursor position are all applied in SQL; rows come back ordered by the
+   * sort column with the spec's key breaking ties.
+   */
+  async queryPage(spec, { filters = {}, sortBy = spec.defaultSort, order = 'desc', cursor, limit } = {}) {
+    const sortColumn = spec.sortable[sortBy];
+    if (!sortColumn) {
+      throw validationError(`sortBy must be one of ${Object.keys(spec.sortable).join(', ')}`);
+    }
+    if (!['asc', 'desc'].includes(order)) {
+      throw validationError('order must be asc or desc');
+    }
+    const pageSize = clampPageSize(limit);
+
+    const conditions = [];
+    const params = [];
+    Object.entries(filters).forEach(([name, value]) => {
+      if (value === undefined || value === null || value === '') return;
+      conditions.push(spec.filters[name]);
+      params.push(value);
+    });
+    const filtered = `SELECT * FROM (${spec.from}) list${conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : ''}`;
+
+    const pageConditions = [];
+    const pageParams = [...params];
+    if (cursor) {
+      const position = decodeCursor(cursor, sortBy, order);
+      pageConditions.push(`(${sortColumn}, ${spec.key}) ${order === 'desc' ? '<' : '>'} (?, ?)`);
+      pageParams.push(position.value, position.key);
+    }
+
+    const [rows, [totals]] = await Promise.all([
+      this.all(`
+        SELECT * FROM (${filtered}) matching
+        ${pageConditions.length > 0 ? `WHERE ${pageConditions.join(' AND ')}` : ''}
+        ORDER BY ${sortColumn} ${order}, ${spec.key} ${order}
+        LIMIT ?
+      `, [...pageParams, pageSize + 1]),
+      this.all(`
+        SELECT COUNT(*) AS totalItems${spec.summary ? `, ${spec.summary}` : ''}
+        FROM (${filtered}) matching
+      `, params),
+    ]);
+
+    // One row past the page tells us whether another page follows
+    const hasNextPage = rows.length > pageSize;
+    const page = rows.slice(0, pageSize);
+    const last = page[page.length - 1];
+
+    return {
+      rows: page,
+      pagination: {
+        limit: pageSize,
+        sortBy,
+        order,
+        totalItems: totals.totalItems,
+        hasNextPage,
+        nextCursor: hasNextPage ? encodeCursor(sortBy, order, last[sortColumn], last[spec.key]) : null,
+      },
+      totals,
+    };
+  }
+
+  /**
+   * Run `work` inside a transaction; see the adapters for how they isolate it
+   */
+  transaction(work) {
+    return this.adapter.transaction(work);
+  }
+
+  /**
+   * Prepare each of `queries` (SQL by name), run `work` with the statements
+   * under the same names and finalize them afterwards
+   */
+  async withStatements(queries, work) {
+    const statements = {};
+    try {
+      for (const [name, query] of Object.entries(queries)) {
+        statements[name] = await this.adapter.prepare(query);
+      }
+      return await work(statements);
+    } finally {
+      await Promise.all(Object.values(statements).map(statement => statement.finalize()));
+    }
+  }
+
+  /**
+   * Execute a statement, resolving with `{ changes }`
+   */
+  run(query, params = []) {
+    return this.adapter.run(query, params);
+  }
+
+  all(query, params = []) {
+    return this.adapter.all(query, params);
+  }
+
+  /**
+   * First row of a query, or null
+   */
+  get(query, params = []) {
+    return this.adapter.get(query, params);
+  }
+
+  async close() {
+    try {
+      await this.adapter.close();
+      console.log('Database connection closed.');
+    } catch (error) {
+      console.error('Error closing database:', error);
+    }
   }
 }
 
@@ -332,12 +3093,111 @@ const dbService = new DatabaseService();
 
 module.exports = {
   initializeDatabase: () => dbService.initializeDatabase(),
-  insertRestaker: (data) => dbService.insertRestaker(data),
+  connectDatabase: () => dbService.connect(),
+  migrate: () => dbService.migrate(),
+  rollbackMigrations: (steps) => dbService.rollbackMigrations(steps),
+  getMigrationStatus: () => dbService.getMigrationStatus(),
+  transaction: (work) => dbService.transaction(work),
+  insertRestakingEvent: (data) => dbService.insertRestakingEvent(data),
+  upsertRestakingEvents: (events) => dbService.upsertRestakingEvents(events),
   getAllRestakers: () => dbService.getAllRestakers(),
+  getRestakerPage: (options) => dbService.getRestakerPage(options),
+  getRestakerByAddress: (address) => dbService.getRestakerByAddress(address),
   insertValidator: (data) => dbService.insertValidator(data),
-  getAllValidators: () => dbService.getAllValidators(),
-  insertReward: (data) => dbService.insertReward(data),
+  upsertValidators: (validators) => dbService.upsertValidators(validators),
+  upsertOperator: (data) => dbService.upsertOperator(data),
+  updateOperatorStake: (address, stake) => dbService.updateOperatorStake(address, stake),
+  getAllValidators: (addresses) => dbService.getAllValidators(addresses),
+  getValidatorPage: (options) => dbService.getValidatorPage(options),
+  getValidatorTotals: () => dbService.getValidatorTotals(),
+  upsertReward: (data) => dbService.upsertReward(data),
+  upsertRewards: (rewards) => dbService.upsertRewards(rewards),
+  dedupeRewards: (options) => dbService.dedupeRewards(options),
   getRewardsByAddress: (address) => dbService.getRewardsByAddress(address),
+  getRewardsStats: (options) => dbService.getRewardsStats(options),
+  getRewardsClaimPage: (options) => dbService.getRewardsClaimPage(options),
+  getSimulatedRewardPage: (options) => dbService.getSimulatedRewardPage(options),
+  insertDistributionRoot: (data) => dbService.insertDistributionRoot(data),
+  disableDistributionRoot: (rootIndex) => dbService.disableDistributionRoot(rootIndex),
+  getLatestActiveRoot: (timestamp) => dbService.getLatestActiveRoot(timestamp),
+  insertRewardsClaim: (data) => dbService.insertRewardsClaim(data),
+  insertRewardsSubmission: (data) => dbService.insertRewardsSubmission(data),
+  getRewardsSubmissions: (filters) => dbService.getRewardsSubmissions(filters),
+  getRewardsSubmissionsEndingAfter: (after) => dbService.getRewardsSubmissionsEndingAfter(after),
+  insertOperatorSplitEvent: (data) => dbService.insertOperatorSplitEvent(data),
+  getOperatorSplitEvents: (address) => dbService.getOperatorSplitEvents(address),
+  saveRewardsEarnings: (rootIndex, earnings) => dbService.saveRewardsEarnings(rootIndex, earnings),
+  pruneRewardsEarnings: (rootIndex) => dbService.pruneRewardsEarnings(rootIndex),
+  upsertToken: (data) => dbService.upsertToken(data),
+  getUnknownRewardTokens: () => dbService.getUnknownRewardTokens(),
+  insertDelegationEvent: (data) => dbService.insertDelegationEvent(data),
+  upsertDelegationEvents: (events) => dbService.upsertDelegationEvents(events),
+  getCurrentDelegations: (address) => dbService.getCurrentDelegations(address),
+  getDelegationHistory: (address) => dbService.getDelegationHistory(address),
+  insertOperatorShareEvent: (data) => dbService.insertOperatorShareEvent(data),
+  sumOperatorShareEvents: (address) => dbService.sumOperatorShareEvents(address),
+  setOperatorShares: (address, shares, source) => dbService.setOperatorShares(address, shares, source),
+  getOperatorShares: (address) => dbService.getOperatorShares(address),
+  getAllOperatorShares: (addresses) => dbService.getAllOperatorShares(addresses),
+  upsertStrategy: (data) => dbService.upsertStrategy(data),
+  getAllStrategies: () => dbService.getAllStrategies(),
+  upsertTokenRate: (data) => dbService.upsertTokenRate(data),
+  getKnownStrategyAddresses: () => dbService.getKnownStrategyAddresses(),
+  getStrategyShareTotals: () => dbService.getStrategyShareTotals(),
+  upsertAvs: (data) => dbService.upsertAvs(data),
+  insertAvsRegistrationEvent: (data) => dbService.insertAvsRegistrationEvent(data),
+  getAllAvs: () => dbService.getAllAvs(),
+  getAvsByAddress: (address) => dbService.getAvsByAddress(address),
+  getOperatorAvsRegistrations: (address) => dbService.getOperatorAvsRegistrations(address),
   insertSlashEvent: (data) => dbService.insertSlashEvent(data),
+  insertStakerSlashes: (slashes) => dbService.insertStakerSlashes(slashes),
+  getDelegatedStakerShares: (operator, strategy, position) => dbService.getDelegatedStakerShares(operator, strategy, position),
+  getSlashedMagnitudes: (operator, operatorSet, strategy, position) => dbService.getSlashedMagnitudes(operator, operatorSet, strategy, position),
+  getStakerSlashes: (address) => dbService.getStakerSlashes(address),
+  insertWithdrawal: (data) => dbService.insertWithdrawal(data),
+  insertWithdrawalCompletion: (data) => dbService.insertWithdrawalCompletion(data),
+  insertWithdrawalDelay: (data) => dbService.insertWithdrawalDelay(data),
+  getWithdrawalDelays: () => dbService.getWithdrawalDelays(),
+  getWithdrawalsByStaker: (address) => dbService.getWithdrawalsByStaker(address),
+  getPendingWithdrawalPage: (options) => dbService.getPendingWithdrawalPage(options),
+  getPendingWithdrawalTotals: () => dbService.getPendingWithdrawalTotals(),
+  insertOperatorMetadataURIEvent: (data) => dbService.insertOperatorMetadataURIEvent(data),
+  getOperatorMetadataURIHistory: (address) => dbService.getOperatorMetadataURIHistory(address),
+  getOperatorsDueForMetadata: (now, limit) => dbService.getOperatorsDueForMetadata(now, limit),
+  saveOperatorMetadata: (data) => dbService.saveOperatorMetadata(data),
+  getDelegationActivity: (since) => dbService.getDelegationActivity(since),
+  getCurrentAvsRegistrations: () => dbService.getCurrentAvsRegistrations(),
+  saveOperatorScores: (periodStart, scores) => dbService.saveOperatorScores(periodStart, scores),
+  getOperatorScoreHistory: (address, from) => dbService.getOperatorScoreHistory(address, from),
+  insertEigenPod: (data) => dbService.insertEigenPod(data),
+  getEigenPodAddresses: () => dbService.getEigenPodAddresses(),
+  getEigenPodShares: (podOwner, position) => dbService.getEigenPodShares(podOwner, position),
+  insertEigenPodShareEvent: (data) => dbService.insertEigenPodShareEvent(data),
+  insertEigenPodValidatorEvent: (data) => dbService.insertEigenPodValidatorEvent(data),
+  insertEigenPodCheckpoint: (data) => dbService.insertEigenPodCheckpoint(data),
+  getEigenPodByOwner: (podOwner) => dbService.getEigenPodByOwner(podOwner),
+  insertOperatorSet: (data) => dbService.insertOperatorSet(data),
+  insertOperatorSetEvent: (data) => dbService.insertOperatorSetEvent(data),
+  insertAllocationEvent: (data) => dbService.insertAllocationEvent(data),
+  insertMaxMagnitudeEvent: (data) => dbService.insertMaxMagnitudeEvent(data),
+  getOperatorAllocations: (address) => dbService.getOperatorAllocations(address),
+  getOperatorSets: (address) => dbService.getOperatorSets(address),
+  saveSnapshots: (granularity, periodStart, snapshots) => dbService.saveSnapshots(granularity, periodStart, snapshots),
+  getSnapshots: (filters) => dbService.getSnapshots(filters),
+  pruneSnapshots: (granularity, before) => dbService.pruneSnapshots(granularity, before),
+  saveValuations: (valuations) => dbService.saveValuations(valuations),
+  saveLidoMetrics: (metrics) => dbService.saveLidoMetrics(metrics),
+  saveLidoDailyRewards: (rewards) => dbService.saveLidoDailyRewards(rewards),
+  getLatestLidoMetrics: () => dbService.getLatestLidoMetrics(),
+  getLidoMetricsSeries: (options) => dbService.getLidoMetricsSeries(options),
+  getLidoDailyRewards: (fromDay) => dbService.getLidoDailyRewards(fromDay),
+  getSyncCheckpoint: (entity) => dbService.getSyncCheckpoint(entity),
+  saveSyncCheckpoint: (entity, checkpoint) => dbService.saveSyncCheckpoint(entity, checkpoint),
+  recordIndexedBlocks: (blocks) => dbService.recordIndexedBlocks(blocks),
+  getUnfinalizedBlocks: () => dbService.getUnfinalizedBlocks(),
+  finalizeBlocks: (blockNumber) => dbService.finalizeBlocks(blockNumber),
+  rollbackToBlock: (blockNumber) => dbService.rollbackToBlock(blockNumber),
+  countRowsBySource: (tables) => dbService.countRowsBySource(tables),
+  deleteNonLiveRows: () => dbService.deleteNonLiveRows(),
   close: () => dbService.close(),
 };
\ No newline at end of file
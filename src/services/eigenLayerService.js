@@ -1,5 +1,11 @@
 const axios = require('axios');
 const { ethers } = require('ethers');
+const { transaction, getSyncCheckpoint, saveSyncCheckpoint, getCurrentDelegations } = require('./databaseService');
+const dataModeService = require('./dataModeService');
+const amountService = require('./amountService');
+
+// Simulated daily rewards at or below 0.001 ETH are skipped
+const MIN_SIMULATED_REWARD = 10n ** 15n;
 
 class EigenLayerService {
   constructor() {
@@ -9,13 +15,138 @@ class EigenLayerService {
     // EigenLayer contract addresses
     this.strategyManagerAddress = process.env.EIGENLAYER_STRATEGY_MANAGER_ADDRESS;
     this.delegationManagerAddress = process.env.EIGENLAYER_DELEGATION_MANAGER_ADDRESS;
+
+    // Subgraph pagination
+    this.pageSize = parseInt(process.env.SUBGRAPH_PAGE_SIZE) || 1000;
+    // Only sync records this many blocks behind the subgraph head
+    this.confirmations = parseInt(process.env.CONFIRMATION_BLOCKS) || 12;
+  }
+
+  /**
+   * Run a query against the EigenLayer subgraph and return its data
+   */
+  async querySubgraph(query, variables) {
+    const response = await axios.post(this.subgraphUrl, {
+      query,
+      variables
+    }, {
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      timeout: 30000
+    });
+
+    if (response.data.errors) {
+      throw new Error(`GraphQL errors: ${JSON.stringify(response.data.errors)}`);
+    }
+
+    return response.data.data;
+  }
+
+  /**
+   * Page through a subgraph collection from the stored checkpoint onwards.
+   *
+   * `cursor: 'block'` walks immutable event entities in (blockNumber, id)
+   * order up to the confirmed head and keeps the high-water mark between runs,
+   * so each run only pulls records it has not seen. `cursor: 'id'` walks mutable entities by id and
+   * starts over after every full pass. Each page is handed to `store` in its own
+   * transaction together with the checkpoint it advances to, so a page is written
+   * whole or not at all and a failed run, first backfill included, resumes from
+   * the last committed page.
+   */
+  async syncCollection({ entity, query, field, cursor, transform, store }) {
+    const checkpoint = await getSyncCheckpoint(entity);
+    let lastBlockNumber = checkpoint?.lastBlockNumber || 0;
+    let lastId = checkpoint?.lastId || '';
+    let pages = 0;
+    let records = 0;
+
+    // Leave the unconfirmed tip for a later run so reorged events are never stored
+    let maxBlockNumber;
+    if (cursor === 'block') {
+      const meta = await this.querySubgraph('{ _meta { block { number } } }');
+      maxBlockNumber = meta._meta.block.number - this.confirmations;
+    }
+
+    while (true) {
+      const variables = cursor === 'block'
+        ? {
+          first: this.pageSize,
+          lastBlockNumber: lastBlockNumber.toString(),
+          lastId,
+          maxBlockNumber: maxBlockNumber.toString()
+        }
+        : { first: this.pageSize, lastId };
+      const data = await this.querySubgraph(query, variables);
+      const items = data[field] || [];
+      const done = items.length < this.pageSize;
+      const page = items.length > 0 ? transform.call(this, items) : [];
+
+      if (items.length > 0) {
+        const lastItem = items[items.length - 1];
+        lastId = lastItem.id;
+        if (cursor === 'block') {
+          lastBlockNumber = parseInt(lastItem.blockNumber);
+        }
+        pages++;
+      }
+
+      await transaction(async () => {
+        if (page.length > 0) await store(page);
+        await saveSyncCheckpoint(entity, {
+          lastBlockNumber,
+          // Id cursors restart from the beginning after a full pass
+          lastId: cursor === 'id' && done ? '' : lastId,
+          recordsSynced: page.length,
+          completed: done
+        });
+      });
+      records += page.length;
+
+      if (done) break;
+    }
+
+    return { pages, records, lastBlockNumber };
+  }
+
+  /**
+   * Run a subgraph sync. Outside live mode an empty database is seeded with
+   * fixtures instead (always in fixture mode, on failure in demo mode).
+   */
+  async syncOrSeed(entity, sync, fixtures, store) {
+    const seed = async () => {
+      const records = this.withSource(fixtures.call(this), 'fixture');
+      await store(records);
+      return { pages: 1, records: records.length, source: 'fixture' };
+    };
+
+    if (dataModeService.getMode() === 'fixture') {
+      return seed();
+    }
+
+    try {
+      return await sync();
+    } catch (error) {
+      console.error(`Error syncing ${entity}:`, error.message);
+      if (!dataModeService.allowsFixtures() || await getSyncCheckpoint(entity)) throw error;
+
+      console.warn(`⚠️ Nothing synced for ${entity} yet, seeding fixture data`);
+      return seed();
+    }
+  }
+
+  /**
+   * Tag records with the data source they came from
+   */
+  withSource(records, source) {
+    return records.map(record => ({ ...record, source }));
   }
 
   /**
    * Fetch restaking data from EigenLayer subgraph
    */
   async fetchRestakingData() {
-    try {
+    return dataModeService.withFallback('EigenLayer subgraph', async () => {
       const query = `
         query GetRestakers($first: Int!, $skip: Int!) {
           deposits(
@@ -42,26 +173,49 @@ class EigenLayerService {
         skip: 0
       };
 
-      const response = await axios.post(this.subgraphUrl, {
-        query,
-        variables
-      }, {
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        timeout: 30000
-      });
+      const data = await this.querySubgraph(query, variables);
+
+      return this.processRestakingData(data.deposits);
+    }, () => this.withSource(this.getMockRestakingData(), 'fixture'));
+  }
 
-      if (response.data.errors) {
-        throw new Error(`GraphQL errors: ${JSON.stringify(response.data.errors)}`);
+  /**
+   * Incrementally sync every deposit since the last checkpoint
+   */
+  async syncRestakingData(store) {
+    const query = `
+      query SyncDeposits($first: Int!, $lastBlockNumber: BigInt!, $lastId: ID!, $maxBlockNumber: BigInt!) {
+        deposits(
+          first: $first
+          orderBy: blockNumber
+          orderDirection: asc
+          where: {
+            or: [
+              { blockNumber_gt: $lastBlockNumber, blockNumber_lte: $maxBlockNumber, amount_gt: "0" }
+              { blockNumber: $lastBlockNumber, id_gt: $lastId, amount_gt: "0" }
+            ]
+          }
+        ) {
+          id
+          staker
+          strategy
+          shares
+          amount
+          blockNumber
+          blockTimestamp
+          transactionHash
+        }
       }
+    `;
 
-      return this.processRestakingData(response.data.data.deposits);
-    } catch (error) {
-      console.error('Error fetching restaking data:', error.message);
-      // Return mock data for development
-      return this.getMockRestakingData();
-    }
+    return this.syncOrSeed('deposits', () => this.syncCollection({
+      entity: 'deposits',
+      query,
+      field: 'deposits',
+      cursor: 'block',
+      transform: this.processRestakingData,
+      store
+    }), this.getMockRestakingData, store);
   }
 
   /**
@@ -69,21 +223,91 @@ class EigenLayerService {
    */
   processRestakingData(deposits) {
     return deposits.map(deposit => ({
+      eventType: 'deposit',
       userAddress: deposit.staker,
+      shares: deposit.shares || deposit.amount,
       amountRestaked: deposit.amount,
-      targetAVSValidatorAddress: deposit.strategy, // Strategy contract acts as validator reference
+      amount: deposit.amount,
       strategy: deposit.strategy,
       blockNumber: parseInt(deposit.blockNumber),
       transactionHash: deposit.transactionHash,
+      logIndex: this.parseLogIndex(deposit.id),
       timestamp: new Date(parseInt(deposit.blockTimestamp) * 1000).toISOString()
     }));
   }
 
+  /**
+   * Incrementally sync staker delegation events since the last checkpoint
+   */
+  async syncDelegationData(store) {
+    const query = `
+      query SyncDelegations($first: Int!, $lastBlockNumber: BigInt!, $lastId: ID!, $maxBlockNumber: BigInt!) {
+        delegations(
+          first: $first
+          orderBy: blockNumber
+          orderDirection: asc
+          where: {
+            or: [
+              { blockNumber_gt: $lastBlockNumber, blockNumber_lte: $maxBlockNumber }
+              { blockNumber: $lastBlockNumber, id_gt: $lastId }
+            ]
+          }
+        ) {
+          id
+          staker
+          operator
+          type
+          blockNumber
+          blockTimestamp
+          transactionHash
+        }
+      }
+    `;
+
+    return this.syncOrSeed('delegations', () => this.syncCollection({
+      entity: 'delegations',
+      query,
+      field: 'delegations',
+      cursor: 'block',
+      transform: this.processDelegationData,
+      store
+    }), this.getMockDelegationData, store);
+  }
+
+  /**
+   * Process delegation events into our format
+   */
+  processDelegationData(delegations) {
+    return delegations.map(delegation => ({
+      eventType: delegation.type === 'UNDELEGATED' ? 'undelegated' : 'delegated',
+      userAddress: delegation.staker.toLowerCase(),
+      operatorAddress: delegation.operator.toLowerCase(),
+      blockNumber: parseInt(delegation.blockNumber),
+      transactionHash: delegation.transactionHash,
+      logIndex: this.parseLogIndex(delegation.id),
+      timestamp: new Date(parseInt(delegation.blockTimestamp) * 1000).toISOString()
+    }));
+  }
+
+  /**
+   * Recover the log index from a subgraph event id.
+   * Ids are either `<txHash>-<logIndex>` or the tx hash concatenated with a 4-byte log index.
+   */
+  parseLogIndex(id) {
+    if (id.includes('-')) {
+      return parseInt(id.split('-').pop());
+    }
+    if (/^0x[0-9a-fA-F]{72}$/.test(id)) {
+      return parseInt(id.slice(-8), 16);
+    }
+    return 0;
+  }
+
   /**
    * Fetch operator/validator data
    */
   async fetchValidatorData() {
-    try {
+    return dataModeService.withFallback('EigenLayer subgraph', async () => {
       const query = `
         query GetOperators($first: Int!, $skip: Int!) {
           operators(
@@ -112,26 +336,47 @@ class EigenLayerService {
         skip: 0
       };
 
-      const response = await axios.post(this.subgraphUrl, {
-        query,
-        variables
-      }, {
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        timeout: 30000
-      });
+      const data = await this.querySubgraph(query, variables);
 
-      if (response.data.errors) {
-        throw new Error(`GraphQL errors: ${JSON.stringify(response.data.errors)}`);
+      return this.processValidatorData(data.operators);
+    }, () => this.withSource(this.getMockValidatorData(), 'fixture'));
+  }
+
+  /**
+   * Sync every operator in one full pass
+   */
+  async syncValidatorData(store) {
+    const query = `
+      query SyncOperators($first: Int!, $lastId: ID!) {
+        operators(
+          first: $first
+          orderBy: id
+          orderDirection: asc
+          where: { id_gt: $lastId }
+        ) {
+          id
+          operator
+          totalShares
+          totalMagnitude
+          metadataURI
+          delegationApprover
+          stakerOptOutWindowBlocks
+          shares {
+            strategy
+            shares
+          }
+        }
       }
+    `;
 
-      return this.processValidatorData(response.data.data.operators);
-    } catch (error) {
-      console.error('Error fetching validator data:', error.message);
-      // Return mock data for development
-      return this.getMockValidatorData();
-    }
+    return this.syncOrSeed('operators', () => this.syncCollection({
+      entity: 'operators',
+      query,
+      field: 'operators',
+      cursor: 'id',
+      transform: this.processValidatorData,
+      store
+    }), this.getMockValidatorData, store);
   }
 
   /**
@@ -139,37 +384,32 @@ class EigenLayerService {
    */
   processValidatorData(operators) {
     return operators.map(operator => ({
-      operatorAddress: operator.operator,
+      operatorAddress: operator.operator.toLowerCase(),
       operatorId: operator.id,
       totalDelegatedStake: operator.totalShares || '0',
       validatorStatus: 'active', // Default status, can be enhanced
-      metadataURI: operator.metadataURI
+      metadataURI: operator.metadataURI,
+      shares: (operator.shares || []).map(position => ({
+        strategy: position.strategy.toLowerCase(),
+        shares: position.shares
+      }))
     }));
   }
 
   /**
-   * Fetch slashing events (mock implementation as EigenLayer slashing is not yet live)
-   */
-  async fetchSlashingEvents() {
-    try {
-      // This would query actual slashing events when available
-      // For now, return empty array as slashing is not live on mainnet
-      return [];
-    } catch (error) {
-      console.error('Error fetching slashing events:', error.message);
-      return [];
-    }
-  }
-
-  /**
-   * Fetch rewards data (simulated as EigenLayer rewards are not yet distributed)
+   * Simulated rewards for demo mode. Real rewards are indexed from the
+   * RewardsCoordinator and its distribution files instead.
    */
   async fetchRewardsData() {
     try {
-      // This would fetch actual reward distributions when available
-      // For now, we'll simulate based on staking amounts and time
-      const restakers = await this.fetchRestakingData();
-      return this.simulateRewards(restakers);
+      const [restakers, delegations] = await Promise.all([
+        this.fetchRestakingData(),
+        getCurrentDelegations()
+      ]);
+      return this.simulateRewards(
+        restakers,
+        new Map(delegations.map(delegation => [delegation.userAddress, delegation.operatorAddress]))
+      );
     } catch (error) {
       console.error('Error fetching rewards data:', error.message);
       return [];
@@ -177,30 +417,37 @@ class EigenLayerService {
   }
 
   /**
-   * Simulate rewards based on restaking amounts (for demonstration)
+   * Simulate rewards based on restaking amounts (demo mode only)
    */
-  simulateRewards(restakers) {
+  simulateRewards(restakers, delegations) {
     const rewards = [];
     const currentTime = Date.now();
     const oneDay = 24 * 60 * 60 * 1000;
 
     restakers.forEach(restaker => {
-      const stakedAmount = parseFloat(ethers.formatEther(restaker.amountRestaked));
-      const dailyRewardRate = 0.0001; // 0.01% daily reward rate
+      // Rewards flow through the operator the staker is delegated to
+      const operatorAddress = delegations.get(restaker.userAddress.toLowerCase());
+      if (!operatorAddress) return;
+
+      // 0.01% of the staked amount per day
+      const rewardAmount = amountService.toBigInt(restaker.amountRestaked) / 10000n;
       
       // Simulate rewards for the last 30 days
       for (let i = 0; i < 30; i++) {
-        const rewardAmount = stakedAmount * dailyRewardRate;
         const timestamp = new Date(currentTime - (i * oneDay));
         
-        if (rewardAmount > 0.001) { // Only include meaningful rewards
+        if (rewardAmount > MIN_SIMULATED_REWARD) { // Only include meaningful rewards
+          // Stable key per deposit and day, so each refresh upserts the same rewards
+          const day = timestamp.toISOString().slice(0, 10);
           rewards.push({
             userAddress: restaker.userAddress,
-            validatorAddress: restaker.targetAVSValidatorAddress,
-            rewardAmount: ethers.parseEther(rewardAmount.toString()).toString(),
+            validatorAddress: operatorAddress,
+            rewardAmount: rewardAmount.toString(),
             rewardType: 'restaking',
+            source: 'simulated',
             blockNumber: restaker.blockNumber + i,
-            transactionHash: `0x${Math.random().toString(16).substr(2, 64)}`,
+            transactionHash: ethers.id(['simulated', restaker.transactionHash, restaker.logIndex, restaker.strategy, day].join(':')),
+            logIndex: 0,
             timestamp: timestamp.toISOString()
           });
         }
@@ -217,20 +464,52 @@ class EigenLayerService {
     return [
       {
         userAddress: '0x742f6b5d9d4bb4e9d8a0e6a8b4e5d2a1f8c3e9d7',
+        eventType: 'deposit',
+        shares: ethers.parseEther('32.5').toString(),
         amountRestaked: ethers.parseEther('32.5').toString(),
-        targetAVSValidatorAddress: '0x858646372CC42E1A627fcE94aa7A7033e7CF075A',
+        amount: ethers.parseEther('32.5').toString(),
         strategy: '0x93c4b944D05dfe6df7645A86cd2206016c51564D',
         blockNumber: 18500000,
         transactionHash: '0x123...abc',
+        logIndex: 0,
         timestamp: new Date().toISOString()
       },
       {
         userAddress: '0x9a8f7e6d5c4b3a2f1e0d9c8b7a6f5e4d3c2b1a09',
+        eventType: 'deposit',
+        shares: ethers.parseEther('100.0').toString(),
         amountRestaked: ethers.parseEther('100.0').toString(),
-        targetAVSValidatorAddress: '0x858646372CC42E1A627fcE94aa7A7033e7CF075A',
+        amount: ethers.parseEther('100.0').toString(),
         strategy: '0x93c4b944D05dfe6df7645A86cd2206016c51564D',
         blockNumber: 18500100,
         transactionHash: '0x456...def',
+        logIndex: 0,
+        timestamp: new Date(Date.now() - 3600000).toISOString()
+      }
+    ];
+  }
+
+  /**
+   * Mock delegation data for development
+   */
+  getMockDelegationData() {
+    return [
+      {
+        eventType: 'delegated',
+        userAddress: '0x742f6b5d9d4bb4e9d8a0e6a8b4e5d2a1f8c3e9d7',
+        operatorAddress: '0x858646372cc42e1a627fce94aa7a7033e7cf075a',
+        blockNumber: 18500001,
+        transactionHash: '0x789...abc',
+        logIndex: 0,
+        timestamp: new Date().toISOString()
+      },
+      {
+        eventType: 'delegated',
+        userAddress: '0x9a8f7e6d5c4b3a2f1e0d9c8b7a6f5e4d3c2b1a09',
+        operatorAddress: '0x39053d51b77dc0d36036fc1fcc8cb819df8ef37a',
+        blockNumber: 18500101,
+        transactionHash: '0x789...def',
+        logIndex: 0,
         timestamp: new Date(Date.now() - 3600000).toISOString()
       }
     ];
@@ -242,18 +521,30 @@ class EigenLayerService {
   getMockValidatorData() {
     return [
       {
-        operatorAddress: '0x858646372CC42E1A627fcE94aa7A7033e7CF075A',
+        operatorAddress: '0x858646372cc42e1a627fce94aa7a7033e7cf075a',
         operatorId: 'operator_1',
         totalDelegatedStake: ethers.parseEther('1500.75').toString(),
         validatorStatus: 'active',
-        metadataURI: 'https://example.com/operator1-metadata.json'
+        metadataURI: 'https://example.com/operator1-metadata.json',
+        shares: [
+          {
+            strategy: '0x93c4b944d05dfe6df7645a86cd2206016c51564d',
+            shares: ethers.parseEther('1500.75').toString()
+          }
+        ]
       },
       {
-        operatorAddress: '0x39053D51B77DC0d36036Fc1fCc8Cb819df8Ef37A',
+        operatorAddress: '0x39053d51b77dc0d36036fc1fcc8cb819df8ef37a',
         operatorId: 'operator_2',
         totalDelegatedStake: ethers.parseEther('850.25').toString(),
         validatorStatus: 'active',
-        metadataURI: 'https://example.com/operator2-metadata.json'
+        metadataURI: 'https://example.com/operator2-metadata.json',
+        shares: [
+          {
+            strategy: '0x93c4b944d05dfe6df7645a86cd2206016c51564d',
+            shares: ethers.parseEther('850.25').toString()
+          }
+        ]
       }
     ];
   }
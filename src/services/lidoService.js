@@ -1,5 +1,11 @@
 const axios = require('axios');
 const { ethers } = require('ethers');
+const dataModeService = require('./dataModeService');
+const amountService = require('./amountService');
+const snapshotService = require('./snapshotService');
+const { saveLidoMetrics, saveLidoDailyRewards } = require('./databaseService');
+
+const ONE_SHARE = 10n ** 18n;
 
 class LidoService {
   constructor() {
@@ -12,27 +18,67 @@ class LidoService {
    * Fetch Lido stETH data relevant to EigenLayer restaking
    */
   async fetchLidoData() {
-    try {
-      const [stakingData, rewardsData] = await Promise.all([
-        this.fetchStakingData(),
-        this.fetchRewardsData()
-      ]);
+    const [stakingData, rewardsData, exchangeRate] = await Promise.all([
+      this.fetchStakingData(),
+      this.fetchRewardsData(),
+      // Fixture mode makes no RPC calls
+      dataModeService.getMode() === 'fixture' ? null : this.getStEthExchangeRate()
+    ]);
 
-      return {
-        staking: stakingData,
-        rewards: rewardsData
-      };
-    } catch (error) {
-      console.error('Error fetching Lido data:', error.message);
-      return this.getMockLidoData();
+    return {
+      staking: stakingData,
+      rewards: rewardsData,
+      exchangeRate
+    };
+  }
+
+  /**
+   * Fetch current Lido data and store it: metrics for the current hour and
+   * one row per reported day of rewards
+   */
+  async captureMetrics(now = new Date()) {
+    const lidoData = await this.fetchLidoData();
+    const { staking, exchangeRate } = lidoData;
+
+    // The on-chain rate when the RPC answered, otherwise the API's own totals
+    let shareRate = exchangeRate && exchangeRate.shareRate;
+    let rateBlockNumber = exchangeRate && exchangeRate.blockNumber;
+    if (!shareRate && amountService.toBigInt(staking.totalShares) > 0n) {
+      shareRate = amountService.mulDiv(ONE_SHARE, staking.totalPooledEther, staking.totalShares).toString();
+      rateBlockNumber = null;
     }
+
+    const [metrics] = dataModeService.filterPersistable([{
+      periodStart: snapshotService.periodStart(now, 'hour'),
+      totalPooledEther: staking.totalPooledEther,
+      totalShares: staking.totalShares || null,
+      bufferedEther: staking.bufferedEther || null,
+      apr: staking.apr ?? null,
+      shareRate: shareRate || null,
+      rateBlockNumber,
+      source: staking.source
+    }]);
+    if (metrics) await saveLidoMetrics(metrics);
+
+    const rewards = dataModeService.filterPersistable(lidoData.rewards
+      .filter(reward => reward.date && reward.totalRewards !== undefined)
+      .map(reward => ({
+        day: String(reward.date).slice(0, 10),
+        totalRewards: String(reward.totalRewards),
+        apr: reward.apr ?? null,
+        validatorsCount: reward.validatorsCount ?? null,
+        source: reward.source
+      })));
+    await saveLidoDailyRewards(rewards);
+
+    return { ...lidoData, metricsStored: Boolean(metrics), rewardDaysStored: rewards.length };
   }
 
   /**
    * Fetch Lido staking statistics
    */
   async fetchStakingData() {
-    try {
+    return dataModeService.withFallback('Lido metrics API', async () => {
       const response = await axios.get(`${this.apiUrl}/metrics`, {
         timeout: 10000
       });
@@ -42,19 +88,17 @@ class LidoService {
         totalShares: response.data.totalShares,
         bufferedEther: response.data.bufferedEther,
         apr: response.data.apr,
-        lastUpdate: new Date().toISOString()
+        lastUpdate: new Date().toISOString(),
+        source: 'live'
       };
-    } catch (error) {
-      console.error('Error fetching Lido staking data:', error.message);
-      return this.getMockStakingData();
-    }
+    }, () => ({ ...this.getMockStakingData(), source: 'fixture' }));
   }
 
   /**
    * Fetch Lido rewards data
    */
   async fetchRewardsData() {
-    try {
+    return dataModeService.withFallback('Lido rewards API', async () => {
       // Fetch recent reward events from Lido
       const response = await axios.get(`${this.apiUrl}/rewards`, {
         timeout: 10000,
@@ -63,11 +107,8 @@ class LidoService {
         }
       });
 
-      return response.data.rewards || [];
-    } catch (error) {
-      console.error('Error fetching Lido rewards data:', error.message);
-      return this.getMockRewardsData();
-    }
+      return (response.data.rewards || []).map(reward => ({ ...reward, source: 'live' }));
+    }, () => this.getMockRewardsData().map(reward => ({ ...reward, source: 'fixture' })));
   }
 
   /**
@@ -81,30 +122,41 @@ class LidoService {
           'function getPooledEthByShares(uint256 _sharesAmount) view returns (uint256)',
           'function getSharesByPooledEth(uint256 _pooledEthAmount) view returns (uint256)',
           'function totalSupply() view returns (uint256)',
-          'function getTotalPooledEther() view returns (uint256)'
+          'function getTotalPooledEther() view returns (uint256)',
+          'function getTotalShares() view returns (uint256)'
         ],
         this.provider
       );
 
-      const [totalSupply, totalPooledEther] = await Promise.all([
-        stEthContract.totalSupply(),
-        stEthContract.getTotalPooledEther()
+      // Read every total at the same block so the share rate is consistent
+      const blockNumber = await this.provider.getBlockNumber();
+      const overrides = { blockTag: blockNumber };
+      const [totalSupply, totalPooledEther, totalShares] = await Promise.all([
+        stEthContract.totalSupply(overrides),
+        stEthContract.getTotalPooledEther(overrides),
+        stEthContract.getTotalShares(overrides)
       ]);
 
       const exchangeRate = Number(totalPooledEther) / Number(totalSupply);
       
       return {
         rate: exchangeRate,
+        shareRate: amountService.mulDiv(ONE_SHARE, totalPooledEther, totalShares).toString(),
         totalSupply: totalSupply.toString(),
         totalPooledEther: totalPooledEther.toString(),
+        totalShares: totalShares.toString(),
+        blockNumber,
         timestamp: new Date().toISOString()
       };
     } catch (error) {
       console.error('Error getting stETH exchange rate:', error.message);
       return {
         rate: 1.0, // Default 1:1 rate
+        shareRate: null,
         totalSupply: '0',
         totalPooledEther: '0',
+        totalShares: '0',
+        blockNumber: null,
         timestamp: new Date().toISOString()
       };
     }
@@ -116,8 +168,9 @@ class LidoService {
   async convertStEthToEth(stEthAmount) {
     try {
       const exchangeData = await this.getStEthExchangeRate();
-      const ethAmount = parseFloat(stEthAmount) * exchangeData.rate;
-      return ethAmount.toString();
+      if (exchangeData.totalSupply === '0') return stEthAmount;
+
+      return amountService.mulDiv(stEthAmount, exchangeData.totalPooledEther, exchangeData.totalSupply).toString();
     } catch (error) {
       console.error('Error converting stETH to ETH:', error.message);
       return stEthAmount; // Return original amount if conversion fails
@@ -0,0 +1,1023 @@
+const { ethers } = require('ethers');
+const {
+  getSyncCheckpoint,
+  saveSyncCheckpoint,
+  insertRestakingEvent,
+  insertDelegationEvent,
+  insertOperatorShareEvent,
+  upsertOperator,
+  insertOperatorMetadataURIEvent,
+  sumOperatorShareEvents,
+  setOperatorShares,
+  updateOperatorStake,
+  upsertStrategy,
+  upsertAvs,
+  insertAvsRegistrationEvent,
+  insertDistributionRoot,
+  disableDistributionRoot,
+  insertRewardsClaim,
+  insertRewardsSubmission,
+  insertOperatorSplitEvent,
+  insertSlashEvent,
+  insertStakerSlashes,
+  getDelegatedStakerShares,
+  getSlashedMagnitudes,
+  insertOperatorSet,
+  insertOperatorSetEvent,
+  insertAllocationEvent,
+  insertMaxMagnitudeEvent,
+  insertWithdrawal,
+  insertWithdrawalCompletion,
+  insertWithdrawalDelay,
+  insertEigenPod,
+  getEigenPodAddresses,
+  getEigenPodShares,
+  insertEigenPodShareEvent,
+  insertEigenPodValidatorEvent,
+  insertEigenPodCheckpoint,
+  recordIndexedBlocks,
+  getUnfinalizedBlocks,
+  finalizeBlocks,
+  rollbackToBlock,
+  transaction
+} = require('./databaseService');
+
+// Both the M2 and slashing-release signatures are listed where they differ
+const STRATEGY_MANAGER_EVENTS = [
+  'event Deposit(address staker, address token, address strategy, uint256 shares)',
+  'event Deposit(address staker, address strategy, uint256 shares)',
+  'event StrategyAddedToDepositWhitelist(address strategy)'
+];
+
+const DELEGATION_MANAGER_EVENTS = [
+  'event OperatorRegistered(address indexed operator, tuple(address earningsReceiver, address delegationApprover, uint32 stakerOptOutWindowBlocks) operatorDetails)',
+  'event OperatorRegistered(address indexed operator, address delegationApprover)',
+  'event StakerDelegated(address indexed staker, address indexed operator)',
+  'event StakerUndelegated(address indexed staker, address indexed operator)',
+  'event OperatorSharesIncreased(address indexed operator, address staker, address strategy, uint256 shares)',
+  'event OperatorSharesDecreased(address indexed operator, address staker, address strategy, uint256 shares)',
+  'event OperatorSharesSlashed(address operator, address strategy, uint256 totalSlashedShares)'
+];
+
+// Operator metadata URI history, which the subgraph only keeps the latest of
+const OPERATOR_METADATA_EVENTS = [
+  'event OperatorMetadataURIUpdated(address indexed operator, string metadataURI)'
+];
+
+// The DelegationManager's withdrawal queue, which the subgraph does not cover, and
+// the delays legacy (pre-slashing) withdrawals had to wait
+const WITHDRAWAL_QUEUE_EVENTS = [
+  'event WithdrawalQueued(bytes32 withdrawalRoot, tuple(address staker, address delegatedTo, address withdrawer, uint256 nonce, uint32 startBlock, address[] strategies, uint256[] shares) withdrawal)',
+  'event SlashingWithdrawalQueued(bytes32 withdrawalRoot, tuple(address staker, address delegatedTo, address withdrawer, uint256 nonce, uint32 startBlock, address[] strategies, uint256[] scaledShares) withdrawal, uint256[] sharesToWithdraw)',
+  'event WithdrawalCompleted(bytes32 withdrawalRoot)',
+  'event MinWithdrawalDelayBlocksSet(uint256 previousValue, uint256 newValue)',
+  'event StrategyWithdrawalDelayBlocksSet(address strategy, uint256 previousValue, uint256 newValue)'
+];
+
+const AVS_DIRECTORY_EVENTS = [
+  'event OperatorAVSRegistrationStatusUpdated(address indexed operator, address indexed avs, uint8 status)',
+  'event AVSMetadataURIUpdated(address indexed avs, string metadataURI)'
+];
+
+const REWARDS_SUBMISSION = 'tuple(tuple(address strategy, uint96 multiplier)[] strategiesAndMultipliers, address token, uint256 amount, uint32 startTimestamp, uint32 duration)';
+
+const REWARDS_COORDINATOR_EVENTS = [
+  'event DistributionRootSubmitted(uint32 indexed rootIndex, bytes32 indexed root, uint32 indexed rewardsCalculationEndTimestamp, uint32 activatedAt)',
+  'event DistributionRootDisabled(uint32 indexed rootIndex)',
+  'event RewardsClaimed(bytes32 root, address indexed earner, address indexed claimer, address indexed recipient, address token, uint256 claimedAmount)',
+  `event AVSRewardsSubmissionCreated(address indexed avs, uint256 indexed submissionNonce, bytes32 indexed rewardsSubmissionHash, ${REWARDS_SUBMISSION} rewardsSubmission)`,
+  `event RewardsSubmissionForAllCreated(address indexed submitter, uint256 indexed submissionNonce, bytes32 indexed rewardsSubmissionHash, ${REWARDS_SUBMISSION} rewardsSubmission)`,
+  `event RewardsSubmissionForAllEarnersCreated(address indexed tokenHopper, uint256 indexed submissionNonce, bytes32 indexed rewardsSubmissionHash, ${REWARDS_SUBMISSION} rewardsSubmission)`,
+  'event DefaultOperatorSplitBipsSet(uint16 oldDefaultOperatorSplitBips, uint16 newDefaultOperatorSplitBips)',
+  'event OperatorAVSSplitBipsSet(address indexed caller, address indexed operator, address indexed avs, uint32 activatedAt, uint16 oldOperatorAVSSplitBips, uint16 newOperatorAVSSplitBips)',
+  'event OperatorPISplitBipsSet(address indexed caller, address indexed operator, uint32 activatedAt, uint16 oldOperatorPISplitBips, uint16 newOperatorPISplitBips)',
+  'event OperatorDirectedAVSRewardsSubmissionCreated(address indexed caller, address indexed avs, bytes32 indexed operatorDirectedRewardsSubmissionHash, uint256 submissionNonce, tuple(tuple(address strategy, uint96 multiplier)[] strategiesAndMultipliers, address token, tuple(address operator, uint256 amount)[] operatorRewards, uint32 startTimestamp, uint32 duration, string description) operatorDirectedRewardsSubmission)'
+];
+
+const OPERATOR_SET = 'tuple(address avs, uint32 id)';
+
+const ALLOCATION_MANAGER_EVENTS = [
+  `event OperatorSetCreated(${OPERATOR_SET} operatorSet)`,
+  `event OperatorAddedToOperatorSet(address indexed operator, ${OPERATOR_SET} operatorSet)`,
+  `event OperatorRemovedFromOperatorSet(address indexed operator, ${OPERATOR_SET} operatorSet)`,
+  `event StrategyAddedToOperatorSet(${OPERATOR_SET} operatorSet, address strategy)`,
+  `event StrategyRemovedFromOperatorSet(${OPERATOR_SET} operatorSet, address strategy)`,
+  `event AllocationUpdated(address operator, ${OPERATOR_SET} operatorSet, address strategy, uint64 magnitude, uint32 effectBlock)`,
+  'event MaxMagnitudeUpdated(address operator, address strategy, uint64 maxMagnitude)',
+  `event OperatorSlashed(address operator, ${OPERATOR_SET} operatorSet, address[] strategies, uint256[] wadSlashed, string description)`
+];
+
+const EIGENPOD_MANAGER_EVENTS = [
+  'event PodDeployed(address indexed eigenPod, address indexed podOwner)',
+  'event NewTotalShares(address indexed podOwner, int256 newTotalShares)'
+];
+
+const EIGENPOD_EVENTS = [
+  'event ValidatorRestaked(uint40 validatorIndex)',
+  'event ValidatorBalanceUpdated(uint40 validatorIndex, uint64 balanceTimestamp, uint64 newValidatorBalanceGwei)',
+  'event ValidatorWithdrawn(uint64 indexed checkpointTimestamp, uint40 indexed validatorIndex)',
+  'event CheckpointCreated(uint64 indexed checkpointTimestamp, bytes32 indexed beaconBlockRoot, uint256 validatorCount)',
+  'event CheckpointFinalized(uint64 indexed checkpointTimestamp, int256 totalShareDeltaWei)'
+];
+
+// Proportions slashed are scaled by 1e18
+const WAD = 10n ** 18n;
+
+// AVSDirectory OperatorAVSRegistrationStatus enum
+const AVS_REGISTRATION_STATUS = ['unregistered', 'registered'];
+
+class OnchainIndexer {
+  constructor() {
+    this.provider = new ethers.JsonRpcProvider(process.env.ETHEREUM_RPC_URL);
+    // Overrides each contract's deployment block, e.g. for a local node
+    this.startBlock = parseInt(process.env.INDEXER_START_BLOCK) || null;
+    this.blockRange = parseInt(process.env.INDEXER_BLOCK_RANGE) || 2000;
+    // Blocks this deep below the head are treated as final and no longer re-checked
+    this.confirmations = parseInt(process.env.CONFIRMATION_BLOCKS) || 12;
+
+    this.sources = [
+      {
+        name: 'StrategyManager',
+        address: process.env.EIGENLAYER_STRATEGY_MANAGER_ADDRESS,
+        abi: STRATEGY_MANAGER_EVENTS,
+        deploymentBlock: 17445564,
+        coveredBySubgraph: true
+      },
+      {
+        name: 'DelegationManager',
+        address: process.env.EIGENLAYER_DELEGATION_MANAGER_ADDRESS,
+        abi: DELEGATION_MANAGER_EVENTS,
+        deploymentBlock: 17445564,
+        coveredBySubgraph: true
+      },
+      {
+        name: 'OperatorMetadata',
+        address: process.env.EIGENLAYER_DELEGATION_MANAGER_ADDRESS,
+        abi: OPERATOR_METADATA_EVENTS,
+        deploymentBlock: 17445564
+      },
+      {
+        name: 'WithdrawalQueue',
+        address: process.env.EIGENLAYER_DELEGATION_MANAGER_ADDRESS,
+        abi: WITHDRAWAL_QUEUE_EVENTS,
+        deploymentBlock: 17445564
+      },
+      {
+        name: 'AVSDirectory',
+        address: process.env.EIGENLAYER_AVS_DIRECTORY_ADDRESS,
+        abi: AVS_DIRECTORY_EVENTS,
+        deploymentBlock: 19492759
+      },
+      {
+        name: 'RewardsCoordinator',
+        address: process.env.EIGENLAYER_REWARDS_COORDINATOR_ADDRESS,
+        abi: REWARDS_COORDINATOR_EVENTS,
+        deploymentBlock: 20341789
+      },
+      {
+        name: 'AllocationManager',
+        address: process.env.EIGENLAYER_ALLOCATION_MANAGER_ADDRESS,
+        abi: ALLOCATION_MANAGER_EVENTS,
+        // Deployed with the slashing release, after the RewardsCoordinator; starting
+        // from the RewardsCoordinator's block cannot miss any of its events
+        deploymentBlock: 20341789
+      },
+      {
+        name: 'EigenPodManager',
+        address: process.env.EIGENLAYER_EIGENPOD_MANAGER_ADDRESS,
+        abi: EIGENPOD_MANAGER_EVENTS,
+        deploymentBlock: 17445564
+      },
+      {
+        // Pods are deployed by the EigenPodManager. Pod logs are only read up to its
+        // checkpoint, so every pod that can have logs in a range is known by then
+        name: 'EigenPods',
+        resolveAddresses: getEigenPodAddresses,
+        deployedBy: 'EigenPodManager',
+        abi: EIGENPOD_EVENTS,
+        deploymentBlock: 17445564
+      }
+    ].map(source => ({ ...source, iface: new ethers.Interface(source.abi) }));
+
+    this.handlers = {
+      Deposit: this.handleDeposit,
+      StrategyAddedToDepositWhitelist: this.handleStrategyAddedToDepositWhitelist,
+      OperatorRegistered: this.handleOperatorRegistered,
+      OperatorMetadataURIUpdated: this.handleOperatorMetadataURIUpdated,
+      StakerDelegated: this.handleStakerDelegated,
+      StakerUndelegated: this.handleStakerUndelegated,
+      OperatorSharesIncreased: this.handleOperatorSharesIncreased,
+      OperatorSharesDecreased: this.handleOperatorSharesDecreased,
+      WithdrawalQueued: this.handleWithdrawalQueued,
+      SlashingWithdrawalQueued: this.handleWithdrawalQueued,
+      WithdrawalCompleted: this.handleWithdrawalCompleted,
+      MinWithdrawalDelayBlocksSet: this.handleWithdrawalDelayBlocksSet,
+      StrategyWithdrawalDelayBlocksSet: this.handleWithdrawalDelayBlocksSet,
+      OperatorSharesSlashed: this.handleOperatorSharesSlashed,
+      OperatorAVSRegistrationStatusUpdated: this.handleOperatorAVSRegistrationStatusUpdated,
+      AVSMetadataURIUpdated: this.handleAVSMetadataURIUpdated,
+      DistributionRootSubmitted: this.handleDistributionRootSubmitted,
+      DistributionRootDisabled: this.handleDistributionRootDisabled,
+      RewardsClaimed: this.handleRewardsClaimed,
+      AVSRewardsSubmissionCreated: this.handleAVSRewardsSubmissionCreated,
+      RewardsSubmissionForAllCreated: this.handleRewardsSubmissionForAllCreated,
+      RewardsSubmissionForAllEarnersCreated: this.handleRewardsSubmissionForAllEarnersCreated,
+      OperatorDirectedAVSRewardsSubmissionCreated: this.handleOperatorDirectedAVSRewardsSubmissionCreated,
+      DefaultOperatorSplitBipsSet: this.handleDefaultOperatorSplitBipsSet,
+      OperatorAVSSplitBipsSet: this.handleOperatorAVSSplitBipsSet,
+      OperatorPISplitBipsSet: this.handleOperatorPISplitBipsSet,
+      OperatorSetCreated: this.handleOperatorSetCreated,
+      OperatorAddedToOperatorSet: this.handleOperatorAddedToOperatorSet,
+      OperatorRemovedFromOperatorSet: this.handleOperatorRemovedFromOperatorSet,
+      StrategyAddedToOperatorSet: this.handleStrategyAddedToOperatorSet,
+      StrategyRemovedFromOperatorSet: this.handleStrategyRemovedFromOperatorSet,
+      AllocationUpdated: this.handleAllocationUpdated,
+      MaxMagnitudeUpdated: this.handleMaxMagnitudeUpdated,
+      OperatorSlashed: this.handleOperatorSlashed,
+      PodDeployed: this.handlePodDeployed,
+      NewTotalShares: this.handleNewTotalShares,
+      ValidatorRestaked: this.handleValidatorRestaked,
+      ValidatorBalanceUpdated: this.handleValidatorBalanceUpdated,
+      ValidatorWithdrawn: this.handleValidatorWithdrawn,
+      CheckpointCreated: this.handleCheckpointCreated,
+      CheckpointFinalized: this.handleCheckpointFinalized
+    };
+  }
+
+  /**
+   * Whether the RPC indexer replaces the subgraph as the data source
+   */
+  isEnabled() {
+    return process.env.EIGENLAYER_DATA_SOURCE === 'rpc';
+  }
+
+  /**
+   * Contracts to index: all of them in RPC mode, otherwise only those the subgraph does not cover
+   */
+  getActiveSources() {
+    return this.isEnabled()
+      ? this.sources
+      : this.sources.filter(source => !source.coveredBySubgraph);
+  }
+
+  /**
+   * Index every active contract from its checkpoint up to the chain head
+   */
+  async indexNewBlocks() {
+    const headBlock = await this.provider.getBlockNumber();
+    const results = {};
+
+    // Roll back anything ingested on an orphaned fork before moving forward
+    await this.checkForReorg();
+
+    for (const source of this.getActiveSources()) {
+      if (!source.address && !source.resolveAddresses) {
+        console.log(`⚠️ No address configured for ${source.name}, skipping`);
+        continue;
+      }
+      results[source.name] = await this.indexSource(source, headBlock);
+    }
+
+    await finalizeBlocks(headBlock - this.confirmations);
+
+    return results;
+  }
+
+  /**
+   * Compare stored block hashes with the canonical chain and roll back past the fork point.
+   * Hashes chain together, so the newest matching block marks where the fork begins.
+   */
+  async checkForReorg() {
+    const storedBlocks = await getUnfinalizedBlocks();
+    if (storedBlocks.length === 0) return null;
+
+    let forkBlock = null;
+    for (const stored of storedBlocks) {
+      const canonical = await this.provider.getBlock(stored.blockNumber);
+      if (canonical && canonical.hash === stored.blockHash) {
+        forkBlock = stored.blockNumber;
+        break;
+      }
+    }
+
+    const tipBlock = storedBlocks[0].blockNumber;
+    if (forkBlock === tipBlock) return null;
+
+    if (forkBlock === null) {
+      // None of the unfinalized blocks survived; finalized blocks are trusted
+      forkBlock = storedBlocks[storedBlocks.length - 1].blockNumber - 1;
+    }
+
+    console.warn(`🔀 Chain reorganization detected, rolling back to block ${forkBlock}`);
+    const result = await rollbackToBlock(forkBlock);
+
+    for (const operatorAddress of result.operators) {
+      await this.refreshOperatorStake(operatorAddress);
+    }
+
+    Object.entries(result.deleted).forEach(([table, count]) => {
+      if (count > 0) console.warn(`   - ${table}: ${count} rows removed`);
+    });
+
+    return { forkBlock, ...result };
+  }
+
+  /**
+   * Walk one contract's logs in block ranges, checkpointing after each range
+   */
+  async indexSource(source, toBlock) {
+    const entity = `rpc:${source.name}`;
+    const checkpoint = await getSyncCheckpoint(entity);
+    let fromBlock = checkpoint
+      ? checkpoint.lastBlockNumber + 1
+      : this.startBlock || source.deploymentBlock;
+    let range = this.blockRange;
+    let events = 0;
+
+    // Contracts found through a deployer's events are read no further than the deployer
+    if (source.deployedBy) {
+      const deployer = await getSyncCheckpoint(`rpc:${source.deployedBy}`);
+      toBlock = Math.min(toBlock, deployer ? deployer.lastBlockNumber : fromBlock - 1);
+    }
+
+    // Without a known contract the checkpoint stays put, so contracts found later are
+    // read from the start
+    const addresses = new Set(source.resolveAddresses ? await source.resolveAddresses() : [source.address]);
+    if (addresses.size === 0) {
+      return { events: 0, lastBlockNumber: fromBlock - 1 };
+    }
+
+    while (fromBlock <= toBlock) {
+      const endBlock = Math.min(fromBlock + range - 1, toBlock);
+
+      let logs;
+      try {
+        logs = await this.getLogs(source, addresses, fromBlock, endBlock);
+      } catch (error) {
+        // Providers cap the number of logs per request; retry with a smaller window
+        if (range > 1) {
+          range = Math.max(1, Math.floor(range / 2));
+          continue;
+        }
+        throw error;
+      }
+
+      // Keep the hash of range ends near the head so reorgs without logs are caught too
+      const endHeader = endBlock > toBlock - this.confirmations
+        ? this.toIndexedBlock(await this.provider.getBlock(endBlock))
+        : null;
+
+      // A range's events and the checkpoint past them are stored together or not at all
+      await transaction(async () => {
+        await this.processLogs(source, logs);
+        if (endHeader) await recordIndexedBlocks([endHeader]);
+        await saveSyncCheckpoint(entity, {
+          lastBlockNumber: endBlock,
+          recordsSynced: logs.length,
+          completed: endBlock === toBlock
+        });
+      });
+
+      events += logs.length;
+      fromBlock = endBlock + 1;
+    }
+
+    return { events, lastBlockNumber: toBlock };
+  }
+
+  /**
+   * Fetch a contract's logs in a block range. Contracts deployed at many addresses
+   * (every EigenPod) are queried by event topic alone, since providers reject long
+   * address lists, and only logs from the known addresses are kept.
+   */
+  async getLogs(source, addresses, fromBlock, toBlock) {
+    const topics = [source.iface.fragments
+      .filter(fragment => fragment.type === 'event')
+      .map(fragment => fragment.topicHash)];
+
+    if (!source.resolveAddresses) {
+      return this.provider.getLogs({ address: source.address, topics, fromBlock, toBlock });
+    }
+
+    const logs = await this.provider.getLogs({ topics, fromBlock, toBlock });
+    return logs.filter(log => addresses.has(log.address.toLowerCase()));
+  }
+
+  /**
+   * Decode a batch of logs and dispatch them to their handlers in chain order
+   */
+  async processLogs(source, logs) {
+    const blocks = await this.getBlocks(logs);
+    const context = { touchedOperators: new Set() };
+
+    for (const log of logs) {
+      const parsed = source.iface.parseLog(log);
+      const handler = parsed && this.handlers[parsed.name];
+      if (!handler) continue;
+
+      await handler.call(this, {
+        args: parsed.args,
+        address: log.address.toLowerCase(),
+        blockNumber: log.blockNumber,
+        transactionHash: log.transactionHash,
+        logIndex: log.index,
+        timestamp: blocks.get(log.blockNumber).timestamp
+      }, context);
+    }
+
+    for (const operatorAddress of context.touchedOperators) {
+      await this.refreshOperatorStake(operatorAddress);
+    }
+  }
+
+  /**
+   * Fetch and record each distinct block in a batch of logs
+   */
+  async getBlocks(logs) {
+    const blocks = new Map();
+    const blockNumbers = [...new Set(logs.map(log => log.blockNumber))];
+
+    for (const blockNumber of blockNumbers) {
+      blocks.set(blockNumber, this.toIndexedBlock(await this.provider.getBlock(blockNumber)));
+    }
+
+    await recordIndexedBlocks(Array.from(blocks.values()));
+    return blocks;
+  }
+
+  toIndexedBlock(block) {
+    return {
+      blockNumber: block.number,
+      blockHash: block.hash,
+      parentHash: block.parentHash,
+      timestamp: new Date(block.timestamp * 1000).toISOString()
+    };
+  }
+
+  /**
+   * Recompute an operator's delegated stake from its share events
+   */
+  async refreshOperatorStake(operatorAddress) {
+    const shares = await sumOperatorShareEvents(operatorAddress);
+    const total = shares.reduce((sum, position) => sum + BigInt(position.shares), 0n);
+    await setOperatorShares(operatorAddress, shares);
+    await updateOperatorStake(operatorAddress, total.toString());
+  }
+
+  // Event handlers
+
+  async handleDeposit(event) {
+    await insertRestakingEvent({
+      eventType: 'deposit',
+      userAddress: event.args.staker.toLowerCase(),
+      strategy: event.args.strategy.toLowerCase(),
+      shares: event.args.shares.toString(),
+      amount: null, // Deposit logs only carry shares
+      blockNumber: event.blockNumber,
+      transactionHash: event.transactionHash,
+      logIndex: event.logIndex,
+      timestamp: event.timestamp
+    });
+  }
+
+  async handleStrategyAddedToDepositWhitelist(event) {
+    // Token metadata and share rate are filled in by the strategy refresh
+    await upsertStrategy({ strategyAddress: event.args.strategy.toLowerCase(), firstSeenBlock: event.blockNumber });
+  }
+
+  async handleOperatorRegistered(event) {
+    await upsertOperator({
+      operatorAddress: event.args.operator.toLowerCase(),
+      firstSeenBlock: event.blockNumber
+    });
+  }
+
+  async handleOperatorMetadataURIUpdated(event) {
+    const operatorAddress = event.args.operator.toLowerCase();
+
+    await upsertOperator({
+      operatorAddress,
+      metadataURI: event.args.metadataURI,
+      firstSeenBlock: event.blockNumber
+    });
+    await insertOperatorMetadataURIEvent({
+      operatorAddress,
+      metadataURI: event.args.metadataURI,
+      blockNumber: event.blockNumber,
+      transactionHash: event.transactionHash,
+      logIndex: event.logIndex,
+      timestamp: event.timestamp
+    });
+  }
+
+  async handleStakerDelegated(event) {
+    await this.insertDelegation(event, 'delegated');
+  }
+
+  async handleStakerUndelegated(event) {
+    await this.insertDelegation(event, 'undelegated');
+  }
+
+  async insertDelegation(event, eventType) {
+    await insertDelegationEvent({
+      eventType,
+      userAddress: event.args.staker.toLowerCase(),
+      operatorAddress: event.args.operator.toLowerCase(),
+      blockNumber: event.blockNumber,
+      transactionHash: event.transactionHash,
+      logIndex: event.logIndex,
+      timestamp: event.timestamp
+    });
+  }
+
+  async handleOperatorSharesIncreased(event, context) {
+    await this.insertOperatorShares(event, 'increase', context);
+  }
+
+  async handleOperatorSharesDecreased(event, context) {
+    await this.insertOperatorShares(event, 'decrease', context);
+  }
+
+  async insertOperatorShares(event, eventType, context) {
+    const operatorAddress = event.args.operator.toLowerCase();
+
+    await insertOperatorShareEvent({
+      eventType,
+      operatorAddress,
+      userAddress: event.args.staker.toLowerCase(),
+      strategy: event.args.strategy.toLowerCase(),
+      shares: event.args.shares.toString(),
+      blockNumber: event.blockNumber,
+      transactionHash: event.transactionHash,
+      logIndex: event.logIndex,
+      timestamp: event.timestamp
+    });
+
+    context.touchedOperators.add(operatorAddress);
+  }
+
+  async handleOperatorSharesSlashed(event, context) {
+    const operatorAddress = event.args.operator.toLowerCase();
+
+    // Slashed shares are burned from the operator as a whole, not from one staker
+    await insertOperatorShareEvent({
+      eventType: 'decrease',
+      operatorAddress,
+      userAddress: ethers.ZeroAddress,
+      strategy: event.args.strategy.toLowerCase(),
+      shares: event.args.totalSlashedShares.toString(),
+      blockNumber: event.blockNumber,
+      transactionHash: event.transactionHash,
+      logIndex: event.logIndex,
+      timestamp: event.timestamp
+    });
+
+    context.touchedOperators.add(operatorAddress);
+  }
+
+  /**
+   * Record the queued withdrawal and debit its shares from the staker's ledger
+   */
+  async handleWithdrawalQueued(event) {
+    const { withdrawal, sharesToWithdraw } = event.args;
+    // Slashing-release withdrawals carry scaled shares; the withdrawable amount is separate
+    const shares = sharesToWithdraw || withdrawal.shares;
+
+    await insertWithdrawal({
+      withdrawalRoot: event.args.withdrawalRoot,
+      withdrawalType: sharesToWithdraw ? 'slashing' : 'legacy',
+      staker: withdrawal.staker.toLowerCase(),
+      delegatedTo: withdrawal.delegatedTo === ethers.ZeroAddress ? null : withdrawal.delegatedTo.toLowerCase(),
+      withdrawer: withdrawal.withdrawer.toLowerCase(),
+      nonce: withdrawal.nonce.toString(),
+      startBlock: Number(withdrawal.startBlock),
+      strategies: withdrawal.strategies.map((strategy, i) => ({
+        strategy: strategy.toLowerCase(),
+        shares: shares[i].toString(),
+        scaledShares: sharesToWithdraw ? withdrawal.scaledShares[i].toString() : null
+      })),
+      blockNumber: event.blockNumber,
+      transactionHash: event.transactionHash,
+      logIndex: event.logIndex,
+      timestamp: event.timestamp
+    });
+
+    for (let i = 0; i < withdrawal.strategies.length; i++) {
+      await insertRestakingEvent({
+        eventType: 'withdrawal',
+        userAddress: withdrawal.staker.toLowerCase(),
+        strategy: withdrawal.strategies[i].toLowerCase(),
+        shares: shares[i].toString(),
+        amount: null,
+        blockNumber: event.blockNumber,
+        transactionHash: event.transactionHash,
+        logIndex: event.logIndex,
+        timestamp: event.timestamp
+      });
+    }
+  }
+
+  async handleWithdrawalCompleted(event) {
+    await insertWithdrawalCompletion({
+      withdrawalRoot: event.args.withdrawalRoot,
+      blockNumber: event.blockNumber,
+      transactionHash: event.transactionHash,
+      logIndex: event.logIndex,
+      timestamp: event.timestamp
+    });
+  }
+
+  /**
+   * Record the minimum delay (no strategy) or a strategy's delay for legacy withdrawals
+   */
+  async handleWithdrawalDelayBlocksSet(event) {
+    await insertWithdrawalDelay({
+      strategy: event.args.strategy ? event.args.strategy.toLowerCase() : null,
+      delayBlocks: Number(event.args.newValue),
+      blockNumber: event.blockNumber,
+      transactionHash: event.transactionHash,
+      logIndex: event.logIndex,
+      timestamp: event.timestamp
+    });
+  }
+
+  async handleOperatorAVSRegistrationStatusUpdated(event) {
+    const avsAddress = event.args.avs.toLowerCase();
+
+    await upsertAvs({ avsAddress });
+    await insertAvsRegistrationEvent({
+      avsAddress,
+      operatorAddress: event.args.operator.toLowerCase(),
+      status: AVS_REGISTRATION_STATUS[Number(event.args.status)] || 'unregistered',
+      blockNumber: event.blockNumber,
+      transactionHash: event.transactionHash,
+      logIndex: event.logIndex,
+      timestamp: event.timestamp
+    });
+  }
+
+  async handleAVSMetadataURIUpdated(event) {
+    await upsertAvs({
+      avsAddress: event.args.avs.toLowerCase(),
+      metadataURI: event.args.metadataURI
+    });
+  }
+
+  async handleDistributionRootSubmitted(event) {
+    await insertDistributionRoot({
+      rootIndex: Number(event.args.rootIndex),
+      root: event.args.root,
+      rewardsCalculationEndTimestamp: Number(event.args.rewardsCalculationEndTimestamp),
+      activatedAt: Number(event.args.activatedAt),
+      blockNumber: event.blockNumber,
+      transactionHash: event.transactionHash,
+      logIndex: event.logIndex,
+      timestamp: event.timestamp
+    });
+  }
+
+  async handleDistributionRootDisabled(event) {
+    await disableDistributionRoot(Number(event.args.rootIndex));
+  }
+
+  async handleRewardsClaimed(event) {
+    await insertRewardsClaim({
+      root: event.args.root,
+      earner: event.args.earner.toLowerCase(),
+      claimer: event.args.claimer.toLowerCase(),
+      recipient: event.args.recipient.toLowerCase(),
+      token: event.args.token.toLowerCase(),
+      claimedAmount: event.args.claimedAmount.toString(),
+      blockNumber: event.blockNumber,
+      transactionHash: event.transactionHash,
+      logIndex: event.logIndex,
+      timestamp: event.timestamp
+    });
+  }
+
+  async handleAVSRewardsSubmissionCreated(event) {
+    await this.insertSubmission(event, 'avs', event.args.avs, event.args.avs);
+  }
+
+  async handleRewardsSubmissionForAllCreated(event) {
+    await this.insertSubmission(event, 'all_stakers', event.args.submitter, null);
+  }
+
+  async handleRewardsSubmissionForAllEarnersCreated(event) {
+    await this.insertSubmission(event, 'all_earners', event.args.tokenHopper, null);
+  }
+
+  async handleOperatorDirectedAVSRewardsSubmissionCreated(event) {
+    const submission = event.args.operatorDirectedRewardsSubmission;
+    const operatorRewards = submission.operatorRewards.map(reward => ({
+      operator: reward.operator.toLowerCase(),
+      amount: reward.amount.toString()
+    }));
+
+    await insertRewardsSubmission({
+      ...this.toSubmission(event, submission),
+      submissionType: 'operator_directed',
+      submitter: event.args.caller.toLowerCase(),
+      avsAddress: event.args.avs.toLowerCase(),
+      submissionNonce: event.args.submissionNonce.toString(),
+      submissionHash: event.args.operatorDirectedRewardsSubmissionHash,
+      amount: operatorRewards.reduce((sum, reward) => sum + BigInt(reward.amount), 0n).toString(),
+      operatorRewards
+    });
+  }
+
+  async insertSubmission(event, submissionType, submitter, avsAddress) {
+    const submission = event.args.rewardsSubmission;
+
+    await insertRewardsSubmission({
+      ...this.toSubmission(event, submission),
+      submissionType,
+      submitter: submitter.toLowerCase(),
+      avsAddress: avsAddress ? avsAddress.toLowerCase() : null,
+      submissionNonce: event.args.submissionNonce.toString(),
+      submissionHash: event.args.rewardsSubmissionHash,
+      amount: submission.amount.toString()
+    });
+  }
+
+  async handleDefaultOperatorSplitBipsSet(event) {
+    // The default applies as soon as it is set
+    await this.insertSplit(event, 'default', {
+      activatedAt: Math.floor(new Date(event.timestamp).getTime() / 1000),
+      oldSplitBips: Number(event.args.oldDefaultOperatorSplitBips),
+      newSplitBips: Number(event.args.newDefaultOperatorSplitBips)
+    });
+  }
+
+  async handleOperatorAVSSplitBipsSet(event) {
+    await this.insertSplit(event, 'avs', {
+      operatorAddress: event.args.operator.toLowerCase(),
+      avsAddress: event.args.avs.toLowerCase(),
+      caller: event.args.caller.toLowerCase(),
+      activatedAt: Number(event.args.activatedAt),
+      oldSplitBips: Number(event.args.oldOperatorAVSSplitBips),
+      newSplitBips: Number(event.args.newOperatorAVSSplitBips)
+    });
+  }
+
+  async handleOperatorPISplitBipsSet(event) {
+    await this.insertSplit(event, 'pi', {
+      operatorAddress: event.args.operator.toLowerCase(),
+      caller: event.args.caller.toLowerCase(),
+      activatedAt: Number(event.args.activatedAt),
+      oldSplitBips: Number(event.args.oldOperatorPISplitBips),
+      newSplitBips: Number(event.args.newOperatorPISplitBips)
+    });
+  }
+
+  async insertSplit(event, splitType, split) {
+    await insertOperatorSplitEvent({
+      splitType,
+      ...split,
+      blockNumber: event.blockNumber,
+      transactionHash: event.transactionHash,
+      logIndex: event.logIndex,
+      timestamp: event.timestamp
+    });
+  }
+
+  /**
+   * Fields shared by every rewards submission flavour
+   */
+  toSubmission(event, submission) {
+    return {
+      token: submission.token.toLowerCase(),
+      strategies: submission.strategiesAndMultipliers.map(entry => ({
+        strategy: entry.strategy.toLowerCase(),
+        multiplier: entry.multiplier.toString()
+      })),
+      startTimestamp: Number(submission.startTimestamp),
+      duration: Number(submission.duration),
+      blockNumber: event.blockNumber,
+      transactionHash: event.transactionHash,
+      logIndex: event.logIndex,
+      timestamp: event.timestamp
+    };
+  }
+
+  async handleOperatorSetCreated(event) {
+    const operatorSet = this.toOperatorSet(event.args.operatorSet);
+
+    await upsertAvs({ avsAddress: operatorSet.avsAddress });
+    await insertOperatorSet({
+      ...operatorSet,
+      blockNumber: event.blockNumber,
+      transactionHash: event.transactionHash,
+      logIndex: event.logIndex,
+      timestamp: event.timestamp
+    });
+  }
+
+  async handleOperatorAddedToOperatorSet(event) {
+    await this.insertSetEvent(event, 'operator_added', { operatorAddress: event.args.operator.toLowerCase() });
+  }
+
+  async handleOperatorRemovedFromOperatorSet(event) {
+    await this.insertSetEvent(event, 'operator_removed', { operatorAddress: event.args.operator.toLowerCase() });
+  }
+
+  async handleStrategyAddedToOperatorSet(event) {
+    await this.insertSetEvent(event, 'strategy_added', { strategy: event.args.strategy.toLowerCase() });
+  }
+
+  async handleStrategyRemovedFromOperatorSet(event) {
+    await this.insertSetEvent(event, 'strategy_removed', { strategy: event.args.strategy.toLowerCase() });
+  }
+
+  async insertSetEvent(event, eventType, subject) {
+    await insertOperatorSetEvent({
+      eventType,
+      ...this.toOperatorSet(event.args.operatorSet),
+      ...subject,
+      blockNumber: event.blockNumber,
+      transactionHash: event.transactionHash,
+      logIndex: event.logIndex,
+      timestamp: event.timestamp
+    });
+  }
+
+  async handleAllocationUpdated(event) {
+    await insertAllocationEvent({
+      operatorAddress: event.args.operator.toLowerCase(),
+      ...this.toOperatorSet(event.args.operatorSet),
+      strategy: event.args.strategy.toLowerCase(),
+      magnitude: event.args.magnitude.toString(),
+      effectBlock: Number(event.args.effectBlock),
+      blockNumber: event.blockNumber,
+      transactionHash: event.transactionHash,
+      logIndex: event.logIndex,
+      timestamp: event.timestamp
+    });
+  }
+
+  async handleMaxMagnitudeUpdated(event) {
+    await insertMaxMagnitudeEvent({
+      operatorAddress: event.args.operator.toLowerCase(),
+      strategy: event.args.strategy.toLowerCase(),
+      maxMagnitude: event.args.maxMagnitude.toString(),
+      blockNumber: event.blockNumber,
+      transactionHash: event.transactionHash,
+      logIndex: event.logIndex,
+      timestamp: event.timestamp
+    });
+  }
+
+  /**
+   * Record one slash_history row per slashed strategy and split each loss across
+   * the stakers delegated to the operator at that point, pro rata to their shares.
+   * The event's wadSlashed is a proportion of the magnitude allocated to the operator
+   * set; it is scaled by allocated ÷ max magnitude into a proportion of the whole stake.
+   */
+  async handleOperatorSlashed(event) {
+    const operatorAddress = event.args.operator.toLowerCase();
+    const operatorSet = this.toOperatorSet(event.args.operatorSet);
+    const { strategies } = event.args;
+
+    for (let i = 0; i < strategies.length; i++) {
+      const strategy = strategies[i].toLowerCase();
+      const stakerShares = await getDelegatedStakerShares(operatorAddress, strategy, event);
+      const wadSlashed = await this.stakeWadSlashed(operatorAddress, operatorSet, strategy, event.args.wadSlashed[i], event);
+
+      const slashes = Array.from(stakerShares, ([userAddress, shares]) => ({
+        userAddress,
+        operatorAddress,
+        ...operatorSet,
+        strategy,
+        sharesBefore: shares.toString(),
+        sharesSlashed: (shares * wadSlashed / WAD).toString(),
+        wadSlashed: wadSlashed.toString(),
+        blockNumber: event.blockNumber,
+        transactionHash: event.transactionHash,
+        logIndex: event.logIndex,
+        timestamp: event.timestamp
+      }));
+
+      await insertStakerSlashes(slashes);
+      await insertSlashEvent({
+        operatorAddress,
+        ...operatorSet,
+        strategy,
+        wadSlashed: wadSlashed.toString(),
+        slashedAmount: slashes.reduce((sum, slash) => sum + BigInt(slash.sharesSlashed), 0n).toString(),
+        reason: event.args.description,
+        blockNumber: event.blockNumber,
+        transactionHash: event.transactionHash,
+        logIndex: event.logIndex,
+        timestamp: event.timestamp
+      });
+    }
+  }
+
+  /**
+   * Helper: Proportion of the operator's whole stake in a strategy a slash took, from
+   * the proportion of its allocated magnitude the event reports
+   */
+  async stakeWadSlashed(operatorAddress, operatorSet, strategy, magnitudeWadSlashed, event) {
+    const { allocatedMagnitude, maxMagnitude } = await getSlashedMagnitudes(operatorAddress, operatorSet, strategy, event);
+    if (allocatedMagnitude === null) {
+      console.warn(`⚠️ No allocation indexed for slashed operator ${operatorAddress} in ${strategy}, assuming it was fully allocated`);
+      return magnitudeWadSlashed;
+    }
+    return maxMagnitude > 0n ? magnitudeWadSlashed * allocatedMagnitude / maxMagnitude : 0n;
+  }
+
+  async handlePodDeployed(event) {
+    await insertEigenPod({
+      podOwner: event.args.podOwner.toLowerCase(),
+      podAddress: event.args.eigenPod.toLowerCase(),
+      blockNumber: event.blockNumber,
+      transactionHash: event.transactionHash,
+      logIndex: event.logIndex,
+      timestamp: event.timestamp
+    });
+  }
+
+  /**
+   * Record a pod owner's new share total with the change from the previous one,
+   * which is what the staker ledger accounts for
+   */
+  async handleNewTotalShares(event) {
+    const podOwner = event.args.podOwner.toLowerCase();
+    const previousShares = await getEigenPodShares(podOwner, event);
+
+    await insertEigenPodShareEvent({
+      podOwner,
+      newTotalShares: event.args.newTotalShares.toString(),
+      sharesDelta: (event.args.newTotalShares - BigInt(previousShares)).toString(),
+      blockNumber: event.blockNumber,
+      transactionHash: event.transactionHash,
+      logIndex: event.logIndex,
+      timestamp: event.timestamp
+    });
+  }
+
+  async handleValidatorRestaked(event) {
+    await this.insertValidatorEvent(event, 'restaked');
+  }
+
+  async handleValidatorBalanceUpdated(event) {
+    await this.insertValidatorEvent(event, 'balance_updated', {
+      balanceGwei: event.args.newValidatorBalanceGwei.toString(),
+      balanceTimestamp: Number(event.args.balanceTimestamp)
+    });
+  }
+
+  async handleValidatorWithdrawn(event) {
+    await this.insertValidatorEvent(event, 'withdrawn', {
+      checkpointTimestamp: Number(event.args.checkpointTimestamp)
+    });
+  }
+
+  async insertValidatorEvent(event, eventType, details = {}) {
+    await insertEigenPodValidatorEvent({
+      eventType,
+      podAddress: event.address,
+      validatorIndex: Number(event.args.validatorIndex),
+      ...details,
+      blockNumber: event.blockNumber,
+      transactionHash: event.transactionHash,
+      logIndex: event.logIndex,
+      timestamp: event.timestamp
+    });
+  }
+
+  async handleCheckpointCreated(event) {
+    await this.insertCheckpoint(event, 'created', {
+      beaconBlockRoot: event.args.beaconBlockRoot,
+      validatorCount: Number(event.args.validatorCount)
+    });
+  }
+
+  async handleCheckpointFinalized(event) {
+    await this.insertCheckpoint(event, 'finalized', {
+      totalShareDeltaWei: event.args.totalShareDeltaWei.toString()
+    });
+  }
+
+  async insertCheckpoint(event, eventType, details) {
+    await insertEigenPodCheckpoint({
+      eventType,
+      podAddress: event.address,
+      checkpointTimestamp: Number(event.args.checkpointTimestamp),
+      ...details,
+      blockNumber: event.blockNumber,
+      transactionHash: event.transactionHash,
+      logIndex: event.logIndex,
+      timestamp: event.timestamp
+    });
+  }
+
+  toOperatorSet(operatorSet) {
+    return {
+      avsAddress: operatorSet.avs.toLowerCase(),
+      operatorSetId: Number(operatorSet.id)
+    };
+  }
+}
+
+module.exports = new OnchainIndexer();
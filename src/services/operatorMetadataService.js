@@ -0,0 +1,274 @@
+const axios = require('axios');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const {
+  getOperatorsDueForMetadata,
+  saveOperatorMetadata
+} = require('./databaseService');
+
+const HOUR = 60 * 60 * 1000;
+
+// Failed fetches are retried sooner than a successful one is refreshed
+const RETRY_INTERVAL = HOUR;
+
+// Operator metadata documents are a few hundred bytes; anything far larger is not one
+const MAX_DOCUMENT_BYTES = 1024 * 1024;
+
+// Limits from the EigenLayer operator metadata schema
+const MAX_NAME_LENGTH = 200;
+const MAX_DESCRIPTION_LENGTH = 500;
+const TWITTER_HOSTS = ['twitter.com', 'www.twitter.com', 'x.com', 'www.x.com'];
+
+// Operators choose the URIs fetched, so hosts must resolve to public addresses only:
+// private, loopback, link-local, shared, multicast and reserved ranges are refused
+const NON_PUBLIC_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([network, prefix]) => NON_PUBLIC_RANGES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => NON_PUBLIC_RANGES.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * Why a fetch failed, as stored in `lastError` and served publicly. The
+ * underlying error message is only logged, since it can describe hosts the
+ * server reached.
+ */
+const FETCH_ERRORS = {
+  INVALID_URI: 'invalid_uri',
+  BLOCKED_HOST: 'blocked_host',
+  REDIRECT: 'redirect',
+  HTTP_ERROR: 'http_error',
+  TOO_LARGE: 'too_large',
+  TIMEOUT: 'timeout',
+  UNREACHABLE: 'unreachable'
+};
+
+class OperatorMetadataService {
+  constructor() {
+    this.refreshInterval = (parseInt(process.env.OPERATOR_METADATA_REFRESH_HOURS) || 24) * HOUR;
+    this.batchSize = parseInt(process.env.OPERATOR_METADATA_BATCH_SIZE) || 50;
+    this.timeout = 10000;
+    // Lets tests and local fixture servers on private addresses be fetched
+    this.allowPrivateHosts = process.env.OPERATOR_METADATA_ALLOW_PRIVATE_HOSTS === 'true';
+
+    // Every connection re-checks the addresses its host resolved to, so a
+    // rebinding DNS answer cannot slip past the check made before the request
+    const lookup = (hostname, options, callback) => dns.lookup(hostname, options, (error, address, family) => {
+      if (error) return callback(error);
+      const addresses = Array.isArray(address) ? address : [{ address, family }];
+      if (addresses.some(entry => !this.isPublicAddress(entry.address))) {
+        return callback(this.fetchError(FETCH_ERRORS.BLOCKED_HOST, `${hostname} resolves to a non-public address`));
+      }
+      callback(null, address, family);
+    });
+    this.httpAgent = new http.Agent({ lookup });
+    this.httpsAgent = new https.Agent({ lookup });
+  }
+
+  /**
+   * Resolve the metadata of one batch of operators that are due: new or changed
+   * URIs first, then cached documents past their refresh time
+   */
+  async resolveDue(now = new Date()) {
+    const operators = await getOperatorsDueForMetadata(now.toISOString(), this.batchSize);
+    const counts = { resolved: 0, unchanged: 0, invalid: 0, errors: 0 };
+
+    for (const operator of operators) {
+      const outcome = await this.resolve(operator, now);
+      counts[outcome]++;
+    }
+
+    return counts;
+  }
+
+  /**
+   * Fetch and validate one operator's document and store it; returns the outcome counted
+   */
+  async resolve(operator, now) {
+    // A cached document only stands for the URI it was fetched from
+    const cached = operator.cachedURI === operator.metadataURI ? operator : null;
+    const checkedAt = now.toISOString();
+
+    try {
+      const response = await this.fetchDocument(operator.metadataURI, cached && cached.etag);
+      const nextRefreshAt = new Date(now.getTime() + this.refreshInterval).toISOString();
+
+      // 304 Not Modified: the cached document still holds
+      if (response.status === 304) {
+        await saveOperatorMetadata({ ...cached, operatorAddress: operator.operatorAddress, checkedAt, nextRefreshAt });
+        return 'unchanged';
+      }
+
+      const { metadata, errors } = this.validate(response.data);
+      await saveOperatorMetadata({
+        operatorAddress: operator.operatorAddress,
+        metadataURI: operator.metadataURI,
+        status: errors.length === 0 ? 'valid' : 'invalid',
+        ...(errors.length === 0 ? metadata : {}),
+        validationErrors: errors.length > 0 ? JSON.stringify(errors) : null,
+        etag: response.headers.etag,
+        fetchedAt: checkedAt,
+        checkedAt,
+        nextRefreshAt
+      });
+      return errors.length === 0 ? 'resolved' : 'invalid';
+    } catch (error) {
+      console.error(`Error resolving metadata for operator ${operator.operatorAddress}:`, error.message);
+      await saveOperatorMetadata({
+        ...(cached || { status: 'unreachable' }),
+        operatorAddress: operator.operatorAddress,
+        metadataURI: operator.metadataURI,
+        lastError: this.categorize(error),
+        failed: true,
+        checkedAt,
+        nextRefreshAt: new Date(now.getTime() + Math.min(RETRY_INTERVAL, this.refreshInterval)).toISOString()
+      });
+      return 'errors';
+    }
+  }
+
+  /**
+   * GET a metadata document as text, revalidating against the cached ETag if there is one.
+   * Redirects are not followed, since they could lead to a host that was never checked.
+   */
+  async fetchDocument(uri, etag) {
+    let url;
+    try {
+      url = new URL(uri);
+    } catch (error) {
+      throw this.fetchError(FETCH_ERRORS.INVALID_URI, 'metadataURI is not a valid URL');
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      throw this.fetchError(FETCH_ERRORS.INVALID_URI, `Unsupported metadataURI scheme ${url.protocol}`);
+    }
+
+    // Connections to IP literals skip the lookup, so they are checked here
+    const host = url.hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(host) && !this.isPublicAddress(host)) {
+      throw this.fetchError(FETCH_ERRORS.BLOCKED_HOST, `${host} is not a public address`);
+    }
+
+    return axios.get(url.href, {
+      timeout: this.timeout,
+      responseType: 'text',
+      maxContentLength: MAX_DOCUMENT_BYTES,
+      maxRedirects: 0,
+      // A proxy would resolve the host itself, past the address check
+      proxy: false,
+      httpAgent: this.httpAgent,
+      httpsAgent: this.httpsAgent,
+      headers: etag ? { 'If-None-Match': etag } : {},
+      validateStatus: status => status === 200 || status === 304
+    });
+  }
+
+  /**
+   * Helper: Whether an IP address may be fetched from
+   */
+  isPublicAddress(address) {
+    if (this.allowPrivateHosts) return true;
+    return !NON_PUBLIC_RANGES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+  }
+
+  /**
+   * Helper: An error tagged with the FETCH_ERRORS category it is reported as
+   */
+  fetchError(category, message) {
+    return Object.assign(new Error(message), { category });
+  }
+
+  /**
+   * Helper: The FETCH_ERRORS category of a failed fetch
+   */
+  categorize(error) {
+    if (error.category) return error.category;
+    // axios wraps connection errors, keeping the lookup's error as the cause
+    if (error.cause && error.cause.category) return error.cause.category;
+
+    if (error.response) {
+      return error.response.status >= 300 && error.response.status < 400
+        ? FETCH_ERRORS.REDIRECT
+        : FETCH_ERRORS.HTTP_ERROR;
+    }
+    if (/maxContentLength/.test(error.message)) return FETCH_ERRORS.TOO_LARGE;
+    if (['ECONNABORTED', 'ETIMEDOUT'].includes(error.code)) return FETCH_ERRORS.TIMEOUT;
+    return FETCH_ERRORS.UNREACHABLE;
+  }
+
+  /**
+   * Helper: Check a document against the operator metadata schema. name, description
+   * and a .png logo are required; website and twitter are optional URLs.
+   */
+  validate(body) {
+    let document;
+    try {
+      document = JSON.parse(body);
+    } catch (error) {
+      return { metadata: null, errors: ['Document is not valid JSON'] };
+    }
+    if (!document || typeof document !== 'object' || Array.isArray(document)) {
+      return { metadata: null, errors: ['Document is not a JSON object'] };
+    }
+
+    const errors = [];
+    const field = (key, required) => {
+      const value = document[key];
+      if (value === undefined || value === null || value === '') {
+        if (required) errors.push(`${key} is required`);
+        return null;
+      }
+      if (typeof value !== 'string') {
+        errors.push(`${key} must be a string`);
+        return null;
+      }
+      return value.trim();
+    };
+
+    const name = field('name', true);
+    const description = field('description', true);
+    const logo = field('logo', true);
+    const website = field('website', false);
+    const twitter = field('twitter', false);
+
+    if (name !== null && name.length > MAX_NAME_LENGTH) {
+      errors.push(`name must be at most ${MAX_NAME_LENGTH} characters`);
+    }
+    if (description !== null && description.length > MAX_DESCRIPTION_LENGTH) {
+      errors.push(`description must be at most ${MAX_DESCRIPTION_LENGTH} characters`);
+    }
+    if (logo !== null) {
+      const url = this.parseWebUrl(logo);
+      if (!url) errors.push('logo must be an http(s) URL');
+      else if (!url.pathname.toLowerCase().endsWith('.png')) errors.push('logo must be a .png image');
+    }
+    if (website !== null && !this.parseWebUrl(website)) {
+      errors.push('website must be an http(s) URL');
+    }
+    if (twitter !== null) {
+      const url = this.parseWebUrl(twitter);
+      if (!url || !TWITTER_HOSTS.includes(url.hostname.toLowerCase())) {
+        errors.push('twitter must be a twitter.com or x.com URL');
+      }
+    }
+
+    return { metadata: { name, description, logo, website, twitter }, errors };
+  }
+
+  /**
+   * Helper: The URL if value is an absolute http(s) URL, otherwise null
+   */
+  parseWebUrl(value) {
+    try {
+      const url = new URL(value);
+      return ['http:', 'https:'].includes(url.protocol) ? url : null;
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = new OperatorMetadataService();
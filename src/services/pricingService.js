@@ -0,0 +1,117 @@
+const { ethers } = require('ethers');
+const dataModeService = require('./dataModeService');
+const { upsertTokenRate } = require('./databaseService');
+
+const WAD = 10n ** 18n;
+
+/**
+ * ETH rate providers per underlying token (mainnet addresses). Each reads the
+ * wei of ether one whole token is worth from the token's own contract;
+ * `fixtureRate` stands in for it in fixture mode.
+ */
+const RATE_PROVIDERS = {
+  // stETH rebases against pooled ether, so a balance is valued through the
+  // share rate it is accounted in
+  '0xae7ab96520de3a18e5e111b5eaab095312d7fe84': {
+    symbol: 'stETH',
+    provider: 'lido',
+    abi: [
+      'function getSharesByPooledEth(uint256 _ethAmount) view returns (uint256)',
+      'function getPooledEthByShares(uint256 _sharesAmount) view returns (uint256)'
+    ],
+    read: async (token, overrides) =>
+      token.getPooledEthByShares(await token.getSharesByPooledEth(WAD, overrides), overrides),
+    fixtureRate: WAD
+  },
+  '0x7f39c581f595b53c5cb19bd0b3f8da6c935e2ca0': {
+    symbol: 'wstETH',
+    provider: 'lido',
+    abi: ['function stEthPerToken() view returns (uint256)'],
+    read: (token, overrides) => token.stEthPerToken(overrides),
+    fixtureRate: 1170000000000000000n
+  },
+  '0xae78736cd615f374d3085123a210448e74fc6393': {
+    symbol: 'rETH',
+    provider: 'rocketpool',
+    abi: ['function getExchangeRate() view returns (uint256)'],
+    read: (token, overrides) => token.getExchangeRate(overrides),
+    fixtureRate: 1100000000000000000n
+  },
+  '0xbe9895146f7af43049ca1c1ae358b0541ea49704': {
+    symbol: 'cbETH',
+    provider: 'coinbase',
+    abi: ['function exchangeRate() view returns (uint256)'],
+    read: (token, overrides) => token.exchangeRate(overrides),
+    fixtureRate: 1080000000000000000n
+  },
+  // sfrxETH is an ERC-4626 vault over frxETH, which is pegged to ether
+  '0xac3e018457b222d93114458476f3e3416abbe38f': {
+    symbol: 'sfrxETH',
+    provider: 'erc4626',
+    abi: ['function convertToAssets(uint256 shares) view returns (uint256)'],
+    read: (token, overrides) => token.convertToAssets(WAD, overrides),
+    fixtureRate: 1090000000000000000n
+  },
+  '0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2': {
+    symbol: 'WETH',
+    provider: 'par',
+    read: async () => WAD,
+    fixtureRate: WAD
+  }
+};
+
+class PricingService {
+  constructor() {
+    this.provider = new ethers.JsonRpcProvider(process.env.ETHEREUM_RPC_URL);
+  }
+
+  /**
+   * Read every provider's current rate at one block and store it
+   */
+  async refreshRates() {
+    const blockNumber = dataModeService.getMode() === 'fixture'
+      ? null
+      : await this.provider.getBlockNumber().catch(() => null);
+    let updated = 0;
+    let errors = 0;
+
+    for (const [tokenAddress, rateProvider] of Object.entries(RATE_PROVIDERS)) {
+      try {
+        const rate = await dataModeService.withFallback(
+          `${rateProvider.symbol} rate provider`,
+          async () => ({ ethRate: await this.readRate(tokenAddress, rateProvider, blockNumber), blockNumber, source: 'live' }),
+          () => ({ ethRate: rateProvider.fixtureRate.toString(), blockNumber: null, source: 'fixture' })
+        );
+
+        await upsertTokenRate({
+          token: tokenAddress,
+          symbol: rateProvider.symbol,
+          provider: rateProvider.provider,
+          ...rate
+        });
+        updated++;
+      } catch (error) {
+        console.error(`Error refreshing ${rateProvider.symbol} rate:`, error.message);
+        errors++;
+      }
+    }
+
+    return { updated, errors };
+  }
+
+  async readRate(tokenAddress, rateProvider, blockNumber) {
+    // Fixed rates need no contract call
+    if (!rateProvider.abi) {
+      return (await rateProvider.read()).toString();
+    }
+    if (blockNumber === null) {
+      throw new Error('RPC unavailable');
+    }
+
+    const token = new ethers.Contract(tokenAddress, rateProvider.abi, this.provider);
+    const rate = await rateProvider.read(token, { blockTag: blockNumber });
+    return rate.toString();
+  }
+}
+
+module.exports = new PricingService();
@@ -0,0 +1,138 @@
+const axios = require('axios');
+const readline = require('readline');
+const { ethers } = require('ethers');
+const {
+  getLatestActiveRoot,
+  getSyncCheckpoint,
+  saveSyncCheckpoint,
+  saveRewardsEarnings,
+  pruneRewardsEarnings,
+  getUnknownRewardTokens,
+  upsertToken
+} = require('./databaseService');
+
+const EARNINGS_CHECKPOINT = 'rewards:earnings';
+
+class RewardsService {
+  constructor() {
+    this.provider = new ethers.JsonRpcProvider(process.env.ETHEREUM_RPC_URL);
+    // Cumulative earnings per distribution, e.g. https://host/{date}/claim-amounts.json
+    this.distributionUrl = process.env.REWARDS_DISTRIBUTION_URL;
+    this.batchSize = 500;
+  }
+
+  /**
+   * Load cumulative earnings for the newest active distribution root, once per root
+   */
+  async syncEarnings() {
+    const root = await getLatestActiveRoot(Math.floor(Date.now() / 1000));
+    if (!root) {
+      return { rootIndex: null, earnings: 0 };
+    }
+
+    const checkpoint = await getSyncCheckpoint(EARNINGS_CHECKPOINT);
+    if (checkpoint && checkpoint.lastId === String(root.rootIndex)) {
+      return { rootIndex: root.rootIndex, earnings: 0 };
+    }
+
+    if (!this.distributionUrl) {
+      throw new Error('REWARDS_DISTRIBUTION_URL is not configured');
+    }
+
+    const url = this.distributionUrl.replace('{date}', this.formatSnapshotDate(root.rewardsCalculationEndTimestamp));
+    console.log(`📥 Loading distribution ${root.rootIndex} from ${url}`);
+
+    const response = await axios.get(url, { responseType: 'stream', timeout: 60000 });
+    const lines = readline.createInterface({ input: response.data, crlfDelay: Infinity });
+
+    let batch = [];
+    let earnings = 0;
+    for await (const line of lines) {
+      const earning = this.parseEarning(line);
+      if (!earning) continue;
+
+      batch.push(earning);
+      if (batch.length >= this.batchSize) {
+        await saveRewardsEarnings(root.rootIndex, batch);
+        earnings += batch.length;
+        batch = [];
+      }
+    }
+    if (batch.length > 0) {
+      await saveRewardsEarnings(root.rootIndex, batch);
+      earnings += batch.length;
+    }
+
+    // Every earner appears in each cumulative distribution, so older rows are stale
+    await pruneRewardsEarnings(root.rootIndex);
+    await saveSyncCheckpoint(EARNINGS_CHECKPOINT, {
+      lastBlockNumber: root.blockNumber,
+      lastId: String(root.rootIndex),
+      recordsSynced: earnings,
+      completed: true
+    });
+
+    return { rootIndex: root.rootIndex, earnings };
+  }
+
+  /**
+   * Parse one JSON line of a distribution file
+   */
+  parseEarning(line) {
+    if (!line.trim()) return null;
+
+    const row = JSON.parse(line);
+    const amount = row.cumulative_amount ?? row.cumulativeAmount;
+    if (!row.earner || !row.token || amount === undefined) return null;
+
+    return {
+      earner: row.earner.toLowerCase(),
+      token: row.token.toLowerCase(),
+      cumulativeEarnings: BigInt(amount).toString()
+    };
+  }
+
+  /**
+   * Distribution files are published per calculation end date (UTC)
+   */
+  formatSnapshotDate(timestamp) {
+    return new Date(timestamp * 1000).toISOString().slice(0, 10);
+  }
+
+  /**
+   * Fetch ERC-20 metadata for reward tokens we have not described yet
+   */
+  async refreshTokens() {
+    const tokens = await getUnknownRewardTokens();
+    let updated = 0;
+
+    for (const tokenAddress of tokens) {
+      try {
+        const token = new ethers.Contract(
+          tokenAddress,
+          [
+            'function symbol() view returns (string)',
+            'function name() view returns (string)',
+            'function decimals() view returns (uint8)'
+          ],
+          this.provider
+        );
+
+        const [symbol, name, decimals] = await Promise.all([
+          token.symbol(),
+          token.name(),
+          token.decimals()
+        ]);
+
+        await upsertToken({ tokenAddress, symbol, name, decimals: Number(decimals) });
+        updated++;
+      } catch (error) {
+        console.error(`Error loading token ${tokenAddress}:`, error.message);
+      }
+    }
+
+    return updated;
+  }
+}
+
+module.exports = new RewardsService();
@@ -0,0 +1,340 @@
+const strategyService = require('./strategyService');
+const snapshotService = require('./snapshotService');
+const dataModeService = require('./dataModeService');
+const {
+  getAllValidators,
+  getAllOperatorShares,
+  getAllRestakers,
+  getCurrentDelegations,
+  getCurrentAvsRegistrations,
+  getDelegationActivity,
+  getOperatorSplitEvents,
+  saveOperatorScores
+} = require('./databaseService');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Share of the composite score each component carries; components without
+// data for an operator are left out and the rest reweighted
+const WEIGHTS = {
+  slashing: 0.30,
+  stakeConcentration: 0.15,
+  avsCoverage: 0.15,
+  delegatorChurn: 0.15,
+  commission: 0.10,
+  metadataUptime: 0.15
+};
+
+// Points lost per slashing event, on top of the largest proportion slashed
+const SLASH_EVENT_PENALTY = 20;
+
+// AVSs served for full marks on the AVS count half of avsCoverage
+const AVS_TARGET = 5;
+
+// Points lost per split increase the operator activated in the churn window
+const SPLIT_INCREASE_PENALTY = 25;
+
+// Lowest score of each risk level, highest first
+const RISK_LEVELS = [['low', 75], ['medium', 50], ['high', 0]];
+
+// Tables scores are computed from, checked for non-live rows when tagging them
+const SCORE_INPUT_TABLES = [
+  'validators',
+  'slash_history',
+  'operator_shares',
+  'restaking_events',
+  'delegation_events',
+  'avs_operator_events',
+  'operator_metadata',
+  'operator_split_events'
+];
+
+const WAD = 10n ** 18n;
+
+// numerator ÷ denominator of two BigInts as a float, to six decimals
+function ratio(numerator, denominator) {
+  return Number(numerator * 1000000n / denominator) / 1000000;
+}
+
+// Scores and ratios are reported to a fixed number of decimals
+function round(value, decimals = 1) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+// A component score, bounded to 0-100
+function clamp(value) {
+  return round(Math.min(Math.max(value, 0), 100));
+}
+
+class ScoringService {
+  constructor() {
+    this.churnWindowDays = parseInt(process.env.SCORE_CHURN_WINDOW_DAYS) || 30;
+  }
+
+  /**
+   * Score every operator and store the result as today's row in its score history.
+   * A refresh shares its restaker load with the snapshot stage through `pendingRestakers`.
+   */
+  async computeScores(now = new Date(), pendingRestakers = getAllRestakers()) {
+    const since = new Date(now.getTime() - this.churnWindowDays * DAY).toISOString();
+    const [validators, operatorShares, restakers, delegations, registrations, activity, splitEvents, catalog, provenance] = await Promise.all([
+      getAllValidators(),
+      getAllOperatorShares(),
+      pendingRestakers,
+      getCurrentDelegations(),
+      getCurrentAvsRegistrations(),
+      getDelegationActivity(since),
+      getOperatorSplitEvents(),
+      strategyService.getCatalog(),
+      dataModeService.describe(SCORE_INPUT_TABLES)
+    ]);
+
+    const stakes = this.operatorStakes(validators, operatorShares, catalog);
+    const delegatorStakes = this.delegatorStakes(restakers, catalog);
+    const coverage = this.avsCoverage(registrations, stakes);
+
+    const delegatorCounts = new Map();
+    delegations.forEach(delegation => {
+      delegatorCounts.set(delegation.operatorAddress, (delegatorCounts.get(delegation.operatorAddress) || 0) + 1);
+    });
+
+    const splitsByOperator = new Map();
+    splitEvents.filter(event => event.operatorAddress).forEach(event => {
+      if (!splitsByOperator.has(event.operatorAddress)) splitsByOperator.set(event.operatorAddress, []);
+      splitsByOperator.get(event.operatorAddress).push(event);
+    });
+
+    const source = provenance.containsNonLiveData ? 'fixture' : 'live';
+    const scores = validators.map(validator => {
+      const operatorAddress = validator.operatorAddress.toLowerCase();
+      const components = {
+        slashing: this.scoreSlashing(validator.slashHistory),
+        stakeConcentration: this.scoreConcentration(delegatorStakes.get(operatorAddress) || []),
+        avsCoverage: this.scoreAvsCoverage(coverage.get(operatorAddress), stakes.total),
+        delegatorChurn: this.scoreChurn(
+          delegatorCounts.get(operatorAddress) || 0,
+          activity.get(operatorAddress) || { delegations: 0, undelegations: 0 }
+        ),
+        commission: this.scoreCommission(splitsByOperator.get(operatorAddress) || [], now),
+        metadataUptime: this.scoreMetadataUptime(validator)
+      };
+
+      return { operatorAddress, score: this.combine(components), components, source };
+    });
+
+    await saveOperatorScores(snapshotService.periodStart(now, 'day'), scores);
+    return { scores: scores.length };
+  }
+
+  /**
+   * Weighted average of the components that have a score, each stamped with its weight
+   */
+  combine(components) {
+    let total = 0;
+    let weights = 0;
+    Object.entries(components).forEach(([name, component]) => {
+      component.weight = WEIGHTS[name];
+      if (component.score === null) return;
+      total += component.score * WEIGHTS[name];
+      weights += WEIGHTS[name];
+    });
+    return weights > 0 ? round(total / weights) : 0;
+  }
+
+  /**
+   * 100, less SLASH_EVENT_PENALTY per slashing event and the largest proportion
+   * of a strategy any one slash took
+   */
+  scoreSlashing(slashHistory) {
+    const events = new Set(slashHistory.map(slash => slash.transactionHash || `${slash.blockNumber}`));
+    const largest = slashHistory.reduce((max, slash) => {
+      const fraction = slash.wadSlashed ? ratio(BigInt(slash.wadSlashed), WAD) : 0;
+      return Math.max(max, fraction);
+    }, 0);
+
+    return {
+      score: clamp(100 - SLASH_EVENT_PENALTY * events.size - 100 * largest),
+      slashEvents: events.size,
+      largestSlashedFraction: round(largest, 4)
+    };
+  }
+
+  /**
+   * 100 × (1 − the Herfindahl index of delegators' stake): 0 when one delegator holds
+   * everything, approaching 100 as stake spreads out. No score without delegated stake.
+   */
+  scoreConcentration(stakes) {
+    const total = stakes.reduce((sum, stake) => sum + stake, 0n);
+    if (total === 0n) {
+      return { score: null, delegatorCount: stakes.length, herfindahlIndex: null, largestDelegatorShare: null };
+    }
+
+    const shares = stakes.map(stake => ratio(stake, total));
+    const herfindahlIndex = shares.reduce((sum, share) => sum + share * share, 0);
+
+    return {
+      score: clamp(100 * (1 - herfindahlIndex)),
+      delegatorCount: stakes.length,
+      herfindahlIndex: round(herfindahlIndex, 4),
+      largestDelegatorShare: round(Math.max(...shares), 4)
+    };
+  }
+
+  /**
+   * Up to 60 points for the AVSs served (full marks at AVS_TARGET) and up to 40 for
+   * the share of all delegated stake held by operators securing the same AVSs
+   */
+  scoreAvsCoverage(coverage = { avsCount: 0, securedStake: 0n }, totalStake) {
+    const securedStakeShare = totalStake > 0n ? Math.min(ratio(coverage.securedStake, totalStake), 1) : 0;
+
+    return {
+      score: clamp(60 * Math.min(coverage.avsCount, AVS_TARGET) / AVS_TARGET + 40 * securedStakeShare),
+      avsCount: coverage.avsCount,
+      securedStake: coverage.securedStake.toString(),
+      securedStakeShare: round(securedStakeShare, 4)
+    };
+  }
+
+  /**
+   * 100 × (1 − undelegations over the window ÷ delegators at any point in it).
+   * No score for an operator that has had no delegators.
+   */
+  scoreChurn(delegatorCount, { delegations, undelegations }) {
+    const base = delegatorCount + undelegations;
+    const churnRate = base > 0 ? undelegations / base : null;
+
+    return {
+      score: churnRate === null ? null : clamp(100 * (1 - churnRate)),
+      windowDays: this.churnWindowDays,
+      delegatorCount,
+      delegations,
+      undelegations,
+      churnRate: churnRate === null ? null : round(churnRate, 4)
+    };
+  }
+
+  /**
+   * 100, less SPLIT_INCREASE_PENALTY per split increase activated over the churn window
+   * and a point per 100 bips of the largest one. An operator's first split counts as a
+   * change from the default. Operators that never set a split are on the default and
+   * keep full marks.
+   */
+  scoreCommission(splitEvents, now) {
+    const to = Math.floor(now.getTime() / 1000);
+    const from = to - this.churnWindowDays * DAY / 1000;
+    const changes = splitEvents.filter(event => event.activatedAt > from && event.activatedAt <= to);
+    const increases = changes
+      .map(event => event.newSplitBips - event.oldSplitBips)
+      .filter(increase => increase > 0);
+    const largestIncrease = increases.length > 0 ? Math.max(...increases) : 0;
+
+    return {
+      score: clamp(100 - SPLIT_INCREASE_PENALTY * increases.length - largestIncrease / 100),
+      windowDays: this.churnWindowDays,
+      splitChanges: changes.length,
+      splitIncreases: increases.length,
+      largestIncreaseBips: largestIncrease
+    };
+  }
+
+  /**
+   * Share of metadata checks that reached the document, halved while it fails the
+   * schema; 0 without a metadata URI, no score until it has been checked
+   */
+  scoreMetadataUptime(validator) {
+    if (!validator.metadataURI) {
+      return { score: 0, status: 'missing', checks: 0, failures: 0, uptime: null };
+    }
+    const profile = validator.profile;
+    if (!profile || !profile.checkCount) {
+      return { score: null, status: 'unchecked', checks: 0, failures: 0, uptime: null };
+    }
+
+    const uptime = (profile.checkCount - profile.failureCount) / profile.checkCount;
+    return {
+      score: clamp(100 * uptime * (profile.status === 'valid' ? 1 : 0.5)),
+      status: profile.status,
+      checks: profile.checkCount,
+      failures: profile.failureCount,
+      uptime: round(uptime, 4)
+    };
+  }
+
+  /**
+   * Helper: Delegated stake in ETH per operator, and across all of them, valued as in
+   * snapshots
+   */
+  operatorStakes(validators, operatorShares, catalog) {
+    const stakes = new Map();
+    let total = 0n;
+
+    validators.forEach(validator => {
+      const operatorAddress = validator.operatorAddress.toLowerCase();
+      const stake = BigInt(snapshotService.valueInEth(operatorShares.get(operatorAddress) || [], catalog));
+
+      stakes.set(operatorAddress, stake);
+      total += stake;
+    });
+
+    stakes.total = total;
+    return stakes;
+  }
+
+  /**
+   * Helper: Stake in ETH of each delegator, grouped by the operator delegated to
+   */
+  delegatorStakes(restakers, catalog) {
+    const byOperator = new Map();
+
+    restakers.filter(restaker => restaker.delegatedTo).forEach(restaker => {
+      const open = restaker.strategies.filter(position => BigInt(position.shares) > 0n);
+      const stake = BigInt(snapshotService.valueInEth(open, catalog));
+      if (stake === 0n) return;
+
+      if (!byOperator.has(restaker.delegatedTo)) byOperator.set(restaker.delegatedTo, []);
+      byOperator.get(restaker.delegatedTo).push(stake);
+    });
+
+    return byOperator;
+  }
+
+  /**
+   * Helper: Per operator, the AVSs it serves and the stake of every operator registered
+   * with at least one of them (each operator counted once)
+   */
+  avsCoverage(registrations, stakes) {
+    const operatorsByAvs = new Map();
+    const avsByOperator = new Map();
+    registrations.forEach(({ avsAddress, operatorAddress }) => {
+      if (!operatorsByAvs.has(avsAddress)) operatorsByAvs.set(avsAddress, new Set());
+      if (!avsByOperator.has(operatorAddress)) avsByOperator.set(operatorAddress, new Set());
+      operatorsByAvs.get(avsAddress).add(operatorAddress);
+      avsByOperator.get(operatorAddress).add(avsAddress);
+    });
+
+    const coverage = new Map();
+    avsByOperator.forEach((avsSet, operatorAddress) => {
+      const securing = new Set();
+      avsSet.forEach(avsAddress => operatorsByAvs.get(avsAddress).forEach(operator => securing.add(operator)));
+
+      let securedStake = 0n;
+      securing.forEach(operator => {
+        securedStake += stakes.get(operator) || 0n;
+      });
+      coverage.set(operatorAddress, { avsCount: avsSet.size, securedStake });
+    });
+
+    return coverage;
+  }
+
+  /**
+   * Risk level of a composite score: low, medium or high
+   */
+  riskLevel(score) {
+    if (score === null || score === undefined) return null;
+    return RISK_LEVELS.find(([, floor]) => score >= floor)[0];
+  }
+}
+
+module.exports = new ScoringService();
@@ -0,0 +1,190 @@
+const strategyService = require('./strategyService');
+const dataModeService = require('./dataModeService');
+const {
+  getAllRestakers,
+  getAllValidators,
+  getAllOperatorShares,
+  getCurrentDelegations,
+  saveSnapshots,
+  pruneSnapshots,
+  saveValuations
+} = require('./databaseService');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Period length of each snapshot granularity
+const GRANULARITIES = { hour: HOUR, day: DAY };
+
+// Units accepted in a range such as 24h, 7d, 4w, 6m or 1y
+const RANGE_UNITS = { h: HOUR, d: DAY, w: 7 * DAY, m: 30 * DAY, y: 365 * DAY };
+
+// Longest range served; longer ones are rejected rather than reaching back past any valid date
+const MAX_RANGE = 10 * RANGE_UNITS.y;
+
+// Tables snapshots are computed from, checked for non-live rows when tagging them
+const SNAPSHOT_INPUT_TABLES = ['restaking_events', 'staker_slashes', 'validators', 'operator_shares', 'strategies'];
+
+class SnapshotService {
+  constructor() {
+    // Hourly rows pile up quickly; daily rows are kept for good
+    this.hourlyRetentionDays = parseInt(process.env.SNAPSHOT_HOURLY_RETENTION_DAYS) || 90;
+  }
+
+  /**
+   * Record TVL per strategy, delegated stake per operator and restaker counts
+   * for the current hour and day, and refresh the valuations lists sort by.
+   * `pendingRestakers` is the ledger summary when the caller is already loading it.
+   */
+  async captureSnapshots(now = new Date(), pendingRestakers = getAllRestakers()) {
+    const [restakers, validators, operatorShares, delegations, catalog, provenance] = await Promise.all([
+      pendingRestakers,
+      getAllValidators(),
+      getAllOperatorShares(),
+      getCurrentDelegations(),
+      strategyService.getCatalog(),
+      dataModeService.describe(SNAPSHOT_INPUT_TABLES)
+    ]);
+
+    const source = provenance.containsNonLiveData ? 'fixture' : 'live';
+    const operatorSnapshots = this.buildOperatorSnapshots(validators, operatorShares, delegations, catalog);
+    const snapshots = [
+      ...this.buildStrategySnapshots(restakers, catalog),
+      ...operatorSnapshots
+    ].map(snapshot => ({ ...snapshot, source }));
+
+    await saveValuations([
+      ...this.buildRestakerValuations(restakers, catalog),
+      ...operatorSnapshots.map(({ scope, subject, amount }) => ({ scope, subject, amount }))
+    ]);
+
+    for (const granularity of Object.keys(GRANULARITIES)) {
+      await saveSnapshots(granularity, this.periodStart(now, granularity), snapshots);
+    }
+
+    const pruned = await pruneSnapshots(
+      'hour',
+      new Date(now.getTime() - this.hourlyRetentionDays * DAY).toISOString()
+    );
+
+    return { snapshots: snapshots.length, pruned };
+  }
+
+  /**
+   * Protocol-wide TVL in ETH and restaker count plus one row per strategy with open
+   * positions, whose amount stays in its own token. Only priced strategies count
+   * towards TVL, since amounts of different tokens don't add up.
+   */
+  buildStrategySnapshots(restakers, catalog) {
+    const strategies = new Map();
+    let restakerCount = 0;
+
+    restakers.forEach(restaker => {
+      const open = restaker.strategies.filter(position => BigInt(position.shares) > 0n);
+      if (open.length > 0) restakerCount++;
+
+      open.forEach(position => {
+        const total = strategies.get(position.strategy) || { shares: 0n, restakerCount: 0 };
+        total.shares += BigInt(position.shares);
+        total.restakerCount++;
+        strategies.set(position.strategy, total);
+      });
+    });
+
+    const values = [];
+    const rows = Array.from(strategies, ([strategy, total]) => {
+      const value = strategyService.valueShares(strategy, total.shares.toString(), catalog);
+      values.push(value);
+
+      return {
+        scope: 'strategy',
+        subject: strategy,
+        shares: total.shares.toString(),
+        amount: value.normalizedAmount,
+        restakerCount: total.restakerCount
+      };
+    });
+
+    const tvl = strategyService.sumEthValues(values).total;
+    return [
+      { scope: 'protocol', subject: '', shares: null, amount: tvl, restakerCount },
+      ...rows
+    ];
+  }
+
+  /**
+   * Exact ETH value of each restaker's open positions
+   */
+  buildRestakerValuations(restakers, catalog) {
+    return restakers.map(restaker => ({
+      scope: 'restaker',
+      subject: restaker.userAddress,
+      amount: this.valueInEth(restaker.strategies.filter(position => BigInt(position.shares) > 0n), catalog)
+    }));
+  }
+
+  /**
+   * Delegated shares, stake in ETH and delegator count per operator
+   */
+  buildOperatorSnapshots(validators, operatorShares, delegations, catalog) {
+    const delegators = new Map();
+    delegations.forEach(delegation => {
+      delegators.set(delegation.operatorAddress, (delegators.get(delegation.operatorAddress) || 0) + 1);
+    });
+
+    return validators.map(validator => {
+      const operatorAddress = validator.operatorAddress.toLowerCase();
+      const positions = operatorShares.get(operatorAddress) || [];
+
+      // Operators without per-strategy shares only have a raw total, which can't be priced
+      const shares = positions.length > 0
+        ? positions.reduce((sum, position) => sum + BigInt(position.shares), 0n)
+        : BigInt(validator.totalDelegatedStake || '0');
+
+      return {
+        scope: 'operator',
+        subject: operatorAddress,
+        shares: shares.toString(),
+        amount: this.valueInEth(positions, catalog),
+        restakerCount: delegators.get(operatorAddress) || 0
+      };
+    });
+  }
+
+  /**
+   * ETH value in wei of share positions; tokens without an ETH rate add nothing
+   */
+  valueInEth(positions, catalog) {
+    return strategyService.sumEthValues(positions.map(position =>
+      strategyService.valueShares(position.strategy, position.shares, catalog)
+    )).total;
+  }
+
+  /**
+   * Start of the hour or UTC day containing `date`, as an ISO string
+   */
+  periodStart(date, granularity) {
+    const length = GRANULARITIES[granularity];
+    return new Date(Math.floor(date.getTime() / length) * length).toISOString();
+  }
+
+  /**
+   * Resolve interval and range query parameters into a granularity and start time.
+   * Returns null when either is not recognised or the range exceeds MAX_RANGE.
+   */
+  resolveWindow(interval, range, now = new Date()) {
+    const match = /^(\d+)([hdwmy])$/.exec(range || '');
+    if (!GRANULARITIES[interval] || !match) return null;
+
+    const duration = parseInt(match[1]) * RANGE_UNITS[match[2]];
+    if (duration > MAX_RANGE) return null;
+
+    return {
+      granularity: interval,
+      from: this.periodStart(new Date(now.getTime() - duration), interval),
+      to: now.toISOString()
+    };
+  }
+}
+
+module.exports = new SnapshotService();
@@ -0,0 +1,170 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+const { Pool, types } = require('pg');
+
+// Timestamps are stored as text in the same 'YYYY-MM-DD HH:MM:SS' UTC format SQLite uses
+const CURRENT_TIMESTAMP = "(to_char(now() AT TIME ZONE 'UTC', 'YYYY-MM-DD HH24:MI:SS'))";
+
+// Rewrites from the SQLite dialect the queries are written in, applied outside string literals
+const REWRITES = [
+  // SQLite leaves foreign keys unenforced, so they are not declared on Postgres either
+  [/,\s*FOREIGN KEY \([^)]*\) REFERENCES [^)]*\)/g, ''],
+  [/\bINTEGER PRIMARY KEY AUTOINCREMENT\b/g, 'BIGSERIAL PRIMARY KEY'],
+  [/\bINTEGER\b/g, 'BIGINT'],
+  [/\bREAL\b/g, 'DOUBLE PRECISION'],
+  [/\bDATETIME\b/g, 'TEXT'],
+  [/\bjulianday\(([^()]*)\)/g, 'CAST($1 AS TIMESTAMP)'],
+  // Unquoted identifiers are folded to lower case, so keep camelCase columns and aliases intact
+  [/\b(?<![$"])([a-z][a-z0-9]*[A-Z][A-Za-z0-9]*|timestamp)\b/g, '"$1"'],
+  [/\bCURRENT_TIMESTAMP\b/g, CURRENT_TIMESTAMP],
+];
+
+// String literals and quoted identifiers, which are passed through untouched
+const LITERAL = /('(?:[^']|'')*'|"[^"]*")/;
+
+// SQLite's column listing, answered from information_schema with the same `name` column
+const TABLE_INFO = /^\s*PRAGMA table_info\((\w+)\)\s*$/i;
+
+/**
+ * Exact integers stay numbers while they are safe; larger sums (such as the
+ * chunks of an exact wei total) come back as strings for BigInt
+ */
+function parseNumeric(value) {
+  const number = Number(value);
+  return Number.isSafeInteger(number) || !/^-?\d+$/.test(value) ? number : value;
+}
+
+const TYPE_PARSERS = {
+  [types.builtins.INT8]: Number,
+  [types.builtins.NUMERIC]: parseNumeric,
+  [types.builtins.DATE]: value => value,
+};
+
+/**
+ * Storage adapter for PostgreSQL. Queries are written for SQLite and translated:
+ * `?` placeholders become `$n`, camelCase identifiers are quoted, SQLite
+ * types and date functions are mapped to their Postgres equivalents, foreign
+ * key clauses are dropped and `PRAGMA table_info` reads information_schema.
+ */
+class PostgresAdapter {
+  constructor(connectionString) {
+    this.dialect = 'postgres';
+    this.connectionString = connectionString;
+    this.pool = null;
+    // The client of the transaction the current async call chain runs in, if any
+    this.transactionClient = new AsyncLocalStorage();
+  }
+
+  async connect() {
+    if (this.pool) return;
+
+    this.pool = new Pool({
+      connectionString: this.connectionString,
+      max: parseInt(process.env.DATABASE_POOL_SIZE) || 10,
+      types: {
+        getTypeParser: (oid, format) => TYPE_PARSERS[oid] || types.getTypeParser(oid, format),
+      },
+    });
+
+    // Fail on startup rather than on the first request if the server is unreachable
+    const client = await this.pool.connect();
+    client.release();
+  }
+
+  translate(query) {
+    const tableInfo = query.match(TABLE_INFO);
+    if (tableInfo) {
+      return `SELECT column_name AS name FROM information_schema.columns
+              WHERE table_schema = current_schema() AND table_name = '${tableInfo[1]}'
+              ORDER BY ordinal_position`;
+    }
+
+    let placeholder = 0;
+
+    return query.split(LITERAL).map((segment, index) => {
+      // Odd segments are the literals captured by the split
+      if (index % 2 === 1) return segment;
+
+      return REWRITES
+        .reduce((sql, [pattern, replacement]) => sql.replace(pattern, replacement), segment)
+        .replace(/\?/g, () => `$${++placeholder}`);
+    }).join('');
+  }
+
+  query(query, params = []) {
+    return this.execute({ text: this.translate(query), values: params });
+  }
+
+  // Inside a transaction, queries must go to its connection
+  execute(config) {
+    const client = this.transactionClient.getStore() || this.pool;
+    return client.query(config);
+  }
+
+  /**
+   * Execute a statement, resolving with the number of rows it changed
+   */
+  async run(query, params = []) {
+    const result = await this.query(query, params);
+    return { changes: result.rowCount || 0 };
+  }
+
+  async all(query, params = []) {
+    const result = await this.query(query, params);
+    return result.rows;
+  }
+
+  async get(query, params = []) {
+    const rows = await this.all(query, params);
+    return rows[0] || null;
+  }
+
+  /**
+   * Named statement for repeated runs. Each connection parses it on first use
+   * and reuses the plan afterwards; the name is derived from the query text.
+   */
+  async prepare(query) {
+    const text = this.translate(query);
+    const name = `stmt_${crypto.createHash('sha1').update(text).digest('hex').slice(0, 16)}`;
+
+    return {
+      run: async (params = []) => {
+        const result = await this.execute({ name, text, values: params });
+        return { changes: result.rowCount || 0 };
+      },
+      all: async (params = []) => (await this.execute({ name, text, values: params })).rows,
+      finalize: async () => {},
+    };
+  }
+
+  /**
+   * Run `work` inside a transaction on its own pooled connection. Queries made
+   * while it runs use that connection; a nested call joins the outer transaction.
+   */
+  async transaction(work) {
+    if (this.transactionClient.getStore()) return work();
+
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      const value = await this.transactionClient.run(client, work);
+      await client.query('COMMIT');
+      return value;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async close() {
+    if (!this.pool) return;
+
+    const pool = this.pool;
+    this.pool = null;
+    await pool.end();
+  }
+}
+
+module.exports = PostgresAdapter;
@@ -0,0 +1,149 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+const fs = require('fs').promises;
+
+/**
+ * Storage adapter for a single SQLite database file. Queries are written in the
+ * SQLite dialect, so they run unchanged.
+ */
+class SqliteAdapter {
+  constructor(filename) {
+    this.dialect = 'sqlite';
+    this.filename = filename;
+    this.db = null;
+    this.transactionQueue = Promise.resolve();
+    // Set while the current async call chain runs inside a transaction
+    this.inTransaction = new AsyncLocalStorage();
+  }
+
+  /**
+   * Open the database file once, creating its directory if needed
+   */
+  async connect() {
+    if (this.db) return;
+
+    await fs.mkdir(path.dirname(this.filename), { recursive: true });
+    await new Promise((resolve, reject) => {
+      this.db = new sqlite3.Database(this.filename, (err) => {
+        if (err) {
+          this.db = null;
+          reject(err);
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
+  /**
+   * Statements outside a transaction wait for the open ones to finish: on the one
+   * connection they would otherwise read uncommitted rows, or commit or roll back
+   * with someone else's transaction
+   */
+  async settled() {
+    if (!this.inTransaction.getStore()) await this.transactionQueue;
+  }
+
+  /**
+   * Execute a statement, resolving with the number of rows it changed
+   */
+  async run(query, params = []) {
+    await this.settled();
+    return this.execute(query, params);
+  }
+
+  execute(query, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.run(query, params, function(err) {
+        if (err) reject(err);
+        else resolve({ changes: this.changes });
+      });
+    });
+  }
+
+  async all(query, params = []) {
+    await this.settled();
+    return new Promise((resolve, reject) => {
+      this.db.all(query, params, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    });
+  }
+
+  async get(query, params = []) {
+    await this.settled();
+    return new Promise((resolve, reject) => {
+      this.db.get(query, params, (err, row) => {
+        if (err) reject(err);
+        else resolve(row || null);
+      });
+    });
+  }
+
+  /**
+   * Compile `query` once for repeated runs; finalize() the statement when done
+   */
+  async prepare(query) {
+    await this.settled();
+    return new Promise((resolve, reject) => {
+      const statement = this.db.prepare(query, (err) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+
+        resolve({
+          run: (params = []) => new Promise((done, fail) => {
+            statement.run(params, function(runErr) {
+              if (runErr) fail(runErr);
+              else done({ changes: this.changes });
+            });
+          }),
+          all: (params = []) => new Promise((done, fail) => {
+            statement.all(params, (allErr, rows) => (allErr ? fail(allErr) : done(rows)));
+          }),
+          finalize: () => new Promise(done => statement.finalize(() => done())),
+        });
+      });
+    });
+  }
+
+  /**
+   * Run `work` inside a transaction. SQLite has one transaction per connection,
+   * so transactions are queued (and other statements wait for them); a nested
+   * call joins the outer transaction.
+   */
+  transaction(work) {
+    if (this.inTransaction.getStore()) return work();
+
+    const result = this.transactionQueue.then(async () => {
+      await this.execute('BEGIN TRANSACTION');
+      try {
+        const value = await this.inTransaction.run(true, work);
+        await this.execute('COMMIT');
+        return value;
+      } catch (error) {
+        await this.execute('ROLLBACK');
+        throw error;
+      }
+    });
+
+    // Keep the queue going whether or not this transaction succeeded
+    this.transactionQueue = result.catch(() => {});
+    return result;
+  }
+
+  async close() {
+    if (!this.db) return;
+
+    const db = this.db;
+    this.db = null;
+    await new Promise((resolve, reject) => {
+      db.close((err) => (err ? reject(err) : resolve()));
+    });
+  }
+}
+
+module.exports = SqliteAdapter;
@@ -0,0 +1,182 @@
+const { ethers } = require('ethers');
+
+// Required on first use rather than up front: databaseService imports
+// BEACON_CHAIN_ETH_STRATEGY from here to build its ledger queries
+const database = () => require('./databaseService');
+
+// Virtual strategy EigenLayer uses for natively restaked beacon chain ETH
+const BEACON_CHAIN_ETH_STRATEGY = '0xbeac0eeeeeeeeeeeeeeeeeeeeeeeeeeeeeebeac0';
+
+const WAD = 10n ** 18n;
+
+class StrategyService {
+  constructor() {
+    this.provider = new ethers.JsonRpcProvider(process.env.ETHEREUM_RPC_URL);
+    this.beaconChainEthStrategy = BEACON_CHAIN_ETH_STRATEGY;
+  }
+
+  /**
+   * Refresh token metadata and share rates for every strategy we have seen
+   */
+  async refreshStrategies() {
+    const addresses = await database().getKnownStrategyAddresses();
+    const blockNumber = await this.provider.getBlockNumber().catch(() => null);
+    let updated = 0;
+    let errors = 0;
+
+    for (const strategyAddress of addresses) {
+      try {
+        await database().upsertStrategy(await this.fetchStrategy(strategyAddress, blockNumber));
+        updated++;
+      } catch (error) {
+        console.error(`Error refreshing strategy ${strategyAddress}:`, error.message);
+        errors++;
+      }
+    }
+
+    return { updated, errors };
+  }
+
+  /**
+   * Read a strategy's underlying token and current shares-to-underlying rate
+   */
+  async fetchStrategy(strategyAddress, blockNumber) {
+    if (strategyAddress === BEACON_CHAIN_ETH_STRATEGY) {
+      return {
+        strategyAddress,
+        underlyingToken: null,
+        symbol: 'ETH',
+        name: 'Beacon Chain Ether',
+        decimals: 18,
+        sharesToUnderlyingRate: WAD.toString(),
+        rateBlockNumber: blockNumber
+      };
+    }
+
+    const strategy = new ethers.Contract(
+      strategyAddress,
+      [
+        'function underlyingToken() view returns (address)',
+        'function sharesToUnderlyingView(uint256 amountShares) view returns (uint256)'
+      ],
+      this.provider
+    );
+
+    const [underlyingToken, rate] = await Promise.all([
+      strategy.underlyingToken(),
+      strategy.sharesToUnderlyingView(WAD)
+    ]);
+
+    const token = new ethers.Contract(
+      underlyingToken,
+      [
+        'function symbol() view returns (string)',
+        'function name() view returns (string)',
+        'function decimals() view returns (uint8)'
+      ],
+      this.provider
+    );
+
+    const [symbol, name, decimals] = await Promise.all([
+      token.symbol(),
+      token.name(),
+      token.decimals()
+    ]);
+
+    return {
+      strategyAddress,
+      underlyingToken: underlyingToken.toLowerCase(),
+      symbol,
+      name,
+      decimals: Number(decimals),
+      sharesToUnderlyingRate: rate.toString(),
+      rateBlockNumber: blockNumber
+    };
+  }
+
+  /**
+   * Load the strategy catalog keyed by strategy address
+   */
+  async getCatalog() {
+    const strategies = await database().getAllStrategies();
+    return new Map(strategies.map(strategy => [strategy.strategyAddress, strategy]));
+  }
+
+  /**
+   * Convert strategy shares to underlying token units and describe the token.
+   * Strategies missing from the catalog are treated as 18-decimal tokens at 1:1.
+   * ethValue prices the amount with the underlying token's ETH rate, and is null
+   * when no rate provider covers the token.
+   */
+  valueShares(strategyAddress, shares, catalog) {
+    const strategy = catalog.get(strategyAddress);
+    const decimals = strategy ? strategy.decimals : 18;
+    const rate = strategy && strategy.sharesToUnderlyingRate
+      ? BigInt(strategy.sharesToUnderlyingRate)
+      : WAD;
+    const amount = BigInt(shares) * rate / WAD;
+    const ethRate = this.getEthRate(strategyAddress, strategy);
+
+    return {
+      underlyingToken: strategy ? strategy.underlyingToken : null,
+      symbol: strategy ? strategy.symbol : null,
+      decimals,
+      amount: amount.toString(),
+      amountFormatted: ethers.formatUnits(amount, decimals),
+      // Common 18-decimal scale so amounts of different tokens can be added up
+      normalizedAmount: this.normalize(amount, decimals).toString(),
+      ethValue: ethRate ? (amount * BigInt(ethRate.rate) / 10n ** BigInt(decimals)).toString() : null,
+      ethRate
+    };
+  }
+
+  /**
+   * The rate pricing a strategy's underlying token in ETH (wei per whole token),
+   * with the provider and block it was read from
+   */
+  getEthRate(strategyAddress, strategy) {
+    if (strategyAddress === BEACON_CHAIN_ETH_STRATEGY) {
+      return { rate: WAD.toString(), provider: 'native', blockNumber: null, updatedAt: null };
+    }
+    if (!strategy || !strategy.ethRate) return null;
+
+    return {
+      rate: strategy.ethRate,
+      provider: strategy.ethRateProvider,
+      blockNumber: strategy.ethRateBlockNumber,
+      updatedAt: strategy.ethRateUpdatedAt
+    };
+  }
+
+  /**
+   * Sum the ETH values of priced amounts; non-zero unpriced ones are counted instead
+   */
+  sumEthValues(values) {
+    let total = 0n;
+    let unpriced = 0;
+    values.forEach(value => {
+      if (value.ethValue !== null) total += BigInt(value.ethValue);
+      else if (BigInt(value.amount) > 0n) unpriced++;
+    });
+    return { total: total.toString(), unpriced };
+  }
+
+  /**
+   * The `{ eth, wei }` pair for a priced value, or null when it is unpriced
+   */
+  formatEthValue(ethValue) {
+    return ethValue === null ? null : { eth: ethers.formatEther(ethValue), wei: ethValue };
+  }
+
+  /**
+   * Rescale a token amount to 18 decimals
+   */
+  normalize(amount, decimals) {
+    return decimals <= 18
+      ? amount * 10n ** BigInt(18 - decimals)
+      : amount / 10n ** BigInt(decimals - 18);
+  }
+}
+
+module.exports = new StrategyService();
+module.exports.BEACON_CHAIN_ETH_STRATEGY = BEACON_CHAIN_ETH_STRATEGY;
@@ -0,0 +1,64 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const amountService = require('../src/services/amountService');
+
+// Largest uint64 and uint256, past which floats and SQLite integers lose digits
+const UINT64_MAX = 2n ** 64n - 1n;
+const UINT256_MAX = 2n ** 256n - 1n;
+
+describe('amountService', () => {
+  it('parses integer strings, BigInts, safe integers and empty values', () => {
+    assert.equal(amountService.toBigInt(UINT256_MAX.toString()), UINT256_MAX);
+    assert.equal(amountService.toBigInt(' -42 '), -42n);
+    assert.equal(amountService.toBigInt(7n), 7n);
+    assert.equal(amountService.toBigInt(Number.MAX_SAFE_INTEGER), 9007199254740991n);
+    for (const empty of [null, undefined, '', '0', 0]) {
+      assert.equal(amountService.toBigInt(empty), 0n);
+    }
+  });
+
+  it('refuses anything that is not an exact integer', () => {
+    assert.throws(() => amountService.toBigInt(Number.MAX_SAFE_INTEGER + 1), TypeError);
+    assert.throws(() => amountService.toBigInt(1.5), TypeError);
+    for (const text of ['1.5', '1e18', '0x10', 'abc', '--1']) {
+      assert.throws(() => amountService.toBigInt(text), TypeError);
+    }
+  });
+
+  it('sums past 64 bits without losing a wei', () => {
+    assert.equal(amountService.sum([UINT64_MAX.toString(), '1']), UINT64_MAX + 1n);
+    assert.equal(amountService.sum([UINT256_MAX, UINT256_MAX.toString()]), 2n * UINT256_MAX);
+    // Each is a float-unsafe wei amount; a Number sum would round
+    assert.equal(amountService.sum(['1000000000000000001', '1000000000000000001']), 2000000000000000002n);
+  });
+
+  it('sums negative and zero amounts', () => {
+    assert.equal(amountService.sum(['5', '-7', '0', null]), -2n);
+    assert.equal(amountService.sum([]), 0n);
+  });
+
+  it('averages rounding down, and to zero over nothing', () => {
+    assert.equal(amountService.average('10', 3), 3n);
+    assert.equal(amountService.average((UINT64_MAX * 3n).toString(), 3), UINT64_MAX);
+    assert.equal(amountService.average('10', 0), 0n);
+  });
+
+  it('multiplies before dividing', () => {
+    // 1 wei at a rate just under 1 keeps nothing; large amounts keep every digit
+    assert.equal(amountService.mulDiv('1', '999', '1000'), 0n);
+    assert.equal(amountService.mulDiv(UINT256_MAX, UINT256_MAX, UINT256_MAX), UINT256_MAX);
+    assert.equal(amountService.mulDiv('1000000000000000000', '3', '7'), 428571428571428571n);
+  });
+
+  it('compares amounts numerically rather than as text', () => {
+    const sorted = ['10', '9', '-1', '0', UINT64_MAX.toString(), '100000000000000000000']
+      .sort((a, b) => amountService.compare(a, b));
+    assert.deepEqual(sorted, ['-1', '0', '9', '10', UINT64_MAX.toString(), '100000000000000000000']);
+  });
+
+  it('reports amounts as ether and wei', () => {
+    assert.deepEqual(amountService.toEth('1500750000000000000000'), { eth: '1500.75', wei: '1500750000000000000000' });
+    assert.deepEqual(amountService.toEth(null), { eth: '0.0', wei: '0' });
+  });
+});
@@ -0,0 +1,155 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The services read their configuration when first required
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'eigenlayer-commission-'));
+process.env.DATABASE_PATH = path.join(dir, 'test.sqlite');
+delete process.env.DATABASE_URL;
+process.env.NET_YIELD_WINDOW_DAYS = '90';
+
+const db = require('../src/services/databaseService');
+const commissionService = require('../src/services/commissionService');
+
+const ETHER = 10n ** 18n;
+const DAY = 24 * 60 * 60;
+const NOW = new Date('2024-06-30T00:00:00Z');
+const END = NOW.getTime() / 1000;
+
+const address = byte => '0x' + byte.repeat(20);
+const iso = timestamp => new Date(timestamp * 1000).toISOString();
+
+const OPERATOR = address('a1');
+const AVS = address('e1');
+const STRATEGY = address('51');
+const UNREWARDED_STRATEGY = address('52');
+const TOKEN = address('71');
+
+describe('commissionService', () => {
+  describe('applySplits', () => {
+    const start = END - 4 * DAY;
+    const submission = (submissionType, duration = 3 * DAY) => ({
+      submissionHash: '0x01', submissionType, avsAddress: AVS, token: TOKEN, startTimestamp: start, duration
+    });
+    const split = (splitType, activatedAt, oldSplitBips, newSplitBips) => ({
+      splitType, operatorAddress: splitType === 'default' ? null : OPERATOR,
+      avsAddress: splitType === 'avs' ? AVS : null, activatedAt, oldSplitBips, newSplitBips
+    });
+
+    it('takes each day\'s cut at the split active on it', () => {
+      const events = [split('avs', start + DAY, 1000, 2000)];
+      const period = commissionService.applySplits(submission('avs'), 3000n, start, start + 3 * DAY, events);
+
+      assert.equal(period.splitType, 'avs');
+      assert.deepEqual(period.operatorSplits, [
+        { splitBips: 1000, from: iso(start), until: iso(start + DAY) },
+        { splitBips: 2000, from: iso(start + DAY), until: iso(start + 3 * DAY) }
+      ]);
+      // 1000 a day: 10% of the first, 20% of the other two
+      assert.deepEqual([period.grossAmount, period.operatorCommission, period.netAmount], ['3000', '500', '2500']);
+    });
+
+    it('prorates a part day and falls back to the default split', () => {
+      const events = [split('default', start - DAY, 1000, 500), split('avs', start, 1000, 3000)];
+      const period = commissionService.applySplits(submission('all_earners'), 3000n, start, start + 2.5 * DAY, events);
+
+      // Programmatic incentives use the default, not the AVS split
+      assert.equal(period.splitType, 'pi');
+      assert.deepEqual(period.operatorSplits, [{ splitBips: 500, from: iso(start), until: iso(start + 2.5 * DAY) }]);
+      assert.deepEqual([period.grossAmount, period.operatorCommission, period.netAmount], ['2500', '125', '2375']);
+    });
+
+    it('leaves rewards for all stakers whole', () => {
+      const events = [split('pi', start, 1000, 9000)];
+      const period = commissionService.applySplits(submission('all_stakers'), 3000n, start, start + 3 * DAY, events);
+
+      assert.equal(period.splitType, null);
+      assert.deepEqual([period.grossAmount, period.operatorCommission, period.netAmount], ['3000', '0', '3000']);
+    });
+  });
+
+  describe('estimateNetYield', () => {
+    const stakers = [address('01'), address('02'), address('03')];
+    const start = END - 4 * DAY;
+    let logIndex = 0;
+    const event = blockNumber => ({
+      blockNumber,
+      transactionHash: '0x' + String(blockNumber).padStart(64, '0'),
+      logIndex: logIndex++,
+      timestamp: iso(start - DAY)
+    });
+
+    before(async () => {
+      await db.initializeDatabase();
+
+      // Stakers 1 and 2 hold 3 and 1 shares of the rewarded strategy, staker 3 only an unrewarded one
+      const deposits = [[stakers[0], STRATEGY, 3n], [stakers[1], STRATEGY, 1n], [stakers[2], UNREWARDED_STRATEGY, 5n]];
+      await db.upsertRestakingEvents(deposits.map(([userAddress, strategy, ether], i) => ({
+        eventType: 'deposit', userAddress, strategy, shares: (ether * ETHER).toString(),
+        amount: (ether * ETHER).toString(), ...event(100 + i)
+      })));
+      await db.upsertDelegationEvents(stakers.map((userAddress, i) => ({
+        eventType: 'delegated', userAddress, operatorAddress: OPERATOR, ...event(110 + i)
+      })));
+      await db.setOperatorShares(OPERATOR, [
+        { strategy: STRATEGY, shares: (4n * ETHER).toString() },
+        { strategy: UNREWARDED_STRATEGY, shares: (5n * ETHER).toString() }
+      ]);
+      await db.insertAvsRegistrationEvent({ avsAddress: AVS, operatorAddress: OPERATOR, status: 'registered', ...event(120) });
+
+      // The operator raises its AVS split from the default halfway through the AVS's rewards
+      await db.insertOperatorSplitEvent({
+        splitType: 'avs', operatorAddress: OPERATOR, avsAddress: AVS, activatedAt: start + 2 * DAY,
+        oldSplitBips: 1000, newSplitBips: 2000, ...event(130)
+      });
+
+      const strategies = [{ strategy: STRATEGY, multiplier: ETHER.toString() }];
+      const submissions = [
+        { submissionType: 'avs', avsAddress: AVS, amount: '4000', startTimestamp: start, duration: 4 * DAY },
+        { submissionType: 'all_stakers', avsAddress: null, amount: '800', startTimestamp: start, duration: 2 * DAY },
+        // Ended before the window
+        { submissionType: 'all_stakers', avsAddress: null, amount: '800', startTimestamp: END - 200 * DAY, duration: DAY }
+      ];
+      for (const [i, submission] of submissions.entries()) {
+        await db.insertRewardsSubmission({
+          ...submission, submitter: AVS, submissionNonce: String(i), submissionHash: `0x0${i}`,
+          token: TOKEN, strategies, ...event(140 + i)
+        });
+      }
+    });
+
+    after(async () => {
+      await db.close();
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('estimates a delegator\'s share of each submission before and after the split', async () => {
+      const estimate = await commissionService.estimateNetYield(stakers[0], NOW);
+      assert.equal(estimate.operatorAddress, OPERATOR);
+      assert.equal(estimate.windowDays, 90);
+
+      // Newest first; 3 of the 4 delegated shares earn 3000 of the AVS's 4000, 750 a day
+      // at 10% for two days and 20% for two; rewards for all stakers carry no split
+      assert.deepEqual(estimate.periods.map(period => [
+        period.submissionType, period.grossAmount, period.operatorCommission, period.netAmount
+      ]), [
+        ['all_stakers', '600', '0', '600'],
+        ['avs', '3000', '450', '2550']
+      ]);
+      assert.deepEqual(estimate.totals, [{
+        token: TOKEN, symbol: null, decimals: 18,
+        grossAmount: '3600', operatorCommission: '450', netAmount: '3150', periods: 2
+      }]);
+    });
+
+    it('returns an empty estimate for stake that has earned nothing and none without stake', async () => {
+      const unrewarded = await commissionService.estimateNetYield(stakers[2], NOW);
+      assert.equal(unrewarded.operatorAddress, OPERATOR);
+      assert.deepEqual([unrewarded.periods, unrewarded.totals], [[], []]);
+
+      assert.equal(await commissionService.estimateNetYield(address('09'), NOW), null);
+    });
+  });
+});
@@ -0,0 +1,214 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createAdapter } = require('../src/services/storage');
+
+// The services read their configuration when first required
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'eigenlayer-database-'));
+process.env.DATABASE_PATH = path.join(dir, 'test.sqlite');
+delete process.env.DATABASE_URL;
+
+const db = require('../src/services/databaseService');
+
+describe('databaseService', () => {
+  // A second connection writes rows the service no longer can, like legacy rewards
+  let raw;
+
+  before(async () => {
+    await db.initializeDatabase();
+    raw = createAdapter({ DATABASE_PATH: process.env.DATABASE_PATH });
+    await raw.connect();
+  });
+
+  after(async () => {
+    await raw.close();
+    await db.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('dedupeRewards', () => {
+    const earner = '0x' + '01'.repeat(20);
+    const validator = '0x' + '02'.repeat(20);
+
+    // Every refresh stored its copy under a new random transaction hash
+    const legacyReward = (blockNumber, rewardAmount, copy) => raw.run(`
+      INSERT INTO rewards (userAddress, validatorAddress, rewardAmount, rewardType, blockNumber, transactionHash, source)
+      VALUES (?, ?, ?, 'restaking', ?, ?, 'simulated')
+    `, [earner, validator, rewardAmount, blockNumber, `0x${blockNumber}${copy}`]);
+
+    const unkeyedIds = async () => (await raw.all(
+      'SELECT id FROM rewards WHERE logIndex IS NULL AND root IS NULL ORDER BY id'
+    )).map(row => row.id);
+
+    it('keeps the oldest row of each reward and leaves unique and keyed rewards alone', async () => {
+      for (const [blockNumber, amount, copy] of [
+        [100, '10', 'a'], [101, '20', 'a'], [100, '10', 'b'], [102, '30', 'a'], [100, '10', 'c'], [101, '20', 'b']
+      ]) {
+        await legacyReward(blockNumber, amount, copy);
+      }
+      const ids = await unkeyedIds();
+      await db.upsertReward({
+        userAddress: earner,
+        validatorAddress: validator,
+        rewardAmount: '10',
+        rewardType: 'restaking',
+        blockNumber: 100,
+        transactionHash: '0xkeyed',
+        logIndex: 0,
+        source: 'simulated'
+      });
+
+      assert.deepEqual(await db.dedupeRewards({ dryRun: true }), { duplicatesRemoved: 3 });
+      assert.equal((await unkeyedIds()).length, 6);
+
+      assert.deepEqual(await db.dedupeRewards(), { duplicatesRemoved: 3 });
+      // First copies of blocks 100 and 101, and the single reward at 102
+      assert.deepEqual(await unkeyedIds(), [ids[0], ids[1], ids[3]]);
+      assert.equal((await raw.get("SELECT COUNT(*) AS count FROM rewards WHERE transactionHash = '0xkeyed'")).count, 1);
+
+      assert.deepEqual(await db.dedupeRewards(), { duplicatesRemoved: 0 });
+    });
+  });
+
+  describe('exact sums', () => {
+    const strategy = byte => '0x' + byte.repeat(20);
+    let logIndex = 0;
+    const ledgerEvent = (eventType, strategyByte, shares) => ({
+      eventType,
+      userAddress: '0x' + '05'.repeat(20),
+      strategy: strategy(strategyByte),
+      shares,
+      amount: shares,
+      blockNumber: 500,
+      transactionHash: '0xexactsum',
+      logIndex: logIndex++
+    });
+
+    it('adds amounts of every width to the wei, past 64 bits', async () => {
+      const widest = '9'.repeat(36);
+      const int64Max = '9223372036854775807';
+      await db.upsertRestakingEvents([
+        // Carries from the low chunk through the high one
+        ledgerEvent('deposit', '61', widest),
+        ledgerEvent('deposit', '61', '1'),
+        ledgerEvent('deposit', '61', '0'),
+        ledgerEvent('withdrawal', '61', '5'),
+        // Each fits a SQLite integer, their sum does not
+        ...Array.from({ length: 4 }, () => ledgerEvent('deposit', '62', int64Max)),
+        // Debits larger than credits
+        ledgerEvent('deposit', '63', '10'),
+        ledgerEvent('withdrawal', '63', '25')
+      ]);
+
+      const totals = await db.getStrategyShareTotals();
+      assert.equal(totals.get(strategy('61')).totalShares, (10n ** 36n - 5n).toString());
+      assert.equal(totals.get(strategy('62')).totalShares, (4n * BigInt(int64Max)).toString());
+      assert.equal(totals.get(strategy('63')).totalShares, '-15');
+    });
+
+    it('sorts amounts numerically once padded', async () => {
+      const earner = '0x' + '06'.repeat(20);
+      for (const [i, claimedAmount] of ['9', '100000000000000000000', '0', '10'].entries()) {
+        await db.insertRewardsClaim({
+          root: '0xroot', earner, claimer: earner, recipient: earner, token: '0x' + '07'.repeat(20),
+          claimedAmount, blockNumber: 600 + i, transactionHash: '0xpadded', logIndex: i, timestamp: new Date().toISOString()
+        });
+      }
+
+      const { claims } = await db.getRewardsClaimPage({ filters: { earner }, sortBy: 'amount', order: 'asc' });
+      assert.deepEqual(claims.map(claim => claim.claimedAmount), ['0', '9', '10', '100000000000000000000']);
+    });
+  });
+
+  describe('queryPage', () => {
+    const earner = '0x' + '08'.repeat(20);
+    let ids;
+
+    before(async () => {
+      // Three claims share a block, two share an amount
+      const claims = [[700, '5'], [701, '30'], [701, '20'], [701, '5'], [702, '40']];
+      for (const [i, [blockNumber, claimedAmount]] of claims.entries()) {
+        await db.insertRewardsClaim({
+          root: '0xroot', earner, claimer: earner, recipient: earner, token: '0x' + '07'.repeat(20),
+          claimedAmount, blockNumber, transactionHash: '0xpaged', logIndex: i, timestamp: new Date().toISOString()
+        });
+      }
+      ids = (await raw.all('SELECT id FROM rewards_claims WHERE earner = ? ORDER BY logIndex', [earner])).map(row => row.id);
+    });
+
+    // Follows nextCursor to the end, returning each page's ids
+    const allPages = async options => {
+      const pages = [];
+      let cursor;
+      do {
+        const { claims, pagination } = await db.getRewardsClaimPage({ ...options, filters: { earner }, cursor, limit: 2 });
+        pages.push(claims.map(claim => claim.id));
+        assert.equal(pagination.totalItems, 5);
+        cursor = pagination.nextCursor;
+        assert.equal(pagination.hasNextPage, cursor !== null);
+      } while (cursor);
+      return pages;
+    };
+
+    it('breaks ties on the key so no row repeats or goes missing across pages', async () => {
+      assert.deepEqual(await allPages({ sortBy: 'timestamp', order: 'desc' }), [
+        [ids[4], ids[3]], [ids[2], ids[1]], [ids[0]]
+      ]);
+      assert.deepEqual(await allPages({ sortBy: 'amount', order: 'asc' }), [
+        [ids[0], ids[3]], [ids[2], ids[1]], [ids[4]]
+      ]);
+    });
+
+    it('ends on a full last page without a cursor', async () => {
+      const { claims, pagination } = await db.getRewardsClaimPage({ filters: { earner }, limit: 5 });
+      assert.equal(claims.length, 5);
+      assert.deepEqual([pagination.hasNextPage, pagination.nextCursor], [false, null]);
+    });
+
+    it('rejects garbage, tampered and mismatched cursors', async () => {
+      const page = cursor => db.getRewardsClaimPage({ filters: { earner }, sortBy: 'amount', order: 'asc', cursor, limit: 2 });
+      const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+      const invalid = { name: 'ValidationError', message: 'Invalid cursor' };
+
+      await assert.rejects(page('not-a-cursor'), invalid);
+      await assert.rejects(page(encode({ value: '5', key: ids[0] })), invalid);
+      await assert.rejects(page(encode(['amount', 'asc', '5'])), invalid);
+
+      const { pagination } = await page();
+      const [, , value, key] = JSON.parse(Buffer.from(pagination.nextCursor, 'base64url').toString('utf8'));
+      await assert.rejects(page(encode(['amount', 'desc', value, key])), {
+        name: 'ValidationError', message: 'Cursor was issued for a different sortBy or order'
+      });
+      await assert.rejects(db.getRewardsClaimPage({ filters: { earner }, sortBy: 'timestamp', cursor: pagination.nextCursor }), {
+        name: 'ValidationError', message: 'Cursor was issued for a different sortBy or order'
+      });
+    });
+  });
+
+  describe('getRewardsSubmissions', () => {
+    before(async () => {
+      await db.transaction(async () => {
+        for (let i = 0; i < 205; i++) {
+          await db.insertRewardsSubmission({
+            submissionType: 'avs', submitter: '0x' + '03'.repeat(20), avsAddress: '0x' + '03'.repeat(20),
+            submissionNonce: String(i), submissionHash: `0xsubmission${i}`, token: '0x' + '04'.repeat(20),
+            amount: '1000', strategies: [], startTimestamp: 1700000000, duration: 86400,
+            blockNumber: 1000 + i, transactionHash: `0xsubmission${i}`, logIndex: 0, timestamp: new Date().toISOString()
+          });
+        }
+      });
+    });
+
+    it('clamps the limit like a list page', async () => {
+      const count = async limit => (await db.getRewardsSubmissions({ limit })).length;
+
+      assert.equal(await count(undefined), 100);
+      assert.equal(await count('abc'), 100);
+      assert.equal(await count('7'), 7);
+      assert.equal(await count('-5'), 1);
+      assert.equal(await count('100000'), 200);
+    });
+  });
+});
@@ -0,0 +1,104 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The services read their configuration when first required
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'eigenlayer-subgraph-'));
+process.env.DATABASE_PATH = path.join(dir, 'test.sqlite');
+delete process.env.DATABASE_URL;
+
+const db = require('../src/services/databaseService');
+const eigenLayerService = require('../src/services/eigenLayerService');
+
+/**
+ * Subgraph stand-in serving `items` in (blockNumber, id) order; `failOnCall`
+ * makes that page request fail once
+ */
+function fakeSubgraph(items, { head = 1000, failOnCall = null } = {}) {
+  const requests = [];
+  return {
+    requests,
+    async query(query, variables) {
+      if (query.includes('_meta')) return { _meta: { block: { number: head } } };
+      requests.push(variables);
+      if (requests.length === failOnCall) throw new Error('subgraph unavailable');
+
+      const after = items.filter(item =>
+        Number(item.blockNumber) <= Number(variables.maxBlockNumber) &&
+        (Number(item.blockNumber) > Number(variables.lastBlockNumber) ||
+          (Number(item.blockNumber) === Number(variables.lastBlockNumber) && item.id > variables.lastId))
+      );
+      return { deposits: after.slice(0, variables.first) };
+    }
+  };
+}
+
+describe('eigenLayerService.syncCollection', () => {
+  const items = Array.from({ length: 5 }, (_, i) => ({ id: `d${i}`, blockNumber: String(100 + i) }));
+  const stored = [];
+  const sync = () => eigenLayerService.syncCollection({
+    entity: 'test-deposits',
+    query: 'deposits',
+    field: 'deposits',
+    cursor: 'block',
+    transform: page => page.map(item => item.id),
+    store: async records => { stored.push(...records); }
+  });
+
+  before(async () => {
+    await db.initializeDatabase();
+    eigenLayerService.pageSize = 2;
+    eigenLayerService.confirmations = 0;
+  });
+
+  after(async () => {
+    await db.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('keeps the pages stored before a failure and resumes after them', async () => {
+    const failing = fakeSubgraph(items, { failOnCall: 2 });
+    eigenLayerService.querySubgraph = failing.query;
+    await assert.rejects(sync(), /subgraph unavailable/);
+
+    assert.deepEqual(stored, ['d0', 'd1']);
+    const checkpoint = await db.getSyncCheckpoint('test-deposits');
+    assert.equal(checkpoint.lastBlockNumber, 101);
+    assert.equal(checkpoint.lastId, 'd1');
+    assert.equal(checkpoint.lastCompletedAt, null);
+
+    const subgraph = fakeSubgraph(items);
+    eigenLayerService.querySubgraph = subgraph.query;
+    const result = await sync();
+
+    assert.deepEqual(stored, ['d0', 'd1', 'd2', 'd3', 'd4']);
+    assert.equal(subgraph.requests[0].lastId, 'd1');
+    assert.deepEqual(result, { pages: 2, records: 3, lastBlockNumber: 104 });
+
+    const completed = await db.getSyncCheckpoint('test-deposits');
+    assert.equal(completed.recordsSynced, 5);
+    assert.notEqual(completed.lastCompletedAt, null);
+  });
+
+  it('rolls back a page whose write fails along with its checkpoint', async () => {
+    const more = [...items, { id: 'd5', blockNumber: '105' }, { id: 'd6', blockNumber: '106' }];
+    eigenLayerService.querySubgraph = fakeSubgraph(more).query;
+
+    await assert.rejects(eigenLayerService.syncCollection({
+      entity: 'test-deposits',
+      query: 'deposits',
+      field: 'deposits',
+      cursor: 'block',
+      transform: page => page,
+      store: async () => {
+        await db.saveSyncCheckpoint('test-partial', { lastBlockNumber: 1 });
+        throw new Error('write failed');
+      }
+    }), /write failed/);
+
+    assert.equal((await db.getSyncCheckpoint('test-deposits')).lastBlockNumber, 104);
+    assert.equal(await db.getSyncCheckpoint('test-partial'), null);
+  });
+});
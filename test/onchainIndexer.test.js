@@ -0,0 +1,278 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+
+// The services read their configuration when first required
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'eigenlayer-indexer-'));
+process.env.DATABASE_PATH = path.join(dir, 'test.sqlite');
+delete process.env.DATABASE_URL;
+process.env.EIGENLAYER_DATA_SOURCE = 'rpc';
+
+const db = require('../src/services/databaseService');
+const onchainIndexer = require('../src/services/onchainIndexer');
+
+const STRATEGY_MANAGER = '0x' + '5a'.repeat(20);
+const STRATEGY = '0x' + 'cc'.repeat(20);
+
+/**
+ * In-memory chain. Blocks at or above a fork point get new hashes, and
+ * getLogs refuses ranges wider than `maxLogRange` like a capped provider.
+ */
+class FakeChain {
+  constructor(head) {
+    this.head = head;
+    this.logs = [];
+    this.forks = [];
+    this.maxLogRange = Infinity;
+    this.logRanges = [];
+  }
+
+  hashOf(blockNumber) {
+    const branch = this.forks.filter(forkBlock => forkBlock <= blockNumber).length;
+    return ethers.id(`block:${blockNumber}:${branch}`);
+  }
+
+  /**
+   * Replace every block from `blockNumber` up, along with the logs in them
+   */
+  reorg(blockNumber, logs) {
+    this.forks.push(blockNumber);
+    this.logs = this.logs.filter(log => log.blockNumber < blockNumber).concat(logs);
+  }
+
+  deposit(staker, shares, blockNumber) {
+    const iface = onchainIndexer.sources.find(source => source.name === 'StrategyManager').iface;
+    const encoded = iface.encodeEventLog('Deposit(address,address,uint256)', [staker, STRATEGY, shares]);
+    return {
+      ...encoded,
+      address: STRATEGY_MANAGER,
+      blockNumber,
+      index: 0,
+      transactionHash: ethers.id(`tx:${staker}:${blockNumber}:${this.forks.length}`)
+    };
+  }
+
+  // Provider interface used by the indexer
+
+  async getBlockNumber() {
+    return this.head;
+  }
+
+  async getBlock(blockNumber) {
+    return {
+      number: blockNumber,
+      hash: this.hashOf(blockNumber),
+      parentHash: this.hashOf(blockNumber - 1),
+      timestamp: 1700000000 + blockNumber * 12
+    };
+  }
+
+  async getLogs({ address, topics, fromBlock, toBlock }) {
+    this.logRanges.push([fromBlock, toBlock]);
+    if (toBlock - fromBlock + 1 > this.maxLogRange) {
+      throw new Error('query returned more than 10000 results');
+    }
+    return this.logs.filter(log =>
+      (!address || log.address.toLowerCase() === address.toLowerCase()) &&
+      topics[0].includes(log.topics[0]) &&
+      log.blockNumber >= fromBlock && log.blockNumber <= toBlock
+    );
+  }
+}
+
+async function depositBlocks(staker) {
+  const restaker = await db.getRestakerByAddress(staker);
+  return restaker ? restaker.history.map(row => row.blockNumber).sort((a, b) => a - b) : [];
+}
+
+describe('onchainIndexer', () => {
+  const strategyManager = () => ({
+    ...onchainIndexer.sources.find(source => source.name === 'StrategyManager'),
+    address: STRATEGY_MANAGER
+  });
+
+  before(async () => {
+    await db.initializeDatabase();
+    onchainIndexer.startBlock = 100;
+    onchainIndexer.confirmations = 12;
+  });
+
+  after(async () => {
+    await db.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('halves the block range until the provider accepts it', async () => {
+    const staker = '0x' + '01'.repeat(20);
+    const chain = new FakeChain(199);
+    chain.logs = [chain.deposit(staker, 100n, 110), chain.deposit(staker, 200n, 150)];
+    chain.maxLogRange = 25;
+    onchainIndexer.provider = chain;
+    onchainIndexer.blockRange = 100;
+
+    const source = { ...strategyManager(), name: 'RangeTest' };
+    const result = await onchainIndexer.indexSource(source, 199);
+
+    assert.deepEqual(result, { events: 2, lastBlockNumber: 199 });
+    assert.deepEqual(chain.logRanges.slice(0, 3), [[100, 199], [100, 149], [100, 124]]);
+    // The smaller window is kept for the rest of the walk
+    assert.ok(chain.logRanges.slice(3).every(([from, to]) => to - from + 1 <= 25));
+    assert.equal(chain.logRanges[chain.logRanges.length - 1][1], 199);
+
+    assert.deepEqual(await depositBlocks(staker), [110, 150]);
+    assert.equal((await db.getSyncCheckpoint('rpc:RangeTest')).lastBlockNumber, 199);
+  });
+
+  it('gives up once a single block is still refused', async () => {
+    const chain = new FakeChain(120);
+    chain.maxLogRange = 0;
+    onchainIndexer.provider = chain;
+    onchainIndexer.blockRange = 8;
+
+    const source = { ...strategyManager(), name: 'RefusedTest' };
+    await assert.rejects(onchainIndexer.indexSource(source, 120), /more than 10000 results/);
+    assert.deepEqual(chain.logRanges.map(([from, to]) => to - from + 1), [8, 4, 2, 1]);
+    assert.equal(await db.getSyncCheckpoint('rpc:RefusedTest'), null);
+  });
+
+  it('stores a range\'s events together with its checkpoint or not at all', async () => {
+    const staker = '0x' + '04'.repeat(20);
+    const chain = new FakeChain(199);
+    chain.logs = [chain.deposit(staker, 100n, 110), chain.deposit(staker, 200n, 150)];
+    onchainIndexer.provider = chain;
+    onchainIndexer.blockRange = 100;
+
+    // The second deposit fails after the first was written
+    const handleDeposit = onchainIndexer.handlers.Deposit;
+    onchainIndexer.handlers.Deposit = async function (event, context) {
+      if (event.blockNumber === 150) throw new Error('handler failed');
+      return handleDeposit.call(this, event, context);
+    };
+
+    const source = { ...strategyManager(), name: 'AtomicTest' };
+    try {
+      await assert.rejects(onchainIndexer.indexSource(source, 199), /handler failed/);
+    } finally {
+      onchainIndexer.handlers.Deposit = handleDeposit;
+    }
+    assert.deepEqual(await depositBlocks(staker), []);
+    assert.equal(await db.getSyncCheckpoint('rpc:AtomicTest'), null);
+
+    assert.deepEqual(await onchainIndexer.indexSource(source, 199), { events: 2, lastBlockNumber: 199 });
+    assert.deepEqual(await depositBlocks(staker), [110, 150]);
+  });
+
+  it('reads pods no further than the EigenPodManager and waits for the first one', async () => {
+    const chain = new FakeChain(199);
+    onchainIndexer.provider = chain;
+    onchainIndexer.blockRange = 500;
+
+    const pods = [];
+    const source = {
+      ...onchainIndexer.sources.find(candidate => candidate.name === 'EigenPods'),
+      name: 'PodTest',
+      deployedBy: 'PodManagerTest',
+      resolveAddresses: async () => pods
+    };
+
+    await db.saveSyncCheckpoint('rpc:PodManagerTest', { lastBlockNumber: 150 });
+    assert.deepEqual(await onchainIndexer.indexSource(source, 199), { events: 0, lastBlockNumber: 99 });
+    assert.equal(await db.getSyncCheckpoint('rpc:PodTest'), null);
+
+    // A pod found later is read from the start, up to the manager's checkpoint
+    pods.push('0x' + 'dd'.repeat(20));
+    assert.deepEqual(await onchainIndexer.indexSource(source, 199), { events: 0, lastBlockNumber: 150 });
+    assert.deepEqual(chain.logRanges, [[100, 150]]);
+    assert.equal((await db.getSyncCheckpoint('rpc:PodTest')).lastBlockNumber, 150);
+  });
+
+  // The reorg tests share one chain, as the indexer's stored blocks carry over
+  const chain = new FakeChain(300);
+
+  it('rolls back past a fork and re-indexes the canonical chain', async () => {
+    const staker = '0x' + '02'.repeat(20);
+    chain.logs = [chain.deposit(staker, 100n, 292), chain.deposit(staker, 200n, 296)];
+    onchainIndexer.provider = chain;
+    onchainIndexer.blockRange = 500;
+    onchainIndexer.sources = onchainIndexer.sources.map(source =>
+      source.name === 'StrategyManager' ? { ...source, address: STRATEGY_MANAGER } : source
+    );
+
+    await db.saveSyncCheckpoint('rpc:StrategyManager', { lastBlockNumber: 279 });
+    await onchainIndexer.indexNewBlocks();
+    assert.deepEqual(await depositBlocks(staker), [292, 296]);
+    assert.equal(await onchainIndexer.checkForReorg(), null);
+
+    // Block 294 onwards is replaced; the deposit at 296 moves to 298
+    chain.reorg(294, [chain.deposit(staker, 300n, 298)]);
+    chain.head = 302;
+
+    const reorg = await onchainIndexer.checkForReorg();
+    assert.equal(reorg.forkBlock, 292);
+    assert.equal(reorg.deleted.restaking_events, 1);
+    assert.deepEqual(await depositBlocks(staker), [292]);
+    assert.equal((await db.getSyncCheckpoint('rpc:StrategyManager')).lastBlockNumber, 292);
+
+    await onchainIndexer.indexNewBlocks();
+    assert.deepEqual(await depositBlocks(staker), [292, 298]);
+    assert.equal((await db.getSyncCheckpoint('rpc:StrategyManager')).lastBlockNumber, 302);
+  });
+
+  it('rolls back to below the oldest unfinalized block when none survived', async () => {
+    const staker = '0x' + '03'.repeat(20);
+    chain.logs.push(chain.deposit(staker, 100n, 310));
+    chain.head = 320;
+
+    await onchainIndexer.indexNewBlocks();
+    assert.equal(await onchainIndexer.checkForReorg(), null);
+    assert.deepEqual(await depositBlocks(staker), [310]);
+
+    // Blocks up to 308 are final; everything indexed above them is orphaned
+    chain.reorg(303, []);
+    const unfinalized = await db.getUnfinalizedBlocks();
+    assert.equal(unfinalized[unfinalized.length - 1].blockNumber, 310);
+
+    const reorg = await onchainIndexer.checkForReorg();
+    assert.equal(reorg.forkBlock, 309);
+    assert.deepEqual(await depositBlocks(staker), []);
+  });
+
+  it('removes rows the rolled-back events created and rewinds subgraph cursors', async () => {
+    const kept = '0x' + '0a'.repeat(20);
+    const orphaned = '0x' + '0b'.repeat(20);
+    const strategy = '0x' + '0c'.repeat(20);
+    await db.upsertOperator({ operatorAddress: kept, firstSeenBlock: 990 });
+    await db.upsertOperator({ operatorAddress: orphaned, firstSeenBlock: 1005 });
+    await db.upsertStrategy({ strategyAddress: strategy, firstSeenBlock: 1005 });
+    for (const [uri, blockNumber] of [['https://a.example/1.json', 995], ['https://a.example/2.json', 1010]]) {
+      await db.upsertOperator({ operatorAddress: kept, metadataURI: uri, firstSeenBlock: blockNumber });
+      await db.insertOperatorMetadataURIEvent({
+        operatorAddress: kept,
+        metadataURI: uri,
+        blockNumber,
+        transactionHash: ethers.id(uri),
+        logIndex: 0,
+        timestamp: new Date().toISOString()
+      });
+    }
+    await db.saveSyncCheckpoint('deposits', { lastBlockNumber: 1010, lastId: '0xdeposit' });
+    await db.saveSyncCheckpoint('operators', { lastId: '0xoperator' });
+
+    const result = await db.rollbackToBlock(1000);
+    assert.equal(result.deleted.validators, 1);
+    assert.equal(result.deleted.strategies, 1);
+
+    const validators = await db.getAllValidators([kept, orphaned]);
+    assert.deepEqual(validators.map(validator => [validator.operatorAddress, validator.metadataURI]), [
+      [kept, 'https://a.example/1.json']
+    ]);
+    assert.equal((await db.getAllStrategies()).some(row => row.strategyAddress === strategy), false);
+
+    const deposits = await db.getSyncCheckpoint('deposits');
+    assert.deepEqual([deposits.lastBlockNumber, deposits.lastId], [1000, '']);
+    assert.equal((await db.getSyncCheckpoint('operators')).lastId, '0xoperator');
+  });
+});
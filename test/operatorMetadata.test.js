@@ -0,0 +1,221 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+// The services read their configuration when first required
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'eigenlayer-metadata-'));
+process.env.DATABASE_PATH = path.join(dir, 'test.sqlite');
+delete process.env.DATABASE_URL;
+process.env.OPERATOR_METADATA_ALLOW_PRIVATE_HOSTS = 'true';
+
+const db = require('../src/services/databaseService');
+const operatorMetadataService = require('../src/services/operatorMetadataService');
+
+const HOUR = 60 * 60 * 1000;
+
+const VALID = {
+  name: 'Operator One',
+  description: 'Runs validators',
+  logo: 'https://example.com/logo.png',
+  website: 'https://example.com',
+  twitter: 'https://x.com/operator'
+};
+
+/**
+ * Local metadata host. Each path serves a document with its own ETag and
+ * honours If-None-Match; `failing` paths answer 500 instead.
+ */
+function startFixtureServer() {
+  const documents = new Map([
+    ['/valid.json', VALID],
+    ['/moved.json', { ...VALID, name: 'Operator One (moved)' }],
+    ['/invalid.json', { name: 'Operator Two', logo: 'https://example.com/logo.jpg' }]
+  ]);
+  const requests = [];
+  const failing = new Set();
+
+  const server = http.createServer((req, res) => {
+    requests.push({ path: req.url, ifNoneMatch: req.headers['if-none-match'] || null });
+    if (req.url === '/redirect.json') {
+      res.writeHead(302, { Location: '/valid.json' });
+      return res.end();
+    }
+    if (failing.has(req.url) || !documents.has(req.url)) {
+      res.writeHead(failing.has(req.url) ? 500 : 404);
+      return res.end();
+    }
+
+    const etag = `"${req.url}"`;
+    if (req.headers['if-none-match'] === etag) {
+      res.writeHead(304, { ETag: etag });
+      return res.end();
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json', ETag: etag });
+    res.end(JSON.stringify(documents.get(req.url)));
+  });
+
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({
+    server,
+    requests,
+    failing,
+    url: pathname => `http://127.0.0.1:${server.address().port}${pathname}`
+  })));
+}
+
+// A port nothing listens on
+async function closedPort() {
+  const server = http.createServer();
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+  await new Promise(resolve => server.close(resolve));
+  return port;
+}
+
+async function addOperator(operatorAddress, metadataURI) {
+  await db.insertValidator({
+    operatorAddress,
+    operatorId: operatorAddress,
+    totalDelegatedStake: '0',
+    validatorStatus: 'active',
+    metadataURI
+  });
+}
+
+/**
+ * Resolve one operator if it is due at `now`; the outcome, or null when it is not due
+ */
+async function resolveIfDue(operatorAddress, now) {
+  const due = await db.getOperatorsDueForMetadata(now.toISOString(), 100);
+  const operator = due.find(candidate => candidate.operatorAddress === operatorAddress);
+  return operator ? operatorMetadataService.resolve(operator, now) : null;
+}
+
+async function profileOf(operatorAddress) {
+  const [validator] = await db.getAllValidators([operatorAddress]);
+  return validator.profile;
+}
+
+describe('operatorMetadataService', () => {
+  let fixture;
+  const start = new Date('2024-01-01T00:00:00Z');
+
+  before(async () => {
+    await db.initializeDatabase();
+    fixture = await startFixtureServer();
+  });
+
+  after(async () => {
+    await new Promise(resolve => fixture.server.close(resolve));
+    await db.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('stores a valid document and revalidates it with its ETag', async () => {
+    const operator = '0x' + '01'.repeat(20);
+    await addOperator(operator, fixture.url('/valid.json'));
+
+    assert.equal(await resolveIfDue(operator, start), 'resolved');
+    let profile = await profileOf(operator);
+    assert.equal(profile.status, 'valid');
+    assert.equal(profile.name, VALID.name);
+
+    // Not due again until the refresh interval has passed
+    assert.equal(await resolveIfDue(operator, new Date(start.getTime() + HOUR)), null);
+
+    assert.equal(await resolveIfDue(operator, new Date(start.getTime() + 25 * HOUR)), 'unchanged');
+    const revalidation = fixture.requests.filter(request => request.path === '/valid.json').pop();
+    assert.equal(revalidation.ifNoneMatch, '"/valid.json"');
+
+    profile = await profileOf(operator);
+    assert.equal(profile.status, 'valid');
+    assert.equal(profile.name, VALID.name);
+    assert.equal(profile.checkCount, 2);
+  });
+
+  it('rejects documents that break the schema and serves none of their fields', async () => {
+    const operator = '0x' + '02'.repeat(20);
+    await addOperator(operator, fixture.url('/invalid.json'));
+
+    assert.equal(await resolveIfDue(operator, start), 'invalid');
+    const profile = await profileOf(operator);
+    assert.equal(profile.status, 'invalid');
+    assert.equal(profile.name, null);
+    assert.deepEqual(profile.validationErrors, ['description is required', 'logo must be a .png image']);
+  });
+
+  it('retries an unreachable URI within the hour', async () => {
+    const operator = '0x' + '03'.repeat(20);
+    await addOperator(operator, `http://127.0.0.1:${await closedPort()}/metadata.json`);
+
+    assert.equal(await resolveIfDue(operator, start), 'errors');
+    let profile = await profileOf(operator);
+    assert.equal(profile.status, 'unreachable');
+    assert.equal(profile.lastError, 'unreachable');
+    assert.equal(profile.failureCount, 1);
+
+    assert.equal(await resolveIfDue(operator, new Date(start.getTime() + HOUR / 2)), null);
+    assert.equal(await resolveIfDue(operator, new Date(start.getTime() + HOUR)), 'errors');
+    profile = await profileOf(operator);
+    assert.equal(profile.failureCount, 2);
+  });
+
+  it('keeps the last good document when its host starts failing', async () => {
+    const operator = '0x' + '04'.repeat(20);
+    await addOperator(operator, fixture.url('/valid.json'));
+    assert.equal(await resolveIfDue(operator, start), 'resolved');
+
+    fixture.failing.add('/valid.json');
+    try {
+      assert.equal(await resolveIfDue(operator, new Date(start.getTime() + 25 * HOUR)), 'errors');
+    } finally {
+      fixture.failing.delete('/valid.json');
+    }
+
+    const profile = await profileOf(operator);
+    assert.equal(profile.status, 'valid');
+    assert.equal(profile.name, VALID.name);
+    assert.equal(profile.lastError, 'http_error');
+  });
+
+  it('refetches a changed URI at once, without the old ETag', async () => {
+    const operator = '0x' + '05'.repeat(20);
+    await addOperator(operator, fixture.url('/valid.json'));
+    assert.equal(await resolveIfDue(operator, start), 'resolved');
+
+    await addOperator(operator, fixture.url('/moved.json'));
+    assert.equal(await resolveIfDue(operator, new Date(start.getTime() + HOUR)), 'resolved');
+    const request = fixture.requests.filter(candidate => candidate.path === '/moved.json').pop();
+    assert.equal(request.ifNoneMatch, null);
+
+    const profile = await profileOf(operator);
+    assert.equal(profile.metadataURI, fixture.url('/moved.json'));
+    assert.equal(profile.name, 'Operator One (moved)');
+  });
+
+  it('does not follow redirects', async () => {
+    const operator = '0x' + '06'.repeat(20);
+    await addOperator(operator, fixture.url('/redirect.json'));
+
+    assert.equal(await resolveIfDue(operator, start), 'errors');
+    assert.equal((await profileOf(operator)).lastError, 'redirect');
+  });
+
+  it('refuses hosts on private addresses unless allowed', async () => {
+    const operator = '0x' + '07'.repeat(20);
+    await addOperator(operator, fixture.url('/valid.json').replace('127.0.0.1', 'localhost'));
+
+    operatorMetadataService.allowPrivateHosts = false;
+    try {
+      assert.equal(await resolveIfDue(operator, start), 'errors');
+    } finally {
+      operatorMetadataService.allowPrivateHosts = true;
+    }
+
+    const profile = await profileOf(operator);
+    assert.equal(profile.status, 'unreachable');
+    assert.equal(profile.lastError, 'blocked_host');
+  });
+});
@@ -0,0 +1,102 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The services read their configuration when first required
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'eigenlayer-postgres-'));
+process.env.DATABASE_PATH = path.join(dir, 'test.sqlite');
+delete process.env.DATABASE_URL;
+
+const SqliteAdapter = require('../src/services/storage/sqliteAdapter');
+const PostgresAdapter = require('../src/services/storage/postgresAdapter');
+const db = require('../src/services/databaseService');
+
+// Translation needs no server; the adapter never connects
+const postgres = new PostgresAdapter('postgres://localhost/unused');
+
+describe('PostgresAdapter.translate', () => {
+  // Every query the service sends, recorded on its way to SQLite
+  const queries = [];
+  const methods = ['run', 'all', 'get', 'prepare'];
+  const originals = {};
+
+  // The one recorded query containing every fragment, translated
+  const translated = (...fragments) => {
+    const matching = queries.filter(query => fragments.every(fragment => query.includes(fragment)));
+    assert.equal(matching.length, 1, `one query with ${fragments.join(', ')}`);
+    return postgres.translate(matching[0]);
+  };
+
+  before(async () => {
+    for (const method of methods) {
+      originals[method] = SqliteAdapter.prototype[method];
+      SqliteAdapter.prototype[method] = function (query, ...args) {
+        queries.push(query);
+        return originals[method].call(this, query, ...args);
+      };
+    }
+
+    await db.initializeDatabase();
+    await db.getRewardsClaimPage({ filters: { earner: '0x' + '01'.repeat(20), fromDate: '2024-01-01' }, sortBy: 'amount' });
+    await db.getStrategyShareTotals();
+  });
+
+  after(async () => {
+    Object.assign(SqliteAdapter.prototype, originals);
+    await db.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('quotes camelCase identifiers and timestamp, leaving literals alone', () => {
+    const sql = translated('FROM rewards_claims c', 'LIMIT ?');
+    assert.match(sql, /c\."claimedAmount"/);
+    assert.match(sql, /AS "amountSortKey"/);
+    assert.match(sql, /c\."timestamp"/);
+    assert.ok(sql.includes(`'${'0'.repeat(36)}'`));
+    assert.doesNotMatch(sql, /[^"$]\b(claimedAmount|blockNumber|transactionHash)\b/);
+  });
+
+  it('compares dates with timestamp casts instead of julianday', () => {
+    const sql = translated('FROM rewards_claims c', 'LIMIT ?');
+    assert.ok(sql.includes('CAST("timestamp" AS TIMESTAMP) >= CAST($2 AS TIMESTAMP)'));
+    assert.doesNotMatch(sql, /julianday/);
+  });
+
+  it('numbers placeholders in order across string literals', () => {
+    const sql = translated('FROM rewards_claims c', 'LIMIT ?');
+    assert.deepEqual(sql.match(/\$\d+/g), ['$1', '$2', '$3']);
+    assert.ok(sql.includes('earner = $1'));
+    assert.match(sql, /LIMIT \$3/);
+    assert.doesNotMatch(sql, /\?/);
+  });
+
+  it('widens integers, including the chunks of exact sums', () => {
+    const sums = translated('AS creditedHigh');
+    assert.match(sums, /CAST\(substr\(.*, 1, 18\) AS BIGINT\)\) AS TEXT\) AS "creditedHigh"/);
+    assert.doesNotMatch(sums, /\bINTEGER\b/);
+
+    const table = translated('CREATE TABLE IF NOT EXISTS restaking_events');
+    assert.match(table, /id BIGSERIAL PRIMARY KEY/);
+    assert.match(table, /"blockNumber" BIGINT/);
+    assert.match(table, /"logIndex" BIGINT NOT NULL/);
+    assert.match(table, /"timestamp" TEXT DEFAULT \(to_char\(now\(\) AT TIME ZONE 'UTC'/);
+  });
+
+  it('maps REAL to double precision', () => {
+    assert.match(translated('CREATE TABLE operator_scores'), /score DOUBLE PRECISION NOT NULL/);
+  });
+
+  it('drops foreign key clauses', () => {
+    const sql = translated('CREATE TABLE IF NOT EXISTS slash_history');
+    assert.doesNotMatch(sql, /FOREIGN KEY|REFERENCES/);
+    assert.match(sql, /"timestamp" TEXT DEFAULT .*\)\s*\)$/s);
+  });
+
+  it('answers PRAGMA table_info from information_schema', () => {
+    const sql = postgres.translate(queries.find(query => query === 'PRAGMA table_info(restaking_events)'));
+    assert.match(sql, /SELECT column_name AS name FROM information_schema\.columns/);
+    assert.match(sql, /table_name = 'restaking_events'/);
+  });
+});
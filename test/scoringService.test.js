@@ -0,0 +1,226 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The services read their configuration when first required
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'eigenlayer-scoring-'));
+process.env.DATABASE_PATH = path.join(dir, 'test.sqlite');
+delete process.env.DATABASE_URL;
+process.env.SCORE_CHURN_WINDOW_DAYS = '30';
+
+const db = require('../src/services/databaseService');
+const scoringService = require('../src/services/scoringService');
+const snapshotService = require('../src/services/snapshotService');
+
+const ETHER = 10n ** 18n;
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = new Date('2024-06-30T00:00:00Z');
+
+const daysAgo = days => new Date(NOW.getTime() - days * DAY);
+const address = byte => '0x' + byte.repeat(20);
+
+const OPERATOR_A = address('a1');
+const OPERATOR_B = address('b1');
+const STRATEGY = address('51');
+const TOKEN = address('71');
+
+describe('scoringService', () => {
+  describe('components', () => {
+    it('takes slashing events and the largest slash off 100', () => {
+      const component = scoringService.scoreSlashing([
+        { transactionHash: '0x01', wadSlashed: (ETHER / 10n).toString() },
+        { transactionHash: '0x01', wadSlashed: (ETHER / 20n).toString() },
+        { transactionHash: '0x02', wadSlashed: null }
+      ]);
+      // Two events (one slashed two strategies) and at most 10% of a strategy
+      assert.deepEqual(component, { score: 50, slashEvents: 2, largestSlashedFraction: 0.1 });
+    });
+
+    it('scores stake concentration from the Herfindahl index', () => {
+      assert.deepEqual(scoringService.scoreConcentration([3n * ETHER, ETHER]), {
+        score: 37.5, delegatorCount: 2, herfindahlIndex: 0.625, largestDelegatorShare: 0.75
+      });
+      assert.equal(scoringService.scoreConcentration([ETHER]).score, 0);
+      assert.equal(scoringService.scoreConcentration([]).score, null);
+    });
+
+    it('adds AVS count and secured stake share', () => {
+      const component = scoringService.scoreAvsCoverage({ avsCount: 2, securedStake: 50n }, 200n);
+      assert.deepEqual(component, { score: 34, avsCount: 2, securedStake: '50', securedStakeShare: 0.25 });
+      // The AVS half tops out at AVS_TARGET
+      assert.equal(scoringService.scoreAvsCoverage({ avsCount: 9, securedStake: 0n }, 200n).score, 60);
+      assert.equal(scoringService.scoreAvsCoverage(undefined, 0n).score, 0);
+    });
+
+    it('scores churn as the share of delegators kept', () => {
+      assert.deepEqual(scoringService.scoreChurn(3, { delegations: 2, undelegations: 1 }), {
+        score: 75, windowDays: 30, delegatorCount: 3, delegations: 2, undelegations: 1, churnRate: 0.25
+      });
+      assert.equal(scoringService.scoreChurn(0, { delegations: 0, undelegations: 0 }).score, null);
+    });
+
+    it('penalises split increases activated within the window', () => {
+      const activatedAt = days => Math.floor(daysAgo(days).getTime() / 1000);
+      const component = scoringService.scoreCommission([
+        { activatedAt: activatedAt(40), oldSplitBips: 1000, newSplitBips: 9000 },
+        { activatedAt: activatedAt(10), oldSplitBips: 1000, newSplitBips: 1500 },
+        { activatedAt: activatedAt(5), oldSplitBips: 1500, newSplitBips: 1200 },
+        { activatedAt: activatedAt(-1), oldSplitBips: 1200, newSplitBips: 5000 }
+      ], NOW);
+      assert.deepEqual(component, {
+        score: 70, windowDays: 30, splitChanges: 2, splitIncreases: 1, largestIncreaseBips: 500
+      });
+      assert.equal(scoringService.scoreCommission([], NOW).score, 100);
+    });
+
+    it('scores metadata uptime, halved for an invalid document', () => {
+      const validator = (status, checkCount, failureCount) => ({
+        metadataURI: 'https://example.com/operator.json',
+        profile: { status, checkCount, failureCount }
+      });
+      assert.deepEqual(scoringService.scoreMetadataUptime(validator('valid', 4, 1)), {
+        score: 75, status: 'valid', checks: 4, failures: 1, uptime: 0.75
+      });
+      assert.equal(scoringService.scoreMetadataUptime(validator('invalid', 4, 1)).score, 37.5);
+      assert.equal(scoringService.scoreMetadataUptime({ metadataURI: null }).score, 0);
+      assert.equal(scoringService.scoreMetadataUptime({ metadataURI: 'https://example.com/x.json' }).score, null);
+    });
+
+    it('weighs the components and reweights those without a score', () => {
+      const components = {
+        slashing: { score: 50 },
+        stakeConcentration: { score: 37.5 },
+        avsCoverage: { score: 34 },
+        delegatorChurn: { score: 75 },
+        commission: { score: 70 },
+        metadataUptime: { score: 75 }
+      };
+      // 0.30×50 + 0.15×37.5 + 0.15×34 + 0.15×75 + 0.10×70 + 0.15×75
+      assert.equal(scoringService.combine(components), 55.2);
+      assert.equal(components.slashing.weight, 0.30);
+
+      components.stakeConcentration.score = null;
+      components.delegatorChurn.score = null;
+      // (15 + 5.1 + 7 + 11.25) ÷ 0.70
+      assert.equal(scoringService.combine(components), 54.8);
+    });
+  });
+
+  describe('computeScores', () => {
+    const stakers = [address('01'), address('02'), address('03'), address('04')];
+    let logIndex = 0;
+    const event = (blockNumber, days) => ({
+      blockNumber,
+      transactionHash: '0x' + String(blockNumber).padStart(64, '0'),
+      logIndex: logIndex++,
+      timestamp: daysAgo(days).toISOString()
+    });
+
+    before(async () => {
+      await db.initializeDatabase();
+
+      // One 18-decimal strategy worth one ETH per share, so stakes are whole ether
+      await db.upsertStrategy({
+        strategyAddress: STRATEGY, underlyingToken: TOKEN, symbol: 'TKN', name: 'Token', decimals: 18,
+        sharesToUnderlyingRate: ETHER.toString()
+      });
+      await db.upsertTokenRate({ token: TOKEN, symbol: 'TKN', provider: 'test', ethRate: ETHER.toString() });
+
+      for (const operator of [OPERATOR_A, OPERATOR_B]) {
+        await db.insertValidator({
+          operatorAddress: operator, operatorId: operator, totalDelegatedStake: '0', validatorStatus: 'active'
+        });
+        await db.setOperatorShares(operator, [{ strategy: STRATEGY, shares: (4n * ETHER).toString() }]);
+      }
+
+      // A: stakers 1 and 2 (3 and 1 ETH) stay, staker 4 left within the window; B: staker 3
+      const deposits = [[stakers[0], 3n], [stakers[1], 1n], [stakers[2], 4n], [stakers[3], 2n]];
+      await db.upsertRestakingEvents(deposits.map(([userAddress, ether], i) => ({
+        eventType: 'deposit', userAddress, strategy: STRATEGY, shares: (ether * ETHER).toString(),
+        amount: (ether * ETHER).toString(), ...event(100 + i, 20)
+      })));
+      await db.upsertDelegationEvents([
+        { eventType: 'delegated', userAddress: stakers[0], operatorAddress: OPERATOR_A, ...event(110, 20) },
+        { eventType: 'delegated', userAddress: stakers[1], operatorAddress: OPERATOR_A, ...event(111, 20) },
+        { eventType: 'delegated', userAddress: stakers[2], operatorAddress: OPERATOR_B, ...event(112, 20) },
+        { eventType: 'delegated', userAddress: stakers[3], operatorAddress: OPERATOR_A, ...event(113, 20) },
+        { eventType: 'undelegated', userAddress: stakers[3], operatorAddress: OPERATOR_A, ...event(114, 10) }
+      ]);
+
+      // Both operators secure one AVS, A a second one as well
+      for (const [avsAddress, operatorAddress] of [[address('e1'), OPERATOR_A], [address('e1'), OPERATOR_B], [address('e2'), OPERATOR_A]]) {
+        await db.insertAvsRegistrationEvent({ avsAddress, operatorAddress, status: 'registered', ...event(120, 15) });
+      }
+
+      await db.insertSlashEvent({
+        operatorAddress: OPERATOR_A, avsAddress: address('e1'), operatorSetId: 0, strategy: STRATEGY,
+        wadSlashed: (ETHER / 10n).toString(), slashedAmount: '0', reason: 'test', ...event(130, 12)
+      });
+      await db.insertOperatorSplitEvent({
+        splitType: 'pi', operatorAddress: OPERATOR_A, activatedAt: Math.floor(daysAgo(10).getTime() / 1000),
+        oldSplitBips: 1000, newSplitBips: 1500, ...event(140, 17)
+      });
+    });
+
+    after(async () => {
+      await db.close();
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const latestScore = async operator => (await db.getOperatorScoreHistory(operator, '2024-01-01')).pop();
+
+    it('stores each operator\'s components and weighted score', async () => {
+      assert.deepEqual(await scoringService.computeScores(NOW), { scores: 2 });
+
+      const a = await latestScore(OPERATOR_A);
+      assert.equal(a.periodStart, snapshotService.periodStart(NOW, 'day'));
+      assert.deepEqual(Object.fromEntries(Object.entries(a.components).map(([name, { score }]) => [name, score])), {
+        slashing: 70,
+        stakeConcentration: 37.5,
+        avsCoverage: 64,
+        delegatorChurn: 66.7,
+        commission: 70,
+        metadataUptime: 0
+      });
+      assert.equal(a.components.stakeConcentration.delegatorCount, 2);
+      assert.equal(a.components.avsCoverage.securedStake, (8n * ETHER).toString());
+      assert.equal(a.components.delegatorChurn.undelegations, 1);
+      // 0.30×70 + 0.15×37.5 + 0.15×64 + 0.15×66.7 + 0.10×70 + 0.15×0
+      assert.equal(a.score, 53.2);
+
+      // Neither operator has a metadata URI, which scores 0
+      const b = await latestScore(OPERATOR_B);
+      assert.deepEqual(Object.fromEntries(Object.entries(b.components).map(([name, { score }]) => [name, score])), {
+        slashing: 100,
+        stakeConcentration: 0,
+        avsCoverage: 52,
+        delegatorChurn: 100,
+        commission: 100,
+        metadataUptime: 0
+      });
+      assert.equal(b.score, 62.8);
+    });
+
+    it('scores from the ledger read shared with the snapshot stage', async () => {
+      // One read serves both stages, as in a refresh; deposits after it wait for the next one
+      const pendingRestakers = db.getAllRestakers();
+      await pendingRestakers;
+      await db.upsertRestakingEvents([{
+        eventType: 'deposit', userAddress: stakers[1], strategy: STRATEGY, shares: (2n * ETHER).toString(),
+        amount: (2n * ETHER).toString(), ...event(150, 1)
+      }]);
+
+      await Promise.all([
+        snapshotService.captureSnapshots(NOW, pendingRestakers),
+        scoringService.computeScores(NOW, pendingRestakers)
+      ]);
+      assert.equal((await latestScore(OPERATOR_A)).components.stakeConcentration.score, 37.5);
+
+      await scoringService.computeScores(NOW);
+      // Stakes of 3 and 3 ETH
+      assert.equal((await latestScore(OPERATOR_A)).components.stakeConcentration.score, 50);
+    });
+  });
+});
@@ -0,0 +1,81 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The services read their configuration when first required
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'eigenlayer-snapshots-'));
+process.env.DATABASE_PATH = path.join(dir, 'test.sqlite');
+delete process.env.DATABASE_URL;
+
+const snapshotService = require('../src/services/snapshotService');
+const { BEACON_CHAIN_ETH_STRATEGY } = require('../src/services/strategyService');
+
+const ETHER = 10n ** 18n;
+const address = byte => '0x' + byte.repeat(20);
+
+// A 6-decimal token at 0.0005 ETH and an 18-decimal token nothing prices
+const PRICED = address('51');
+const UNPRICED = address('52');
+const CATALOG = new Map([
+  [PRICED, {
+    strategyAddress: PRICED, underlyingToken: address('71'), symbol: 'USD', decimals: 6,
+    sharesToUnderlyingRate: ETHER.toString(), ethRate: (5n * 10n ** 14n).toString()
+  }],
+  [UNPRICED, {
+    strategyAddress: UNPRICED, underlyingToken: address('72'), symbol: 'XYZ', decimals: 18,
+    sharesToUnderlyingRate: ETHER.toString(), ethRate: null
+  }]
+]);
+
+const RESTAKERS = [
+  { userAddress: address('01'), strategies: [{ strategy: PRICED, shares: '2000000' }, { strategy: BEACON_CHAIN_ETH_STRATEGY, shares: ETHER.toString() }] },
+  { userAddress: address('02'), strategies: [{ strategy: UNPRICED, shares: (10n * ETHER).toString() }] },
+  { userAddress: address('03'), strategies: [{ strategy: BEACON_CHAIN_ETH_STRATEGY, shares: '0' }] }
+];
+
+// 1 ETH plus 2 tokens at 0.0005 ETH
+const ONE_ETH_AND_TOKENS = (ETHER + 10n ** 15n).toString();
+
+describe('snapshotService', () => {
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('adds up TVL in ETH and keeps each strategy\'s own amount', () => {
+    const [protocol, ...strategies] = snapshotService.buildStrategySnapshots(RESTAKERS, CATALOG);
+
+    assert.deepEqual(protocol, { scope: 'protocol', subject: '', shares: null, amount: ONE_ETH_AND_TOKENS, restakerCount: 2 });
+    assert.deepEqual(strategies.map(row => [row.subject, row.amount, row.restakerCount]), [
+      [PRICED, (2n * ETHER).toString(), 1],
+      [BEACON_CHAIN_ETH_STRATEGY, ETHER.toString(), 1],
+      [UNPRICED, (10n * ETHER).toString(), 1]
+    ]);
+  });
+
+  it('values restakers in ETH, leaving out unpriced tokens', () => {
+    assert.deepEqual(snapshotService.buildRestakerValuations(RESTAKERS, CATALOG), [
+      { scope: 'restaker', subject: address('01'), amount: ONE_ETH_AND_TOKENS },
+      { scope: 'restaker', subject: address('02'), amount: '0' },
+      { scope: 'restaker', subject: address('03'), amount: '0' }
+    ]);
+  });
+
+  it('values operators in ETH and never prices a raw share total', () => {
+    const operatorShares = new Map([[address('a1'), [
+      { strategy: PRICED, shares: '2000000' },
+      { strategy: BEACON_CHAIN_ETH_STRATEGY, shares: ETHER.toString() }
+    ]]]);
+    const validators = [
+      { operatorAddress: address('a1'), totalDelegatedStake: '0' },
+      { operatorAddress: address('a2'), totalDelegatedStake: (5n * ETHER).toString() }
+    ];
+    const delegations = [{ operatorAddress: address('a1') }, { operatorAddress: address('a1') }];
+
+    assert.deepEqual(snapshotService.buildOperatorSnapshots(validators, operatorShares, delegations, CATALOG), [
+      { scope: 'operator', subject: address('a1'), shares: (ETHER + 2000000n).toString(), amount: ONE_ETH_AND_TOKENS, restakerCount: 2 },
+      { scope: 'operator', subject: address('a2'), shares: (5n * ETHER).toString(), amount: '0', restakerCount: 0 }
+    ]);
+  });
+});
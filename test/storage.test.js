@@ -0,0 +1,243 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createAdapter } = require('../src/services/storage');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'src', 'migrations');
+
+/**
+ * Every adapter runs the same suite. PostgreSQL needs a server: set
+ * TEST_DATABASE_URL to a database the tests may create schemas in.
+ */
+const BACKENDS = [
+  {
+    name: 'SQLite',
+    async open() {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'eigenlayer-storage-'));
+      const adapter = createAdapter({ DATABASE_PATH: path.join(dir, 'test.sqlite') });
+      await adapter.connect();
+      return {
+        adapter,
+        cleanup: async () => {
+          await adapter.close();
+          fs.rmSync(dir, { recursive: true, force: true });
+        },
+      };
+    },
+  },
+  {
+    name: 'PostgreSQL',
+    skip: !process.env.TEST_DATABASE_URL && 'TEST_DATABASE_URL is not set',
+    async open() {
+      // Each run gets its own schema, dropped afterwards
+      const schema = `storage_test_${process.pid}_${Date.now()}`;
+      const admin = createAdapter({ DATABASE_URL: process.env.TEST_DATABASE_URL });
+      await admin.connect();
+      await admin.run(`CREATE SCHEMA ${schema}`);
+
+      const url = new URL(process.env.TEST_DATABASE_URL);
+      url.searchParams.set('options', `-c search_path=${schema}`);
+      const adapter = createAdapter({ DATABASE_URL: url.toString() });
+      await adapter.connect();
+      return {
+        adapter,
+        cleanup: async () => {
+          await adapter.close();
+          await admin.run(`DROP SCHEMA ${schema} CASCADE`);
+          await admin.close();
+        },
+      };
+    },
+  },
+];
+
+function loadMigrations() {
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => /^\d+_[\w-]+\.js$/.test(file))
+    .sort()
+    .map(file => ({ file, ...require(path.join(MIGRATIONS_DIR, file)) }));
+}
+
+for (const backend of BACKENDS) {
+  describe(`${backend.name} adapter`, { skip: backend.skip }, () => {
+    let adapter;
+    let cleanup;
+
+    before(async () => {
+      ({ adapter, cleanup } = await backend.open());
+      await adapter.run(`
+        CREATE TABLE adapter_test (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          userAddress TEXT NOT NULL UNIQUE,
+          shares TEXT NOT NULL,
+          blockNumber INTEGER,
+          createdAt DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+    });
+
+    after(async () => {
+      if (cleanup) await cleanup();
+    });
+
+    it('runs every migration up, down and up again', async () => {
+      const migrations = loadMigrations();
+
+      for (const migration of migrations) {
+        await adapter.transaction(() => migration.up(adapter));
+      }
+      for (const migration of [...migrations].reverse()) {
+        await adapter.transaction(() => migration.down(adapter));
+      }
+      for (const migration of migrations) {
+        await adapter.transaction(() => migration.up(adapter));
+      }
+
+      const columns = await adapter.all('PRAGMA table_info(restaking_events)');
+      assert.ok(columns.some(column => column.name === 'userAddress'));
+      assert.ok(columns.some(column => column.name === 'source'));
+    });
+
+    it('moves a legacy restakers table into the ledger', async () => {
+      const legacyRestakers = loadMigrations().find(migration => migration.file === '015_legacy_restakers.js');
+      await adapter.run(`
+        CREATE TABLE restakers (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          userAddress TEXT UNIQUE NOT NULL,
+          amountRestaked TEXT NOT NULL,
+          strategy TEXT,
+          blockNumber INTEGER,
+          transactionHash TEXT,
+          timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      await adapter.run(
+        'INSERT INTO restakers (userAddress, amountRestaked, strategy, blockNumber, transactionHash) VALUES (?, ?, ?, ?, ?), (?, ?, ?, ?, ?)',
+        ['0xAA', '32500000000000000000', '0xBB', 18500000, '0x123...abc', '0xcc', '1', null, null, null]
+      );
+
+      await adapter.transaction(() => legacyRestakers.up(adapter));
+
+      const rows = await adapter.all("SELECT * FROM restaking_events WHERE transactionHash = '0x123...abc'");
+      assert.deepEqual(rows.map(row => [row.eventType, row.userAddress, row.strategy, row.shares, row.source]), [
+        ['deposit', '0xaa', '0xbb', '32500000000000000000', 'simulated']
+      ]);
+      assert.deepEqual(await adapter.all('PRAGMA table_info(restakers)'), []);
+
+      // Already gone on the next run
+      await adapter.transaction(() => legacyRestakers.up(adapter));
+    });
+
+    it('reports changed rows and keeps camelCase columns', async () => {
+      const inserted = await adapter.run(
+        'INSERT INTO adapter_test (userAddress, shares, blockNumber) VALUES (?, ?, ?), (?, ?, ?)',
+        ['0xa', '100', 1, '0xb', '200', 2]
+      );
+      assert.equal(inserted.changes, 2);
+
+      const row = await adapter.get('SELECT userAddress, shares, blockNumber FROM adapter_test WHERE userAddress = ?', ['0xa']);
+      assert.deepEqual({ ...row }, { userAddress: '0xa', shares: '100', blockNumber: 1 });
+
+      const updated = await adapter.run('UPDATE adapter_test SET shares = ? WHERE blockNumber >= ?', ['300', 1]);
+      assert.equal(updated.changes, 2);
+    });
+
+    it('resolves get() with null when nothing matches', async () => {
+      assert.equal(await adapter.get('SELECT * FROM adapter_test WHERE userAddress = ?', ['0xmissing']), null);
+    });
+
+    it('leaves placeholders inside string literals alone', async () => {
+      const row = await adapter.get("SELECT '?' AS mark, userAddress FROM adapter_test WHERE userAddress = ?", ['0xb']);
+      assert.equal(row.mark, '?');
+      assert.equal(row.userAddress, '0xb');
+    });
+
+    it('stores CURRENT_TIMESTAMP defaults as UTC text', async () => {
+      const row = await adapter.get('SELECT createdAt FROM adapter_test WHERE userAddress = ?', ['0xa']);
+      assert.match(row.createdAt, /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/);
+    });
+
+    it('upserts with ON CONFLICT', async () => {
+      await adapter.run(
+        'INSERT INTO adapter_test (userAddress, shares) VALUES (?, ?) ON CONFLICT DO NOTHING',
+        ['0xa', '999']
+      );
+      await adapter.run(
+        'INSERT INTO adapter_test (userAddress, shares) VALUES (?, ?) ON CONFLICT(userAddress) DO UPDATE SET shares = excluded.shares',
+        ['0xb', '400']
+      );
+
+      const rows = await adapter.all('SELECT userAddress, shares FROM adapter_test ORDER BY userAddress');
+      assert.deepEqual(rows.map(row => [row.userAddress, row.shares]), [['0xa', '300'], ['0xb', '400']]);
+    });
+
+    it('runs prepared statements repeatedly', async () => {
+      const insert = await adapter.prepare('INSERT INTO adapter_test (userAddress, shares) VALUES (?, ?)');
+      for (const address of ['0xc', '0xd', '0xe']) {
+        assert.equal((await insert.run([address, '1'])).changes, 1);
+      }
+      await insert.finalize();
+
+      const select = await adapter.prepare('SELECT userAddress FROM adapter_test WHERE shares = ? ORDER BY userAddress');
+      assert.deepEqual((await select.all(['1'])).map(row => row.userAddress), ['0xc', '0xd', '0xe']);
+      await select.finalize();
+    });
+
+    it('commits a transaction and returns its result', async () => {
+      const result = await adapter.transaction(async () => {
+        await adapter.run('INSERT INTO adapter_test (userAddress, shares) VALUES (?, ?)', ['0xf', '5']);
+        return 'done';
+      });
+
+      assert.equal(result, 'done');
+      assert.ok(await adapter.get('SELECT 1 AS found FROM adapter_test WHERE userAddress = ?', ['0xf']));
+    });
+
+    it('rolls back a failed transaction, including nested ones', async () => {
+      await assert.rejects(adapter.transaction(async () => {
+        await adapter.run('INSERT INTO adapter_test (userAddress, shares) VALUES (?, ?)', ['0xg', '6']);
+        await adapter.transaction(async () => {
+          await adapter.run('INSERT INTO adapter_test (userAddress, shares) VALUES (?, ?)', ['0xh', '7']);
+        });
+        throw new Error('abort');
+      }), /abort/);
+
+      const rows = await adapter.all('SELECT userAddress FROM adapter_test WHERE userAddress IN (?, ?)', ['0xg', '0xh']);
+      assert.deepEqual(rows, []);
+    });
+
+    it('keeps writes made outside a transaction out of its rollback', async () => {
+      let started;
+      const insertedInside = new Promise(resolve => { started = resolve; });
+      let abort;
+      const aborted = new Promise(resolve => { abort = resolve; });
+
+      const failing = adapter.transaction(async () => {
+        await adapter.run('INSERT INTO adapter_test (userAddress, shares) VALUES (?, ?)', ['0xi', '8']);
+        started();
+        await aborted;
+        throw new Error('abort');
+      });
+
+      await insertedInside;
+      const outside = adapter.run('INSERT INTO adapter_test (userAddress, shares) VALUES (?, ?)', ['0xj', '9']);
+      abort();
+
+      await assert.rejects(failing, /abort/);
+      await outside;
+      const rows = await adapter.all('SELECT userAddress FROM adapter_test WHERE userAddress IN (?, ?)', ['0xi', '0xj']);
+      assert.deepEqual(rows.map(row => row.userAddress), ['0xj']);
+    });
+
+    it('keeps running transactions after one fails', async () => {
+      await assert.rejects(adapter.transaction(async () => {
+        await adapter.run('INSERT INTO adapter_test (userAddress, shares) VALUES (?, ?)', ['0xa', 'duplicate']);
+      }));
+
+      await adapter.transaction(() => adapter.run('UPDATE adapter_test SET shares = ? WHERE userAddress = ?', ['301', '0xa']));
+      assert.equal((await adapter.get('SELECT shares FROM adapter_test WHERE userAddress = ?', ['0xa'])).shares, '301');
+    });
+  });
+}